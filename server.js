@@ -3,10 +3,54 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { RailwayClient } = require('./src/query-railway');
 const { DashboardGenerator } = require('./src/generate-html');
+const { BitmapRenderer } = require('./src/render-bitmap');
 const { testIndividualQueries } = require('./src/debug-queries');
 const { debugAdvanced } = require('./src/debug-advanced');
+const { getTerminusConfig, getProfile } = require('./src/terminus-config');
+const { DEFAULT_LAYOUT_NAME, layoutNames, resolveLayout } = require('./src/layouts');
+const { parseDisplaySettings } = require('./src/locales');
+const {
+  ShareLinkError,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+} = require('./src/share-links');
+const { requireCapability, authenticateDashboard } = require('./src/auth');
+const { getAuditLog } = require('./src/audit-log');
+const { TrmnlPusher, buildMergeVariables } = require('./src/trmnl');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, renderMetrics } = require('./src/metrics');
+const { DeploymentNotifier } = require('./src/notifier');
+const { volumeHealth, assessVolume } = require('./src/volumes');
+const { buildModel, indexById } = require('./src/model');
+const {
+  deploymentNodes,
+  deploymentPairs,
+  getDeploymentHistory,
+} = require('./src/deployment-history');
+const { deliveryReport } = require('./src/delivery-metrics');
+const { describeFilters } = require('./src/filters');
+const { DeploymentActionError, runDeploymentAction } = require('./src/deployment-actions');
+const {
+  LOG_TYPES,
+  DeploymentLogsError,
+  parseLogQuery,
+  findDeployment,
+  LogTail,
+  activeLogStreams,
+  streamDeploymentLogs,
+} = require('./src/deployment-logs');
+const { openEventStream } = require('./src/sse');
+const { activeLiveStreams, streamDashboard } = require('./src/live-dashboard');
+const securityConfig = require('./src/config/security');
+const trmnlConfig = require('./src/config/trmnl');
+const notificationsConfig = require('./src/config/notifications');
+const deliveryConfig = require('./src/config/delivery');
+const deploymentLogsConfig = require('./src/config/deployment-logs');
+const liveConfig = require('./src/config/live');
 
 const app = express();
+// Client IPs (for lockouts and the audit log) come from X-Forwarded-For only behind a known proxy
+app.set('trust proxy', securityConfig.trustProxy);
 const PORT = process.env.PORT || 3000;
 const domain = process.env.RAILWAY_PUBLIC_DOMAIN || `http://localhost:${PORT}`;
 
@@ -19,35 +63,15 @@ app.use(
 app.use(cors());
 app.use(express.json());
 
-// Authentication middleware
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-  if (!token) {
-    return res.status(401).json({
-      error: 'Access token required',
-      message: 'Please provide a Bearer token in the Authorization header',
-    });
+// Base URL for links handed out by the server
+function publicBaseUrl(req) {
+  if (process.env.TERMINUS_PUBLIC_URL) {
+    return process.env.TERMINUS_PUBLIC_URL.replace(/\/+$/, '');
   }
-
-  const expectedToken = process.env.TERMINUS_AUTH_TOKEN;
-  if (!expectedToken) {
-    console.error('❌ TERMINUS_AUTH_TOKEN environment variable is not set');
-    return res.status(500).json({
-      error: 'Server configuration error',
-      message: 'Authentication token not configured on server',
-    });
+  if (process.env.RAILWAY_PUBLIC_DOMAIN) {
+    return `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
   }
-
-  if (token !== expectedToken) {
-    return res.status(403).json({
-      error: 'Invalid token',
-      message: 'The provided authentication token is invalid',
-    });
-  }
-
-  next();
+  return `${req.protocol}://${req.get('host')}`;
 }
 
 // Health check endpoint (no auth required)
@@ -59,48 +83,303 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Main dashboard endpoint
-app.get('/', authenticateToken, async (req, res) => {
-  try {
-    // Extract parameters from headers
-    const terminusLogsEnvId =
-      req.headers['x-logs-environment-id'] ||
-      req.headers['x-terminus-logs-env-id'] ||
-      process.env.TERMINUS_LOGS_ENV_ID;
-    const projectId = req.headers['x-project-id'];
-    const serviceId = req.headers['x-service-id'];
-    const environmentId = req.headers['x-environment-id'];
+// Dashboard settings for a named profile (or none), with `overrides` taking
+// precedence over the profile and environment variables coming last.
+// Returns null if the profile doesn't exist.
+function dashboardOptions(profileName, overrides = {}, { shareLinkId = null, scope = null } = {}) {
+  let profile = {};
+  if (profileName) {
+    profile = getProfile(profileName);
+    if (!profile) {
+      return null;
+    }
+  }
 
-    console.log(
-      `📊 Dashboard request - Logs Env: ${terminusLogsEnvId || 'none'}, Filters - Project: ${projectId || 'all'}, Service: ${serviceId || 'all'}, Environment: ${environmentId || 'all'}`
+  const profileFilters = profile.filters || {};
+  const { preset, ...profileLimits } = profile.layout || {};
+  const layoutName =
+    overrides.layout || preset || process.env.DASHBOARD_LAYOUT || DEFAULT_LAYOUT_NAME;
+  const { layouts } = getTerminusConfig();
+  const layout = resolveLayout(layoutName, layouts);
+  // The request's own timezone, locale and clock, checked here as they can't
+  // be checked in advance like a profile's
+  const requested = parseDisplaySettings({
+    timezone: overrides.timezone,
+    locale: overrides.locale,
+    clock: overrides.clock,
+  });
+  const display = requested.settings || {};
+  return {
+    profileName: profileName || null,
+    shareLinkId,
+    scope,
+    terminusLogsEnvId:
+      overrides.logsEnvironmentId || profile.logsEnvironmentId || process.env.TERMINUS_LOGS_ENV_ID,
+    filters: {
+      projectId: overrides.projectId || profileFilters.projectId,
+      serviceId: overrides.serviceId || profileFilters.serviceId,
+      environmentId: overrides.environmentId || profileFilters.environmentId,
+      hideEphemeral: overrides.hideEphemeral ?? profileFilters.hideEphemeral ?? false,
+    },
+    eventLogs: profile.eventLogs,
+    // Unset ones fall back to DISPLAY_* in DashboardGenerator
+    display: {
+      timezone: display.timezone || profile.timezone,
+      locale: display.locale || profile.locale,
+      clock: display.clock || profile.clock,
+    },
+    layoutName,
+    layout: layout && { ...layout, ...profileLimits },
+    deliveryPanel: profile.deliveryPanel ?? deliveryConfig.dashboardPanel,
+    // { error, message } when the request asks for something that doesn't
+    // exist (see invalidOptions)
+    invalid: layout
+      ? requested.problem || null
+      : {
+          error: 'Unknown layout',
+          message: `No layout preset named "${layoutName}" (expected ${layoutNames(layouts).join(', ')})`,
+        },
+  };
+}
+
+// A filter from the query string (repeated parameters are combined into one
+// list) or else the matching header
+function requestFilter(req, name, header) {
+  const value = req.query[name];
+  if (value !== undefined) {
+    return [value].flat().join(',');
+  }
+  return req.headers[header];
+}
+
+// "true"/"1"/"yes" from the query string or header, undefined if neither is set
+function requestFlag(req, name, header) {
+  const value = requestFilter(req, name, header);
+  return value === undefined ? undefined : ['true', '1', 'yes'].includes(value.toLowerCase());
+}
+
+// Collects the dashboard settings for a request. A named profile supplies the
+// defaults and the request's filters (query string or headers) override
+// them. A share link replaces the headers and profile with the view it was
+// minted for, so nothing in the request can widen it; the request can still
+// pick a layout preset, timezone, locale and clock.
+// Returns null if the profile doesn't exist.
+function resolveDashboardOptions(req, profileName) {
+  const view = req.shareLink?.view;
+  if (view) {
+    profileName = view.profile;
+  }
+
+  // How the page looks rather than what it shows
+  const presentation = {
+    layout: requestFilter(req, 'layout', 'x-layout'),
+    timezone: requestFilter(req, 'timezone', 'x-timezone'),
+    locale: requestFilter(req, 'locale', 'x-locale'),
+    clock: requestFilter(req, 'clock', 'x-clock'),
+  };
+  const overrides = view
+    ? { logsEnvironmentId: view.logsEnvironmentId, ...view.filters, ...presentation }
+    : {
+        ...presentation,
+        logsEnvironmentId:
+          req.headers['x-logs-environment-id'] || req.headers['x-terminus-logs-env-id'],
+        projectId: requestFilter(req, 'projectId', 'x-project-id'),
+        serviceId: requestFilter(req, 'serviceId', 'x-service-id'),
+        environmentId: requestFilter(req, 'environmentId', 'x-environment-id'),
+        hideEphemeral: requestFlag(req, 'hideEphemeral', 'x-hide-ephemeral'),
+      };
+
+  return dashboardOptions(profileName, overrides, {
+    shareLinkId: req.shareLink?.id || null,
+    scope: req.auth?.scope || null,
+  });
+}
+
+function profileNotFound(req, res, profileName) {
+  // Share links can outlive the profile they point at
+  profileName = req.shareLink?.view.profile || profileName;
+  return res.status(404).json({
+    error: 'Profile not found',
+    message: `No dashboard profile named "${profileName}" in terminus.config.json`,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// An unknown layout, timezone, locale or clock in the request
+function invalidOptions(res, options) {
+  return res.status(400).json({ ...options.invalid, timestamp: new Date().toISOString() });
+}
+
+// Fetches dashboard data from Railway for resolved options
+async function fetchDashboard(options) {
+  const { terminusLogsEnvId, filters } = options;
+  const client = new RailwayClient(process.env.RAILWAY_TOKEN);
+  const dashboardData = await client.fetchDashboardData(terminusLogsEnvId, filters, {
+    eventLogs: options.eventLogs,
+    scope: options.scope,
+  });
+
+  if (options.profileName && dashboardData.data?.queryInfo) {
+    dashboardData.data.queryInfo.profile = options.profileName;
+  }
+
+  if (dashboardData.success) {
+    // Age and durations of the deployments the dashboard shows, by ID
+    dashboardData.data.deploymentTiming = Object.fromEntries(
+      buildModel(dashboardData)
+        .deployments.filter((deployment) => deployment.latest)
+        .map((deployment) => [deployment.id, deployment.timing])
     );
 
-    // Validate Railway token
-    const railwayToken = process.env.RAILWAY_TOKEN;
-    if (!railwayToken) {
-      return res.status(500).json({
-        error: 'Railway configuration error',
-        message: 'RAILWAY_TOKEN environment variable is not set',
+    // Sample volume usage for the fill forecasts and record deployments for
+    // the delivery metrics. A full or read-only data directory shouldn't take
+    // the dashboard down with it.
+    try {
+      const generator = new DashboardGenerator();
+      generator.loadData(dashboardData);
+      const { workspaces, volumes } = generator.extractComprehensiveData();
+      dashboardData.data.volumeHealth = volumeHealth(volumes);
+
+      const history = getDeploymentHistory();
+      history.record(deploymentNodes(dashboardData));
+      if (options.deliveryPanel) {
+        const pairs = deploymentPairs(workspaces);
+        const { windowDays } = deliveryConfig;
+        dashboardData.data.delivery = {
+          windowDays,
+          summary: deliveryReport(history.deployments(pairs), pairs, { windowDays }).summary,
+        };
+        // Older deployments show up on a later refresh
+        history.backfill(client, pairs).catch((error) => {
+          console.error('❌ Deployment history backfill failed:', error.message);
+        });
+      }
+    } catch (error) {
+      console.error('❌ Failed to record dashboard history:', error.message);
+    }
+  }
+
+  return dashboardData;
+}
+
+// Like fetchDashboard, but returns null (after sending a 500) when
+// RAILWAY_TOKEN is missing.
+async function fetchDashboardForRequest(res, options) {
+  // Validate Railway token
+  if (!process.env.RAILWAY_TOKEN) {
+    res.status(500).json({
+      error: 'Railway configuration error',
+      message: 'RAILWAY_TOKEN environment variable is not set',
+    });
+    return null;
+  }
+
+  return fetchDashboard(options);
+}
+
+// Content types for the rendered dashboard formats
+const DASHBOARD_CONTENT_TYPES = {
+  html: 'text/html',
+  bmp: 'image/bmp',
+  png: 'image/png',
+};
+
+// Largest image a client may ask for, per side
+const MAX_IMAGE_SIZE = 4000;
+
+// Image dimensions from ?width=&height=, or undefined for the layout's page
+// size (800x470 by default).
+// Returns null if either is not a whole number in range.
+function imageSize(query) {
+  const size = {};
+  for (const side of ['width', 'height']) {
+    if (query[side] === undefined) {
+      continue;
+    }
+    const value = Number(query[side]);
+    if (!Number.isInteger(value) || value < 100 || value > MAX_IMAGE_SIZE) {
+      return null;
+    }
+    size[side] = value;
+  }
+  return size;
+}
+
+// GET /api/stream with the same view as a dashboard request, for its live page
+function liveStreamUrl(req) {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(req.query)) {
+    if (name !== 'live') {
+      [value].flat().forEach((item) => params.append(name, item));
+    }
+  }
+  if (req.params.profile) {
+    params.set('profile', req.params.profile);
+  }
+  if (req.params.shareToken) {
+    params.set('share', req.params.shareToken);
+  }
+  const query = params.toString();
+  return `/api/stream${query ? `?${query}` : ''}`;
+}
+
+// Renders the dashboard as HTML, or as a 1-bit BMP or PNG for e-ink devices
+async function renderDashboard(req, res, profileName, format = 'html') {
+  try {
+    const options = resolveDashboardOptions(req, profileName);
+    if (!options) {
+      return profileNotFound(req, res, profileName);
+    }
+    if (options.invalid) {
+      return invalidOptions(res, options);
+    }
+
+    const size = format === 'html' ? {} : imageSize(req.query);
+    if (!size) {
+      return res.status(400).json({
+        error: 'Invalid image size',
+        message: `width and height must be whole numbers between 100 and ${MAX_IMAGE_SIZE}`,
+        timestamp: new Date().toISOString(),
       });
     }
 
-    // Fetch data from Railway
-    const client = new RailwayClient(railwayToken);
-    const filters = { projectId, serviceId, environmentId };
-    const dashboardData = await client.fetchDashboardData(terminusLogsEnvId, filters);
+    const { terminusLogsEnvId, filters } = options;
+    console.log(
+      `📊 Dashboard ${format} request${options.profileName ? ` (profile ${options.profileName})` : ''}${options.shareLinkId ? ` via share link ${options.shareLinkId}` : ''} - Logs Env: ${terminusLogsEnvId || 'none'}, Filters - ${describeFilters(filters)}`
+    );
 
-    // Generate HTML
-    const generator = new DashboardGenerator();
-    generator.loadData(dashboardData);
-    const html = generator.generateHTML();
+    const dashboardData = await fetchDashboardForRequest(res, options);
+    if (!dashboardData) {
+      return;
+    }
+
+    let body;
+    if (format === 'html') {
+      const generator = new DashboardGenerator({
+        ...options.display,
+        layout: options.layout,
+        // ?live=1 keeps the page up to date over GET /api/stream
+        live: requestFlag(req, 'live') ? { streamUrl: liveStreamUrl(req) } : null,
+      });
+      generator.loadData(dashboardData);
+      body = generator.generateHTML();
+    } else {
+      const renderer = new BitmapRenderer({
+        ...size,
+        ...options.display,
+        layout: options.layout,
+      });
+      renderer.loadData(dashboardData);
+      body = format === 'png' ? renderer.toPNG() : renderer.toBMP();
+    }
 
     // Set appropriate headers
-    res.setHeader('Content-Type', 'text/html');
+    res.setHeader('Content-Type', DASHBOARD_CONTENT_TYPES[format]);
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
 
-    res.status(200).send(html);
+    res.status(200).send(body);
   } catch (error) {
     console.error('❌ Error generating dashboard:', error);
     res.status(500).json({
@@ -109,10 +388,86 @@ app.get('/', authenticateToken, async (req, res) => {
       timestamp: new Date().toISOString(),
     });
   }
+}
+
+// Main dashboard endpoint
+app.get('/', authenticateDashboard('dashboard'), (req, res) =>
+  renderDashboard(req, res, req.query.profile)
+);
+
+// Dashboard for a named profile from terminus.config.json
+app.get('/d/:profile', authenticateDashboard('dashboard'), (req, res) =>
+  renderDashboard(req, res, req.params.profile)
+);
+
+// Dashboard for a share link
+app.get('/s/:shareToken', authenticateDashboard('dashboard'), (req, res) =>
+  renderDashboard(req, res)
+);
+
+// The same dashboards as 1-bit images for e-paper displays
+app.get('/image.:format(bmp|png)', authenticateDashboard('dashboard'), (req, res) =>
+  renderDashboard(req, res, req.query.profile, req.params.format)
+);
+
+app.get('/d/:profile/image.:format(bmp|png)', authenticateDashboard('dashboard'), (req, res) =>
+  renderDashboard(req, res, req.params.profile, req.params.format)
+);
+
+app.get('/s/:shareToken/image.:format(bmp|png)', authenticateDashboard('dashboard'), (req, res) =>
+  renderDashboard(req, res, undefined, req.params.format)
+);
+
+// Changes to the dashboard as Server-Sent Events, for the live page (see
+// src/live-dashboard.js). Takes the same query as GET / and ?share=<token>.
+app.get('/api/stream', authenticateDashboard('dashboard'), async (req, res) => {
+  if (activeLiveStreams() >= liveConfig.maxStreams) {
+    return res.status(503).json({
+      error: 'Too many live streams',
+      message: `${liveConfig.maxStreams} live streams are already open (LIVE_MAX_STREAMS)`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const profileName = req.query.profile;
+  const options = resolveDashboardOptions(req, profileName);
+  if (!options) {
+    return profileNotFound(req, res, profileName);
+  }
+  if (options.invalid) {
+    return invalidOptions(res, options);
+  }
+  if (!process.env.RAILWAY_TOKEN) {
+    return res.status(500).json({
+      error: 'Railway configuration error',
+      message: 'RAILWAY_TOKEN environment variable is not set',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  console.log(
+    `📡 Live dashboard stream for "${req.auth.keyName}"${options.profileName ? ` (profile ${options.profileName})` : ''} - Filters - ${describeFilters(options.filters)}`
+  );
+  const stream = openEventStream(req, res, {
+    heartbeatMs: liveConfig.heartbeatMs,
+    retryMs: liveConfig.pollIntervalMs,
+  });
+  await streamDashboard(stream, async () => {
+    const dashboardData = await fetchDashboard(options);
+    if (!dashboardData.success) {
+      throw new Error(dashboardData.error.message);
+    }
+    const generator = new DashboardGenerator({
+      ...options.display,
+      layout: options.layout,
+    });
+    generator.loadData(dashboardData);
+    return generator.liveView();
+  });
 });
 
 // Debug endpoint
-app.get('/debug', authenticateToken, async (req, res) => {
+app.get('/debug', requireCapability('debug'), async (req, res) => {
   try {
     console.log('🔍 Debug endpoint called');
 
@@ -132,7 +487,7 @@ app.get('/debug', authenticateToken, async (req, res) => {
     };
 
     // Run debug queries
-    await testIndividualQueries();
+    const results = await testIndividualQueries();
 
     // Restore console functions
     console.log = originalLog;
@@ -141,6 +496,7 @@ app.get('/debug', authenticateToken, async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Debug queries completed',
+      results: results || [],
       logs: logs,
       timestamp: new Date().toISOString(),
     });
@@ -155,7 +511,7 @@ app.get('/debug', authenticateToken, async (req, res) => {
 });
 
 // Advanced debug endpoint
-app.get('/debug/advanced', authenticateToken, async (req, res) => {
+app.get('/debug/advanced', requireCapability('debug'), async (req, res) => {
   try {
     console.log('🔬 Advanced debug endpoint called');
 
@@ -198,32 +554,31 @@ app.get('/debug/advanced', authenticateToken, async (req, res) => {
 });
 
 // JSON data endpoint (for API consumers)
-app.get('/api/data', authenticateToken, async (req, res) => {
+app.get('/api/data', authenticateDashboard('api'), (req, res) => sendDashboardData(req, res));
+
+// JSON data for a share link
+app.get('/s/:shareToken/data', authenticateDashboard('api'), (req, res) =>
+  sendDashboardData(req, res)
+);
+
+async function sendDashboardData(req, res) {
   try {
-    const terminusLogsEnvId =
-      req.headers['x-logs-environment-id'] ||
-      req.headers['x-terminus-logs-env-id'] ||
-      process.env.TERMINUS_LOGS_ENV_ID;
-    const projectId = req.headers['x-project-id'];
-    const serviceId = req.headers['x-service-id'];
-    const environmentId = req.headers['x-environment-id'];
+    const profileName = req.query.profile;
+    const options = resolveDashboardOptions(req, profileName);
+    if (!options) {
+      return profileNotFound(req, res, profileName);
+    }
 
+    const { terminusLogsEnvId, filters } = options;
     console.log(
-      `📡 API data request - Logs Env: ${terminusLogsEnvId || 'none'}, Filters - Project: ${projectId || 'all'}, Service: ${serviceId || 'all'}, Environment: ${environmentId || 'all'}`
+      `📡 API data request${options.profileName ? ` (profile ${options.profileName})` : ''}${options.shareLinkId ? ` via share link ${options.shareLinkId}` : ''} - Logs Env: ${terminusLogsEnvId || 'none'}, Filters - ${describeFilters(filters)}`
     );
 
-    const railwayToken = process.env.RAILWAY_TOKEN;
-    if (!railwayToken) {
-      return res.status(500).json({
-        error: 'Railway configuration error',
-        message: 'RAILWAY_TOKEN environment variable is not set',
-      });
+    const dashboardData = await fetchDashboardForRequest(res, options);
+    if (!dashboardData) {
+      return;
     }
 
-    const client = new RailwayClient(railwayToken);
-    const filters = { projectId, serviceId, environmentId };
-    const dashboardData = await client.fetchDashboardData(terminusLogsEnvId, filters);
-
     res.status(200).json(dashboardData);
   } catch (error) {
     console.error('❌ Error fetching API data:', error);
@@ -233,6 +588,503 @@ app.get('/api/data', authenticateToken, async (req, res) => {
       timestamp: new Date().toISOString(),
     });
   }
+}
+
+// Sends part of the data model (see src/model.js) for the request's view,
+// which profiles, filters and share links narrow like /api/data. select(model,
+// dashboardData) returns the response data, or undefined for an unknown ID.
+async function sendModel(req, res, select, { logs = false, notFound = 'Not found' } = {}) {
+  try {
+    const profileName = req.query.profile;
+    const options = resolveDashboardOptions(req, profileName);
+    if (!options) {
+      return profileNotFound(req, res, profileName);
+    }
+
+    const dashboardData = await fetchDashboardForRequest(res, {
+      ...options,
+      // Only the log entries endpoint needs the event logs query
+      terminusLogsEnvId: logs ? options.terminusLogsEnvId : null,
+    });
+    if (!dashboardData) {
+      return;
+    }
+    if (!dashboardData.success) {
+      return res.status(502).json({
+        error: 'Railway API error',
+        message: dashboardData.error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const data = select(buildModel(dashboardData), dashboardData);
+    if (data === undefined) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: notFound,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const { errors, incomplete } = dashboardData.data.queryInfo;
+    res.status(200).json({ timestamp: dashboardData.timestamp, data, errors, incomplete });
+  } catch (error) {
+    console.error('❌ Error fetching API v2 data:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// Flat, cross-referenced resources from the data model
+app.get('/api/v2/workspaces', authenticateDashboard('api'), (req, res) =>
+  sendModel(req, res, (model) => model.workspaces)
+);
+
+app.get('/api/v2/projects', authenticateDashboard('api'), (req, res) =>
+  sendModel(req, res, (model) => model.projects)
+);
+
+app.get('/api/v2/projects/:id', authenticateDashboard('api'), (req, res) =>
+  sendModel(req, res, (model) => indexById(model.projects).get(req.params.id), {
+    notFound: `No project with ID "${req.params.id}"`,
+  })
+);
+
+app.get('/api/v2/services', authenticateDashboard('api'), (req, res) =>
+  sendModel(req, res, (model) => model.services)
+);
+
+app.get('/api/v2/services/:id', authenticateDashboard('api'), (req, res) =>
+  sendModel(req, res, (model) => indexById(model.services).get(req.params.id), {
+    notFound: `No service with ID "${req.params.id}"`,
+  })
+);
+
+app.get('/api/v2/services/:id/deployments', authenticateDashboard('api'), (req, res) =>
+  sendModel(
+    req,
+    res,
+    (model) =>
+      indexById(model.services).has(req.params.id)
+        ? model.deployments.filter((deployment) => deployment.serviceId === req.params.id)
+        : undefined,
+    { notFound: `No service with ID "${req.params.id}"` }
+  )
+);
+
+app.get('/api/v2/environments', authenticateDashboard('api'), (req, res) =>
+  sendModel(req, res, (model) => model.environments)
+);
+
+// Optionally ?status=FAILED,CRASHED and ?latest=true
+app.get('/api/v2/deployments', authenticateDashboard('api'), (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).toUpperCase().split(',') : null;
+  const latestOnly = req.query.latest === 'true';
+  sendModel(req, res, (model) =>
+    model.deployments.filter(
+      (deployment) =>
+        (!statuses || statuses.includes(deployment.status)) && (!latestOnly || deployment.latest)
+    )
+  );
+});
+
+// Volume instances, with the capacity level and forecast the dashboard shows
+app.get('/api/v2/volumes', authenticateDashboard('api'), (req, res) =>
+  sendModel(req, res, (model, dashboardData) =>
+    model.volumeInstances.map((instance) => ({
+      ...instance,
+      health: dashboardData.data.volumeHealth?.[instance.id] || assessVolume(instance),
+    }))
+  )
+);
+
+app.get('/api/v2/logs', authenticateDashboard('api'), (req, res) =>
+  sendModel(req, res, (model) => model.logEntries, { logs: true })
+);
+
+// Merge variables for a TRMNL private plugin using the polling strategy
+app.get('/trmnl/merge-variables', authenticateDashboard('api'), async (req, res) => {
+  try {
+    const profileName = req.query.profile;
+    const options = resolveDashboardOptions(req, profileName);
+    if (!options) {
+      return profileNotFound(req, res, profileName);
+    }
+    if (options.invalid) {
+      return invalidOptions(res, options);
+    }
+
+    console.log(
+      `📟 TRMNL merge variables request${options.profileName ? ` (profile ${options.profileName})` : ''}${options.shareLinkId ? ` via share link ${options.shareLinkId}` : ''}`
+    );
+
+    const dashboardData = await fetchDashboardForRequest(res, options);
+    if (!dashboardData) {
+      return;
+    }
+
+    res
+      .status(200)
+      .json(buildMergeVariables(dashboardData, { ...options.display, layout: options.layout }));
+  } catch (error) {
+    console.error('❌ Error building TRMNL merge variables:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Prometheus metrics for deployments, volumes, event logs and Railway API calls
+app.get('/metrics', requireCapability('metrics'), async (req, res) => {
+  try {
+    const profileName = req.query.profile;
+    const options = resolveDashboardOptions(req, profileName);
+    if (!options) {
+      return profileNotFound(req, res, profileName);
+    }
+
+    const dashboardData = await fetchDashboardForRequest(res, options);
+    if (!dashboardData) {
+      return;
+    }
+
+    res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+    res.status(200).send(renderMetrics(dashboardData));
+  } catch (error) {
+    console.error('❌ Error rendering metrics:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Delivery metrics (deployment frequency, change failure rate, time to
+// recovery, durations) for the services in view, over ?days= days
+app.get('/api/metrics/delivery', authenticateDashboard('api'), async (req, res) => {
+  try {
+    const maxDays = Math.floor(deliveryConfig.historyRetentionMs / (24 * 60 * 60 * 1000));
+    const days = req.query.days === undefined ? deliveryConfig.windowDays : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+      return res.status(400).json({
+        error: 'Invalid days',
+        message: `days must be a whole number from 1 to ${maxDays} (DELIVERY_HISTORY_DAYS)`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const profileName = req.query.profile;
+    const options = resolveDashboardOptions(req, profileName);
+    if (!options) {
+      return profileNotFound(req, res, profileName);
+    }
+
+    // Event logs and the dashboard panel aren't needed here
+    const dashboardData = await fetchDashboardForRequest(res, {
+      ...options,
+      terminusLogsEnvId: null,
+      deliveryPanel: false,
+    });
+    if (!dashboardData) {
+      return;
+    }
+    if (!dashboardData.success) {
+      return res.status(502).json({
+        error: 'Railway API error',
+        message: dashboardData.error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const generator = new DashboardGenerator();
+    generator.loadData(dashboardData);
+    const pairs = deploymentPairs(generator.extractComprehensiveData().workspaces);
+    const history = getDeploymentHistory();
+    const backfill = await history.backfill(new RailwayClient(process.env.RAILWAY_TOKEN), pairs);
+
+    res.status(200).json({
+      timestamp: new Date().toISOString(),
+      ...deliveryReport(history.deployments(pairs), pairs, { windowDays: days }),
+      backfill,
+    });
+  } catch (error) {
+    console.error('❌ Error computing delivery metrics:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Redeploy, roll back to, restart or approve a deployment (see
+// src/deployment-actions.js). Needs the "operate" capability and the
+// deployment ID repeated as `confirm`.
+app.post(
+  '/api/deployments/:id/:action(redeploy|rollback|restart|approve)',
+  requireCapability('operate'),
+  async (req, res) => {
+    const { id, action } = req.params;
+    try {
+      if (!process.env.RAILWAY_TOKEN) {
+        return res.status(500).json({
+          error: 'Railway configuration error',
+          message: 'RAILWAY_TOKEN environment variable is not set',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      console.log(`🛠️  ${action} requested for deployment ${id} by key "${req.auth.keyName}"`);
+      const { deployment, result } = await runDeploymentAction(
+        new RailwayClient(process.env.RAILWAY_TOKEN),
+        req,
+        { action, deploymentId: id, confirm: req.body?.confirm ?? req.query.confirm }
+      );
+
+      res.status(200).json({
+        timestamp: new Date().toISOString(),
+        action,
+        deployment: {
+          id: deployment.id,
+          projectId: deployment.projectId,
+          serviceId: deployment.serviceId,
+          environmentId: deployment.environmentId,
+        },
+        // The new deployment for a redeploy
+        ...(result?.id && { newDeployment: result }),
+      });
+    } catch (error) {
+      if (error instanceof DeploymentActionError) {
+        console.warn(`⚠️  ${action} of deployment ${id} ${error.reason}: ${error.message}`);
+        return res.status(error.status).json({
+          error: error.error,
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      console.error(`❌ Error running ${action} on deployment ${id}:`, error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
+// Looks up the deployment behind a log request and validates its query.
+// Resolves to { client, deployment, logQuery }, or null after sending an
+// error response.
+async function deploymentLogsRequest(req, res, { stream = false } = {}) {
+  if (!process.env.RAILWAY_TOKEN) {
+    res.status(500).json({
+      error: 'Railway configuration error',
+      message: 'RAILWAY_TOKEN environment variable is not set',
+      timestamp: new Date().toISOString(),
+    });
+    return null;
+  }
+
+  try {
+    const logQuery = parseLogQuery(req.query, { stream });
+    const client = new RailwayClient(process.env.RAILWAY_TOKEN);
+    const deployment = await findDeployment(client, req.auth.scope, req.params.id);
+    return { client, deployment, logQuery };
+  } catch (error) {
+    if (error instanceof DeploymentLogsError) {
+      res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    } else {
+      console.error(`❌ Error looking up deployment ${req.params.id}:`, error);
+      res.status(502).json({
+        error: 'Railway API error',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    return null;
+  }
+}
+
+// Build or runtime logs of a deployment (see src/deployment-logs.js)
+app.get(
+  '/api/deployments/:id/:type(logs|build-logs)',
+  requireCapability('logs'),
+  async (req, res) => {
+    const request = await deploymentLogsRequest(req, res);
+    if (!request) {
+      return;
+    }
+
+    const { client, deployment, logQuery } = request;
+    try {
+      const type = LOG_TYPES[req.params.type];
+      const logs = await client.fetchDeploymentLogs(type, deployment.id, logQuery);
+      res.status(200).json({
+        timestamp: new Date().toISOString(),
+        deployment: {
+          id: deployment.id,
+          status: deployment.status,
+          projectId: deployment.projectId,
+          serviceId: deployment.serviceId,
+          environmentId: deployment.environmentId,
+        },
+        type,
+        logs,
+      });
+    } catch (error) {
+      console.error(`❌ Error fetching ${req.params.type} of deployment ${deployment.id}:`, error);
+      res.status(502).json({
+        error: 'Railway API error',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+);
+
+// Sends a 503 if DEPLOYMENT_LOGS_MAX_STREAMS log streams are open
+function tooManyLogStreams(res) {
+  if (activeLogStreams() < deploymentLogsConfig.maxStreams) {
+    return false;
+  }
+  res.status(503).json({
+    error: 'Too many log streams',
+    message: `${deploymentLogsConfig.maxStreams} log streams are already open (DEPLOYMENT_LOGS_MAX_STREAMS)`,
+    timestamp: new Date().toISOString(),
+  });
+  return true;
+}
+
+// The same logs as Server-Sent Events, following new lines as they arrive
+app.get(
+  '/api/deployments/:id/:type(logs|build-logs)/stream',
+  requireCapability('logs'),
+  async (req, res) => {
+    if (tooManyLogStreams(res)) {
+      return;
+    }
+
+    const request = await deploymentLogsRequest(req, res, { stream: true });
+    // Checked again, as other streams may have opened during the lookup
+    if (!request || tooManyLogStreams(res)) {
+      return;
+    }
+
+    const { client, deployment, logQuery } = request;
+    const type = LOG_TYPES[req.params.type];
+    console.log(
+      `📜 Streaming ${type} logs of deployment ${deployment.id} to "${req.auth.keyName}"`
+    );
+    const stream = openEventStream(req, res, {
+      heartbeatMs: deploymentLogsConfig.streamHeartbeatMs,
+      retryMs: deploymentLogsConfig.streamPollIntervalMs,
+    });
+    const tail = new LogTail(client, type, deployment.id, {
+      ...logQuery,
+      resumeAfter: req.get('Last-Event-ID'),
+    });
+    await streamDeploymentLogs(stream, tail);
+  }
+);
+
+// Keys with an allow-list only manage the share links they minted
+function shareLinkOwner(req) {
+  return req.auth.scope ? req.auth.keyName : null;
+}
+
+// Mint a share link for a fixed view
+app.post('/api/share-links', requireCapability('share'), (req, res) => {
+  try {
+    const { profile, filters, logsEnvironmentId, expiresIn, label } = req.body || {};
+    const link = createShareLink({
+      view: { profile, filters, logsEnvironmentId },
+      expiresIn,
+      label,
+      scope: req.auth.scope,
+      createdBy: req.auth.keyName,
+    });
+    console.log(
+      `🔗 Share link ${link.id} created by ${req.auth.keyName}, expires ${link.expiresAt}`
+    );
+
+    res.status(201).json({ ...link, url: `${publicBaseUrl(req)}/s/${link.token}` });
+  } catch (error) {
+    const status = error instanceof ShareLinkError ? error.status : 500;
+    if (status === 500) {
+      console.error('❌ Error creating share link:', error);
+    }
+    res.status(status).json({
+      error: status === 400 ? 'Invalid share link request' : 'Internal server error',
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Issued share links that haven't expired (tokens are not stored)
+app.get('/api/share-links', requireCapability('share'), (req, res) => {
+  res.status(200).json({ links: listShareLinks(shareLinkOwner(req)) });
+});
+
+// Revoke a share link
+app.delete('/api/share-links/:id', requireCapability('share'), (req, res) => {
+  const link = revokeShareLink(req.params.id, shareLinkOwner(req));
+  if (!link) {
+    return res.status(404).json({
+      error: 'Share link not found',
+      message: `No share link with id "${req.params.id}"`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  console.log(`🔗 Share link ${link.id} revoked by ${req.auth.keyName}`);
+  res.status(200).json(link);
+});
+
+// Query the authentication audit log, newest first
+app.get('/api/audit', requireCapability('audit'), (req, res) => {
+  const stringParam = (name) => (typeof req.query[name] === 'string' ? req.query[name] : undefined);
+
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({
+      error: 'Invalid audit query',
+      message: '"limit" must be a whole number between 1 and 1000',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const since = stringParam('since');
+  if (since && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({
+      error: 'Invalid audit query',
+      message: '"since" must be an ISO 8601 timestamp',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const entries = getAuditLog().query({
+    type: stringParam('type'),
+    result: stringParam('result'),
+    reason: stringParam('reason'),
+    ip: stringParam('ip'),
+    key: stringParam('key'),
+    route: stringParam('route'),
+    since: since && new Date(since).toISOString(),
+    limit,
+  });
+
+  res.status(200).json({ entries, timestamp: new Date().toISOString() });
 });
 
 // Error handling middleware
@@ -251,30 +1103,157 @@ app.use((req, res) => {
     error: 'Not found',
     message: `Endpoint ${req.method} ${req.path} not found`,
     availableEndpoints: [
-      'GET / - Dashboard (requires auth)',
-      'GET /debug - Debug queries (requires auth)',
-      'GET /debug/advanced - Advanced debugging (requires auth)',
-      'GET /api/data - JSON data (requires auth)',
+      'GET / - Dashboard (requires dashboard capability)',
+      'GET /d/:profile - Dashboard for a named profile (requires dashboard capability)',
+      'GET /s/:token - Dashboard for a share link (the link is the auth)',
+      'GET /s/:token/data - JSON data for a share link',
+      'GET /?live=1 - Dashboard that updates itself over /api/stream, also under /d/:profile and /s/:token',
+      'GET /api/stream - Dashboard changes as Server-Sent Events (requires dashboard capability or ?share=)',
+      'GET /image.bmp, /image.png - Dashboard as a 1-bit image, also under /d/:profile and /s/:token',
+      'GET /debug - Debug queries (requires debug capability)',
+      'GET /debug/advanced - Advanced debugging (requires debug capability)',
+      'GET /api/data - JSON data, optionally ?profile=name (requires api capability)',
+      'GET /api/v2/{workspaces,projects,services,environments,deployments,volumes,logs} - Normalized resources (requires api capability)',
+      'GET /api/v2/projects/:id, /api/v2/services/:id, /api/v2/services/:id/deployments - Single resources (requires api capability)',
+      'GET /trmnl/merge-variables - TRMNL plugin merge variables (requires api capability)',
+      'GET /metrics - Prometheus metrics (requires metrics capability)',
+      'GET /api/metrics/delivery - Delivery metrics, optionally ?days=30 (requires api capability)',
+      'POST /api/share-links - Create a share link (requires share capability)',
+      'GET /api/share-links - List share links (requires share capability)',
+      'DELETE /api/share-links/:id - Revoke a share link (requires share capability)',
+      'GET /api/audit - Authentication audit log (requires audit capability)',
+      'POST /api/deployments/:id/{redeploy,rollback,restart,approve} - Deployment actions with ?confirm=<id> (requires operate capability)',
+      'GET /api/deployments/:id/{logs,build-logs} - Deployment logs, optionally ?since=&until=&filter=&limit= (requires logs capability)',
+      'GET /api/deployments/:id/{logs,build-logs}/stream - Deployment logs as Server-Sent Events (requires logs capability)',
       'GET /health - Health check (no auth)',
     ],
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚂 Railway Terminus server starting on port ${PORT}`);
-  console.log(`📊 Dashboard available at: ${domain}/`);
-  console.log(`🔍 Debug endpoint: ${domain}/debug`);
-  console.log(`📡 API endpoint: ${domain}/api/data`);
-  console.log(`❤️  Health check: ${domain}/health`);
+// Pushes to the TRMNL webhook in the background, if one is configured
+function startTrmnlPusher() {
+  if (!trmnlConfig.webhookUrl) {
+    return null;
+  }
+  if (!process.env.RAILWAY_TOKEN) {
+    console.warn('⚠️  TRMNL_WEBHOOK_URL is set but RAILWAY_TOKEN is not - not pushing to TRMNL');
+    return null;
+  }
+
+  let options;
+  try {
+    options = dashboardOptions(trmnlConfig.pushProfile);
+  } catch (error) {
+    console.error(`❌ Invalid Terminus config: ${error.message}`);
+    return null;
+  }
+  if (!options) {
+    console.error(`❌ TRMNL_PUSH_PROFILE "${trmnlConfig.pushProfile}" is not a dashboard profile`);
+    return null;
+  }
+
+  const pusher = new TrmnlPusher({
+    load: async () =>
+      buildMergeVariables(await fetchDashboard(options), {
+        ...options.display,
+        layout: options.layout,
+      }),
+  });
+  pusher.start();
+  console.log(
+    `📟 Pushing${options.profileName ? ` profile ${options.profileName}` : ''} to TRMNL every ${trmnlConfig.pushIntervalMs / 1000}s`
+  );
+  return pusher;
+}
 
-  // Validate required environment variables
-  if (!process.env.TERMINUS_AUTH_TOKEN) {
-    console.warn('⚠️  TERMINUS_AUTH_TOKEN not set - authentication will fail');
+// Posts deployment status changes to NOTIFY_WEBHOOK_URL, if one is configured
+function startDeploymentNotifier() {
+  if (!notificationsConfig.webhookUrl) {
+    return null;
   }
   if (!process.env.RAILWAY_TOKEN) {
-    console.warn('⚠️  RAILWAY_TOKEN not set - Railway API calls will fail');
+    console.warn(
+      '⚠️  NOTIFY_WEBHOOK_URL is set but RAILWAY_TOKEN is not - not sending notifications'
+    );
+    return null;
   }
-});
+
+  let options;
+  try {
+    options = dashboardOptions(notificationsConfig.profile);
+  } catch (error) {
+    console.error(`❌ Invalid Terminus config: ${error.message}`);
+    return null;
+  }
+  if (!options) {
+    console.error(`❌ NOTIFY_PROFILE "${notificationsConfig.profile}" is not a dashboard profile`);
+    return null;
+  }
+
+  // Event logs aren't needed to spot status changes
+  const notifier = new DeploymentNotifier({
+    load: () => fetchDashboard({ ...options, terminusLogsEnvId: null }),
+  });
+  notifier.start();
+  console.log(
+    `🔔 Sending ${notificationsConfig.format} deployment notifications${options.profileName ? ` for profile ${options.profileName}` : ''}, polling every ${notificationsConfig.pollIntervalMs / 1000}s`
+  );
+  return notifier;
+}
+
+// Start server (tests require the app without listening)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚂 Railway Terminus server starting on port ${PORT}`);
+    console.log(`📊 Dashboard available at: ${domain}/`);
+    console.log(`🔍 Debug endpoint: ${domain}/debug`);
+    console.log(`🖼️  E-ink image: ${domain}/image.bmp`);
+    console.log(`📡 API endpoint: ${domain}/api/data`);
+    console.log(`📈 Metrics endpoint: ${domain}/metrics`);
+    console.log(`❤️  Health check: ${domain}/health`);
+
+    // Validate required environment variables
+    if (!process.env.TERMINUS_AUTH_TOKEN) {
+      console.warn('⚠️  TERMINUS_AUTH_TOKEN not set - authentication will fail');
+    }
+    if (!process.env.RAILWAY_TOKEN) {
+      console.warn('⚠️  RAILWAY_TOKEN not set - Railway API calls will fail');
+    }
+    if (
+      process.env.TERMINUS_OPERATOR_TOKEN &&
+      process.env.TERMINUS_OPERATOR_TOKEN === process.env.TERMINUS_AUTH_TOKEN
+    ) {
+      console.warn(
+        '⚠️  TERMINUS_OPERATOR_TOKEN is the same as TERMINUS_AUTH_TOKEN - deployment actions are disabled'
+      );
+    }
+
+    // Surface config file mistakes at startup rather than on the first request
+    try {
+      const { profiles, apiKeys, layouts } = getTerminusConfig();
+      for (const name of Object.keys(profiles)) {
+        console.log(`🖥️  Profile dashboard: ${domain}/d/${name}`);
+      }
+      const defaultLayout = process.env.DASHBOARD_LAYOUT;
+      if (defaultLayout && !resolveLayout(defaultLayout, layouts)) {
+        console.warn(
+          `⚠️  DASHBOARD_LAYOUT "${defaultLayout}" is not a layout preset (expected ${layoutNames(layouts).join(', ')})`
+        );
+      }
+      for (const [name, key] of Object.entries(apiKeys)) {
+        if (key.tokenEnv && !process.env[key.tokenEnv]) {
+          console.warn(`⚠️  API key "${name}" is disabled: ${key.tokenEnv} is not set`);
+        } else {
+          console.log(`🔑 API key "${name}": ${key.capabilities.join(', ')}`);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Invalid Terminus config: ${error.message}`);
+    }
+
+    startTrmnlPusher();
+    startDeploymentNotifier();
+  });
+}
 
 module.exports = app;
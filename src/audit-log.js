@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const securityConfig = require('./config/security');
+const { dataDir } = require('./json-store');
+
+// Append-only security log, one JSON object per line, in
+// TERMINUS_DATA_DIR/audit.jsonl. Entries look like
+//
+//   { "timestamp": "...", "type": "auth", "result": "denied", "reason": "invalid_token",
+//     "ip": "203.0.113.7", "method": "GET", "route": "/debug", "key": null, "status": 403 }
+//
+// When the file passes auditMaxBytes it is moved to audit.jsonl.1 (replacing
+// the previous one) and a new file is started.
+class AuditLog {
+  constructor(file = path.join(dataDir(), 'audit.jsonl'), maxBytes = securityConfig.auditMaxBytes) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.writeFailed = false;
+  }
+
+  record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      this.rotateIfNeeded();
+      fs.appendFileSync(this.file, `${line}\n`);
+      this.writeFailed = false;
+    } catch (error) {
+      // Log once per outage rather than on every request
+      if (!this.writeFailed) {
+        console.error(`❌ Failed to write audit log ${this.file}:`, error.message);
+      }
+      this.writeFailed = true;
+    }
+  }
+
+  rotateIfNeeded() {
+    let size;
+    try {
+      size = fs.statSync(this.file).size;
+    } catch (error) {
+      return;
+    }
+    if (size >= this.maxBytes) {
+      fs.renameSync(this.file, `${this.file}.1`);
+    }
+  }
+
+  // Entries matching every given field, newest first. `since` is an ISO
+  // timestamp; `limit` caps the number of entries returned.
+  query({ type, result, reason, ip, key, route, since, limit = 100 } = {}) {
+    const filters = { type, result, reason, ip, key, route };
+    const entries = [];
+
+    for (const file of [`${this.file}.1`, this.file]) {
+      let content;
+      try {
+        content = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        continue;
+      }
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // Skip a line cut short by a crash
+        }
+      }
+    }
+
+    const matches = entries.filter(
+      (entry) =>
+        Object.entries(filters).every(
+          ([field, value]) => value === undefined || entry[field] === value
+        ) &&
+        (!since || entry.timestamp >= since)
+    );
+
+    return matches.reverse().slice(0, limit);
+  }
+}
+
+// One log per data directory, shared across the process
+const logs = new Map();
+
+function getAuditLog() {
+  const file = path.join(dataDir(), 'audit.jsonl');
+  if (!logs.has(file)) {
+    logs.set(file, new AuditLog(file));
+  }
+  return logs.get(file);
+}
+
+module.exports = { AuditLog, getAuditLog };
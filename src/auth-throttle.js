@@ -0,0 +1,57 @@
+const securityConfig = require('./config/security');
+
+// Counts failed authentication attempts per client IP and locks an IP out
+// once it reaches maxFailures within failureWindowMs. Successful requests
+// don't reset the count, so a valid share link can't be used to keep
+// guessing keys from the same address.
+class AuthThrottle {
+  constructor(options = securityConfig) {
+    this.maxFailures = options.maxFailures;
+    this.failureWindowMs = options.failureWindowMs;
+    this.lockoutMs = options.lockoutMs;
+    this.clients = new Map(); // ip -> { failures: [timestamps], lockedUntil }
+  }
+
+  // Milliseconds until the IP's lockout ends, or 0 if it isn't locked out
+  lockedFor(ip, now = Date.now()) {
+    const client = this.clients.get(ip);
+    return client && client.lockedUntil > now ? client.lockedUntil - now : 0;
+  }
+
+  // Records a failed attempt. Returns true if the IP is now locked out.
+  recordFailure(ip, now = Date.now()) {
+    if (!this.maxFailures) {
+      return false;
+    }
+
+    const client = this.clients.get(ip) || { failures: [], lockedUntil: 0 };
+    client.failures = client.failures.filter((time) => now - time < this.failureWindowMs);
+    client.failures.push(now);
+
+    if (client.failures.length >= this.maxFailures) {
+      client.lockedUntil = now + this.lockoutMs;
+      client.failures = [];
+    }
+
+    this.clients.set(ip, client);
+    this.prune(now);
+    return client.lockedUntil > now;
+  }
+
+  // Forget idle clients so scanning from many addresses can't grow the map forever
+  prune(now) {
+    if (this.clients.size < 10000) {
+      return;
+    }
+    for (const [ip, client] of this.clients) {
+      const recent = client.failures.some((time) => now - time < this.failureWindowMs);
+      if (!recent && client.lockedUntil <= now) {
+        this.clients.delete(ip);
+      }
+    }
+  }
+}
+
+const sharedThrottle = new AuthThrottle();
+
+module.exports = { AuthThrottle, sharedThrottle };
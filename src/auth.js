@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const {
+  CAPABILITIES,
+  OPERATOR_CAPABILITIES,
+  ADMIN_KEY_NAME,
+  METRICS_KEY_NAME,
+  OPERATOR_KEY_NAME,
+  getTerminusConfig,
+} = require('./terminus-config');
+const { normalizeScope } = require('./scope');
+const { ShareLinkError, verifyShareToken } = require('./share-links');
+const { getAuditLog } = require('./audit-log');
+const { sharedThrottle } = require('./auth-throttle');
+
+// Callers authenticate with a Bearer API key. TERMINUS_AUTH_TOKEN is the
+// "admin" key with every capability except "operate" and no restrictions;
+// further keys come from the "apiKeys" section of terminus.config.json, each
+// with its own capabilities and allow-lists. TERMINUS_METRICS_TOKEN, if set,
+// is a "metrics" key that can only scrape GET /metrics, and
+// TERMINUS_OPERATOR_TOKEN an "operator" key that can only take actions.
+//
+// - dashboard: GET /, /d/:profile and their image.bmp/image.png variants
+// - api:       GET /api/data, /api/v2/*, /api/metrics/delivery, /trmnl/merge-variables
+// - logs:      GET /api/deployments/:id/{logs,build-logs} and their /stream variants
+// - debug:     GET /debug, /debug/advanced (unrestricted keys only)
+// - metrics:   GET /metrics
+// - share:     create, list and revoke share links
+// - audit:     GET /api/audit (unrestricted keys only)
+// - operate:   POST /api/deployments/:id/{redeploy,rollback,restart,approve}
+//
+// Authenticated requests get req.auth = { keyName, capabilities, scope }.
+// Keys are compared in constant time, every decision goes to the audit log
+// (audit-log.js) and IPs with repeated failures are locked out for a while
+// (auth-throttle.js).
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Every usable key as { name, digest, capabilities, scope }. Keys whose
+// tokenEnv variable isn't set are skipped.
+function configuredKeys() {
+  const keys = [];
+
+  if (process.env.TERMINUS_AUTH_TOKEN) {
+    keys.push({
+      name: ADMIN_KEY_NAME,
+      digest: sha256(process.env.TERMINUS_AUTH_TOKEN),
+      capabilities: CAPABILITIES.filter(
+        (capability) => !OPERATOR_CAPABILITIES.includes(capability)
+      ),
+      scope: null,
+    });
+  }
+
+  if (process.env.TERMINUS_METRICS_TOKEN) {
+    keys.push({
+      name: METRICS_KEY_NAME,
+      digest: sha256(process.env.TERMINUS_METRICS_TOKEN),
+      capabilities: ['metrics'],
+      scope: null,
+    });
+  }
+
+  // Ignored if it's the same as TERMINUS_AUTH_TOKEN, which can't act
+  const operatorToken = process.env.TERMINUS_OPERATOR_TOKEN;
+  if (operatorToken && operatorToken !== process.env.TERMINUS_AUTH_TOKEN) {
+    keys.push({
+      name: OPERATOR_KEY_NAME,
+      digest: sha256(operatorToken),
+      capabilities: OPERATOR_CAPABILITIES,
+      scope: null,
+    });
+  }
+
+  for (const [name, key] of Object.entries(getTerminusConfig().apiKeys)) {
+    const token = key.tokenEnv ? process.env[key.tokenEnv] : null;
+    if (key.tokenEnv && !token) {
+      continue;
+    }
+    keys.push({
+      name,
+      digest: key.tokenSha256 ? Buffer.from(key.tokenSha256, 'hex') : sha256(token),
+      capabilities: key.capabilities,
+      scope: normalizeScope(key.allow),
+    });
+  }
+
+  return keys;
+}
+
+// The key matching `token`, or null. Digests are compared in constant time.
+function findApiKey(token, keys = configuredKeys()) {
+  const digest = sha256(token);
+  let match = null;
+  for (const key of keys) {
+    if (crypto.timingSafeEqual(digest, key.digest) && !match) {
+      match = key;
+    }
+  }
+  return match;
+}
+
+// Route pattern rather than the URL, so share tokens never reach the log
+function routeOf(req) {
+  return `${req.baseUrl}${req.route?.path || req.path}`;
+}
+
+// Writes an authentication decision to the audit log
+function audit(req, result, reason, { key = null, status = 200, shareLinkId = null } = {}) {
+  getAuditLog().record({
+    type: 'auth',
+    result,
+    reason,
+    ip: req.ip,
+    method: req.method,
+    route: routeOf(req),
+    key,
+    ...(shareLinkId && { shareLinkId }),
+    status,
+  });
+}
+
+// Audits and sends a 401/403. Unless countFailure is false, the attempt
+// counts towards locking out the client IP.
+function deny(req, res, status, reason, body, { key = null, countFailure = true } = {}) {
+  audit(req, 'denied', reason, { key, status });
+  if (countFailure && sharedThrottle.recordFailure(req.ip)) {
+    console.warn(`🔐 ${req.ip} locked out after repeated authentication failures`);
+  }
+  return res.status(status).json(body);
+}
+
+// Answers 429 for a locked-out IP. Returns true if the request was refused.
+function rejectLockedOut(req, res) {
+  const lockedForMs = sharedThrottle.lockedFor(req.ip);
+  if (!lockedForMs) {
+    return false;
+  }
+
+  const retryAfter = Math.ceil(lockedForMs / 1000);
+  audit(req, 'locked_out', 'locked_out', { status: 429 });
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: 'Too many failed attempts',
+    message: `Too many failed authentication attempts from this address. Try again in ${retryAfter} seconds.`,
+    timestamp: new Date().toISOString(),
+  });
+  return true;
+}
+
+function checkApiKey(capability, req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return deny(req, res, 401, 'missing_token', {
+      error: 'Access token required',
+      message: 'Please provide a Bearer token in the Authorization header',
+    });
+  }
+
+  const keys = configuredKeys();
+  if (keys.length === 0) {
+    console.error('❌ TERMINUS_AUTH_TOKEN environment variable is not set');
+    audit(req, 'error', 'not_configured', { status: 500 });
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Authentication token not configured on server',
+    });
+  }
+
+  const key = findApiKey(token, keys);
+  if (!key) {
+    return deny(req, res, 403, 'invalid_token', {
+      error: 'Invalid token',
+      message: 'The provided authentication token is invalid',
+    });
+  }
+
+  // A valid key asking for more than it may isn't guessing; don't lock it out
+  if (!key.capabilities.includes(capability)) {
+    return deny(
+      req,
+      res,
+      403,
+      'insufficient_capability',
+      {
+        error: 'Insufficient permissions',
+        message: `API key "${key.name}" does not have the "${capability}" capability`,
+      },
+      { key: key.name, countFailure: false }
+    );
+  }
+
+  audit(req, 'allowed', 'api_key', { key: key.name });
+  req.auth = { keyName: key.name, capabilities: key.capabilities, scope: key.scope };
+  next();
+}
+
+// Middleware requiring a Bearer API key with the given capability
+function requireCapability(capability) {
+  return (req, res, next) => {
+    if (rejectLockedOut(req, res)) {
+      return;
+    }
+    checkApiKey(capability, req, res, next);
+  };
+}
+
+// Like requireCapability, but also accepts a share link as /s/<token> or
+// ?share=<token>. A valid link grants read-only access to its own view, with
+// the scope of the key that minted it.
+function authenticateDashboard(capability) {
+  return (req, res, next) => {
+    if (rejectLockedOut(req, res)) {
+      return;
+    }
+
+    const shareToken = req.params.shareToken || req.query.share;
+    if (!shareToken) {
+      return checkApiKey(capability, req, res, next);
+    }
+
+    try {
+      req.shareLink = verifyShareToken(shareToken);
+    } catch (error) {
+      if (!(error instanceof ShareLinkError)) {
+        throw error;
+      }
+      // An expired or revoked link has a valid signature, so a display still
+      // polling it isn't guessing tokens and doesn't count towards a lockout
+      return deny(
+        req,
+        res,
+        error.status,
+        error.reason || 'invalid_share_link',
+        {
+          error: 'Invalid share link',
+          message: error.message,
+          timestamp: new Date().toISOString(),
+        },
+        { countFailure: error.reason === 'invalid_share_link' }
+      );
+    }
+
+    const keyName = `share-link:${req.shareLink.id}`;
+    audit(req, 'allowed', 'share_link', { key: keyName, shareLinkId: req.shareLink.id });
+    req.auth = {
+      keyName,
+      capabilities: [],
+      scope: normalizeScope(req.shareLink.scope),
+    };
+    next();
+  };
+}
+
+module.exports = { CAPABILITIES, findApiKey, routeOf, requireCapability, authenticateDashboard };
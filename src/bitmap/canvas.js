@@ -0,0 +1,136 @@
+const { GLYPH_HEIGHT, CELL_WIDTH, CELL_HEIGHT, glyph } = require('./font');
+
+// A 1-bit drawing surface. Each pixel is 1 (black ink) or 0 (white paper);
+// drawing outside the bitmap is silently clipped.
+class Bitmap {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixels = new Uint8Array(width * height);
+  }
+
+  setPixel(x, y, ink = 1) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+      return;
+    }
+    this.pixels[y * this.width + x] = ink;
+  }
+
+  getPixel(x, y) {
+    return this.pixels[y * this.width + x];
+  }
+
+  fillRect(x, y, width, height, ink = 1) {
+    for (let row = y; row < y + height; row++) {
+      for (let col = x; col < x + width; col++) {
+        this.setPixel(col, row, ink);
+      }
+    }
+  }
+
+  strokeRect(x, y, width, height, thickness = 1, ink = 1) {
+    this.fillRect(x, y, width, thickness, ink);
+    this.fillRect(x, y + height - thickness, width, thickness, ink);
+    this.fillRect(x, y, thickness, height, ink);
+    this.fillRect(x + width - thickness, y, thickness, height, ink);
+  }
+
+  // Horizontal line, `dash` pixels on then `dash` off (0 for a solid line)
+  hline(x, y, width, thickness = 1, dash = 0) {
+    for (let col = 0; col < width; col++) {
+      if (!dash || Math.floor(col / dash) % 2 === 0) {
+        this.fillRect(x + col, y, 1, thickness);
+      }
+    }
+  }
+
+  // Vertical counterpart of hline
+  vline(x, y, height, thickness = 1, dash = 0) {
+    for (let row = 0; row < height; row++) {
+      if (!dash || Math.floor(row / dash) % 2 === 0) {
+        this.fillRect(x, y + row, thickness, 1);
+      }
+    }
+  }
+
+  // Width in pixels of `text` drawn with the given options
+  measureText(text, { scale = 1, bold = false } = {}) {
+    const length = [...String(text)].length;
+    return length ? length * CELL_WIDTH * scale - scale + (bold ? scale : 0) : 0;
+  }
+
+  // Line height in pixels at the given scale
+  lineHeight(scale = 1) {
+    return CELL_HEIGHT * scale;
+  }
+
+  // `text` shortened with "…" so it fits in maxWidth pixels
+  fitText(text, maxWidth, options = {}) {
+    const chars = [...String(text)];
+    if (this.measureText(text, options) <= maxWidth) {
+      return chars.join('');
+    }
+    while (chars.length && this.measureText(`${chars.join('')}…`, options) > maxWidth) {
+      chars.pop();
+    }
+    return chars.length ? `${chars.join('')}…` : '';
+  }
+
+  // Splits `text` into lines no wider than maxWidth, breaking at spaces where possible
+  wrapText(text, maxWidth, { scale = 1, bold = false } = {}) {
+    const maxChars = Math.max(
+      1,
+      Math.floor((maxWidth + scale - (bold ? scale : 0)) / (CELL_WIDTH * scale))
+    );
+    const lines = [];
+    let line = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if ([...candidate].length <= maxChars) {
+        line = candidate;
+        continue;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      // Hard-break words longer than a whole line
+      let rest = [...word];
+      while (rest.length > maxChars) {
+        lines.push(rest.slice(0, maxChars).join(''));
+        rest = rest.slice(maxChars);
+      }
+      line = rest.join('');
+    }
+    if (line) {
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  // Draws `text` with its top-left corner at (x, y). Bold text is drawn twice,
+  // one pixel apart. Returns the width drawn.
+  text(x, y, text, { scale = 1, bold = false, ink = 1 } = {}) {
+    let cursor = x;
+    for (const char of String(text)) {
+      const columns = glyph(char);
+      for (let col = 0; col < columns.length; col++) {
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+          if (columns[col] & (1 << row)) {
+            this.fillRect(
+              cursor + col * scale,
+              y + row * scale,
+              scale + (bold ? scale : 0),
+              scale,
+              ink
+            );
+          }
+        }
+      }
+      cursor += CELL_WIDTH * scale;
+    }
+    return this.measureText(text, { scale, bold });
+  }
+}
+
+module.exports = { Bitmap };
@@ -0,0 +1,99 @@
+const zlib = require('zlib');
+
+// Both formats store 1 bit per pixel, most significant bit first, with
+// 0 = black and 1 = white, which is what most e-paper firmware expects.
+
+// Packs row `y` of the bitmap into `target` at `offset`
+function packRow(bitmap, y, target, offset) {
+  for (let x = 0; x < bitmap.width; x++) {
+    if (!bitmap.getPixel(x, y)) {
+      target[offset + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+}
+
+// Windows BMP with a BITMAPINFOHEADER and a two-colour palette. Rows are
+// stored bottom-up and padded to a multiple of four bytes.
+function encodeBMP(bitmap) {
+  const rowSize = Math.ceil(bitmap.width / 32) * 4;
+  const pixelOffset = 14 + 40 + 8;
+  const fileSize = pixelOffset + rowSize * bitmap.height;
+  const buffer = Buffer.alloc(fileSize);
+
+  // File header
+  buffer.write('BM', 0, 'ascii');
+  buffer.writeUInt32LE(fileSize, 2);
+  buffer.writeUInt32LE(pixelOffset, 10);
+
+  // Info header
+  buffer.writeUInt32LE(40, 14);
+  buffer.writeInt32LE(bitmap.width, 18);
+  buffer.writeInt32LE(bitmap.height, 22);
+  buffer.writeUInt16LE(1, 26); // planes
+  buffer.writeUInt16LE(1, 28); // bits per pixel
+  buffer.writeUInt32LE(0, 30); // no compression
+  buffer.writeUInt32LE(rowSize * bitmap.height, 34);
+  buffer.writeInt32LE(2835, 38); // 72 DPI
+  buffer.writeInt32LE(2835, 42);
+  buffer.writeUInt32LE(2, 46); // palette size
+
+  // Palette (BGRA): 0 = black, 1 = white
+  buffer.writeUInt32LE(0x00000000, 54);
+  buffer.writeUInt32LE(0x00ffffff, 58);
+
+  for (let y = 0; y < bitmap.height; y++) {
+    packRow(bitmap, y, buffer, pixelOffset + (bitmap.height - 1 - y) * rowSize);
+  }
+  return buffer;
+}
+
+// CRC-32 lookup table for PNG chunk checksums
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'ascii');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+// Greyscale PNG with a bit depth of 1
+function encodePNG(bitmap) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(bitmap.width, 0);
+  header.writeUInt32BE(bitmap.height, 4);
+  header[8] = 1; // bit depth
+  header[9] = 0; // greyscale
+
+  // Each row starts with filter type 0 (none)
+  const rowSize = 1 + Math.ceil(bitmap.width / 8);
+  const raw = Buffer.alloc(rowSize * bitmap.height);
+  for (let y = 0; y < bitmap.height; y++) {
+    packRow(bitmap, y, raw, y * rowSize + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { encodeBMP, encodePNG };
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+const MAX_ENTRIES = 500;
+
+// In-memory response cache shared by every RailwayClient in the process.
+// Identical requests made while a fetch is still running wait on that fetch
+// instead of starting their own (single-flight).
+class ResponseCache {
+  constructor(maxEntries = MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.inFlight = new Map();
+  }
+
+  static keyFor(...parts) {
+    const hash = crypto.createHash('sha256');
+    for (const part of parts) {
+      hash.update(typeof part === 'string' ? part : JSON.stringify(part ?? null));
+      hash.update('\0');
+    }
+    return hash.digest('hex');
+  }
+
+  // Resolves to { value, hit, coalesced, ageMs }. Failed fetches are never cached.
+  async getOrFetch(key, ttlMs, fetcher) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+
+    if (entry && now - entry.storedAt < ttlMs) {
+      return { value: entry.value, hit: true, coalesced: false, ageMs: now - entry.storedAt };
+    }
+
+    if (this.inFlight.has(key)) {
+      const value = await this.inFlight.get(key);
+      const stored = this.entries.get(key);
+      return {
+        value,
+        hit: false,
+        coalesced: true,
+        ageMs: stored ? Date.now() - stored.storedAt : 0,
+      };
+    }
+
+    const pending = (async () => fetcher())();
+    this.inFlight.set(key, pending);
+
+    try {
+      const value = await pending;
+      if (ttlMs > 0) {
+        this.set(key, value);
+      }
+      return { value, hit: false, coalesced: false, ageMs: 0 };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt: Date.now() });
+
+    // Map iteration follows insertion order, so the first key is the oldest
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      inFlight: this.inFlight.size,
+    };
+  }
+}
+
+const sharedCache = new ResponseCache();
+
+module.exports = { ResponseCache, sharedCache };
@@ -0,0 +1,43 @@
+/**
+ * Delivery Metrics Configuration
+ *
+ * Terminus keeps every deployment it sees in deployment-history.json (in
+ * TERMINUS_DATA_DIR) and backfills older ones from Railway page by page.
+ * GET /api/metrics/delivery computes deployment frequency, change failure
+ * rate, time to recovery and build/deploy durations from that history.
+ */
+
+const number = (envName, fallback) => {
+  const parsed = Number(process.env[envName]);
+  return process.env[envName] && Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  /**
+   * Default period the metrics cover, in days (?days= overrides it)
+   */
+  windowDays: number('DELIVERY_WINDOW_DAYS', 30),
+
+  /**
+   * Days of deployments kept in the history. Backfilling stops at this age.
+   */
+  historyRetentionMs: number('DELIVERY_HISTORY_DAYS', 90) * DAY_MS,
+
+  /**
+   * Deployments requested per page when backfilling
+   */
+  backfillPageSize: number('DELIVERY_BACKFILL_PAGE_SIZE', 25),
+
+  /**
+   * Safety ceiling on pages fetched per service and environment in one backfill
+   */
+  backfillMaxPages: number('DELIVERY_BACKFILL_MAX_PAGES', 8),
+
+  /**
+   * Show a delivery summary panel on the dashboard. Profiles can override it
+   * with "deliveryPanel": true or false.
+   */
+  dashboardPanel: process.env.DELIVERY_DASHBOARD_PANEL === 'true',
+};
@@ -0,0 +1,47 @@
+/**
+ * Deployment Logs Configuration
+ *
+ * GET /api/deployments/:id/logs and /build-logs return a deployment's log
+ * lines; their /stream variants keep following them over Server-Sent Events
+ * by asking Railway for new lines every few seconds.
+ */
+
+const number = (envName, fallback) => {
+  const parsed = Number(process.env[envName]);
+  return process.env[envName] && Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+module.exports = {
+  /**
+   * Lines returned when the request doesn't set ?limit=
+   */
+  defaultLimit: number('DEPLOYMENT_LOGS_DEFAULT_LIMIT', 100),
+
+  /**
+   * Largest ?limit= accepted
+   */
+  maxLimit: number('DEPLOYMENT_LOGS_MAX_LIMIT', 1000),
+
+  /**
+   * How often a stream asks Railway for new lines, in seconds
+   */
+  streamPollIntervalMs: number('DEPLOYMENT_LOGS_POLL_INTERVAL', 2) * 1000,
+
+  /**
+   * Keep-alive comment interval for quiet streams, in seconds, so proxies
+   * don't close them
+   */
+  streamHeartbeatMs: number('DEPLOYMENT_LOGS_HEARTBEAT_INTERVAL', 15) * 1000,
+
+  /**
+   * Streams end after this many minutes; clients reconnect with
+   * Last-Event-ID to carry on where they left off
+   */
+  streamMaxDurationMs: number('DEPLOYMENT_LOGS_STREAM_MAX_MINUTES', 30) * 60 * 1000,
+
+  /**
+   * Most streams open at once. Each one polls Railway on the server's token,
+   * so this also bounds the load they put on its rate limit.
+   */
+  maxStreams: number('DEPLOYMENT_LOGS_MAX_STREAMS', 10),
+};
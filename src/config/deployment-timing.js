@@ -0,0 +1,23 @@
+/**
+ * Deployment Timing Configuration
+ *
+ * Service cards show how long ago each service last deployed, how long a
+ * build or deploy in progress has been running and how long the last one
+ * took (see deployment-timing.js). Services that haven't deployed for a while
+ * are highlighted as stale.
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const days = (envName, fallback) => {
+  const parsed = Number(process.env[envName]);
+  return process.env[envName] && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+module.exports = {
+  /**
+   * Seconds since its latest deployment after which a service is shown as
+   * stale. DEPLOYMENT_STALE_DAYS=0 turns the highlighting off.
+   */
+  staleAfterSeconds: days('DEPLOYMENT_STALE_DAYS', 30) * DAY_SECONDS,
+};
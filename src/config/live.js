@@ -0,0 +1,36 @@
+/**
+ * Live Dashboard Configuration
+ *
+ * The browser dashboard (?live=1) subscribes to GET /api/stream, which
+ * fetches the dashboard every few seconds and pushes what changed as
+ * Server-Sent Events.
+ */
+
+const number = (envName, fallback) => {
+  const parsed = Number(process.env[envName]);
+  return process.env[envName] && Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+module.exports = {
+  /**
+   * How often each stream fetches the dashboard, in seconds. Streams share
+   * the response cache, so Railway is asked at most once per cache TTL.
+   */
+  pollIntervalMs: number('LIVE_POLL_INTERVAL', 15) * 1000,
+
+  /**
+   * Keep-alive comment interval for quiet streams, in seconds
+   */
+  heartbeatMs: number('LIVE_HEARTBEAT_INTERVAL', 15) * 1000,
+
+  /**
+   * Streams end after this many minutes and the page reconnects, which
+   * checks its key or share link again
+   */
+  streamMaxDurationMs: number('LIVE_STREAM_MAX_MINUTES', 60) * 60 * 1000,
+
+  /**
+   * Most live streams open at once
+   */
+  maxStreams: number('LIVE_MAX_STREAMS', 20),
+};
@@ -0,0 +1,55 @@
+/**
+ * Deployment Notification Configuration
+ *
+ * With NOTIFY_WEBHOOK_URL set, Terminus polls Railway in the background and
+ * posts to the webhook whenever the latest deployment of a service changes
+ * status, e.g. SUCCESS -> CRASHED or FAILED -> SUCCESS.
+ */
+
+const number = (envName, fallback) => {
+  const parsed = Number(process.env[envName]);
+  return process.env[envName] && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const FORMATS = ['json', 'slack', 'discord'];
+
+module.exports = {
+  FORMATS,
+
+  /**
+   * Where notifications are POSTed. Notifications are off when unset.
+   */
+  webhookUrl: process.env.NOTIFY_WEBHOOK_URL || null,
+
+  /**
+   * Payload shape: "json" (Terminus' own), "slack" (incoming webhooks) or
+   * "discord" (channel webhooks)
+   */
+  format: FORMATS.includes(process.env.NOTIFY_FORMAT) ? process.env.NOTIFY_FORMAT : 'json',
+
+  /**
+   * Seconds between polls of the Railway API
+   */
+  pollIntervalMs: (number('NOTIFY_POLL_INTERVAL', 60) || 60) * 1000,
+
+  /**
+   * Seconds during which a service/environment isn't notified about the same
+   * status again, so a crash-looping service doesn't flood the channel
+   */
+  cooldownMs: number('NOTIFY_COOLDOWN', 15 * 60) * 1000,
+
+  /**
+   * Statuses worth a notification, comma-separated. Moving between other
+   * statuses (BUILDING, DEPLOYING, ...) is tracked but never notified, so a
+   * routine SUCCESS -> BUILDING -> SUCCESS redeploy stays quiet.
+   */
+  statuses: (process.env.NOTIFY_STATUSES || 'SUCCESS,FAILED,CRASHED')
+    .split(',')
+    .map((status) => status.trim().toUpperCase())
+    .filter(Boolean),
+
+  /**
+   * Dashboard profile (from terminus.config.json) whose services are watched
+   */
+  profile: process.env.NOTIFY_PROFILE || null,
+};
@@ -0,0 +1,27 @@
+/**
+ * Railway Pagination Configuration
+ *
+ * Railway returns projects, services, environments, volumes and volume
+ * instances a page at a time. RailwayClient follows each connection's
+ * pageInfo.endCursor until every page is in, within the ceiling below.
+ * Connections left unfinished are listed in `queryInfo.pagination`.
+ */
+
+const number = (envName, fallback) => {
+  const parsed = Number(process.env[envName]);
+  return process.env[envName] && Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+module.exports = {
+  /**
+   * Items requested per page of every connection (Railway allows up to 100)
+   */
+  pageSize: number('TERMINUS_PAGE_SIZE', 100),
+
+  /**
+   * Most follow-up page requests per dashboard query, across all of its
+   * connections. A safety ceiling for very large workspaces: the pages
+   * fetched so far are still shown.
+   */
+  maxPages: number('TERMINUS_MAX_PAGES', 50),
+};
@@ -0,0 +1,91 @@
+/**
+ * Railway Query Configuration
+ *
+ * Per-query settings for the GraphQL queries behind the dashboard. Each key
+ * matches the name the query is reported under in `queryInfo`.
+ *
+ * - cacheTtlMs: how long a response is reused before Railway is asked again
+ * - timeoutMs: deadline for the query, retries included; when it passes, the
+ *   request is aborted and only that query's panel falls back to empty
+ *
+ * Every value can be overridden with an environment variable (in seconds)
+ * so a deployment can tune them without editing this file.
+ */
+
+const seconds = (envName, fallbackSeconds) => {
+  const raw = process.env[envName];
+  if (raw === undefined || raw === '') {
+    return fallbackSeconds * 1000;
+  }
+
+  const parsed = Number(raw);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    console.warn(`⚠️  Invalid ${envName} "${raw}", using ${fallbackSeconds}s`);
+    return fallbackSeconds * 1000;
+  }
+
+  return parsed * 1000;
+};
+
+module.exports = {
+  /**
+   * Projects, services and environments
+   * Changes rarely, so it can be cached for a while.
+   */
+  projects: {
+    cacheTtlMs: seconds('TERMINUS_CACHE_TTL_PROJECTS', 300),
+    timeoutMs: seconds('TERMINUS_TIMEOUT_PROJECTS', 10),
+  },
+
+  /**
+   * Latest deployments per service
+   * Kept short so status changes show up on the next refresh.
+   */
+  deployments: {
+    cacheTtlMs: seconds('TERMINUS_CACHE_TTL_DEPLOYMENTS', 30),
+    timeoutMs: seconds('TERMINUS_TIMEOUT_DEPLOYMENTS', 10),
+  },
+
+  /**
+   * Volume usage
+   */
+  volumes: {
+    cacheTtlMs: seconds('TERMINUS_CACHE_TTL_VOLUMES', 300),
+    timeoutMs: seconds('TERMINUS_TIMEOUT_VOLUMES', 10),
+  },
+
+  /**
+   * Event logs for the logs environment
+   */
+  eventLogs: {
+    cacheTtlMs: seconds('TERMINUS_CACHE_TTL_EVENT_LOGS', 15),
+    timeoutMs: seconds('TERMINUS_TIMEOUT_EVENT_LOGS', 8),
+  },
+
+  /**
+   * Pages of older deployments, fetched to backfill the deployment history.
+   * Never cached.
+   */
+  deploymentHistory: {
+    cacheTtlMs: 0,
+    timeoutMs: seconds('TERMINUS_TIMEOUT_DEPLOYMENT_HISTORY', 15),
+  },
+
+  /**
+   * Build and runtime logs of one deployment. Never cached: streams ask for
+   * new lines every few seconds.
+   */
+  deploymentLogs: {
+    cacheTtlMs: 0,
+    timeoutMs: seconds('TERMINUS_TIMEOUT_DEPLOYMENT_LOGS', 10),
+  },
+
+  /**
+   * Deployment actions (redeploy, rollback, restart, approve) and the lookup
+   * made before each one. Never cached, and mutations are never retried.
+   */
+  actions: {
+    cacheTtlMs: 0,
+    timeoutMs: seconds('TERMINUS_TIMEOUT_ACTIONS', 15),
+  },
+};
@@ -0,0 +1,39 @@
+/**
+ * Railway API Retry Configuration
+ *
+ * Controls how RailwayClient retries transient failures (network errors,
+ * HTTP 429 and 5xx responses). Permanent failures such as auth or query
+ * validation errors are never retried.
+ *
+ * Retries always stay within the query's deadline from config/queries.js.
+ */
+
+const number = (envName, fallback) => {
+  const parsed = Number(process.env[envName]);
+  return process.env[envName] && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+module.exports = {
+  /**
+   * Total attempts per request, including the first one
+   */
+  maxAttempts: number('TERMINUS_RETRY_MAX_ATTEMPTS', 3),
+
+  /**
+   * Base delay for exponential backoff
+   * Attempt n waits a random time between 0 and baseDelayMs * 2^(n-1)
+   * ("full jitter"), capped at maxDelayMs.
+   */
+  baseDelayMs: number('TERMINUS_RETRY_BASE_DELAY_MS', 500),
+
+  /**
+   * Upper bound for a single backoff delay
+   */
+  maxDelayMs: number('TERMINUS_RETRY_MAX_DELAY_MS', 8000),
+
+  /**
+   * Longest Retry-After (or rate-limit reset) the client is willing to wait.
+   * Longer waits fail immediately with a rate_limited error instead.
+   */
+  maxRetryAfterMs: number('TERMINUS_RETRY_MAX_RETRY_AFTER_MS', 30000),
+};
@@ -0,0 +1,58 @@
+/**
+ * Authentication Hardening Configuration
+ *
+ * Failed authentication attempts (401/403 responses other than a valid key
+ * lacking a capability) are counted per client IP. Too many failures inside
+ * the window lock that IP out for a while, during which every request from it
+ * gets a 429, even with a valid key.
+ *
+ * Every authentication decision is written to the audit log in
+ * TERMINUS_DATA_DIR, which GET /api/audit can query.
+ */
+
+const number = (envName, fallback) => {
+  const parsed = Number(process.env[envName]);
+  return process.env[envName] && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Express "trust proxy" setting: a hop count, or true/false
+const trustProxy = () => {
+  const value = process.env.TERMINUS_TRUST_PROXY;
+  if (value === undefined || value === '') {
+    // Railway's edge proxy adds exactly one X-Forwarded-For hop
+    return process.env.RAILWAY_ENVIRONMENT_NAME || process.env.RAILWAY_ENVIRONMENT ? 1 : false;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return number('TERMINUS_TRUST_PROXY', false);
+};
+
+module.exports = {
+  /**
+   * Failed attempts from one IP that trigger a lockout
+   */
+  maxFailures: number('TERMINUS_AUTH_MAX_FAILURES', 10),
+
+  /**
+   * Window (seconds) in which failures are counted
+   */
+  failureWindowMs: number('TERMINUS_AUTH_FAILURE_WINDOW', 10 * 60) * 1000,
+
+  /**
+   * How long (seconds) a locked-out IP is refused
+   */
+  lockoutMs: number('TERMINUS_AUTH_LOCKOUT', 15 * 60) * 1000,
+
+  /**
+   * How many proxies to trust for the client IP in X-Forwarded-For.
+   * Defaults to 1 on Railway and to none elsewhere, so clients can't pick
+   * their own IP by sending the header.
+   */
+  trustProxy: trustProxy(),
+
+  /**
+   * Size (bytes) at which the audit log is rotated. One rotated file is kept.
+   */
+  auditMaxBytes: number('TERMINUS_AUDIT_MAX_BYTES', 5 * 1024 * 1024),
+};
@@ -0,0 +1,41 @@
+/**
+ * TRMNL Configuration
+ *
+ * Terminus can feed a TRMNL private plugin in two ways:
+ *
+ * - Polling: point the plugin at GET /trmnl/merge-variables
+ * - Webhook: set TRMNL_WEBHOOK_URL and Terminus pushes the merge variables
+ *   to the plugin on a schedule
+ *
+ * The bundled Liquid markup for each layout is in trmnl/.
+ */
+
+const number = (envName, fallback) => {
+  const parsed = Number(process.env[envName]);
+  return process.env[envName] && Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+module.exports = {
+  /**
+   * The plugin's webhook URL, e.g. https://usetrmnl.com/api/custom_plugins/<uuid>.
+   * Pushing is off when unset.
+   */
+  webhookUrl: process.env.TRMNL_WEBHOOK_URL || null,
+
+  /**
+   * Seconds between pushes. TRMNL rate-limits webhooks (12 an hour on the
+   * standard plan), so keep this at 300 or above.
+   */
+  pushIntervalMs: number('TRMNL_PUSH_INTERVAL', 15 * 60) * 1000,
+
+  /**
+   * Dashboard profile (from terminus.config.json) whose view is pushed
+   */
+  pushProfile: process.env.TRMNL_PUSH_PROFILE || null,
+
+  /**
+   * Largest webhook body TRMNL accepts: 2kb on the standard plan, 5kb with
+   * TRMNL+. Lists are shortened until the payload fits.
+   */
+  maxPayloadBytes: number('TRMNL_MAX_PAYLOAD_BYTES', 2048),
+};
@@ -0,0 +1,49 @@
+/**
+ * Volume Capacity Configuration
+ *
+ * Volumes above the warning or critical threshold are highlighted on the
+ * dashboard and listed first. Thresholds can be overridden per volume in
+ * terminus.config.json:
+ *
+ *   "volumes": { "pg-data": { "warnPercent": 70, "criticalPercent": 85 } }
+ *
+ * keyed by volume name (every environment) or volume instance ID (one).
+ *
+ * Usage is also sampled into volume-history.json in TERMINUS_DATA_DIR to
+ * estimate when each volume will be full.
+ */
+
+const number = (envName, fallback) => {
+  const parsed = Number(process.env[envName]);
+  return process.env[envName] && Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  /**
+   * Usage percentage at which a volume is shown as a warning
+   */
+  warnPercent: number('VOLUME_WARN_PERCENT', 80),
+
+  /**
+   * Usage percentage at which a volume is shown as critical
+   */
+  criticalPercent: number('VOLUME_CRITICAL_PERCENT', 90),
+
+  /**
+   * Minimum seconds between two usage samples of the same volume. Samples are
+   * taken whenever dashboard data is fetched.
+   */
+  sampleIntervalMs: number('VOLUME_SAMPLE_INTERVAL', 10 * 60) * 1000,
+
+  /**
+   * Days of recent growth the fill forecast is based on
+   */
+  forecastWindowMs: number('VOLUME_FORECAST_WINDOW_DAYS', 7) * DAY_MS,
+
+  /**
+   * Days of samples kept in volume-history.json
+   */
+  historyRetentionMs: number('VOLUME_HISTORY_DAYS', 30) * DAY_MS,
+};
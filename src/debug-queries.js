@@ -16,15 +16,27 @@ async function testIndividualQueries() {
 
   const client = new RailwayClient(token);
 
+  // Outcome of each test; failures carry the RailwayApiError details
+  const results = [];
+  const record = (test, error = null) => {
+    results.push({
+      test,
+      success: !error,
+      error: error ? (error.toJSON ? error.toJSON() : { message: error.message }) : null,
+    });
+  };
+
   // Test basic authentication first
   console.log('1. Testing basic authentication...');
   try {
-    await client.makeGraphQLRequest('query { me { id name } }', {}, 'Basic Auth Test');
-    console.log('✅ Authentication successful\n');
+    const tokenInfo = await client.resolveTokenInfo();
+    console.log(`✅ Authentication successful (${tokenInfo.type} token)\n`);
+    record('Basic Auth Test');
   } catch (error) {
     console.error('❌ Authentication failed:', error.message);
     console.log('   This suggests your token is invalid or lacks permissions\n');
-    return;
+    record('Basic Auth Test', error);
+    return results;
   }
 
   // Test volume query
@@ -34,8 +46,10 @@ async function testIndividualQueries() {
     const volumeQuery = fs.readFileSync(path.join(queriesDir, 'volume_sizes.gql'), 'utf8');
     await client.makeGraphQLRequest(volumeQuery, {}, 'Volume Sizes');
     console.log('✅ Volume query successful\n');
+    record('Volume Sizes');
   } catch (error) {
     console.error('❌ Volume query failed:', error.message, '\n');
+    record('Volume Sizes', error);
   }
 
   // Test deployment query
@@ -44,8 +58,10 @@ async function testIndividualQueries() {
     const deploymentQuery = fs.readFileSync(path.join(queriesDir, 'latest_deployment.gql'), 'utf8');
     await client.makeGraphQLRequest(deploymentQuery, { first: 1 }, 'Latest Deployments');
     console.log('✅ Deployment query successful\n');
+    record('Latest Deployments');
   } catch (error) {
     console.error('❌ Deployment query failed:', error.message, '\n');
+    record('Latest Deployments', error);
   }
 
   // Test event logs query (if environment ID provided)
@@ -66,14 +82,17 @@ async function testIndividualQueries() {
         'Event Logs'
       );
       console.log('✅ Event logs query successful\n');
+      record('Event Logs');
     } catch (error) {
       console.error('❌ Event logs query failed:', error.message, '\n');
+      record('Event Logs', error);
     }
   } else {
     console.log('4. Skipping event logs query (no RAILWAY_ENVIRONMENT_ID set)\n');
   }
 
   console.log('🎯 Query testing complete!');
+  return results;
 }
 
 module.exports = { testIndividualQueries };
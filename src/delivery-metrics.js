@@ -0,0 +1,172 @@
+// DORA-style delivery metrics from the deployment history (see
+// deployment-history.js), per service/environment and overall:
+//
+// - deployment frequency: deployments created in the window, per day
+// - change failure rate: share of finished deployments that FAILED or CRASHED
+// - time to recovery: from a failure until the next successful deployment,
+//   counting a run of failures as one incident
+// - durations: creation to SUCCESS/FAILED, split into build (until DEPLOYING)
+//   and deploy (DEPLOYING to SUCCESS) where Terminus saw the deployment in
+//   between. Those splits are only as precise as how often data is fetched.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FAILURE_STATUSES = ['FAILED', 'CRASHED'];
+
+// SUCCESS, FAILED or CRASHED for a finished deployment, null otherwise.
+// Deployments only ever seen as REMOVED (e.g. backfilled ones) are null too:
+// Railway removes failed deployments as well as replaced ones, so how they
+// ended is unknown.
+function outcome(deployment) {
+  const { statusAt } = deployment;
+  const failure = FAILURE_STATUSES.find((status) => statusAt[status]);
+  if (failure) {
+    return failure;
+  }
+  if (statusAt.SUCCESS || statusAt.SLEEPING) {
+    return 'SUCCESS';
+  }
+  return null;
+}
+
+function millisBetween(from, to) {
+  if (!from || !to) {
+    return null;
+  }
+  const ms = Date.parse(to) - Date.parse(from);
+  return ms >= 0 ? ms : null;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const seconds = (ms) => (ms === null ? null : Math.round(ms / 1000));
+
+// Raw counts and samples for the deployments of one service/environment
+function pairStats(deployments, from, to) {
+  const stats = {
+    deployments: 0,
+    finished: 0,
+    failures: 0,
+    recoveries: [],
+    durations: [],
+    builds: [],
+    deploys: [],
+    failingSince: null,
+  };
+
+  const sorted = [...deployments].sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  let incidentStart = null;
+
+  for (const deployment of sorted) {
+    const result = outcome(deployment);
+    const { statusAt, createdAt } = deployment;
+
+    // Incidents are tracked over the whole history so one that started
+    // before the window can still end inside it
+    if (FAILURE_STATUSES.includes(result)) {
+      incidentStart = incidentStart || statusAt[result];
+    } else if (result === 'SUCCESS' && incidentStart) {
+      const recoveredAt = statusAt.SUCCESS || statusAt.SLEEPING || createdAt;
+      if (Date.parse(recoveredAt) >= from) {
+        stats.recoveries.push(millisBetween(incidentStart, recoveredAt) ?? 0);
+      }
+      incidentStart = null;
+    }
+
+    const created = Date.parse(createdAt);
+    if (created < from || created > to || deployment.status === 'SKIPPED') {
+      continue;
+    }
+
+    stats.deployments++;
+    if (result) {
+      stats.finished++;
+    }
+    if (FAILURE_STATUSES.includes(result)) {
+      stats.failures++;
+    }
+
+    const duration = millisBetween(createdAt, statusAt.SUCCESS || statusAt.FAILED);
+    if (duration !== null) {
+      stats.durations.push(duration);
+    }
+    if (statusAt.DEPLOYING) {
+      const build = millisBetween(createdAt, statusAt.DEPLOYING);
+      const deploy = millisBetween(statusAt.DEPLOYING, statusAt.SUCCESS);
+      if (build !== null) stats.builds.push(build);
+      if (deploy !== null) stats.deploys.push(deploy);
+    }
+  }
+
+  stats.failingSince = incidentStart;
+  return stats;
+}
+
+// The reported metrics for one or more pairStats
+function summarize(statsList, windowDays) {
+  const sum = (field) => statsList.reduce((total, stats) => total + stats[field], 0);
+  const all = (field) => statsList.flatMap((stats) => stats[field]);
+
+  const deployments = sum('deployments');
+  const finished = sum('finished');
+  const failures = sum('failures');
+  const recoveries = all('recoveries');
+
+  return {
+    deployments,
+    deploymentsPerDay: Number((deployments / windowDays).toFixed(2)),
+    finished,
+    failures,
+    changeFailureRate: finished ? Number((failures / finished).toFixed(3)) : null,
+    recoveries: recoveries.length,
+    medianTimeToRecoverySeconds: seconds(median(recoveries)),
+    medianDurationSeconds: seconds(median(all('durations'))),
+    medianBuildSeconds: seconds(median(all('builds'))),
+    medianDeploySeconds: seconds(median(all('deploys'))),
+  };
+}
+
+// Metrics for the deployments of the given service/environment pairs (see
+// deploymentPairs) over the last windowDays
+function deliveryReport(deployments, pairs, { windowDays, now = Date.now() }) {
+  const from = now - windowDays * DAY_MS;
+  const byPair = new Map();
+  for (const deployment of deployments) {
+    const key = `${deployment.serviceId}:${deployment.environmentId}`;
+    byPair.set(key, [...(byPair.get(key) || []), deployment]);
+  }
+
+  const services = pairs.map((pair) => {
+    const stats = pairStats(byPair.get(`${pair.serviceId}:${pair.environmentId}`) || [], from, now);
+    return { pair, stats };
+  });
+
+  return {
+    windowDays,
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    summary: summarize(
+      services.map(({ stats }) => stats),
+      windowDays
+    ),
+    services: services.map(({ pair, stats }) => ({
+      workspace: pair.workspaceName,
+      project: pair.projectName,
+      service: pair.serviceName,
+      environment: pair.environmentName,
+      serviceId: pair.serviceId,
+      environmentId: pair.environmentId,
+      ...summarize([stats], windowDays),
+      failingSince: stats.failingSince,
+    })),
+  };
+}
+
+module.exports = { deliveryReport, outcome };
@@ -0,0 +1,159 @@
+const { getAuditLog } = require('./audit-log');
+const { routeOf } = require('./auth');
+const { resourceInScope } = require('./scope');
+
+// Actions on-call can take on a deployment through the Terminus API, each
+// backed by a Railway mutation in queries/actions/:
+//
+//   POST /api/deployments/:id/redeploy   deploymentRedeploy, a new deployment
+//   POST /api/deployments/:id/rollback   deploymentRollback, back to this deployment
+//   POST /api/deployments/:id/restart    deploymentRestart
+//   POST /api/deployments/:id/approve    deploymentApprove, for one awaiting approval
+//
+// They need a key with the "operate" capability, which TERMINUS_AUTH_TOKEN
+// never has (see auth.js), and the deployment ID repeated as `confirm`, so a
+// stray request can't act by accident. The deployment is looked up first to
+// check it against the key's allow-lists and against what Railway says is
+// possible. Every attempt, refused or not, goes to the audit log with type
+// "action".
+
+const ACTIONS = {
+  redeploy: {
+    available: (deployment) => deployment.canRedeploy,
+    unavailable: 'Railway reports that this deployment cannot be redeployed',
+  },
+  rollback: {
+    available: (deployment) => deployment.canRollback,
+    unavailable: 'Railway reports that this deployment cannot be rolled back to',
+  },
+  restart: {
+    available: () => true,
+  },
+  approve: {
+    available: (deployment) => deployment.status === 'NEEDS_APPROVAL',
+    unavailable: 'Only deployments waiting for approval can be approved',
+  },
+};
+
+class DeploymentActionError extends Error {
+  // `error` is the short title of the JSON response, `reason` what the audit
+  // log records
+  constructor(message, { status, error, reason }) {
+    super(message);
+    this.name = 'DeploymentActionError';
+    this.status = status;
+    this.error = error;
+    this.reason = reason;
+  }
+}
+
+// Runs `action` on a deployment for the authenticated request and resolves
+// to { action, deployment, result }. Rejects with a DeploymentActionError
+// when the action is refused or Railway fails. Both outcomes are audited.
+async function runDeploymentAction(client, req, { action, deploymentId, confirm }) {
+  const entry = {
+    type: 'action',
+    action,
+    ip: req.ip,
+    method: req.method,
+    route: routeOf(req),
+    key: req.auth?.keyName || null,
+    deploymentId,
+  };
+
+  try {
+    const outcome = await performAction(client, req.auth?.scope, {
+      action,
+      deploymentId,
+      confirm,
+    });
+    getAuditLog().record({
+      ...entry,
+      result: 'succeeded',
+      reason: action,
+      ...targetOf(outcome.deployment),
+      ...(outcome.result?.id && { newDeploymentId: outcome.result.id }),
+      status: 200,
+    });
+    return outcome;
+  } catch (error) {
+    const refusal =
+      error instanceof DeploymentActionError
+        ? error
+        : new DeploymentActionError(error.message, {
+            status: 502,
+            error: 'Railway API error',
+            reason: 'railway_error',
+          });
+    getAuditLog().record({
+      ...entry,
+      result: refusal.status === 502 ? 'failed' : 'refused',
+      reason: refusal.reason,
+      ...targetOf(error.deployment),
+      status: refusal.status,
+    });
+    throw refusal;
+  }
+}
+
+function targetOf(deployment) {
+  return deployment
+    ? {
+        projectId: deployment.projectId,
+        serviceId: deployment.serviceId,
+        environmentId: deployment.environmentId,
+      }
+    : {};
+}
+
+async function performAction(client, scope, { action, deploymentId, confirm }) {
+  const spec = ACTIONS[action];
+  if (!spec) {
+    throw new DeploymentActionError(
+      `Unknown action "${action}" (expected ${Object.keys(ACTIONS).join(', ')})`,
+      { status: 404, error: 'Unknown action', reason: 'unknown_action' }
+    );
+  }
+  if (confirm !== deploymentId) {
+    throw new DeploymentActionError(
+      `Repeat the deployment ID as "confirm" (in the JSON body or the query string) to ${action} it`,
+      { status: 400, error: 'Confirmation required', reason: 'not_confirmed' }
+    );
+  }
+
+  const deployment = await client.fetchDeployment(deploymentId);
+  // Deployments outside a key's allow-lists look the same as missing ones
+  if (!deployment || !resourceInScope(scope, deployment)) {
+    throw new DeploymentActionError(`No deployment with ID "${deploymentId}"`, {
+      status: 404,
+      error: 'Deployment not found',
+      reason: deployment ? 'out_of_scope' : 'not_found',
+    });
+  }
+
+  if (!spec.available(deployment)) {
+    const error = new DeploymentActionError(spec.unavailable, {
+      status: 409,
+      error: 'Action not available',
+      reason: 'not_available',
+    });
+    error.deployment = deployment;
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await client.mutateDeployment(action, deploymentId);
+  } catch (error) {
+    error.deployment = deployment;
+    throw error;
+  }
+  if (result === false || result === null || result === undefined) {
+    const error = new Error(`Railway did not ${action} the deployment`);
+    error.deployment = deployment;
+    throw error;
+  }
+  return { action, deployment, result };
+}
+
+module.exports = { ACTIONS, DeploymentActionError, runDeploymentAction };
@@ -0,0 +1,198 @@
+const deliveryConfig = require('./config/delivery');
+const { getStore } = require('./json-store');
+const { buildModel } = require('./model');
+
+// Every deployment Terminus has seen, kept in deployment-history.json:
+//
+//   deployments: "<deployment id>" -> { id, projectId, serviceId, environmentId, status,
+//                                       createdAt, updatedAt, commitHash, statusAt: { STATUS: iso } }
+//   backfilled:  "<serviceId>:<environmentId>" -> when that pair was last backfilled
+//   cursors:     "<serviceId>:<environmentId>" -> where an unfinished backfill stopped
+//
+// Railway marks a deployment REMOVED once it is replaced, so its current
+// status says little about how it went. statusAt keeps when each status was
+// first seen (the deployment's updatedAt at the time), which is what the
+// delivery metrics are computed from.
+
+// How long a completed backfill of a service/environment is trusted. The
+// dashboard queries record new deployments in between.
+const BACKFILL_REFRESH_MS = 60 * 60 * 1000;
+
+// Backfills in progress, keyed by data file and service/environment, so
+// concurrent requests share them
+const pendingBackfills = new Map();
+
+function pairKey({ serviceId, environmentId }) {
+  return `${serviceId}:${environmentId}`;
+}
+
+// Deployments in dashboard data, all of them rather than only the latest
+// per environment
+function deploymentNodes(dashboardData) {
+  return buildModel(dashboardData).deployments;
+}
+
+// The service/environment pairs shown in extracted dashboard data, with
+// their names
+function deploymentPairs(workspaces) {
+  const pairs = [];
+  for (const workspace of workspaces) {
+    for (const project of workspace.projects) {
+      for (const service of project.services) {
+        for (const deployment of service.deployments) {
+          pairs.push({
+            workspaceName: workspace.name,
+            projectId: project.id,
+            projectName: project.name,
+            serviceId: service.id,
+            serviceName: service.name,
+            environmentId: deployment.environmentId,
+            environmentName: deployment.environmentName,
+          });
+        }
+      }
+    }
+  }
+  return pairs;
+}
+
+class DeploymentHistory {
+  constructor({
+    store = getStore('deployment-history.json', { deployments: {}, backfilled: {}, cursors: {} }),
+    retentionMs = deliveryConfig.historyRetentionMs,
+    pageSize = deliveryConfig.backfillPageSize,
+    maxPages = deliveryConfig.backfillMaxPages,
+  } = {}) {
+    this.store = store;
+    this.retentionMs = retentionMs;
+    this.pageSize = pageSize;
+    this.maxPages = maxPages;
+  }
+
+  // Records deployment nodes as returned by Railway. Only new deployments and
+  // status changes are written. Returns how many were recorded.
+  record(nodes, now = Date.now()) {
+    const { deployments } = this.store.read();
+    const changed = nodes.filter(
+      (node) =>
+        node?.id &&
+        node.serviceId &&
+        node.environmentId &&
+        now - Date.parse(node.createdAt) <= this.retentionMs &&
+        deployments[node.id]?.status !== node.status
+    );
+    if (changed.length === 0) {
+      return 0;
+    }
+
+    const seenAt = new Date(now).toISOString();
+    this.store.update((data) => {
+      for (const node of changed) {
+        const known = data.deployments[node.id];
+        data.deployments[node.id] = {
+          id: node.id,
+          projectId: node.projectId ?? known?.projectId ?? null,
+          serviceId: node.serviceId,
+          environmentId: node.environmentId,
+          status: node.status,
+          createdAt: node.createdAt,
+          updatedAt: node.updatedAt ?? null,
+          commitHash: node.meta?.commitHash ?? known?.commitHash ?? null,
+          statusAt: { [node.status]: node.updatedAt || seenAt, ...known?.statusAt },
+        };
+      }
+      for (const [id, deployment] of Object.entries(data.deployments)) {
+        if (now - Date.parse(deployment.createdAt) > this.retentionMs) {
+          delete data.deployments[id];
+        }
+      }
+    });
+    return changed.length;
+  }
+
+  // Recorded deployments of the given service/environment pairs
+  deployments(pairs) {
+    const keys = new Set(pairs.map(pairKey));
+    return Object.values(this.store.read().deployments).filter((deployment) =>
+      keys.has(pairKey(deployment))
+    );
+  }
+
+  // Pages back through the deployments of each pair that hasn't been
+  // backfilled within the last hour. A pair is done when Railway has no more
+  // pages, a page reaches past the retention period or, after the first
+  // backfill, into deployments already recorded. Pairs that hit maxPages are
+  // reported as truncated and carry on from where they stopped next time.
+  async backfill(client, pairs, now = Date.now()) {
+    const result = { pages: 0, recorded: 0, truncated: [], errors: [] };
+
+    for (const pair of pairs) {
+      const key = pairKey(pair);
+      const lastBackfill = this.store.read().backfilled[key];
+      if (lastBackfill && now - Date.parse(lastBackfill) < BACKFILL_REFRESH_MS) {
+        continue;
+      }
+
+      const pendingKey = `${this.store.file}:${key}`;
+      if (!pendingBackfills.has(pendingKey)) {
+        const pending = this.backfillPair(client, pair, Boolean(lastBackfill), now);
+        pendingBackfills.set(pendingKey, pending);
+        pending.finally(() => pendingBackfills.delete(pendingKey)).catch(() => {});
+      }
+
+      try {
+        const { pages, recorded, complete } = await pendingBackfills.get(pendingKey);
+        result.pages += pages;
+        result.recorded += recorded;
+        if (!complete) {
+          result.truncated.push(key);
+        }
+      } catch (error) {
+        console.error(`❌ Deployment history backfill failed for ${key}:`, error.message);
+        result.errors.push({ pair: key, message: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  async backfillPair(client, pair, incremental, now) {
+    const key = pairKey(pair);
+    let after = this.store.read().cursors[key] || null;
+    let pages = 0;
+    let recorded = 0;
+
+    while (pages < this.maxPages) {
+      const connection = await client.fetchDeploymentPage(pair, { first: this.pageSize, after });
+      pages++;
+
+      const nodes = (connection?.edges || []).map((edge) => edge?.node).filter(Boolean);
+      const { deployments } = this.store.read();
+      const reachedKnown = incremental && nodes.some((node) => deployments[node.id]);
+      const reachedOld = nodes.some((node) => now - Date.parse(node.createdAt) > this.retentionMs);
+      recorded += this.record(nodes, now);
+
+      if (!connection?.pageInfo?.hasNextPage || reachedKnown || reachedOld) {
+        this.store.update((data) => {
+          data.backfilled[key] = new Date(now).toISOString();
+          delete data.cursors[key];
+        });
+        return { pages, recorded, complete: true };
+      }
+      after = connection.pageInfo.endCursor;
+    }
+
+    this.store.update((data) => {
+      data.cursors[key] = after;
+    });
+    console.warn(`⚠️  Deployment history backfill for ${key} stopped after ${pages} pages`);
+    return { pages, recorded, complete: false };
+  }
+}
+
+// The history in TERMINUS_DATA_DIR, with the configured settings
+function getDeploymentHistory() {
+  return new DeploymentHistory();
+}
+
+module.exports = { DeploymentHistory, deploymentNodes, deploymentPairs, getDeploymentHistory };
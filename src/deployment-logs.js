@@ -0,0 +1,195 @@
+const deploymentLogsConfig = require('./config/deployment-logs');
+const { resourceInScope } = require('./scope');
+const { pollEventStream } = require('./sse');
+
+// Build and runtime logs of one deployment, so a failing deploy can be
+// followed through Terminus without Railway credentials:
+//
+//   GET /api/deployments/:id/logs              runtime logs (deploymentLogs)
+//   GET /api/deployments/:id/build-logs        build logs (buildLogs)
+//   GET /api/deployments/:id/logs/stream       the same as Server-Sent Events,
+//   GET /api/deployments/:id/build-logs/stream one "log" event per new line
+//
+// Query parameters:
+//
+//   since, until   ISO 8601 timestamps, or a duration ago such as 15m, 2h, 1d
+//   filter         Railway's log search, e.g. "timeout" or "@level:error"
+//   limit          most lines per response (or per poll of a stream)
+//
+// Railway only offers live logs as a websocket subscription, so streams poll
+// for lines newer than the last one sent instead. Each event's ID is the
+// line's timestamp, so a client reconnecting with Last-Event-ID carries on
+// after it. Deployments outside a key's allow-lists look the same as missing
+// ones.
+
+// Route segment -> log type passed to RailwayClient.fetchDeploymentLogs
+const LOG_TYPES = { logs: 'runtime', 'build-logs': 'build' };
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+class DeploymentLogsError extends Error {
+  // `error` is the short title of the JSON response
+  constructor(message, { status, error }) {
+    super(message);
+    this.name = 'DeploymentLogsError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+const invalidQuery = (message) =>
+  new DeploymentLogsError(message, { status: 400, error: 'Invalid log query' });
+
+// An ISO 8601 timestamp or a duration before `now`, as an ISO string
+function parseTime(name, value, now) {
+  const duration = /^(\d+)([smhd])$/.exec(value);
+  if (duration) {
+    return new Date(now - Number(duration[1]) * DURATION_UNITS[duration[2]]).toISOString();
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw invalidQuery(`"${name}" must be an ISO 8601 timestamp or a duration such as 15m`);
+  }
+  return new Date(time).toISOString();
+}
+
+// Validates the query string of a log request. Resolves the options for
+// fetchDeploymentLogs or throws a DeploymentLogsError.
+function parseLogQuery(query, { stream = false, now = Date.now() } = {}) {
+  const stringParam = (name) => (typeof query[name] === 'string' ? query[name].trim() : '');
+
+  const limit = query.limit === undefined ? deploymentLogsConfig.defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > deploymentLogsConfig.maxLimit) {
+    throw invalidQuery(
+      `"limit" must be a whole number between 1 and ${deploymentLogsConfig.maxLimit}`
+    );
+  }
+
+  const since = stringParam('since');
+  const until = stringParam('until');
+  if (until && stream) {
+    throw invalidQuery('"until" can\'t be used with a stream, which follows new lines');
+  }
+  const startDate = since ? parseTime('since', since, now) : undefined;
+  const endDate = until ? parseTime('until', until, now) : undefined;
+  if (startDate && endDate && startDate > endDate) {
+    throw invalidQuery('"since" must be before "until"');
+  }
+
+  return { limit, startDate, endDate, filter: stringParam('filter') || undefined };
+}
+
+// The deployment, if it exists and the request's key may see it
+async function findDeployment(client, scope, deploymentId) {
+  const deployment = await client.fetchDeployment(deploymentId);
+  if (!deployment || !resourceInScope(scope, deployment)) {
+    throw new DeploymentLogsError(`No deployment with ID "${deploymentId}"`, {
+      status: 404,
+      error: 'Deployment not found',
+    });
+  }
+  return deployment;
+}
+
+// Whether `timestamp` is after `other` within their shared millisecond,
+// comparing the digits past the millisecond ("…00.1Z" equals "…00.100Z")
+function laterInMillisecond(timestamp, other) {
+  const fraction = (value) => (/\.(\d+)/.exec(value)?.[1] ?? '').slice(3);
+  const width = Math.max(fraction(timestamp).length, fraction(other).length);
+  return fraction(timestamp).padEnd(width, '0') > fraction(other).padEnd(width, '0');
+}
+
+// Follows a deployment's logs: each poll() resolves to the lines that
+// arrived since the previous one. Lines are told apart by timestamp and
+// message, as Railway's timestamps can repeat.
+class LogTail {
+  constructor(client, type, deploymentId, { limit, startDate, filter, resumeAfter } = {}) {
+    this.client = client;
+    this.type = type;
+    this.deploymentId = deploymentId;
+    this.limit = limit;
+    this.filter = filter;
+    // Newest timestamp sent so far (ms), and the lines sent at that instant
+    this.cursor = null;
+    this.sentAtCursor = new Set();
+    // The raw timestamp of the last line a reconnecting client saw. Railway's
+    // timestamps are finer than a millisecond, so lines later in the same
+    // millisecond are still sent.
+    this.resumeAfter = null;
+
+    if (resumeAfter && !Number.isNaN(Date.parse(resumeAfter))) {
+      this.cursor = Date.parse(resumeAfter);
+      this.resumeAfter = resumeAfter;
+    } else if (startDate) {
+      this.cursor = Date.parse(startDate);
+    }
+  }
+
+  async poll() {
+    const lines = await this.client.fetchDeploymentLogs(this.type, this.deploymentId, {
+      limit: this.limit,
+      startDate: this.cursor === null ? undefined : new Date(this.cursor).toISOString(),
+      filter: this.filter,
+    });
+
+    const fresh = [];
+    for (const line of lines) {
+      const time = Date.parse(line.timestamp);
+      const key = `${line.timestamp}\n${line.message}`;
+      if (this.cursor !== null && time < this.cursor) continue;
+      if (time === this.cursor) {
+        if (this.sentAtCursor.has(key)) continue;
+        if (this.resumeAfter && !laterInMillisecond(line.timestamp, this.resumeAfter)) continue;
+      }
+
+      if (this.cursor === null || time > this.cursor) {
+        this.cursor = time;
+        this.sentAtCursor = new Set();
+        this.resumeAfter = null;
+      }
+      this.sentAtCursor.add(key);
+      fresh.push(line);
+    }
+    return fresh;
+  }
+}
+
+let activeStreams = 0;
+
+// Streams open right now, to enforce DEPLOYMENT_LOGS_MAX_STREAMS
+function activeLogStreams() {
+  return activeStreams;
+}
+
+// Sends new lines to an open event stream (see sse.js) until the client
+// disconnects or DEPLOYMENT_LOGS_STREAM_MAX_MINUTES pass. Railway errors are
+// sent as "railway-error" events and polling carries on.
+async function streamDeploymentLogs(stream, tail) {
+  activeStreams++;
+  try {
+    await pollEventStream(
+      stream,
+      {
+        intervalMs: deploymentLogsConfig.streamPollIntervalMs,
+        maxDurationMs: deploymentLogsConfig.streamMaxDurationMs,
+      },
+      async () => {
+        for (const line of await tail.poll()) {
+          stream.send('log', line, line.timestamp);
+        }
+      }
+    );
+  } finally {
+    activeStreams--;
+  }
+}
+
+module.exports = {
+  LOG_TYPES,
+  DeploymentLogsError,
+  parseLogQuery,
+  findDeployment,
+  LogTail,
+  activeLogStreams,
+  streamDeploymentLogs,
+};
@@ -0,0 +1,48 @@
+const timingConfig = require('./config/deployment-timing');
+
+// How old a deployment is and how long it took, from the createdAt and
+// updatedAt Railway reports for it:
+//
+//   ageSeconds               since it was created
+//   elapsedSeconds           since it was created, while it is still queued,
+//                            building or deploying; null otherwise
+//   durationSeconds          createdAt to updatedAt once it succeeded or
+//                            failed; null otherwise, as a crashed or removed
+//                            deployment's updatedAt is when that happened
+//   previousDurationSeconds  durationSeconds of the deployment before it in
+//                            the same service and environment
+//   stale                    older than DEPLOYMENT_STALE_DAYS
+//
+// Times are measured up to `now`, the moment the data was fetched, so a
+// page shows the same ages however late it is rendered.
+
+const IN_PROGRESS_STATUSES = ['QUEUED', 'WAITING', 'INITIALIZING', 'BUILDING', 'DEPLOYING'];
+
+// Statuses whose updatedAt is when the deployment finished
+const FINISHED_STATUSES = ['SUCCESS', 'FAILED'];
+
+function secondsBetween(from, to) {
+  const seconds = (Date.parse(to) - Date.parse(from)) / 1000;
+  return Number.isFinite(seconds) ? Math.max(0, seconds) : null;
+}
+
+function durationSeconds(deployment) {
+  return deployment && FINISHED_STATUSES.includes(deployment.status)
+    ? secondsBetween(deployment.createdAt, deployment.updatedAt)
+    : null;
+}
+
+// The timing of `deployment`, given the one before it (or null) and the time
+// the data was fetched
+function deploymentTiming(deployment, previous, now, { staleAfterSeconds } = timingConfig) {
+  const ageSeconds = secondsBetween(deployment.createdAt, now);
+  return {
+    ageSeconds,
+    elapsedSeconds: IN_PROGRESS_STATUSES.includes(deployment.status) ? ageSeconds : null,
+    durationSeconds: durationSeconds(deployment),
+    previousDurationSeconds: durationSeconds(previous),
+    stale: Boolean(staleAfterSeconds) && ageSeconds !== null && ageSeconds > staleAfterSeconds,
+  };
+}
+
+module.exports = { IN_PROGRESS_STATUSES, FINISHED_STATUSES, deploymentTiming };
@@ -0,0 +1,78 @@
+// Error raised by RailwayClient for any failed GraphQL request. `kind` says what
+// went wrong and `retryable` whether trying again could help:
+//
+// - network:      connection failed or was reset (retryable)
+// - timeout:      the query's deadline passed (not retried, the time is spent)
+// - rate_limited: HTTP 429 or a rate-limit GraphQL error (retryable)
+// - server:       HTTP 5xx from backboard (retryable)
+// - auth:         HTTP 401/403 or an authorization GraphQL error
+// - validation:   HTTP 400 or a query/variable validation error
+// - graphql:      any other GraphQL error in the response
+// - parse:        the response body was not valid JSON
+class RailwayApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RailwayApiError';
+    this.kind = details.kind || 'graphql';
+    this.queryName = details.queryName || 'Unknown';
+    this.status = details.status ?? null;
+    this.retryable = Boolean(details.retryable);
+    this.retryAfterMs = details.retryAfterMs ?? null;
+    this.attempts = details.attempts || 1;
+    this.graphqlErrors = details.graphqlErrors || [];
+  }
+
+  get timedOut() {
+    return this.kind === 'timeout';
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      kind: this.kind,
+      queryName: this.queryName,
+      message: this.message,
+      status: this.status,
+      retryable: this.retryable,
+      retryAfterMs: this.retryAfterMs,
+      attempts: this.attempts,
+      graphqlErrors: this.graphqlErrors,
+    };
+  }
+}
+
+const VALIDATION_PATTERN =
+  /graphql_validation_failed|bad_user_input|cannot query field|unknown argument|variable "\$/;
+
+// Classifies a GraphQL `errors` array returned with an HTTP 200
+function classifyGraphQLErrors(errors) {
+  const text = errors
+    .map((err) => `${err.message || ''} ${err.extensions?.code || ''}`)
+    .join(' ')
+    .toLowerCase();
+
+  if (/rate ?limit/.test(text)) {
+    return { kind: 'rate_limited', retryable: true };
+  }
+  if (/not authorized|unauthorized|unauthenticated|forbidden|invalid token/.test(text)) {
+    return { kind: 'auth', retryable: false };
+  }
+  if (VALIDATION_PATTERN.test(text)) {
+    return { kind: 'validation', retryable: false };
+  }
+  if (/internal server error|internal_server_error|problem processing request/.test(text)) {
+    return { kind: 'server', retryable: true };
+  }
+  return { kind: 'graphql', retryable: false };
+}
+
+// Classifies a non-2xx HTTP status
+function classifyHttpStatus(status) {
+  if (status === 429) return { kind: 'rate_limited', retryable: true };
+  if (status === 401 || status === 403) return { kind: 'auth', retryable: false };
+  if (status === 408) return { kind: 'network', retryable: true };
+  if (status >= 500) return { kind: 'server', retryable: true };
+  return { kind: 'validation', retryable: false };
+}
+
+module.exports = { RailwayApiError, classifyGraphQLErrors, classifyHttpStatus };
@@ -0,0 +1,160 @@
+const { restrictAccountData } = require('./scope');
+
+// Request filters narrow the dashboard to the projects, services and
+// environments a caller asks for (from a profile, a share link, the
+// X-Project-ID/X-Service-ID/X-Environment-ID headers or the query string).
+// Each filter is a comma-separated list of terms matched against IDs and
+// names:
+//
+//   storefront,env-store-prod   an ID or name (names ignore case)
+//   api-*, pr-??                globs: * matches any run of characters, ? one
+//   !staging                    an exclusion
+//
+// Something matches when it matches one of the plain terms (or there are
+// none) and none of the exclusions. `hideEphemeral` also drops ephemeral
+// (pull request) environments. Filters go through the same traversal as
+// scopes, so projects left with nothing to show are dropped too.
+
+const FILTER_KEYS = ['projectId', 'serviceId', 'environmentId'];
+
+// Boolean options accepted alongside the filters
+const FILTER_FLAGS = ['hideEphemeral'];
+
+function termMatcher(term) {
+  if (/[*?]/.test(term)) {
+    const source = term
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    const pattern = new RegExp(`^${source}$`, 'i');
+    return (item) => pattern.test(item.id) || (item.name != null && pattern.test(item.name));
+  }
+  const name = term.toLowerCase();
+  return (item) => item.id === term || (item.name != null && item.name.toLowerCase() === name);
+}
+
+// A predicate over { id, name } for one filter expression, or null if the
+// expression has no terms
+function parseFilter(expression) {
+  if (typeof expression !== 'string') {
+    return null;
+  }
+
+  const include = [];
+  const exclude = [];
+  for (const term of expression.split(',').map((part) => part.trim())) {
+    if (term.startsWith('!')) {
+      const excluded = term.slice(1).trim();
+      if (excluded) exclude.push(termMatcher(excluded));
+    } else if (term) {
+      include.push(termMatcher(term));
+    }
+  }
+
+  if (include.length === 0 && exclude.length === 0) {
+    return null;
+  }
+  return (item) =>
+    (include.length === 0 || include.some((matches) => matches(item))) &&
+    !exclude.some((matches) => matches(item));
+}
+
+// The filters that actually restrict something, or null
+function activeFilters(filters) {
+  if (!filters) {
+    return null;
+  }
+
+  const active = {};
+  for (const key of FILTER_KEYS) {
+    if (typeof filters[key] === 'string' && parseFilter(filters[key])) {
+      active[key] = filters[key].trim();
+    }
+  }
+  if (filters.hideEphemeral === true) {
+    active.hideEphemeral = true;
+  }
+  return Object.keys(active).length > 0 ? active : null;
+}
+
+// "Project: a, Service: all, ..." for log lines
+function describeFilters(filters) {
+  const active = activeFilters(filters) || {};
+  return [
+    `Project: ${active.projectId || 'all'}`,
+    `Service: ${active.serviceId || 'all'}`,
+    `Environment: ${active.environmentId || 'all'}${active.hideEphemeral ? ' (no ephemeral)' : ''}`,
+  ].join(', ');
+}
+
+// Environments by ID, from account-shaped projects data. Deployments and
+// volume instances only carry an environment's ID and name, so this is where
+// ephemeral environments are looked up.
+function environmentCatalog(projectsData) {
+  const environments = new Map();
+  for (const workspace of projectsData?.me?.workspaces || []) {
+    const projectEdges = [
+      ...(workspace.projects?.edges || []),
+      ...(workspace.team?.projects?.edges || []),
+    ];
+    for (const projectEdge of projectEdges) {
+      for (const envEdge of projectEdge?.node?.environments?.edges || []) {
+        if (envEdge?.node?.id) {
+          environments.set(envEdge.node.id, envEdge.node);
+        }
+      }
+    }
+  }
+  return environments;
+}
+
+// Restriction rules (see restrictAccountData) for a set of filters, or null
+// when nothing is filtered
+function compileFilters(filters, environments = new Map()) {
+  const active = activeFilters(filters);
+  if (!active) {
+    return null;
+  }
+
+  const matchesEnvironment = parseFilter(active.environmentId);
+  const environment =
+    matchesEnvironment || active.hideEphemeral
+      ? (env) => {
+          const known = environments.get(env.id) || {};
+          const resolved = {
+            id: env.id,
+            name: env.name ?? known.name,
+            isEphemeral: env.isEphemeral ?? known.isEphemeral,
+          };
+          if (active.hideEphemeral && resolved.isEphemeral) {
+            return false;
+          }
+          return !matchesEnvironment || matchesEnvironment(resolved);
+        }
+      : null;
+
+  return {
+    project: parseFilter(active.projectId),
+    service: parseFilter(active.serviceId),
+    environment,
+  };
+}
+
+// Applies filters to account-shaped (`me { workspaces }`) data. Pass the
+// environmentCatalog of the projects data to resolve environment names and
+// ephemeral environments the data itself doesn't include.
+function filterAccountData(data, filters, environments = environmentCatalog(data)) {
+  const rules = compileFilters(filters, environments);
+  return rules ? restrictAccountData(data, rules) : data;
+}
+
+module.exports = {
+  FILTER_KEYS,
+  FILTER_FLAGS,
+  parseFilter,
+  activeFilters,
+  describeFilters,
+  environmentCatalog,
+  compileFilters,
+  filterAccountData,
+};
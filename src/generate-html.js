@@ -1,19 +1,75 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const eventLogsConfig = require('./config/event-logs');
+const { assessVolume, sortByUrgency } = require('./volumes');
+const { buildModel, indexById } = require('./model');
+const { renderTemplate } = require('./templates');
+const { DEFAULT_LAYOUT_NAME, LAYOUT_PRESETS } = require('./layouts');
+const {
+  DEFAULT_LOCALE,
+  isValidTimezone,
+  canonicalLocale,
+  parseClock,
+  translator,
+} = require('./locales');
+
+// Page size, panel arrangement and item limits (see layouts.js)
+const DEFAULT_LAYOUT = { name: DEFAULT_LAYOUT_NAME, ...LAYOUT_PRESETS[DEFAULT_LAYOUT_NAME] };
+
+// Short status badges for deployment states
+const STATUS_INDICATORS = {
+  SUCCESS: 'OK',
+  BUILDING: 'BLD',
+  DEPLOYING: 'DEP',
+  FAILED: 'ERR',
+  CRASHED: 'CRS',
+  REMOVED: 'DEL',
+  SKIPPED: 'SKP',
+};
+
+function getStatusIndicator(status) {
+  return STATUS_INDICATORS[status] || 'UNK';
+}
+
+// What a deployment in progress is doing, as a UI string key
+const IN_PROGRESS_KEYS = {
+  QUEUED: 'queuedFor',
+  WAITING: 'queuedFor',
+  INITIALIZING: 'buildingFor',
+  BUILDING: 'buildingFor',
+  DEPLOYING: 'deployingFor',
+};
 
 class DashboardGenerator {
-  constructor() {
+  constructor(options = {}) {
     this.data = null;
-    // Get timezone from environment variable, default to UTC
-    this.timezone = process.env.DISPLAY_TIMEZONE || 'UTC';
-
-    // Validate timezone
-    try {
-      new Date().toLocaleString('en-US', { timeZone: this.timezone });
-    } catch (error) {
+    // Get timezone from options (e.g. a dashboard profile) or environment variable, default to UTC
+    this.timezone = options.timezone || process.env.DISPLAY_TIMEZONE || 'UTC';
+    // Date formats and UI strings (see locales.js), default en-US
+    const locale = options.locale || process.env.DISPLAY_LOCALE || DEFAULT_LOCALE;
+    // 12 or 24, or unset for the locale's own
+    const clock = options.clock || process.env.DISPLAY_CLOCK;
+    // A resolved preset from layouts.js, or just item limits
+    this.layout = { ...DEFAULT_LAYOUT, ...(options.layout || {}) };
+    // { streamUrl } to render the live page, which follows GET /api/stream
+    this.live = options.live || null;
+
+    // Validate timezone, locale and clock
+    if (!isValidTimezone(this.timezone)) {
       console.warn(`⚠️  Invalid timezone "${this.timezone}", falling back to UTC`);
       this.timezone = 'UTC';
     }
+    this.locale = canonicalLocale(locale);
+    if (!this.locale) {
+      console.warn(`⚠️  Invalid locale "${locale}", falling back to ${DEFAULT_LOCALE}`);
+      this.locale = DEFAULT_LOCALE;
+    }
+    this.clock = clock ? parseClock(clock) : null;
+    if (clock && !this.clock) {
+      console.warn(`⚠️  Invalid clock "${clock}", using the locale's`);
+    }
+    // UI strings: this.t('updated', { time })
+    this.t = translator(this.locale);
   }
 
   loadData(data) {
@@ -26,9 +82,15 @@ class DashboardGenerator {
     }
   }
 
+  // toLocaleString options for the chosen clock, or `localeDefault` when
+  // there is none
+  clockOptions(localeDefault = {}) {
+    return this.clock ? { hourCycle: this.clock === 12 ? 'h12' : 'h23' } : localeDefault;
+  }
+
   formatTimestamp(isoString) {
     const date = new Date(isoString);
-    return date.toLocaleString('en-US', {
+    return date.toLocaleString(this.locale, {
       timeZone: this.timezone,
       year: 'numeric',
       month: 'short',
@@ -36,18 +98,19 @@ class DashboardGenerator {
       hour: '2-digit',
       minute: '2-digit',
       timeZoneName: 'short',
+      ...this.clockOptions(),
     });
   }
 
   formatEventTimestamp(isoString) {
     const date = new Date(isoString);
-    return date.toLocaleString('en-US', {
+    return date.toLocaleString(this.locale, {
       timeZone: this.timezone,
       month: 'short',
       day: 'numeric',
       hour: '2-digit',
       minute: '2-digit',
-      hour12: false,
+      ...this.clockOptions({ hour12: false }),
     });
   }
 
@@ -91,24 +154,19 @@ class DashboardGenerator {
     }
   }
 
-  escapeHtml(text) {
-    const div = { innerHTML: '' };
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;');
-  }
-
+  // The dashboard's view of the data model (see model.js): workspaces with
+  // their projects, services and the latest deployment per environment, plus
+  // volumes worst first and event logs newest first
   extractComprehensiveData() {
     if (!this.data.success) {
       return { workspaces: [], volumes: [], eventLogs: [], hasFilters: false };
     }
 
-    const workspaces = [];
-    const volumes = [];
-    let eventLogs = [];
+    const model = buildModel(this.data);
+    const workspacesById = indexById(model.workspaces);
+    const projectsById = indexById(model.projects);
+    const servicesById = indexById(model.services);
+    const environmentsById = indexById(model.environments);
 
     // Check if filters are applied
     const hasFilters =
@@ -116,302 +174,95 @@ class DashboardGenerator {
       this.data.data.queryInfo?.filters?.serviceId ||
       this.data.data.queryInfo?.filters?.environmentId;
 
-    // Get deployments mapped by service and environment for quick lookup
-    const deploymentMap = new Map();
-    if (this.data.data.deployments?.me?.workspaces) {
-      for (const workspace of this.data.data.deployments.me.workspaces) {
-        if (workspace.team?.projects?.edges) {
-          for (const projectEdge of workspace.team.projects.edges) {
-            const project = projectEdge.node;
-            if (project.services?.edges) {
-              for (const serviceEdge of project.services.edges) {
-                const service = serviceEdge.node;
-                if (service.deployments?.edges) {
-                  for (const deploymentEdge of service.deployments.edges) {
-                    const deployment = deploymentEdge.node;
-                    const key = `${service.id}-${deployment.environmentId}`;
-                    if (
-                      !deploymentMap.has(key) ||
-                      new Date(deployment.createdAt) > new Date(deploymentMap.get(key).createdAt)
-                    ) {
-                      deploymentMap.set(key, deployment);
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-
-    // Process projects data to create nested structure
-    if (this.data.data.projects?.me?.workspaces) {
-      for (const workspace of this.data.data.projects.me.workspaces) {
-        const workspaceData = {
-          name: workspace.name,
-          id: workspace.id,
-          projects: [],
-        };
-
-        if (workspace.team?.projects?.edges) {
-          for (const projectEdge of workspace.team.projects.edges) {
-            const project = projectEdge.node;
-            const projectData = {
-              id: project.id,
-              name: project.name,
-              description: project.description,
-              teamId: project.teamId,
-              createdAt: project.createdAt,
-              services: [],
-              environments: [],
+    // Latest deployment by service and environment
+    const latest = new Map(
+      model.deployments
+        .filter((deployment) => deployment.latest)
+        .map((deployment) => [`${deployment.serviceId}-${deployment.environmentId}`, deployment])
+    );
+
+    const workspaces = model.workspaces.map((workspace) => ({
+      name: workspace.name,
+      id: workspace.id,
+      projects: workspace.projectIds.map((projectId) => {
+        const project = projectsById.get(projectId);
+        const environments = project.environmentIds.map((id) => environmentsById.get(id));
+
+        return {
+          id: project.id,
+          name: project.name,
+          description: project.description,
+          teamId: project.teamId,
+          createdAt: project.createdAt,
+          // Each service with its latest deployment in every environment
+          services: project.serviceIds.map((serviceId) => {
+            const service = servicesById.get(serviceId);
+            return {
+              id: service.id,
+              name: service.name,
+              icon: service.icon,
+              createdAt: service.createdAt,
+              deployments: environments
+                .filter((env) => latest.has(`${service.id}-${env.id}`))
+                .map((env) => ({
+                  ...latest.get(`${service.id}-${env.id}`),
+                  environmentName: env.name,
+                  environmentId: env.id,
+                })),
             };
-
-            // Add services with their deployments
-            if (project.services?.edges) {
-              for (const serviceEdge of project.services.edges) {
-                const service = serviceEdge.node;
-                const serviceData = {
-                  id: service.id,
-                  name: service.name,
-                  icon: service.icon,
-                  createdAt: service.createdAt,
-                  deployments: [],
-                };
-
-                // Add deployments for each environment
-                if (project.environments?.edges) {
-                  for (const envEdge of project.environments.edges) {
-                    const env = envEdge.node;
-                    const deploymentKey = `${service.id}-${env.id}`;
-                    const deployment = deploymentMap.get(deploymentKey);
-
-                    if (deployment) {
-                      serviceData.deployments.push({
-                        ...deployment,
-                        environmentName: env.name,
-                        environmentId: env.id,
-                      });
-                    }
-                  }
-                }
-
-                projectData.services.push(serviceData);
-              }
-            }
-
-            // Add environments
-            if (project.environments?.edges) {
-              for (const envEdge of project.environments.edges) {
-                const env = envEdge.node;
-                projectData.environments.push({
-                  id: env.id,
-                  name: env.name,
-                  isEphemeral: env.isEphemeral,
-                  createdAt: env.createdAt,
-                });
-              }
-            }
-
-            workspaceData.projects.push(projectData);
-          }
-        }
-
-        workspaces.push(workspaceData);
-      }
-    }
-
-    // Extract compact volume data
-    if (this.data.data.volumes?.me?.workspaces) {
-      const seenVolumeInstanceIds = new Set();
-
-      for (const workspace of this.data.data.volumes.me.workspaces) {
-        const workspaceName = workspace.name || 'Unknown Workspace';
-
-        const addVolumeInstance = (instance, context = {}) => {
-          if (!instance) return;
-
-          const instanceId =
-            instance.id ||
-            `${context.projectName || ''}-${context.environmentName || ''}-${context.volumeName || ''}`;
-          if (instanceId && seenVolumeInstanceIds.has(instanceId)) {
-            return;
-          }
-          if (instanceId) {
-            seenVolumeInstanceIds.add(instanceId);
-          }
-
-          volumes.push({
-            id: instance.id,
-            mountPath: instance.mountPath,
-            currentSizeMB: instance.currentSizeMB,
-            sizeMB: instance.sizeMB,
-            region: instance.region,
-            serviceName: instance.service?.name || context.serviceName || 'Unknown Service',
-            environmentName:
-              instance.environment?.name || context.environmentName || 'Unknown Environment',
-            projectName: context.projectName || 'Unknown Project',
-            workspaceName,
-            volumeName: context.volumeName || null,
-          });
+          }),
+          environments: environments.map((env) => ({
+            id: env.id,
+            name: env.name,
+            isEphemeral: env.isEphemeral,
+            createdAt: env.createdAt,
+          })),
         };
-
-        const projectConnections = [];
-        if (workspace.projects?.edges) {
-          projectConnections.push(workspace.projects);
-        }
-        if (workspace.team?.projects?.edges) {
-          projectConnections.push(workspace.team.projects);
-        }
-
-        for (const projectConnection of projectConnections) {
-          if (!projectConnection?.edges) continue;
-
-          for (const projectEdge of projectConnection.edges) {
-            const project = projectEdge?.node;
-            if (!project) continue;
-
-            const projectName = project.name || 'Unknown Project';
-
-            if (project.volumes?.edges?.length) {
-              for (const volumeEdge of project.volumes.edges) {
-                const volumeNode = volumeEdge?.node;
-                if (!volumeNode?.volumeInstances?.edges?.length) continue;
-
-                for (const instanceEdge of volumeNode.volumeInstances.edges) {
-                  const instance = instanceEdge?.node;
-                  addVolumeInstance(instance, {
-                    projectName,
-                    environmentName: instance?.environment?.name,
-                    serviceName: instance?.service?.name,
-                    volumeName: volumeNode.name || null,
-                  });
-                }
-              }
-            }
-
-            if (project.environments?.edges?.length) {
-              for (const envEdge of project.environments.edges) {
-                const env = envEdge?.node;
-                if (!env?.volumeInstances?.edges?.length) continue;
-
-                for (const volumeEdge of env.volumeInstances.edges) {
-                  const instance = volumeEdge?.node;
-                  addVolumeInstance(instance, {
-                    projectName,
-                    environmentName: env.name,
-                    serviceName: instance?.service?.name,
-                    volumeName: null,
-                  });
-                }
-              }
-            }
-          }
-        }
-      }
+      }),
+    }));
+
+    // Compact volume data
+    const volumes = model.volumeInstances.map((instance) => ({
+      id: instance.id,
+      mountPath: instance.mountPath,
+      currentSizeMB: instance.currentSizeMB,
+      sizeMB: instance.sizeMB,
+      region: instance.region,
+      serviceName: servicesById.get(instance.serviceId)?.name || 'Unknown Service',
+      environmentName: environmentsById.get(instance.environmentId)?.name || 'Unknown Environment',
+      projectName: projectsById.get(instance.projectId)?.name || 'Unknown Project',
+      workspaceName: workspacesById.get(instance.workspaceId)?.name || 'Unknown Workspace',
+      volumeName: instance.volumeName || null,
+    }));
+
+    // Capacity level and fill forecast per volume (sampled when the data was
+    // fetched, if it was), worst first
+    const volumeHealth = this.data.data.volumeHealth || {};
+    for (const volume of volumes) {
+      volume.health = volumeHealth[volume.id] || assessVolume(volume);
     }
+    sortByUrgency(volumes);
 
-    // Extract event logs
-    if (this.data.data.eventLogs && this.data.data.eventLogs.environmentLogs) {
-      eventLogs = this.data.data.eventLogs.environmentLogs.map((log) => ({
-        timestamp: log.timestamp,
-        message: log.message,
-        severity: log.severity,
-      }));
-
-      // Sort by timestamp (newest first)
-      eventLogs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    }
+    const eventLogs = model.logEntries.map((log) => ({
+      timestamp: log.timestamp,
+      message: log.message,
+      severity: log.severity,
+    }));
 
     return { workspaces, volumes, eventLogs, hasFilters };
   }
 
-  generateErrorHTML() {
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Railway Service Dashboard</title>
-    <style>
-        body {
-            font-family: 'Courier New', monospace;
-            background-color: white;
-            color: black;
-            margin: 0;
-            padding: 20px;
-            line-height: 1.6;
-            font-size: 16px;
-        }
-        .container {
-            max-width: 800px;
-            margin: 0 auto;
-        }
-        .header {
-            text-align: center;
-            border-bottom: 3px solid black;
-            padding-bottom: 10px;
-            margin-bottom: 20px;
-        }
-        .error {
-            background-color:rgb(218, 218, 218);
-            border: 2px solid black;
-            padding: 15px;
-            margin: 20px 0;
-        }
-        .timestamp {
-            text-align: center;
-            font-size: 0.9em;
-            margin-top: 30px;
-            border-top: 2px solid black;
-            padding-top: 10px;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🚂 Railway Service Dashboard</h1>
-        </div>
-        
-        <div class="error">
-            <h2>⚠️ Railway API Unavailable</h2>
-            <p><strong>Error:</strong> ${this.data.error.message}</p>
-            <p><strong>Type:</strong> ${this.data.error.type}</p>
-        </div>
-        
-        <div class="timestamp">
-            Last updated: ${this.formatTimestamp(this.data.timestamp)}
-        </div>
-    </div>
-</body>
-</html>`;
-  }
-
-  generateComprehensiveHTML(workspaces, volumes, eventLogs, hasFilters) {
-    // Helper function to get status indicator
-    const getStatusIndicator = (status) => {
-      const indicators = {
-        SUCCESS: 'OK',
-        BUILDING: 'BLD',
-        DEPLOYING: 'DEP',
-        FAILED: 'ERR',
-        CRASHED: 'CRS',
-        REMOVED: 'DEL',
-        SKIPPED: 'SKP',
-      };
-      return indicators[status] || 'UNK';
-    };
-
-    // Generate workspace title
-    const workspaceTitle = hasFilters
+  // Dashboard title: the workspace names, or the project name when filtered to one
+  workspaceTitle(workspaces, hasFilters) {
+    return hasFilters
       ? workspaces.length === 1 && workspaces[0].projects.length === 1
         ? workspaces[0].projects[0].name
         : workspaces.map((w) => w.name).join(', ')
       : workspaces.map((w) => w.name).join(', ');
+  }
 
-    // Flatten all service+environment combinations for compact display
+  // Flatten all service+environment combinations for compact display
+  flattenServices(workspaces) {
     const allServices = [];
     workspaces.forEach((workspace) => {
       workspace.projects.forEach((project) => {
@@ -420,6 +271,7 @@ class DashboardGenerator {
           if (service.deployments.length > 0) {
             service.deployments.forEach((deployment) => {
               allServices.push({
+                key: `${service.id}:${deployment.environmentId}`,
                 workspaceName: workspace.name,
                 projectName: project.name,
                 serviceName: service.name,
@@ -430,351 +282,303 @@ class DashboardGenerator {
           } else {
             // If no deployments, still show the service
             allServices.push({
+              key: service.id,
               workspaceName: workspace.name,
               projectName: project.name,
               serviceName: service.name,
               deployment: null,
-              environmentName: 'N/A',
+              environmentName: this.t('noEnvironment'),
             });
           }
         });
       });
     });
+    return allServices;
+  }
 
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Railway Dashboard - ${workspaceTitle}</title>
-    <style>
-        body {
-            font-family: 'Courier New', monospace;
-            background-color: white;
-            color: black;
-            margin: 0;
-            padding: 6px;
-            line-height: 1.2;
-            font-size: 10px;
-            width: 800px;
-            height: 470px;
-            overflow: hidden;
-            box-sizing: border-box;
-        }
-        .header {
-            border-bottom: 2px solid black;
-            padding-bottom: 3px;
-            margin-bottom: 6px;
-            height: 40px;
-            text-align: center;
-        }
-        .title {
-            font-size: 14pt;
-            font-weight: bold;
-            margin: 0;
-        }
-        .subtitle {
-            font-size: 9pt;
-            margin: 0;
-        }
-        .main-layout {
-            display: flex;
-            gap: 8px;
-            height: 85%;
-        }
-        .left-column {
-            width: 50%;
-        }
-        .right-column {
-            width: 50%;
-        }
-        .section {
-            margin-bottom: 8px;
-        }
-        .section-title {
-            font-size: 12pt;
-            font-weight: bold;
-            margin-bottom: 3px;
-            border-bottom: 2px solid black;
-        }
-        .service-box {
-            border: 2px solid black;
-            padding: 4px;
-            margin-bottom: 3px;
-            font-size: 10pt;
-        }
-        .service-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 2px;
-        }
-        .service-name {
-            font-weight: bold;
-            font-size: 10pt;
-        }
-        .service-info {
-            font-size: 10pt;
-            margin-top: 2px;
-        }
-        .status {
-            padding: 1px 3px;
-            font-size: 10pt;
-            font-weight: bold;
-        }
-        .status-success { background-color: black; color: white; }
-        .status-building { background-color: white; color: black; border: 1px solid black; }
-        .status-deploying { background-color: black; color: white; }
-        .status-failed { background-color: black; color: white; }
-        .status-crashed { background-color: black; color: white; }
-        .status-removed { background-color: white; color: black; border: 1px solid black; }
-        .status-skipped { background-color: white; color: black; border: 1px solid black; }
-        .status-none { background-color: white; color: black; border: 1px dashed black; }
-        .volume-box {
-            border: 2px solid black;
-            padding: 3px;
-            margin-bottom: 2px;
-            font-size: 10pt;
-        }
-        .volume-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 1px;
-        }
-        .volume-details {
-            font-weight: bold;
-            font-size: 10pt;
-        }
-        .volume-usage {
-            font-size: 10pt;
-        }
-        .volume-path {
-            font-size: 10pt;
-            margin-top: 1px;
-        }
-        .event-list {
-            height: 300px;
-            overflow: hidden;
-        }
-        .event-item {
-            padding: 2px 0;
-            border-bottom: 2px dotted black;
-            font-size: 10pt;
-            margin-bottom: 2px;
-        }
-        .event-item.error {
-            border-left: 2px solid black;
-            padding-left: 3px;
-        }
-        .event-item.warn {
-            border-left: 2px dashed black;
-            padding-left: 3px;
-        }
-        .event-item.info {
-            border-left: 1px solid black;
-            padding-left: 3px;
-        }
-        .event-time {
-            font-weight: bold;
-            font-size: 10pt;
-        }
-        .event-message {
-            margin-top: 1px;
-            line-height: 1.1;
-        }
-        .timestamp {
-            height: 20px;
-            text-align: center;
-            margin-top: 6px;
-            padding-top: 3px;
-            border-top: 2px dotted black;
-            font-size: 10pt;
-        }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <div class="title">Railway Dashboard</div>
-        <div class="subtitle">${workspaceTitle}${hasFilters ? ' (Filtered)' : ''}</div>
-    </div>
-
-    <div class="main-layout">
-        <div class="left-column">
-            ${
-              allServices.length > 0
-                ? `
-                <div class="section">
-                    <div class="section-title">Services</div>
-                    ${allServices
-                      .slice(0, 12)
-                      .map((service) => {
-                        const deployment = service.deployment;
-                        const statusIndicator = deployment
-                          ? getStatusIndicator(deployment.status)
-                          : 'NONE';
-                        const statusClass = deployment
-                          ? `status-${deployment.status.toLowerCase()}`
-                          : 'status-none';
-                        const envName = service.environmentName;
-                        const timeStr = deployment
-                          ? this.formatTimestamp(deployment.createdAt)
-                          : '';
-
-                        return `
-                        <div class="service-box">
-                            <div class="service-header">
-                                <span class="service-name">${hasFilters ? service.serviceName : `${service.projectName}/${service.serviceName}`}</span>
-                                <span class="status ${statusClass}">${statusIndicator}</span>
-                            </div>
-                            <div class="service-info">
-                                ${envName} • ${timeStr || 'No deployment'}
-                            </div>
-                        </div>
-                      `;
-                      })
-                      .join('')}
-                </div>
-            `
-                : ''
-            }
+  // What a service card shows, for the template and for live updates
+  serviceCard(service, hasFilters) {
+    const deployment = service.deployment;
+    const timeStr = deployment ? this.formatTimestamp(deployment.createdAt) : '';
+    return {
+      key: service.key,
+      name: hasFilters ? service.serviceName : `${service.projectName}/${service.serviceName}`,
+      status: deployment ? getStatusIndicator(deployment.status) : 'NONE',
+      statusClass: deployment ? `status-${deployment.status.toLowerCase()}` : 'status-none',
+      info: `${service.environmentName} • ${timeStr || this.t('noDeployment')}`,
+      timing: this.deploymentTimingText(deployment),
+      stale: Boolean(deployment?.timing?.stale),
+    };
+  }
 
-            ${
-              this.data.data.eventLogsEnvironmentId && volumes.length > 0
-                ? `
-                <div class="section">
-                    <div class="section-title">Volumes</div>
-                    ${volumes
-                      .slice(0, 8)
-                      .map((volume) => {
-                        const usagePercent = ((volume.currentSizeMB / volume.sizeMB) * 100).toFixed(
-                          0
-                        );
-                        const currentGB = (volume.currentSizeMB / 1024).toFixed(1);
-                        const maxGB = (volume.sizeMB / 1024).toFixed(1);
-
-                        return `
-                        <div class="volume-box">
-                            <div class="volume-header">
-                                <span class="volume-details">${volume.serviceName} • ${volume.environmentName}</span>
-                                <span class="volume-usage">${currentGB}/${maxGB}GB (${usagePercent}%)</span>
-                            </div>
-                            <div class="volume-path">${volume.mountPath}</div>
-                        </div>
-                      `;
-                      })
-                      .join('')}
-                </div>
-            `
-                : ''
-            }
-        </div>
-
-        <div class="right-column">
-            ${
-              this.data.data.eventLogsEnvironmentId
-                ? `
-                ${
-                  eventLogs.length > 0
-                    ? `
-                    <div class="section">
-                        <div class="section-title">Recent Events</div>
-                        <div style="font-size: 10pt; margin-bottom: 4px; opacity: 0.8;">
-                            ${(() => {
-                              // Find the service and environment name for the event logs environment
-                              const logsEnvId = this.data.data.eventLogsEnvironmentId;
-                              for (const workspace of workspaces) {
-                                for (const project of workspace.projects) {
-                                  for (const service of project.services) {
-                                    for (const deployment of service.deployments) {
-                                      if (deployment.environmentId === logsEnvId) {
-                                        return `${service.name} • ${deployment.environmentName}`;
-                                      }
-                                    }
-                                  }
-                                }
-                              }
-                              return `Environment: ${logsEnvId}`;
-                            })()}
-                        </div>
-                        <div class="event-list">
-                            ${eventLogs
-                              .slice(0, 8)
-                              .map(
-                                (log) => `
-                                <div class="event-item ${log.severity}">
-                                    <div class="event-time">${this.formatEventTimestamp(log.timestamp)}</div>
-                                    <div class="event-message">${this.escapeHtml(this.extractEventAction(log.message))}</div>
-                                </div>
-                            `
-                              )
-                              .join('')}
-                        </div>
-                    </div>
-                `
-                    : `
-                    <div class="section">
-                        <div class="section-title">Recent Events</div>
-                        <div style="font-size: 8px; margin-bottom: 4px; opacity: 0.8;">
-                            ${(() => {
-                              // Find the service and environment name for the event logs environment
-                              const logsEnvId = this.data.data.eventLogsEnvironmentId;
-                              for (const workspace of workspaces) {
-                                for (const project of workspace.projects) {
-                                  for (const service of project.services) {
-                                    for (const deployment of service.deployments) {
-                                      if (deployment.environmentId === logsEnvId) {
-                                        return `${service.name} • ${deployment.environmentName}`;
-                                      }
-                                    }
-                                  }
-                                }
-                              }
-                              return `Environment: ${logsEnvId}`;
-                            })()}
-                        </div>
-                        <div style="font-size: 8px;">No recent events</div>
-                    </div>
-                `
-                }
-            `
-                : volumes.length > 0
-                  ? `
-                <div class="section">
-                    <div class="section-title">Volumes</div>
-                    ${volumes
-                      .slice(0, 8)
-                      .map((volume) => {
-                        const usagePercent = ((volume.currentSizeMB / volume.sizeMB) * 100).toFixed(
-                          0
-                        );
-                        const currentGB = (volume.currentSizeMB / 1024).toFixed(1);
-                        const maxGB = (volume.sizeMB / 1024).toFixed(1);
-
-                        return `
-                        <div class="volume-box">
-                            <div class="volume-header">
-                                <span class="volume-details">${volume.serviceName} • ${volume.environmentName}</span>
-                                <span class="volume-usage">${currentGB}/${maxGB}GB (${usagePercent}%)</span>
-                            </div>
-                            <div class="volume-path">${volume.mountPath}</div>
-                        </div>
-                      `;
-                      })
-                      .join('')}
-                </div>
-            `
-                  : ''
+  // "deployed 3h ago • took 2m14s", or "building for 7m • previous took
+  // 2m14s" while a deployment is in progress, from the model's timing (see
+  // deployment-timing.js). '' without a deployment.
+  deploymentTimingText(deployment) {
+    const timing = deployment?.timing;
+    if (!timing || timing.ageSeconds === null) {
+      return '';
+    }
+    const parts = [
+      timing.elapsedSeconds === null
+        ? this.t('deployedAgo', { age: this.formatAge(timing.ageSeconds) })
+        : this.t(IN_PROGRESS_KEYS[deployment.status] || 'buildingFor', {
+            elapsed: this.formatAge(timing.elapsedSeconds),
+          }),
+    ];
+    if (timing.durationSeconds !== null) {
+      parts.push(this.t('took', { duration: this.formatTook(timing.durationSeconds) }));
+    } else if (timing.previousDurationSeconds !== null) {
+      parts.push(
+        this.t('previousTook', { duration: this.formatTook(timing.previousDurationSeconds) })
+      );
+    }
+    return parts.join(' • ');
+  }
+
+  // What a volume box shows, for the template and for live updates
+  volumeCard(volume) {
+    const { level, usagePercent, forecast } = volume.health;
+    const currentGB = (volume.currentSizeMB / 1024).toFixed(1);
+    const maxGB = (volume.sizeMB / 1024).toFixed(1);
+    return {
+      id: volume.id,
+      level,
+      details: `${volume.serviceName} • ${volume.environmentName}`,
+      usage: `${currentGB}/${maxGB}GB (${usagePercent.toFixed(0)}%)`,
+      path: volume.mountPath,
+      forecast: this.formatForecast(forecast),
+    };
+  }
+
+  // What an event log entry shows, for the template and for live updates
+  eventItem(log) {
+    return {
+      id: `${log.timestamp} ${log.message}`,
+      severity: log.severity,
+      time: this.formatEventTimestamp(log.timestamp),
+      message: this.extractEventAction(log.message),
+    };
+  }
+
+  // Everything on the page that can change between refreshes, as plain text
+  // for the live page (see live-dashboard.js). `signature` identifies the
+  // layout: when it changes the page reloads instead of patching itself.
+  liveView() {
+    if (!this.data.success) {
+      return null;
+    }
+
+    const { workspaces, volumes, eventLogs, hasFilters } = this.extractComprehensiveData();
+    const services = this.flattenServices(workspaces)
+      .slice(0, this.layout.maxServices)
+      .map((service) => this.serviceCard(service, hasFilters));
+    const volumeCards = volumes
+      .slice(0, this.layout.maxVolumes)
+      .map((volume) => this.volumeCard(volume));
+    const hasEventLogs = Boolean(this.data.data.eventLogsEnvironmentId);
+    const events = hasEventLogs
+      ? eventLogs.slice(0, this.layout.maxEvents).map((log) => this.eventItem(log))
+      : [];
+    const delivery = this.data.data.delivery ? this.deliveryLines(this.data.data.delivery) : null;
+
+    const layout = {
+      title: this.workspaceTitle(workspaces, hasFilters),
+      services: services.map((card) => card.key),
+      volumes: volumeCards.map((card) => card.id),
+      events: hasEventLogs ? events.length > 0 : null,
+      delivery: Boolean(delivery),
+    };
+    return {
+      signature: crypto
+        .createHash('sha256')
+        .update(JSON.stringify(layout))
+        .digest('hex')
+        .slice(0, 16),
+      services,
+      volumes: volumeCards,
+      events,
+      delivery,
+      updated: this.t('updated', { time: this.formatTimestamp(this.data.timestamp) }),
+    };
+  }
+
+  // The live page's stream for the templates, or null for a static page
+  liveTemplateData() {
+    return this.live
+      ? { streamUrl: this.live.streamUrl, signature: this.liveView()?.signature ?? null }
+      : null;
+  }
+
+  // "Full in ~12d" from a volume's fill forecast, or '' if it isn't filling up
+  formatForecast(forecast) {
+    const days = forecast?.daysUntilFull;
+    if (days === null || days === undefined || days > 365) {
+      return '';
+    }
+    return days < 1 ? this.t('volumeFullSoon') : this.t('volumeFullIn', { days: Math.round(days) });
+  }
+
+  // "3h" from seconds: the largest whole unit, for ages at a glance
+  formatAge(seconds) {
+    if (seconds < 60) {
+      return `${Math.floor(seconds)}s`;
+    }
+    if (seconds < 60 * 60) {
+      return `${Math.floor(seconds / 60)}m`;
+    }
+    if (seconds < 24 * 60 * 60) {
+      return `${Math.floor(seconds / (60 * 60))}h`;
+    }
+    return `${Math.floor(seconds / (24 * 60 * 60))}d`;
+  }
+
+  // "2m14s" from seconds, for how long a deployment took
+  formatTook(seconds) {
+    const total = Math.round(seconds);
+    if (total < 60) {
+      return `${total}s`;
+    }
+    if (total < 60 * 60) {
+      const rest = total % 60;
+      return `${Math.floor(total / 60)}m${rest ? `${rest}s` : ''}`;
+    }
+    const minutes = Math.floor((total % (60 * 60)) / 60);
+    return `${Math.floor(total / (60 * 60))}h${minutes ? `${minutes}m` : ''}`;
+  }
+
+  // "2h 5m" from seconds, or '-' when there's no value
+  formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) {
+      return '-';
+    }
+    if (seconds < 60) {
+      return `${Math.round(seconds)}s`;
+    }
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) {
+      return `${minutes}m`;
+    }
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+      return `${hours}h ${minutes % 60}m`;
+    }
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+
+  // The two lines of the delivery panel, from the summary of a delivery report
+  deliveryLines({ summary }) {
+    const failureRate =
+      summary.changeFailureRate === null ? '-' : `${Math.round(summary.changeFailureRate * 100)}%`;
+    return [
+      this.t('deliveryDeploys', {
+        deployments: summary.deployments,
+        perDay: summary.deploymentsPerDay,
+        failureRate,
+      }),
+      this.t('deliveryTimes', {
+        recovery: this.formatDuration(summary.medianTimeToRecoverySeconds),
+        duration: this.formatDuration(summary.medianDurationSeconds),
+      }),
+    ];
+  }
+
+  // Find the service and environment name for the event logs environment
+  eventLogsLabel(workspaces) {
+    const logsEnvId = this.data.data.eventLogsEnvironmentId;
+    for (const workspace of workspaces) {
+      for (const project of workspace.projects) {
+        for (const service of project.services) {
+          for (const deployment of service.deployments) {
+            if (deployment.environmentId === logsEnvId) {
+              return `${service.name} • ${deployment.environmentName}`;
             }
-        </div>
-    </div>
-
-    <div class="timestamp">
-        Updated: ${this.formatTimestamp(this.data.timestamp)}
-    </div>
-</body>
-</html>`;
+          }
+        }
+      }
+    }
+    return this.t('eventsEnvironment', { id: logsEnvId });
+  }
+
+  generateErrorHTML() {
+    return renderTemplate(
+      'error',
+      {
+        locale: this.locale,
+        message: this.data.error.message,
+        type: this.data.error.type,
+        updated: this.t('lastUpdated', { time: this.formatTimestamp(this.data.timestamp) }),
+        live: this.liveTemplateData(),
+      },
+      this.templateOptions()
+    );
+  }
+
+  // A CSS length multiplied by the layout's scale
+  size(value, unit = 'px') {
+    return `${Math.round(value * this.layout.scale * 10) / 10}${unit}`;
+  }
+
+  // Filters the templates use besides the built-in ones (see templates.js):
+  // size, and t for UI strings, as in {{ 'services' | t }}
+  templateOptions() {
+    return {
+      filters: {
+        size: (value, unit) => this.size(value, unit),
+        t: (key) => this.t(key),
+      },
+    };
+  }
+
+  // The layout's columns of panels for the dashboard template, leaving out
+  // empty ones. The events panel shows whenever an event logs environment is
+  // set, even with no events.
+  dashboardColumns(workspaces, volumes, eventLogs, hasFilters) {
+    const { delivery, eventLogsEnvironmentId } = this.data.data;
+    const services = this.flattenServices(workspaces)
+      .slice(0, this.layout.maxServices)
+      .map((service) => this.serviceCard(service, hasFilters));
+
+    const panels = {
+      services: services.length > 0 && { type: 'services', services },
+      delivery: delivery && {
+        type: 'delivery',
+        title: this.t('deliveryTitle', { days: delivery.windowDays }),
+        lines: this.deliveryLines(delivery),
+      },
+      volumes: volumes.length > 0 && {
+        type: 'volumes',
+        volumes: volumes.slice(0, this.layout.maxVolumes).map((volume) => this.volumeCard(volume)),
+      },
+      events: eventLogsEnvironmentId && {
+        type: 'events',
+        label: this.eventLogsLabel(workspaces),
+        events: eventLogs.slice(0, this.layout.maxEvents).map((log) => this.eventItem(log)),
+      },
+    };
+    const columns = eventLogsEnvironmentId
+      ? this.layout.columns
+      : this.layout.columnsWithoutEvents || this.layout.columns;
+
+    return columns
+      .map((column) => column.map((name) => panels[name]).filter(Boolean))
+      .filter((column) => column.length > 0);
+  }
+
+  generateComprehensiveHTML(workspaces, volumes, eventLogs, hasFilters) {
+    return renderTemplate(
+      'dashboard',
+      {
+        locale: this.locale,
+        title: this.workspaceTitle(workspaces, hasFilters),
+        filtered: hasFilters,
+        layout: this.layout,
+        columns: this.dashboardColumns(workspaces, volumes, eventLogs, hasFilters),
+        updated: this.t('updated', { time: this.formatTimestamp(this.data.timestamp) }),
+        live: this.liveTemplateData(),
+      },
+      this.templateOptions()
+    );
   }
 
   generateHTML() {
@@ -791,4 +595,4 @@ class DashboardGenerator {
   }
 }
 
-module.exports = { DashboardGenerator };
+module.exports = { DashboardGenerator, DEFAULT_LAYOUT, getStatusIndicator };
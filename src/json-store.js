@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory for everything Terminus persists between restarts. On Railway,
+// mount a volume here or the data is lost on every deploy.
+function dataDir() {
+  return process.env.TERMINUS_DATA_DIR || path.join(process.cwd(), 'data');
+}
+
+// A small JSON document on disk. The whole document is kept in memory and
+// rewritten atomically (temp file + rename) on every update, which is plenty
+// for the few kilobytes of state Terminus keeps.
+class JsonStore {
+  constructor(fileName, defaults = {}) {
+    this.file = path.join(dataDir(), fileName);
+    this.defaults = defaults;
+    this.data = null;
+  }
+
+  read() {
+    if (this.data) {
+      return this.data;
+    }
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Failed to read ${this.file}, starting empty:`, error.message);
+      }
+      this.data = JSON.parse(JSON.stringify(this.defaults));
+    }
+
+    return this.data;
+  }
+
+  // Applies mutator(data) and persists the result
+  update(mutator) {
+    const data = this.read();
+    mutator(data);
+    this.write();
+    return data;
+  }
+
+  write() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempFile, this.file);
+  }
+}
+
+// One store per file name and data directory, shared across the process
+const stores = new Map();
+
+function getStore(fileName, defaults) {
+  const key = path.join(dataDir(), fileName);
+  if (!stores.has(key)) {
+    stores.set(key, new JsonStore(fileName, defaults));
+  }
+  return stores.get(key);
+}
+
+module.exports = { JsonStore, getStore, dataDir };
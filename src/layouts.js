@@ -0,0 +1,113 @@
+// Layout presets for the dashboard page: its size, how the panels are
+// arranged and how many items each one shows. A request picks one with
+// ?layout= or the X-Layout header, a profile with "layout": { "preset" },
+// and DASHBOARD_LAYOUT sets the default. terminus.config.json can add its own
+// under "layouts", each starting from a built-in preset:
+//
+// {
+//   "layouts": {
+//     "lobby-tv": {
+//       "extends": "tv",
+//       "columns": [["events"], ["services", "volumes"]],
+//       "maxEvents": 16
+//     }
+//   }
+// }
+//
+// Settings:
+//
+//   width, height         page size in CSS pixels; null fills the browser
+//                         window instead (a fixed page cuts off what doesn't fit)
+//   scale                 multiplies every font size, border and spacing
+//   columns               panels per column, left to right: services, delivery,
+//                         volumes and events. Empty panels and columns are left out.
+//   columnsWithoutEvents  the columns when no event logs environment is set
+//                         (defaults to columns)
+//   maxServices, maxVolumes, maxEvents   most items in each panel
+//
+// The image endpoints draw their own layout, but use the preset's limits and
+// take its page size as the default image size.
+
+const PANELS = ['services', 'delivery', 'volumes', 'events'];
+
+const LAYOUT_LIMITS = ['maxServices', 'maxVolumes', 'maxEvents'];
+
+const DEFAULT_LAYOUT_NAME = 'trmnl';
+
+const LAYOUT_PRESETS = {
+  trmnl: {
+    description: 'TRMNL and other 800x480 e-ink panels',
+    width: 800,
+    height: 470,
+    scale: 1,
+    columns: [['services', 'delivery', 'volumes'], ['events']],
+    columnsWithoutEvents: [['services', 'delivery'], ['volumes']],
+    maxServices: 12,
+    maxVolumes: 8,
+    maxEvents: 8,
+  },
+  'epaper-large': {
+    description: '1872x1404 e-paper panels',
+    width: 1872,
+    height: 1404,
+    scale: 2,
+    columns: [['services'], ['delivery', 'volumes'], ['events']],
+    maxServices: 16,
+    maxVolumes: 10,
+    maxEvents: 16,
+  },
+  browser: {
+    description: 'Desktop and phone browsers; columns stack on narrow screens',
+    width: null,
+    height: null,
+    scale: 1.2,
+    columns: [['services'], ['delivery', 'volumes', 'events']],
+    maxServices: 50,
+    maxVolumes: 20,
+    maxEvents: 20,
+  },
+  tv: {
+    description: 'TVs and kiosks, 1920x1080 (4K screens double it)',
+    width: 1920,
+    height: 1080,
+    scale: 1.6,
+    columns: [['services'], ['events'], ['delivery', 'volumes']],
+    maxServices: 12,
+    maxVolumes: 8,
+    maxEvents: 12,
+  },
+};
+
+// Every preset a request can pick: the built-in ones, then the config file's
+function layoutNames(customLayouts = {}) {
+  return [...Object.keys(LAYOUT_PRESETS), ...Object.keys(customLayouts)];
+}
+
+// The named preset with its settings filled in from the one it extends, or
+// null if there is no such preset
+function resolveLayout(name, customLayouts = {}) {
+  if (Object.prototype.hasOwnProperty.call(LAYOUT_PRESETS, name)) {
+    return { name, ...LAYOUT_PRESETS[name] };
+  }
+  if (!Object.prototype.hasOwnProperty.call(customLayouts, name)) {
+    return null;
+  }
+
+  const { extends: base = DEFAULT_LAYOUT_NAME, ...settings } = customLayouts[name];
+  return {
+    ...LAYOUT_PRESETS[base],
+    // The base preset's columnsWithoutEvents goes with its own columns
+    ...(settings.columns && { columnsWithoutEvents: undefined }),
+    ...settings,
+    name,
+  };
+}
+
+module.exports = {
+  PANELS,
+  LAYOUT_LIMITS,
+  DEFAULT_LAYOUT_NAME,
+  LAYOUT_PRESETS,
+  layoutNames,
+  resolveLayout,
+};
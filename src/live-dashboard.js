@@ -0,0 +1,89 @@
+const liveConfig = require('./config/live');
+const { pollEventStream } = require('./sse');
+
+// The live browser dashboard. GET /?live=1 (and /d/:profile?live=1,
+// /s/:token?live=1) renders the usual page plus a script that subscribes to
+// GET /api/stream with the same view. The stream fetches the dashboard every
+// LIVE_POLL_INTERVAL seconds, diffs what the page shows (DashboardGenerator
+// liveView) and sends:
+//
+//   snapshot   on connect: the page's signature and every card
+//   patch      { changes } since the previous fetch: service cards, volume
+//              boxes, the event list, the delivery panel and the "Updated" line
+//   reload     the layout changed (a service or volume came or went, or
+//              volumes were reordered), so the page reloads itself
+//
+// plus "railway-error" when a fetch fails and "end" (see sse.js). The page's
+// script (templates/partials/live.liquid) patches it in place and shows a
+// banner while the stream is down.
+
+// Changes that bring a page showing `previous` up to `next`; every card when
+// there is no previous view
+function diffViews(previous, next) {
+  const changes = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const services = new Map((previous?.services || []).map((card) => [card.key, card]));
+  for (const card of next.services) {
+    if (!same(services.get(card.key), card)) {
+      changes.push({ type: 'service', ...card });
+    }
+  }
+
+  const volumes = new Map((previous?.volumes || []).map((card) => [card.id, card]));
+  for (const card of next.volumes) {
+    if (!same(volumes.get(card.id), card)) {
+      changes.push({ type: 'volume', ...card });
+    }
+  }
+
+  if (!previous || !same(previous.events, next.events)) {
+    changes.push({ type: 'events', items: next.events });
+  }
+  if (next.delivery && (!previous || !same(previous.delivery, next.delivery))) {
+    changes.push({ type: 'delivery', lines: next.delivery });
+  }
+  if (!previous || previous.updated !== next.updated) {
+    changes.push({ type: 'updated', text: next.updated });
+  }
+  return changes;
+}
+
+let activeStreams = 0;
+
+// Streams open right now, to enforce LIVE_MAX_STREAMS
+function activeLiveStreams() {
+  return activeStreams;
+}
+
+// Sends dashboard changes to an open event stream until the client
+// disconnects. `fetchView` resolves to a fresh liveView, or throws when
+// Railway can't be reached (the page keeps what it shows).
+async function streamDashboard(stream, fetchView) {
+  activeStreams++;
+  let previous = null;
+  try {
+    await pollEventStream(
+      stream,
+      { intervalMs: liveConfig.pollIntervalMs, maxDurationMs: liveConfig.streamMaxDurationMs },
+      async () => {
+        const view = await fetchView();
+        if (!previous) {
+          stream.send('snapshot', { signature: view.signature, changes: diffViews(null, view) });
+        } else if (view.signature !== previous.signature) {
+          stream.send('reload', { signature: view.signature });
+        } else {
+          const changes = diffViews(previous, view);
+          if (changes.length > 0) {
+            stream.send('patch', { changes });
+          }
+        }
+        previous = view;
+      }
+    );
+  } finally {
+    activeStreams--;
+  }
+}
+
+module.exports = { diffViews, activeLiveStreams, streamDashboard };
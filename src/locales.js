@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { templateDirs } = require('./templates');
+
+// How a screen shows times and which language its labels are in:
+//
+//   timezone   an IANA time zone such as Europe/Berlin
+//   locale     a BCP 47 language tag such as en-GB, de or ja-JP; it formats
+//              dates and picks the UI strings
+//   clock      12 or 24. Unset, the page's timestamps follow the locale and
+//              event times use a 24-hour clock.
+//
+// A request picks them with ?timezone=, ?locale= and ?clock= or the
+// X-Timezone, X-Locale and X-Clock headers, a profile with the same keys, and
+// DISPLAY_TIMEZONE, DISPLAY_LOCALE and DISPLAY_CLOCK set the defaults.
+//
+// UI strings come from templates/locales/<tag>.json. A locale takes English,
+// then its language's file, then its own: de-AT uses en.json, de.json and
+// de-AT.json, each replacing the strings it has. Files in
+// TERMINUS_TEMPLATES_DIR/locales/ are merged on top of the bundled ones, so a
+// deployment can reword a string or add a language. "{name}" in a string is
+// replaced with the value of the same name.
+
+const DEFAULT_LOCALE = 'en-US';
+
+const CLOCKS = [12, 24];
+
+// Languages with a bundled file in templates/locales/
+const BUNDLED_LOCALES = ['en', 'de', 'es', 'fr', 'ja'];
+
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') {
+    return false;
+  }
+  try {
+    new Date().toLocaleString('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// `locale` in its canonical form ("en-gb" -> "en-GB"), or null if it isn't a
+// well-formed tag for a language Intl knows
+function canonicalLocale(locale) {
+  if (typeof locale !== 'string' || locale === '') {
+    return null;
+  }
+  try {
+    const [canonical] = Intl.getCanonicalLocales(locale);
+    return Intl.DateTimeFormat.supportedLocalesOf(canonical).length > 0 ? canonical : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 12 or 24 from a number or string, or null
+function parseClock(value) {
+  const clock = Number(value);
+  return CLOCKS.includes(clock) ? clock : null;
+}
+
+// Checks display settings given by a request. Resolves the settings that were
+// given, normalised, or an { error, message } problem for the response.
+function parseDisplaySettings({ timezone, locale, clock }) {
+  const settings = {};
+  if (timezone !== undefined) {
+    if (!isValidTimezone(timezone)) {
+      return {
+        problem: {
+          error: 'Invalid timezone',
+          message: `"${timezone}" is not an IANA time zone such as Europe/London`,
+        },
+      };
+    }
+    settings.timezone = timezone;
+  }
+  if (locale !== undefined) {
+    settings.locale = canonicalLocale(locale);
+    if (!settings.locale) {
+      return {
+        problem: {
+          error: 'Invalid locale',
+          message: `"${locale}" is not a language tag such as en-GB or de (bundled translations: ${BUNDLED_LOCALES.join(', ')})`,
+        },
+      };
+    }
+  }
+  if (clock !== undefined) {
+    settings.clock = parseClock(clock);
+    if (!settings.clock) {
+      return {
+        problem: { error: 'Invalid clock', message: `clock must be ${CLOCKS.join(' or ')}` },
+      };
+    }
+  }
+  return { settings };
+}
+
+const cache = new Map();
+
+// The strings in one locales/*.json file, or {} if there is none
+function readStrings(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (error) {
+    return {};
+  }
+
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) {
+    return cached.strings;
+  }
+  let strings;
+  try {
+    strings = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${path.relative(process.cwd(), file)}: ${error.message}`);
+  }
+  cache.set(file, { mtimeMs: stat.mtimeMs, strings });
+  return strings;
+}
+
+// Every UI string for a canonical locale, falling back to its language and
+// then to English
+function localeStrings(locale) {
+  const subtags = locale.split('-');
+  const tags = ['en', ...subtags.map((_, index) => subtags.slice(0, index + 1).join('-'))];
+  // The bundled files first, so the deployment's replace them
+  const dirs = templateDirs().reverse();
+
+  const strings = {};
+  for (const tag of new Set(tags)) {
+    for (const dir of dirs) {
+      Object.assign(strings, readStrings(path.join(dir, 'locales', `${tag}.json`)));
+    }
+  }
+  return strings;
+}
+
+// A function looking up UI strings for `locale`: t('updated', { time })
+function translator(locale) {
+  const strings = localeStrings(locale);
+  return (key, values = {}) =>
+    String(strings[key] ?? key).replace(/\{(\w+)\}/g, (match, name) =>
+      values[name] === undefined ? match : String(values[name])
+    );
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  CLOCKS,
+  BUNDLED_LOCALES,
+  isValidTimezone,
+  canonicalLocale,
+  parseClock,
+  parseDisplaySettings,
+  translator,
+};
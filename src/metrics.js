@@ -0,0 +1,258 @@
+const { DashboardGenerator } = require('./generate-html');
+
+// Prometheus text exposition (format 0.0.4) for GET /metrics. Two kinds of
+// metrics are reported:
+//
+// - railway_*: gauges built from the dashboard data on every scrape
+// - terminus_*: counters and histograms about Terminus' own Railway API calls,
+//   accumulated since the process started
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Upper bounds (seconds) of the query latency histogram buckets
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Severities always reported, so alerts can compare against 0
+const EVENT_SEVERITIES = ['info', 'warn', 'error'];
+
+const MEBIBYTE = 1024 * 1024;
+
+function escapeLabelValue(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Appends one metric family: HELP and TYPE lines, then a line per sample.
+// Each sample is { labels, value } or, for histogram parts, { suffix, labels, value }.
+function writeFamily(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  for (const sample of samples) {
+    lines.push(
+      `${name}${sample.suffix || ''}${formatLabels(sample.labels)} ${formatValue(sample.value)}`
+    );
+  }
+}
+
+// Latency and outcome of every request Terminus sends to the Railway API,
+// per query name. Cache hits never reach Railway and are counted separately.
+class QueryMetrics {
+  constructor(buckets = LATENCY_BUCKETS) {
+    this.buckets = buckets;
+    this.queries = new Map();
+  }
+
+  entry(queryName) {
+    if (!this.queries.has(queryName)) {
+      this.queries.set(queryName, {
+        bucketCounts: this.buckets.map(() => 0),
+        count: 0,
+        sum: 0,
+        errors: new Map(), // kind -> count
+        cacheHits: 0,
+      });
+    }
+    return this.queries.get(queryName);
+  }
+
+  // Records one request to Railway. errorKind is a RailwayApiError kind, or
+  // null if the request succeeded.
+  observe(queryName, seconds, errorKind = null) {
+    const entry = this.entry(queryName);
+    this.buckets.forEach((bound, index) => {
+      if (seconds <= bound) {
+        entry.bucketCounts[index]++;
+      }
+    });
+    entry.count++;
+    entry.sum += seconds;
+    if (errorKind) {
+      entry.errors.set(errorKind, (entry.errors.get(errorKind) || 0) + 1);
+    }
+  }
+
+  recordCacheHit(queryName) {
+    this.entry(queryName).cacheHits++;
+  }
+
+  reset() {
+    this.queries.clear();
+  }
+
+  write(lines) {
+    const queries = [...this.queries.entries()];
+
+    writeFamily(
+      lines,
+      'terminus_railway_query_duration_seconds',
+      'histogram',
+      'Latency of requests to the Railway API, including failed ones.',
+      queries.flatMap(([query, entry]) => [
+        ...this.buckets.map((bound, index) => ({
+          suffix: '_bucket',
+          labels: { query, le: formatValue(bound) },
+          value: entry.bucketCounts[index],
+        })),
+        { suffix: '_bucket', labels: { query, le: '+Inf' }, value: entry.count },
+        { suffix: '_sum', labels: { query }, value: entry.sum },
+        { suffix: '_count', labels: { query }, value: entry.count },
+      ])
+    );
+
+    writeFamily(
+      lines,
+      'terminus_railway_query_errors_total',
+      'counter',
+      'Failed requests to the Railway API, by error kind.',
+      queries.flatMap(([query, entry]) =>
+        [...entry.errors.entries()].map(([kind, value]) => ({ labels: { query, kind }, value }))
+      )
+    );
+
+    writeFamily(
+      lines,
+      'terminus_railway_query_cache_hits_total',
+      'counter',
+      'Railway queries answered from the response cache.',
+      queries.map(([query, entry]) => ({ labels: { query }, value: entry.cacheHits }))
+    );
+  }
+}
+
+const queryMetrics = new QueryMetrics();
+
+// Labels for the environment the event logs come from
+function eventLogsLabels(workspaces, environmentId) {
+  for (const workspace of workspaces) {
+    for (const project of workspace.projects) {
+      const environment = project.environments?.find((env) => env.id === environmentId);
+      if (environment) {
+        return { workspace: workspace.name, project: project.name, environment: environment.name };
+      }
+    }
+  }
+  return { workspace: '', project: '', environment: '' };
+}
+
+// Appends the railway_* gauges for one dashboard fetch
+function writeDashboardMetrics(lines, dashboardData) {
+  writeFamily(lines, 'railway_up', 'gauge', 'Whether the last Railway API fetch succeeded.', [
+    { value: dashboardData.success ? 1 : 0 },
+  ]);
+  if (!dashboardData.success) {
+    return;
+  }
+
+  const generator = new DashboardGenerator();
+  generator.loadData(dashboardData);
+  const { workspaces, volumes, eventLogs } = generator.extractComprehensiveData();
+  const deployments = generator
+    .flattenServices(workspaces)
+    .filter((service) => service.deployment)
+    .map((service) => ({
+      labels: {
+        workspace: service.workspaceName,
+        project: service.projectName,
+        service: service.serviceName,
+        environment: service.environmentName,
+      },
+      deployment: service.deployment,
+    }));
+
+  writeFamily(
+    lines,
+    'railway_deployment_status',
+    'gauge',
+    'Status of the latest deployment per service and environment (always 1).',
+    deployments.map(({ labels, deployment }) => ({
+      labels: { ...labels, status: deployment.status },
+      value: 1,
+    }))
+  );
+
+  writeFamily(
+    lines,
+    'railway_deployment_created_timestamp_seconds',
+    'gauge',
+    'Creation time of the latest deployment per service and environment.',
+    deployments.map(({ labels, deployment }) => ({
+      labels,
+      value: Date.parse(deployment.createdAt) / 1000,
+    }))
+  );
+
+  const volumeLabels = (volume) => ({
+    workspace: volume.workspaceName,
+    project: volume.projectName,
+    service: volume.serviceName,
+    environment: volume.environmentName,
+    volume: volume.volumeName || '',
+    mount_path: volume.mountPath,
+  });
+
+  writeFamily(
+    lines,
+    'railway_volume_used_bytes',
+    'gauge',
+    'Space used on the volume (Railway currentSizeMB).',
+    volumes.map((volume) => ({
+      labels: volumeLabels(volume),
+      value: Math.round(volume.currentSizeMB * MEBIBYTE),
+    }))
+  );
+
+  writeFamily(
+    lines,
+    'railway_volume_size_bytes',
+    'gauge',
+    'Capacity of the volume (Railway sizeMB).',
+    volumes.map((volume) => ({
+      labels: volumeLabels(volume),
+      value: Math.round(volume.sizeMB * MEBIBYTE),
+    }))
+  );
+
+  const logsEnvironmentId = dashboardData.data.eventLogsEnvironmentId;
+  if (logsEnvironmentId) {
+    const counts = new Map(EVENT_SEVERITIES.map((severity) => [severity, 0]));
+    for (const log of eventLogs) {
+      counts.set(log.severity, (counts.get(log.severity) || 0) + 1);
+    }
+
+    const labels = eventLogsLabels(workspaces, logsEnvironmentId);
+    writeFamily(
+      lines,
+      'railway_event_logs',
+      'gauge',
+      'Recent event log entries in the event logs environment, by severity.',
+      [...counts.entries()].map(([severity, value]) => ({
+        labels: { ...labels, severity },
+        value,
+      }))
+    );
+  }
+}
+
+// The full /metrics body for one dashboard fetch
+function renderMetrics(dashboardData, metrics = queryMetrics) {
+  const lines = [];
+  writeDashboardMetrics(lines, dashboardData);
+  metrics.write(lines);
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { CONTENT_TYPE, QueryMetrics, queryMetrics, renderMetrics };
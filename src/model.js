@@ -0,0 +1,297 @@
+const { deploymentTiming } = require('./deployment-timing');
+
+// A normalized view of fetched dashboard data. The Railway queries return
+// overlapping edge/node trees (projects, latest deployments, volumes, event
+// logs); the model flattens them into one collection per entity,
+// cross-referenced by ID:
+//
+//   workspaces       { id, name, projectIds }
+//   projects         { id, name, description, workspaceId, teamId, createdAt,
+//                      serviceIds, environmentIds }
+//   services         { id, name, icon, projectId, createdAt, deploymentIds,
+//                      volumeInstanceIds }
+//   environments     { id, name, projectId, isEphemeral, createdAt }
+//   deployments      { id, status, createdAt, updatedAt, ..., projectId,
+//                      serviceId, environmentId, latest, timing }
+//   volumeInstances  { id, mountPath, currentSizeMB, sizeMB, ..., volumeId,
+//                      volumeName, workspaceId, projectId, serviceId, environmentId }
+//   logEntries       { timestamp, message, severity, environmentId }
+//
+// Something that turns up in more than one query is merged into a single
+// record, so every ID reference resolves. Collections keep the order Railway
+// returned them in, except deployments and log entries, which are newest
+// first. `latest` marks the newest deployment of each service in each
+// environment: the one the dashboard shows. Each deployment's `timing` holds
+// its age and durations as of when the data was fetched (see
+// deployment-timing.js).
+
+// Field order and defaults of the records assembled from several sources
+const TEMPLATES = {
+  workspace: () => ({ id: null, name: null, projectIds: [] }),
+  project: () => ({
+    id: null,
+    name: null,
+    description: null,
+    workspaceId: null,
+    teamId: null,
+    createdAt: null,
+    serviceIds: [],
+    environmentIds: [],
+  }),
+  service: () => ({
+    id: null,
+    name: null,
+    icon: null,
+    projectId: null,
+    createdAt: null,
+    deploymentIds: [],
+    volumeInstanceIds: [],
+  }),
+  environment: () => ({
+    id: null,
+    name: null,
+    projectId: null,
+    isEphemeral: null,
+    createdAt: null,
+  }),
+};
+
+// Adds a record or fills in the fields it's still missing. Values already
+// known are kept: the projects query comes first and is the most complete.
+function upsert(table, template, id, fields) {
+  let record = table.get(id);
+  if (!record) {
+    record = { ...(template ? template() : {}), id };
+    table.set(id, record);
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && (record[key] === undefined || record[key] === null)) {
+      record[key] = value;
+    }
+  }
+  return record;
+}
+
+function link(list, id) {
+  if (id && !list.includes(id)) {
+    list.push(id);
+  }
+}
+
+const nodes = (connection) => (connection?.edges || []).map((edge) => edge?.node).filter(Boolean);
+
+// Projects of an account-shaped workspace, wherever the query put them
+const workspaceProjects = (workspace) => [
+  ...nodes(workspace.projects),
+  ...nodes(workspace.team?.projects),
+];
+
+const byNewest = (field) => (a, b) => (Date.parse(b[field]) || 0) - (Date.parse(a[field]) || 0);
+
+class ModelBuilder {
+  constructor() {
+    this.workspaces = new Map();
+    this.projects = new Map();
+    this.services = new Map();
+    this.environments = new Map();
+    this.deployments = new Map();
+    this.volumeInstances = new Map();
+  }
+
+  workspace(node) {
+    return upsert(this.workspaces, TEMPLATES.workspace, node.id ?? node.name, { name: node.name });
+  }
+
+  project(workspace, node) {
+    const project = upsert(this.projects, TEMPLATES.project, node.id, {
+      name: node.name,
+      description: node.description,
+      workspaceId: workspace.id,
+      teamId: node.teamId,
+      createdAt: node.createdAt,
+    });
+    link(workspace.projectIds, project.id);
+    return project;
+  }
+
+  service(project, node) {
+    const service = upsert(this.services, TEMPLATES.service, node.id, {
+      name: node.name,
+      icon: node.icon,
+      projectId: project.id,
+      createdAt: node.createdAt,
+    });
+    link(project.serviceIds, service.id);
+    return service;
+  }
+
+  environment(project, node) {
+    const environment = upsert(this.environments, TEMPLATES.environment, node.id, {
+      name: node.name,
+      projectId: project.id,
+      isEphemeral: node.isEphemeral,
+      createdAt: node.createdAt,
+    });
+    link(project.environmentIds, environment.id);
+    return environment;
+  }
+
+  addProjects(data) {
+    for (const workspaceNode of data?.me?.workspaces || []) {
+      const workspace = this.workspace(workspaceNode);
+      for (const projectNode of workspaceProjects(workspaceNode)) {
+        const project = this.project(workspace, projectNode);
+        for (const serviceNode of nodes(projectNode.services)) {
+          this.service(project, serviceNode);
+        }
+        for (const environmentNode of nodes(projectNode.environments)) {
+          this.environment(project, environmentNode);
+        }
+      }
+    }
+  }
+
+  addDeployments(data) {
+    for (const workspaceNode of data?.me?.workspaces || []) {
+      const workspace = this.workspace(workspaceNode);
+      for (const projectNode of workspaceProjects(workspaceNode)) {
+        const project = this.project(workspace, projectNode);
+        for (const serviceNode of nodes(projectNode.services)) {
+          const service = this.service(project, serviceNode);
+          for (const node of nodes(serviceNode.deployments)) {
+            const { environment, ...fields } = node;
+            const environmentId = node.environmentId ?? environment?.id;
+            if (environment?.id) {
+              this.environment(project, environment);
+            }
+            upsert(this.deployments, null, node.id, {
+              ...fields,
+              projectId: node.projectId ?? project.id,
+              serviceId: service.id,
+              environmentId,
+            });
+            link(service.deploymentIds, node.id);
+          }
+        }
+      }
+    }
+  }
+
+  addVolumes(data) {
+    for (const workspaceNode of data?.me?.workspaces || []) {
+      const workspace = this.workspace(workspaceNode);
+      for (const projectNode of workspaceProjects(workspaceNode)) {
+        const project = this.project(workspace, projectNode);
+        const context = { workspace, project };
+
+        for (const volume of nodes(projectNode.volumes)) {
+          for (const instance of nodes(volume.volumeInstances)) {
+            this.volumeInstance(instance, { ...context, volume });
+          }
+        }
+        for (const environmentNode of nodes(projectNode.environments)) {
+          const environment = this.environment(project, environmentNode);
+          for (const instance of nodes(environmentNode.volumeInstances)) {
+            this.volumeInstance(instance, { ...context, environment });
+          }
+        }
+      }
+    }
+  }
+
+  // Volume instances are listed both under their volume and under their
+  // environment; the two are merged
+  volumeInstance(node, { workspace, project, volume, environment }) {
+    const {
+      environment: environmentNode,
+      service: serviceNode,
+      volume: volumeNode,
+      ...fields
+    } = node;
+    const volumeId = node.volumeId ?? volume?.id ?? volumeNode?.id;
+    const environmentId = node.environmentId ?? environmentNode?.id ?? environment?.id;
+    const serviceId = node.serviceId ?? serviceNode?.id;
+    const id = node.id ?? `${project.id}-${environmentId}-${volumeId}`;
+
+    if (environmentNode?.id) {
+      this.environment(project, environmentNode);
+    }
+    const service = serviceNode?.id ? this.service(project, serviceNode) : null;
+
+    upsert(this.volumeInstances, null, id, {
+      ...fields,
+      volumeId,
+      volumeName: volume?.name ?? volumeNode?.name,
+      workspaceId: workspace.id,
+      projectId: project.id,
+      serviceId,
+      environmentId,
+    });
+    if (service) {
+      link(service.volumeInstanceIds, id);
+    }
+  }
+
+  build(eventLogs = [], eventLogsEnvironmentId = null, now = new Date().toISOString()) {
+    const deployments = [...this.deployments.values()].sort(byNewest('createdAt'));
+    const seen = new Set();
+    for (const deployment of deployments) {
+      const key = `${deployment.serviceId}:${deployment.environmentId}`;
+      deployment.latest = !seen.has(key);
+      seen.add(key);
+    }
+    // Oldest first, so the one before each deployment is known
+    const previous = new Map();
+    for (const deployment of [...deployments].reverse()) {
+      const key = `${deployment.serviceId}:${deployment.environmentId}`;
+      deployment.timing = deploymentTiming(deployment, previous.get(key) || null, now);
+      previous.set(key, deployment);
+    }
+
+    return {
+      workspaces: [...this.workspaces.values()],
+      projects: [...this.projects.values()],
+      services: [...this.services.values()],
+      environments: [...this.environments.values()],
+      deployments,
+      volumeInstances: [...this.volumeInstances.values()],
+      logEntries: eventLogs
+        .map((log) => ({ ...log, environmentId: eventLogsEnvironmentId }))
+        .sort(byNewest('timestamp')),
+    };
+  }
+}
+
+const models = new WeakMap();
+
+// The model of a successful fetchDashboardData result. Built once per
+// result; treat it as read-only.
+function buildModel(dashboardData) {
+  const data = dashboardData?.success ? dashboardData.data : null;
+  if (!data) {
+    return new ModelBuilder().build();
+  }
+  if (models.has(data)) {
+    return models.get(data);
+  }
+
+  const builder = new ModelBuilder();
+  builder.addProjects(data.projects);
+  builder.addDeployments(data.deployments);
+  builder.addVolumes(data.volumes);
+  const model = builder.build(
+    data.eventLogs?.environmentLogs || [],
+    data.eventLogsEnvironmentId,
+    dashboardData.timestamp
+  );
+
+  models.set(data, model);
+  return model;
+}
+
+// Records of one collection by ID
+function indexById(records) {
+  return new Map(records.map((record) => [record.id, record]));
+}
+
+module.exports = { buildModel, indexById };
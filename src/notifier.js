@@ -0,0 +1,357 @@
+const notificationsConfig = require('./config/notifications');
+const { DashboardGenerator } = require('./generate-html');
+const { getStore } = require('./json-store');
+
+// Watches the latest deployment of every service/environment and posts a
+// webhook when its status changes. State lives in notifications.json:
+//
+//   deployments: "<serviceId>:<environmentId>" -> { deploymentId, status, notifiedAt: { STATUS: iso } }
+//   sent:        "<deploymentId>:<status>" -> iso, so a deployment/status pair is only notified once
+//   baselineAt:  when the first poll was recorded (nothing is notified for it)
+
+const FAILING_STATUSES = ['FAILED', 'CRASHED'];
+
+// How long `sent` entries are kept for deduplication
+const SENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const STATUS_COLORS = {
+  SUCCESS: 0x2eb67d,
+  FAILED: 0xe01e5a,
+  CRASHED: 0xe01e5a,
+};
+const DEFAULT_COLOR = 0x9e9e9e;
+
+class NotifierError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotifierError';
+  }
+}
+
+function notificationStore() {
+  return getStore('notifications.json', { deployments: {}, sent: {}, baselineAt: null });
+}
+
+// Railway dashboard link for a deployment
+function deploymentUrl(deployment) {
+  return (
+    `https://railway.com/project/${deployment.projectId}/service/${deployment.serviceId}` +
+    `?environmentId=${deployment.environmentId}&id=${deployment.id}`
+  );
+}
+
+// Public URL of the deployed service, if it has one
+function serviceUrl(deployment) {
+  const domain = deployment.staticUrl || deployment.url;
+  if (!domain) {
+    return null;
+  }
+  return /^https?:\/\//.test(domain) ? domain : `https://${domain}`;
+}
+
+function eventName(status, previousStatus) {
+  if (FAILING_STATUSES.includes(status)) {
+    return 'deployment.failed';
+  }
+  if (status === 'SUCCESS' && FAILING_STATUSES.includes(previousStatus)) {
+    return 'deployment.recovered';
+  }
+  return 'deployment.status_changed';
+}
+
+// The latest deployment of every service/environment in a dashboard fetch
+function latestDeployments(dashboardData) {
+  const generator = new DashboardGenerator();
+  generator.loadData(dashboardData);
+  const { workspaces } = generator.extractComprehensiveData();
+
+  return generator
+    .flattenServices(workspaces)
+    .filter((service) => service.deployment)
+    .map((service) => ({
+      key: `${service.deployment.serviceId}:${service.deployment.environmentId}`,
+      workspace: service.workspaceName,
+      project: service.projectName,
+      service: service.serviceName,
+      environment: service.environmentName,
+      deployment: service.deployment,
+    }));
+}
+
+// The generic (format "json") notification for a status change
+function buildNotification(entry, previousStatus, timestamp = new Date().toISOString()) {
+  const { deployment } = entry;
+  const meta = deployment.meta || {};
+
+  return {
+    event: eventName(deployment.status, previousStatus),
+    workspace: entry.workspace,
+    project: entry.project,
+    service: entry.service,
+    environment: entry.environment,
+    status: deployment.status,
+    previous_status: previousStatus,
+    deployment: {
+      id: deployment.id,
+      url: deploymentUrl(deployment),
+      service_url: serviceUrl(deployment),
+      created_at: deployment.createdAt,
+      commit: {
+        hash: meta.commitHash || null,
+        message: meta.commitMessage || null,
+        author: meta.commitAuthor || null,
+        branch: meta.branch || null,
+      },
+    },
+    timestamp,
+  };
+}
+
+function summary(notification) {
+  const change = notification.previous_status
+    ? `${notification.previous_status} → ${notification.status}`
+    : notification.status;
+  return `${notification.project}/${notification.service} (${notification.environment}): ${change}`;
+}
+
+function commitLine(commit) {
+  if (!commit.hash && !commit.message) {
+    return null;
+  }
+  const parts = [commit.hash && commit.hash.slice(0, 7), commit.message].filter(Boolean);
+  const by = [commit.branch, commit.author && `by ${commit.author}`].filter(Boolean).join(' ');
+  return `${parts.join(' ')}${by ? ` (${by})` : ''}`;
+}
+
+function slackPayload(notification) {
+  const commit = commitLine(notification.deployment.commit);
+  const lines = [`*${summary(notification)}*`];
+  if (commit) {
+    lines.push(commit);
+  }
+  lines.push(`<${notification.deployment.url}|View deployment>`);
+
+  return {
+    text: summary(notification),
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `${notification.workspace} • ${notification.event}` }],
+      },
+    ],
+  };
+}
+
+function discordPayload(notification) {
+  const commit = commitLine(notification.deployment.commit);
+  const fields = [
+    { name: 'Status', value: notification.status, inline: true },
+    { name: 'Environment', value: notification.environment, inline: true },
+  ];
+  if (notification.previous_status) {
+    fields.push({ name: 'Previous', value: notification.previous_status, inline: true });
+  }
+  if (commit) {
+    fields.push({ name: 'Commit', value: commit });
+  }
+
+  return {
+    content: summary(notification),
+    embeds: [
+      {
+        title: `${notification.project}/${notification.service}`,
+        url: notification.deployment.url,
+        color: STATUS_COLORS[notification.status] ?? DEFAULT_COLOR,
+        fields,
+        footer: { text: notification.workspace },
+        timestamp: notification.timestamp,
+      },
+    ],
+  };
+}
+
+// The webhook body for a notification in the given format
+function formatPayload(notification, format = 'json') {
+  switch (format) {
+    case 'slack':
+      return slackPayload(notification);
+    case 'discord':
+      return discordPayload(notification);
+    default:
+      return notification;
+  }
+}
+
+// Polls `load` (an async function returning dashboard data) every intervalMs
+// and posts a webhook for every notable deployment status change.
+class DeploymentNotifier {
+  constructor({
+    load,
+    webhookUrl = notificationsConfig.webhookUrl,
+    format = notificationsConfig.format,
+    intervalMs = notificationsConfig.pollIntervalMs,
+    cooldownMs = notificationsConfig.cooldownMs,
+    statuses = notificationsConfig.statuses,
+    store = notificationStore(),
+    now = () => Date.now(),
+  }) {
+    this.load = load;
+    this.webhookUrl = webhookUrl;
+    this.format = format;
+    this.intervalMs = intervalMs;
+    this.cooldownMs = cooldownMs;
+    this.statuses = statuses;
+    this.store = store;
+    this.now = now;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    // Don't keep the process alive just to poll
+    this.timer.unref();
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Checks Railway once and returns the notifications that were sent.
+  // Failures are logged; a notification that couldn't be delivered is
+  // retried on the next poll.
+  async poll() {
+    if (this.polling) {
+      return [];
+    }
+    this.polling = true;
+
+    try {
+      const dashboardData = await this.load();
+      if (!dashboardData.success) {
+        throw new NotifierError(dashboardData.error?.message || 'Railway fetch failed');
+      }
+      return await this.process(latestDeployments(dashboardData));
+    } catch (error) {
+      console.error('❌ Deployment notification poll failed:', error.message);
+      return [];
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async process(entries) {
+    const state = this.store.read();
+    const nowMs = this.now();
+    const nowIso = new Date(nowMs).toISOString();
+
+    // The first poll only records where things stand
+    if (!state.baselineAt) {
+      this.store.update((data) => {
+        for (const entry of entries.filter((e) => this.statuses.includes(e.deployment.status))) {
+          data.deployments[entry.key] = {
+            deploymentId: entry.deployment.id,
+            status: entry.deployment.status,
+            notifiedAt: {},
+          };
+        }
+        data.baselineAt = nowIso;
+      });
+      return [];
+    }
+
+    const sent = [];
+    for (const entry of entries) {
+      const { status, id } = entry.deployment;
+      const known = state.deployments[entry.key];
+
+      // Transitional statuses aren't remembered, so BUILDING between two
+      // SUCCESS deployments doesn't count as a change. A new deployment
+      // failing after a failed one does.
+      const unchanged =
+        known?.status === status &&
+        (known.deploymentId === id || !FAILING_STATUSES.includes(status));
+      if (!this.statuses.includes(status) || unchanged) {
+        continue;
+      }
+
+      const dedupKey = `${id}:${status}`;
+      const lastNotified = known?.notifiedAt?.[status];
+      const cooling = lastNotified && nowMs - Date.parse(lastNotified) < this.cooldownMs;
+      // New services are recorded quietly unless their first deployment failed
+      const quiet = !known && !FAILING_STATUSES.includes(status);
+      const notified = !quiet && !cooling && !state.sent[dedupKey];
+
+      if (notified) {
+        const notification = buildNotification(entry, known?.status ?? null, nowIso);
+        try {
+          await this.send(notification);
+        } catch (error) {
+          console.error(
+            `❌ Deployment notification failed (${summary(notification)}):`,
+            error.message
+          );
+          continue;
+        }
+        sent.push(notification);
+        console.log(`🔔 Notified ${summary(notification)}`);
+      }
+
+      this.store.update((data) => {
+        data.deployments[entry.key] = {
+          deploymentId: id,
+          status,
+          notifiedAt: {
+            ...known?.notifiedAt,
+            ...(notified ? { [status]: nowIso } : {}),
+          },
+        };
+        if (notified) {
+          data.sent[dedupKey] = nowIso;
+        }
+      });
+    }
+
+    this.pruneSent(nowMs);
+    return sent;
+  }
+
+  pruneSent(nowMs) {
+    const expired = Object.entries(this.store.read().sent).filter(
+      ([, at]) => nowMs - Date.parse(at) > SENT_RETENTION_MS
+    );
+    if (expired.length > 0) {
+      this.store.update((data) => {
+        for (const [key] of expired) {
+          delete data.sent[key];
+        }
+      });
+    }
+  }
+
+  async send(notification) {
+    const response = await fetch(this.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(formatPayload(notification, this.format)),
+      signal: AbortSignal.timeout(15000),
+    });
+    if (!response.ok) {
+      throw new NotifierError(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = {
+  DeploymentNotifier,
+  NotifierError,
+  buildNotification,
+  formatPayload,
+  latestDeployments,
+};
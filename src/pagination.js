@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+
+// Follows Railway's Relay-style connections to completion.
+//
+// The dashboard queries request `pageInfo { hasNextPage endCursor }` on every
+// connection they page through. After the first response, each connection
+// with more pages is continued with a follow-up query from queries/pages/,
+// keyed by the type of node holding the connection. Those queries spread the
+// same fragments as the base query (ProjectFields, ServiceFields, ...), so the
+// extra nodes come back in the same shape, nested connections included.
+
+const PAGES_DIR = path.join(__dirname, '..', 'queries', 'pages');
+
+// "<holder type>.<field>" -> the follow-up query and the path from its
+// response data to the connection
+const PAGE_QUERIES = {
+  'root.projects': { file: 'team_token_projects.gql', path: ['projects'] },
+  'workspace.projects': { file: 'workspace_projects.gql', path: ['projects'] },
+  'team.projects': { file: 'team_projects.gql', path: ['projects'] },
+  'project.services': { file: 'project_services.gql', path: ['project', 'services'] },
+  'project.environments': { file: 'project_environments.gql', path: ['project', 'environments'] },
+  'project.volumes': { file: 'project_volumes.gql', path: ['project', 'volumes'] },
+  'environment.volumeInstances': {
+    file: 'environment_volume_instances.gql',
+    path: ['environment', 'volumeInstances'],
+  },
+};
+
+// Type of the nodes found under a field
+const FIELD_TYPES = {
+  workspaces: 'workspace',
+  team: 'team',
+  projects: 'project',
+  project: 'project',
+  services: 'service',
+  environments: 'environment',
+  environment: 'environment',
+  volumes: 'volume',
+  volumeInstances: 'volumeInstance',
+};
+
+const spreads = (text) => [...text.matchAll(/\.\.\.(\w+)/g)].map((match) => match[1]);
+
+// Fragment definitions in a query, by name
+function fragmentDefinitions(query) {
+  const fragments = new Map();
+  for (const match of query.matchAll(/fragment\s+(\w+)\s+on\s+\w+\s*\{/g)) {
+    let depth = 0;
+    let end = match.index + match[0].length - 1;
+    for (; end < query.length; end++) {
+      if (query[end] === '{') depth++;
+      if (query[end] === '}' && --depth === 0) break;
+    }
+    fragments.set(match[1], query.slice(match.index, end + 1));
+  }
+  return fragments;
+}
+
+// Variable definitions of a query's operation, e.g. pageSize -> "$pageSize: Int! = 100"
+function variableDefinitions(query) {
+  const header = query.match(/^\s*query\s+\w+\s*\(([^)]*)\)/);
+  const definitions = new Map();
+  for (const definition of (header?.[1] || '').split('$').slice(1)) {
+    const text = definition.trim().replace(/,$/, '').trim();
+    definitions.set(text.split(/\s*:/)[0], `$${text}`);
+  }
+  return definitions;
+}
+
+const pageQueries = new Map();
+
+// A follow-up query completed from the base query: the fragments it spreads
+// (and the ones they spread) are copied over, along with the definitions of
+// variables only those fragments use. Resolves to { query, variableNames }.
+function pageQuery(file, baseQuery) {
+  const key = `${file}\n${baseQuery}`;
+  if (pageQueries.has(key)) {
+    return pageQueries.get(key);
+  }
+
+  let query = fs.readFileSync(path.join(PAGES_DIR, file), 'utf8').trim();
+  const fragments = fragmentDefinitions(baseQuery);
+  const included = [];
+  const pending = spreads(query);
+  while (pending.length) {
+    const name = pending.shift();
+    if (!included.includes(name) && fragments.has(name)) {
+      included.push(name);
+      pending.push(...spreads(fragments.get(name)));
+    }
+  }
+  const fragmentText = included.map((name) => fragments.get(name)).join('\n\n');
+
+  const declared = variableDefinitions(query);
+  const baseDefinitions = variableDefinitions(baseQuery);
+  const missing = [...new Set([...fragmentText.matchAll(/\$(\w+)/g)].map((match) => match[1]))]
+    .filter((name) => !declared.has(name) && baseDefinitions.has(name))
+    .map((name) => baseDefinitions.get(name));
+  if (missing.length) {
+    query = query.replace(/\)\s*\{/, `, ${missing.join(', ')}) {`);
+  }
+
+  const result = {
+    query: [query, fragmentText].filter(Boolean).join('\n\n'),
+    variableNames: [...variableDefinitions(query).keys()],
+  };
+  pageQueries.set(key, result);
+  return result;
+}
+
+// Connections under `value` with more pages to fetch, as
+// { type, field, holder, connection }, where holder is the object the
+// connection is a field of and type is the holder's node type
+function openConnections(value, type = 'root', found = []) {
+  if (!value || typeof value !== 'object') {
+    return found;
+  }
+
+  for (const [field, child] of Object.entries(value)) {
+    if (!child || typeof child !== 'object') continue;
+    const childType = FIELD_TYPES[field] || field;
+
+    if (Array.isArray(child.edges)) {
+      if (child.pageInfo?.hasNextPage) {
+        found.push({ type, field, holder: value, connection: child });
+      }
+      for (const edge of child.edges) {
+        openConnections(edge?.node, childType, found);
+      }
+    } else if (Array.isArray(child)) {
+      for (const item of child) {
+        openConnections(item, childType, found);
+      }
+    } else {
+      openConnections(child, childType, found);
+    }
+  }
+  return found;
+}
+
+// `field` connections under `value` that hold `limit` edges or more, as
+// incomplete entries: a query asking for first: limit of them may have been
+// cut short, with no page to follow
+function limitedConnections(value, field, limit, type = 'root', found = []) {
+  if (!value || typeof value !== 'object') {
+    return found;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (!child || typeof child !== 'object') continue;
+    const childType = FIELD_TYPES[key] || key;
+
+    if (key === field && Array.isArray(child.edges) && child.edges.length >= limit) {
+      found.push({ connection: connectionLabel({ type, field, holder: value }), reason: 'limit' });
+    }
+    const children = Array.isArray(child.edges)
+      ? child.edges.map((edge) => edge?.node)
+      : [child].flat();
+    for (const item of children) {
+      limitedConnections(item, field, limit, childType, found);
+    }
+  }
+  return found;
+}
+
+function connectionLabel({ type, field, holder }) {
+  return type === 'root' ? field : `${type}(${holder.id}).${field}`;
+}
+
+// Fetches the remaining pages of every connection in `data` (the response to
+// `query` with `variables`) and appends their edges in place. Connections
+// that turn up in the new pages are followed too. request(query, variables)
+// sends one follow-up query and resolves to its data.
+//
+// Never rejects. Resolves to { pages, complete, incomplete }, where
+// incomplete lists the connections still missing pages and why: `error`,
+// `max_pages` once maxPages follow-ups were sent, or `unsupported` when
+// there's no follow-up query for that kind of connection.
+async function fetchRemainingPages(data, { query, variables = {}, request, pageSize, maxPages }) {
+  const queue = openConnections(data);
+  const incomplete = [];
+  let pages = 0;
+
+  while (queue.length) {
+    const open = queue.shift();
+    const connection = connectionLabel(open);
+    const spec = PAGE_QUERIES[`${open.type}.${open.field}`];
+    if (!spec) {
+      incomplete.push({ connection, reason: 'unsupported' });
+      continue;
+    }
+    if (pages >= maxPages) {
+      incomplete.push({ connection, reason: 'max_pages' });
+      continue;
+    }
+
+    const page = pageQuery(spec.file, query);
+    const values = {
+      ...variables,
+      id: open.holder.id,
+      pageSize,
+      after: open.connection.pageInfo.endCursor,
+    };
+    const pageVariables = Object.fromEntries(
+      page.variableNames.filter((name) => name in values).map((name) => [name, values[name]])
+    );
+
+    pages++;
+    let next;
+    try {
+      const result = await request(page.query, pageVariables);
+      next = spec.path.reduce((value, key) => value?.[key], result);
+      if (!Array.isArray(next?.edges)) {
+        throw new Error('The response has no page of results');
+      }
+    } catch (error) {
+      incomplete.push({ connection, reason: 'error', message: error.message });
+      continue;
+    }
+
+    open.connection.edges.push(...next.edges);
+    open.connection.pageInfo = next.pageInfo;
+    for (const edge of next.edges) {
+      openConnections(edge?.node, FIELD_TYPES[open.field], queue);
+    }
+    if (next.pageInfo?.hasNextPage) {
+      queue.push(open);
+    }
+  }
+
+  return { pages, complete: incomplete.length === 0, incomplete };
+}
+
+module.exports = { fetchRemainingPages, limitedConnections, openConnections, pageQuery };
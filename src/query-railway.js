@@ -1,19 +1,189 @@
+const http = require('http');
 const https = require('https');
-const fs = require('fs');
-const path = require('path');
 const eventLogsConfig = require('./config/event-logs');
+const queriesConfig = require('./config/queries');
+const retryConfig = require('./config/retry');
+const paginationConfig = require('./config/pagination');
+const { ResponseCache, sharedCache } = require('./cache');
+const { RailwayApiError, classifyGraphQLErrors, classifyHttpStatus } = require('./errors');
+const { TOKEN_TYPES, PROBES, authHeaders, loadQuery, toAccountShape } = require('./token-types');
+const { normalizeScope, eventLogsOutsideScope, scopeAccountData } = require('./scope');
+const {
+  activeFilters,
+  describeFilters,
+  environmentCatalog,
+  compileFilters,
+  filterAccountData,
+} = require('./filters');
+const { queryMetrics } = require('./metrics');
+const { fetchRemainingPages, limitedConnections } = require('./pagination');
 
 const RAILWAY_API_URL = 'https://backboard.railway.com/graphql/v2';
 
+// Deployments per service in latest_deployments.gql, across its environments
+const LATEST_DEPLOYMENTS_PER_SERVICE = 4;
+
+// Log queries of a deployment by log type
+const DEPLOYMENT_LOG_QUERIES = {
+  build: 'logs/build_logs.gql',
+  runtime: 'logs/deployment_logs.gql',
+};
+
+// Rate-limit reset times reported by Railway, keyed by token
+const rateLimits = new Map();
+
+// Detected token type (and project scope), keyed by token
+const tokenInfoByToken = new Map();
+
+// Milliseconds to wait according to Retry-After or X-RateLimit-Reset, if sent
+function retryAfterFromHeaders(headers) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const reset = Number(headers['x-ratelimit-reset']);
+  if (headers['x-ratelimit-reset'] && Number.isFinite(reset)) {
+    // Either a Unix timestamp in seconds or seconds until the window resets
+    return Math.max(0, reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000);
+  }
+
+  return null;
+}
+
 class RailwayClient {
-  constructor(token) {
+  constructor(token, options = {}) {
     if (!token) {
       throw new Error('RAILWAY_TOKEN is required');
     }
     this.token = token;
+    this.cache = options.cache || sharedCache;
+    // Point at a different GraphQL endpoint, e.g. the mock server used by the tests
+    this.apiUrl = new URL(options.apiUrl || process.env.RAILWAY_API_URL || RAILWAY_API_URL);
+    // account, team, project, or auto to detect it on first use
+    this.tokenType = options.tokenType || process.env.RAILWAY_TOKEN_TYPE || 'auto';
+    if (this.tokenType !== 'auto' && !TOKEN_TYPES.includes(this.tokenType)) {
+      throw new Error(
+        `Invalid RAILWAY_TOKEN_TYPE "${this.tokenType}" (expected auto, ${TOKEN_TYPES.join(', ')})`
+      );
+    }
+  }
+
+  // Resolves to { type, projectId?, environmentId? } for this client's token.
+  // Detection runs once per token and process.
+  async resolveTokenInfo() {
+    const key = `${this.tokenType}:${this.token}`;
+    if (!tokenInfoByToken.has(key)) {
+      const pending = this.detectTokenInfo();
+      tokenInfoByToken.set(key, pending);
+      pending.catch(() => tokenInfoByToken.delete(key));
+    }
+    return tokenInfoByToken.get(key);
+  }
+
+  async detectTokenInfo() {
+    if (this.tokenType === 'project') {
+      return this.fetchProjectTokenInfo();
+    }
+    if (this.tokenType !== 'auto') {
+      return { type: this.tokenType };
+    }
+
+    // Try each token type in turn; only an auth error means "not this type"
+    try {
+      await this.makeGraphQLRequest(PROBES.account, {}, 'Account Token Probe', {
+        tokenType: 'account',
+      });
+      console.log('🔑 Detected Railway account token');
+      return { type: 'account' };
+    } catch (error) {
+      if (error.kind !== 'auth') throw error;
+    }
+
+    try {
+      const tokenInfo = await this.fetchProjectTokenInfo();
+      console.log(`🔑 Detected Railway project token for project ${tokenInfo.projectId}`);
+      return tokenInfo;
+    } catch (error) {
+      if (error.kind !== 'auth') throw error;
+    }
+
+    await this.makeGraphQLRequest(PROBES.team, {}, 'Team Token Probe', { tokenType: 'team' });
+    console.log('🔑 Detected Railway team token');
+    return { type: 'team' };
+  }
+
+  async fetchProjectTokenInfo() {
+    const data = await this.makeGraphQLRequest(
+      loadQuery('project', 'project_token.gql'),
+      {},
+      'Project Token Info',
+      { tokenType: 'project' }
+    );
+    return {
+      type: 'project',
+      projectId: data.projectToken.projectId,
+      environmentId: data.projectToken.environmentId,
+    };
+  }
+
+  // Sends a GraphQL request, retrying transient failures with jittered
+  // exponential backoff. options.timeoutMs is the deadline for the whole call,
+  // retries included. Rejects with a RailwayApiError.
+  async makeGraphQLRequest(query, variables = {}, queryName = 'Unknown', options = {}) {
+    const { timeoutMs, maxAttempts = retryConfig.maxAttempts } = options;
+    const deadline = timeoutMs > 0 ? Date.now() + timeoutMs : null;
+    const remainingMs = () => (deadline ? deadline - Date.now() : Infinity);
+    const tokenType = options.tokenType || (await this.resolveTokenInfo()).type;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        this.checkRateLimit(queryName);
+        return await this.timedRequest(query, variables, queryName, remainingMs(), tokenType);
+      } catch (error) {
+        error.attempts = attempt;
+
+        const delayMs = this.retryDelay(error, attempt);
+        if (
+          !error.retryable ||
+          attempt >= maxAttempts ||
+          delayMs === null ||
+          delayMs >= remainingMs()
+        ) {
+          throw error;
+        }
+
+        console.warn(
+          `⚠️  ${queryName} attempt ${attempt} failed (${error.kind}), retrying in ${delayMs}ms`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  // sendGraphQLRequest, recording its latency and outcome for /metrics
+  async timedRequest(query, variables, queryName, timeoutMs, tokenType) {
+    const startedAt = performance.now();
+    const elapsed = () => (performance.now() - startedAt) / 1000;
+    try {
+      const data = await this.sendGraphQLRequest(query, variables, queryName, timeoutMs, tokenType);
+      queryMetrics.observe(queryName, elapsed());
+      return data;
+    } catch (error) {
+      queryMetrics.observe(queryName, elapsed(), error.kind || 'unknown');
+      throw error;
+    }
   }
 
-  async makeGraphQLRequest(query, variables = {}, queryName = 'Unknown') {
+  // A single HTTP round-trip to the Railway API
+  sendGraphQLRequest(query, variables, queryName, timeoutMs, tokenType) {
     return new Promise((resolve, reject) => {
       const data = JSON.stringify({
         query: query,
@@ -22,431 +192,414 @@ class RailwayClient {
 
       console.log(`🔍 Executing ${queryName} query...`);
 
-      const options = {
-        hostname: 'backboard.railway.com',
-        port: 443,
-        path: '/graphql/v2',
+      const isHttps = this.apiUrl.protocol === 'https:';
+      const requestOptions = {
+        hostname: this.apiUrl.hostname,
+        port: this.apiUrl.port || (isHttps ? 443 : 80),
+        path: `${this.apiUrl.pathname}${this.apiUrl.search}`,
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${this.token}`,
-          'Content-Length': data.length,
+          ...authHeaders(tokenType, this.token),
+          'Content-Length': Buffer.byteLength(data),
         },
       };
 
-      const req = https.request(options, (res) => {
+      let timer = null;
+      const finish = (callback, value) => {
+        clearTimeout(timer);
+        callback(value);
+      };
+
+      const req = (isHttps ? https : http).request(requestOptions, (res) => {
         let responseData = '';
         res.on('data', (chunk) => {
           responseData += chunk;
         });
         res.on('end', () => {
+          const status = res.statusCode;
+          const retryAfterMs = retryAfterFromHeaders(res.headers);
+          this.recordRateLimit(status, res.headers, retryAfterMs);
+
+          let parsed = null;
           try {
-            const parsed = JSON.parse(responseData);
-            if (parsed.errors) {
-              const errorMessages = parsed.errors.map((err) => err.message).join(', ');
-              reject(
-                new Error(
-                  `${queryName} query failed - Railway API Error: ${errorMessages}. Response: ${responseData}`
+            parsed = JSON.parse(responseData);
+          } catch (e) {
+            if (status >= 200 && status < 300) {
+              finish(
+                reject,
+                new RailwayApiError(
+                  `${queryName} query failed - Failed to parse response: ${e.message}. Raw response: ${responseData.substring(0, 200)}`,
+                  { kind: 'parse', queryName, status }
                 )
               );
-            } else {
-              console.log(`✅ ${queryName} query successful`);
-              resolve(parsed.data);
+              return;
             }
-          } catch (e) {
-            reject(
-              new Error(
-                `${queryName} query failed - Failed to parse response: ${e.message}. Raw response: ${responseData.substring(0, 200)}`
+          }
+
+          const graphqlErrors = (parsed?.errors || []).map((err) => ({
+            message: err.message,
+            code: err.extensions?.code || null,
+          }));
+
+          if (status < 200 || status >= 300) {
+            const detail = graphqlErrors.length
+              ? graphqlErrors.map((err) => err.message).join(', ')
+              : responseData.substring(0, 200);
+            finish(
+              reject,
+              new RailwayApiError(`${queryName} query failed - HTTP ${status}: ${detail}`, {
+                ...classifyHttpStatus(status),
+                queryName,
+                status,
+                retryAfterMs,
+                graphqlErrors,
+              })
+            );
+            return;
+          }
+
+          if (parsed?.errors) {
+            const errorMessages = parsed.errors.map((err) => err.message).join(', ');
+            finish(
+              reject,
+              new RailwayApiError(
+                `${queryName} query failed - Railway API Error: ${errorMessages}. Response: ${responseData}`,
+                {
+                  ...classifyGraphQLErrors(parsed.errors),
+                  queryName,
+                  status,
+                  retryAfterMs,
+                  graphqlErrors,
+                }
               )
             );
+          } else if (typeof parsed !== 'object' || parsed === null || !('data' in parsed)) {
+            finish(
+              reject,
+              new RailwayApiError(
+                `${queryName} query failed - Response has no data. Raw response: ${responseData.substring(0, 200)}`,
+                { kind: 'parse', queryName, status }
+              )
+            );
+          } else {
+            console.log(`✅ ${queryName} query successful`);
+            finish(resolve, parsed.data);
           }
         });
       });
 
       req.on('error', (error) => {
-        reject(new Error(`${queryName} query failed - Network error: ${error.message}`));
+        if (error instanceof RailwayApiError) {
+          finish(reject, error);
+          return;
+        }
+        finish(
+          reject,
+          new RailwayApiError(`${queryName} query failed - Network error: ${error.message}`, {
+            kind: 'network',
+            queryName,
+            retryable: true,
+          })
+        );
       });
 
+      // Abort the request (and its socket) once the deadline passes
+      if (timeoutMs !== Infinity) {
+        timer = setTimeout(
+          () => {
+            req.destroy(
+              new RailwayApiError(`${queryName} query timed out`, {
+                kind: 'timeout',
+                queryName,
+              })
+            );
+          },
+          Math.max(timeoutMs, 0)
+        );
+      }
+
       req.write(data);
       req.end();
     });
   }
 
-  // Helper function to filter Railway API data based on project, service, and environment IDs
-  filterData(data, filters) {
-    if (!data || !data.me || !data.me.workspaces || !filters) {
-      return data;
+  // Fails fast while Railway has told us to back off, so the wait is handled
+  // by the retry loop instead of spending another request.
+  checkRateLimit(queryName) {
+    const blockedUntil = rateLimits.get(this.token) || 0;
+    const waitMs = blockedUntil - Date.now();
+    if (waitMs > 0) {
+      throw new RailwayApiError(
+        `${queryName} query skipped - Railway rate limit resets in ${Math.ceil(waitMs / 1000)}s`,
+        { kind: 'rate_limited', queryName, retryable: true, retryAfterMs: waitMs }
+      );
     }
+  }
 
-    const { projectId, serviceId, environmentId } = filters;
-
-    // If no filters are provided, return original data
-    if (!projectId && !serviceId && !environmentId) {
-      return data;
+  recordRateLimit(status, headers, retryAfterMs) {
+    const exhausted = status === 429 || headers['x-ratelimit-remaining'] === '0';
+    if (exhausted && retryAfterMs) {
+      rateLimits.set(this.token, Date.now() + retryAfterMs);
     }
-
-    const filteredData = {
-      ...data,
-      me: {
-        ...data.me,
-        workspaces: data.me.workspaces.map((workspace) => ({
-          ...workspace,
-          team: {
-            ...workspace.team,
-            projects: {
-              ...workspace.team.projects,
-              edges: workspace.team.projects.edges
-                .filter((projectEdge) => {
-                  const project = projectEdge.node;
-
-                  // Filter by project ID if specified
-                  if (projectId && project.id !== projectId) {
-                    return false;
-                  }
-
-                  return true;
-                })
-                .map((projectEdge) => ({
-                  ...projectEdge,
-                  node: {
-                    ...projectEdge.node,
-                    services: projectEdge.node.services
-                      ? {
-                          ...projectEdge.node.services,
-                          edges: projectEdge.node.services.edges
-                            .filter((serviceEdge) => {
-                              const service = serviceEdge.node;
-
-                              // Filter by service ID if specified
-                              if (serviceId && service.id !== serviceId) {
-                                return false;
-                              }
-
-                              return true;
-                            })
-                            .map((serviceEdge) => ({
-                              ...serviceEdge,
-                              node: {
-                                ...serviceEdge.node,
-                                deployments: serviceEdge.node.deployments
-                                  ? {
-                                      ...serviceEdge.node.deployments,
-                                      edges: serviceEdge.node.deployments.edges.filter(
-                                        (deploymentEdge) => {
-                                          const deployment = deploymentEdge.node;
-
-                                          // Filter by environment name/ID if specified
-                                          if (
-                                            environmentId &&
-                                            deployment.environment &&
-                                            deployment.environment.name !== environmentId
-                                          ) {
-                                            return false;
-                                          }
-
-                                          return true;
-                                        }
-                                      ),
-                                    }
-                                  : serviceEdge.node.deployments,
-                              },
-                            })),
-                        }
-                      : projectEdge.node.services,
-                    environments: projectEdge.node.environments
-                      ? {
-                          ...projectEdge.node.environments,
-                          edges: projectEdge.node.environments.edges.filter((envEdge) => {
-                            const environment = envEdge.node;
-
-                            // Filter by environment name/ID if specified
-                            if (
-                              environmentId &&
-                              environment.name !== environmentId &&
-                              environment.id !== environmentId
-                            ) {
-                              return false;
-                            }
-
-                            return true;
-                          }),
-                        }
-                      : projectEdge.node.environments,
-                  },
-                })),
-            },
-          },
-        })),
-      },
-    };
-
-    return filteredData;
   }
 
-  // Specific filtering methods for comprehensive queries
-  filterProjectsData(data, filters) {
-    if (!data?.me?.workspaces || !filters) return data;
+  // Returns the delay before the next attempt, or null when the server asked
+  // us to wait longer than we are willing to.
+  retryDelay(error, attempt) {
+    const { baseDelayMs, maxDelayMs, maxRetryAfterMs } = retryConfig;
+    const backoffMs = Math.round(
+      Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1))
+    );
+
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      if (error.retryAfterMs > maxRetryAfterMs) {
+        return null;
+      }
+      return Math.max(Math.ceil(error.retryAfterMs), backoffMs);
+    }
 
-    const { projectId, serviceId } = filters;
-    if (!projectId && !serviceId) return data;
+    return backoffMs;
+  }
 
-    const filteredData = {
-      ...data,
-      me: {
-        ...data.me,
-        workspaces: data.me.workspaces.map((workspace) => ({
-          ...workspace,
-          team: {
-            ...workspace.team,
-            projects: {
-              ...workspace.team.projects,
-              edges: workspace.team.projects.edges
-                .filter((projectEdge) => {
-                  const project = projectEdge.node;
-
-                  // Filter by project ID if specified
-                  if (projectId && project.id !== projectId) {
-                    return false;
-                  }
-
-                  return true;
-                })
-                .map((projectEdge) => ({
-                  ...projectEdge,
-                  node: {
-                    ...projectEdge.node,
-                    services: projectEdge.node.services
-                      ? {
-                          ...projectEdge.node.services,
-                          edges: projectEdge.node.services.edges.filter((serviceEdge) => {
-                            const service = serviceEdge.node;
-
-                            // Filter by service ID if specified
-                            if (serviceId && service.id !== serviceId) {
-                              return false;
-                            }
-
-                            return true;
-                          }),
-                        }
-                      : projectEdge.node.services,
-                  },
-                })),
-            },
-          },
-        })),
+  // makeGraphQLRequest followed by the remaining pages of every connection in
+  // the response (see pagination.js), all within options.timeoutMs. Resolves
+  // to { data, pagination }.
+  async fetchAllPages(query, variables, queryName, options = {}) {
+    const deadline = options.timeoutMs > 0 ? Date.now() + options.timeoutMs : null;
+    const data = await this.makeGraphQLRequest(query, variables, queryName, options);
+
+    const pagination = await fetchRemainingPages(data, {
+      query,
+      variables,
+      pageSize: paginationConfig.pageSize,
+      maxPages: paginationConfig.maxPages,
+      request: (pageQuery, pageVariables) => {
+        const timeoutMs = deadline ? deadline - Date.now() : undefined;
+        if (timeoutMs !== undefined && timeoutMs <= 0) {
+          throw new RailwayApiError(`${queryName} query timed out`, { kind: 'timeout', queryName });
+        }
+        return this.makeGraphQLRequest(pageQuery, pageVariables, `${queryName} (next page)`, {
+          timeoutMs,
+        });
       },
-    };
+    });
 
-    return filteredData;
+    if (!pagination.complete) {
+      console.warn(
+        `⚠️  ${queryName} is incomplete, missing pages of: ${pagination.incomplete.map((entry) => `${entry.connection} (${entry.reason})`).join(', ')}`
+      );
+    }
+    return { data, pagination };
   }
 
-  filterDeploymentsData(data, filters) {
-    if (!data?.deployments?.edges || !filters) return data;
-
-    const { projectId, serviceId, environmentId } = filters;
-    if (!projectId && !serviceId && !environmentId) return data;
-
-    const filteredData = {
-      ...data,
-      deployments: {
-        ...data.deployments,
-        edges: data.deployments.edges.filter((deploymentEdge) => {
-          const deployment = deploymentEdge.node;
-
-          // Filter by project ID if specified
-          if (projectId && deployment.projectId !== projectId) {
-            return false;
-          }
-
-          // Filter by service ID if specified
-          if (serviceId && deployment.serviceId !== serviceId) {
-            return false;
-          }
-
-          // Filter by environment ID if specified
-          if (environmentId && deployment.environmentId !== environmentId) {
-            return false;
-          }
+  // Same as makeGraphQLRequest, but served from the shared response cache when a
+  // fresh copy exists. cacheName selects the TTL from config/queries.js. With
+  // options.paginate every page is fetched (see fetchAllPages) and the result
+  // includes `pagination`.
+  async cachedGraphQLRequest(
+    cacheName,
+    query,
+    variables = {},
+    queryName = 'Unknown',
+    options = {}
+  ) {
+    const ttlMs = queriesConfig[cacheName]?.cacheTtlMs ?? 0;
+    const key = ResponseCache.keyFor(this.token, query, variables);
+
+    const result = await this.cache.getOrFetch(key, ttlMs, () =>
+      options.paginate
+        ? this.fetchAllPages(query, variables, queryName, options)
+        : this.makeGraphQLRequest(query, variables, queryName, options)
+    );
+
+    if (result.hit) {
+      queryMetrics.recordCacheHit(queryName);
+    }
+    if (result.hit || result.coalesced) {
+      console.log(
+        `♻️  ${queryName} served from ${result.hit ? 'cache' : 'in-flight request'} (age ${Math.round(result.ageMs / 1000)}s)`
+      );
+    }
 
-          return true;
-        }),
+    return {
+      data: options.paginate ? result.value.data : result.value,
+      ...(options.paginate && { pagination: result.value.pagination }),
+      cache: {
+        hit: result.hit,
+        coalesced: result.coalesced,
+        ageMs: result.ageMs,
+        ttlMs,
       },
     };
-
-    return filteredData;
   }
 
-  filterVolumesData(data, filters) {
-    if (!data?.me?.workspaces || !filters) return data;
-
-    const { projectId, serviceId, environmentId } = filters;
-    if (!projectId && !serviceId && !environmentId) return data;
-
-    const matchesEnvironment = (instance) => {
-      if (!environmentId) return true;
-      if (instance?.environmentId && instance.environmentId === environmentId) return true;
-      if (instance?.environment?.id && instance.environment.id === environmentId) return true;
-      return false;
-    };
-
-    const matchesService = (instance) => {
-      if (!serviceId) return true;
-      if (instance?.serviceId && instance.serviceId === serviceId) return true;
-      if (instance?.service?.id && instance.service.id === serviceId) return true;
-      return false;
-    };
-
-    const filterInstanceConnection = (connection) => {
-      if (!connection?.edges) return connection;
+  // Runs one dashboard query within its configured deadline. Never throws: on
+  // failure or timeout the fallback is returned so only that panel is affected.
+  // options.paginate fetches every page of the query's connections.
+  async runDashboardQuery(name, query, variables, queryName, fallback, options = {}) {
+    const timeoutMs = queriesConfig[name]?.timeoutMs;
+    const startedAt = Date.now();
 
-      const filteredEdges = connection.edges.filter((edge) => {
-        const instance = edge?.node;
-        if (!instance) return false;
-        return matchesEnvironment(instance) && matchesService(instance);
+    try {
+      const result = await this.cachedGraphQLRequest(name, query, variables, queryName, {
+        timeoutMs,
+        paginate: options.paginate,
       });
+      return {
+        data: result.data,
+        pagination: result.pagination,
+        cache: result.cache,
+        timing: {
+          status: result.cache.hit ? 'cached' : 'ok',
+          durationMs: Date.now() - startedAt,
+          timeoutMs,
+        },
+      };
+    } catch (error) {
+      const status = error.timedOut ? 'timeout' : 'error';
+      console.error(
+        `❌ ${queryName} query ${status === 'timeout' ? 'timed out' : 'failed'}:`,
+        error.message
+      );
+      return {
+        data: fallback,
+        error,
+        timing: {
+          status,
+          durationMs: Date.now() - startedAt,
+          timeoutMs,
+        },
+      };
+    }
+  }
 
-      return { ...connection, edges: filteredEdges };
-    };
-
-    const filterProjectConnection = (connection) => {
-      if (!connection?.edges) return connection;
-
-      const filteredEdges = connection.edges
-        .filter((edge) => {
-          if (!projectId) return true;
-          return edge?.node?.id === projectId;
-        })
-        .map((edge) => {
-          if (!edge?.node) return edge;
-
-          const projectNode = { ...edge.node };
-
-          if (projectNode.volumes?.edges) {
-            const filteredVolumeEdges = projectNode.volumes.edges
-              .map((volumeEdge) => {
-                const volumeNode = volumeEdge?.node;
-                if (!volumeNode) return null;
-
-                const filteredInstances = filterInstanceConnection(volumeNode.volumeInstances);
-                if (
-                  (serviceId || environmentId) &&
-                  (!filteredInstances?.edges || filteredInstances.edges.length === 0)
-                ) {
-                  return null;
-                }
-
-                return {
-                  ...volumeEdge,
-                  node: {
-                    ...volumeNode,
-                    volumeInstances: filteredInstances,
-                  },
-                };
-              })
-              .filter(Boolean);
-
-            projectNode.volumes = { ...projectNode.volumes, edges: filteredVolumeEdges };
-          }
-
-          if (projectNode.environments?.edges) {
-            const filteredEnvironmentEdges = projectNode.environments.edges
-              .filter((envEdge) => {
-                const envNode = envEdge?.node;
-                if (!envNode) return false;
-                if (environmentId && envNode.id !== environmentId) {
-                  return false;
-                }
-                return true;
-              })
-              .map((envEdge) => {
-                const envNode = envEdge.node;
-                if (!envNode?.volumeInstances) {
-                  return envEdge;
-                }
-
-                const filteredInstances = filterInstanceConnection(envNode.volumeInstances);
-                if (
-                  serviceId &&
-                  (!filteredInstances?.edges || filteredInstances.edges.length === 0)
-                ) {
-                  return null;
-                }
-
-                return {
-                  ...envEdge,
-                  node: {
-                    ...envNode,
-                    volumeInstances: filteredInstances,
-                  },
-                };
-              })
-              .filter(Boolean);
-
-            projectNode.environments = {
-              ...projectNode.environments,
-              edges: filteredEnvironmentEdges,
-            };
-          }
-
-          return { ...edge, node: projectNode };
-        })
-        .filter((edge) => {
-          if (!edge?.node) return false;
-          if (!(serviceId || environmentId)) {
-            return true;
-          }
+  // One page of a service's deployments in one environment, newest first.
+  // Used to backfill the deployment history; resolves to the `deployments`
+  // connection with its pageInfo.
+  async fetchDeploymentPage({ projectId, serviceId, environmentId }, { first, after = null }) {
+    const tokenInfo = await this.resolveTokenInfo();
+    const data = await this.makeGraphQLRequest(
+      loadQuery(tokenInfo.type, 'deployment_history.gql'),
+      { projectId, serviceId, environmentId, first, after },
+      'Deployment History',
+      { timeoutMs: queriesConfig.deploymentHistory.timeoutMs }
+    );
+    return data.deployments;
+  }
 
-          const hasVolumeInstances = Boolean(
-            edge.node.volumes?.edges?.some(
-              (volumeEdge) => volumeEdge?.node?.volumeInstances?.edges?.length
-            ) ||
-              edge.node.environments?.edges?.some(
-                (envEdge) => envEdge?.node?.volumeInstances?.edges?.length
-              )
-          );
+  // One deployment, to check an action or a log request against (see
+  // deployment-actions.js and deployment-logs.js). Resolves to null if
+  // Railway doesn't know the ID.
+  async fetchDeployment(id) {
+    const tokenInfo = await this.resolveTokenInfo();
+    try {
+      const data = await this.makeGraphQLRequest(
+        loadQuery(tokenInfo.type, 'actions/deployment.gql'),
+        { id },
+        'Deployment',
+        { timeoutMs: queriesConfig.actions.timeoutMs }
+      );
+      return data.deployment || null;
+    } catch (error) {
+      if (error.kind === 'graphql' && /not found/i.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+  }
 
-          return hasVolumeInstances;
-        });
+  // Runs one of the deployment mutations in queries/actions/ and resolves to
+  // its result. A mutation may have been applied even when its response was
+  // lost, so it is never retried. Cached responses are dropped afterwards so
+  // the next refresh shows the change.
+  async mutateDeployment(action, id) {
+    const tokenInfo = await this.resolveTokenInfo();
+    const query = loadQuery(tokenInfo.type, `actions/${action}.gql`);
+    // Each mutation is named after the field it calls
+    const field = /mutation\s+(\w+)/.exec(query)[1];
+    const data = await this.makeGraphQLRequest(query, { id }, `Deployment ${action}`, {
+      timeoutMs: queriesConfig.actions.timeoutMs,
+      maxAttempts: 1,
+    });
+    this.cache.clear();
+    return data[field];
+  }
 
-      return { ...connection, edges: filteredEdges };
-    };
+  // Build or runtime log lines of one deployment, oldest first. `type` is
+  // "build" or "runtime"; startDate and endDate are ISO 8601 timestamps and
+  // filter uses Railway's log search syntax.
+  async fetchDeploymentLogs(type, deploymentId, { limit, startDate, endDate, filter } = {}) {
+    const tokenInfo = await this.resolveTokenInfo();
+    const query = loadQuery(tokenInfo.type, DEPLOYMENT_LOG_QUERIES[type]);
+    // Each query is named after the field it reads
+    const field = /query\s+(\w+)/.exec(query)[1];
+    const data = await this.makeGraphQLRequest(
+      query,
+      { deploymentId, limit, startDate, endDate, filter },
+      type === 'build' ? 'Build Logs' : 'Deployment Logs',
+      { timeoutMs: queriesConfig.deploymentLogs.timeoutMs }
+    );
+    return (data[field] || [])
+      .filter(Boolean)
+      .sort((a, b) => (Date.parse(a.timestamp) || 0) - (Date.parse(b.timestamp) || 0));
+  }
 
-    const filteredWorkspaces = data.me.workspaces.map((workspace) => {
-      const workspaceResult = { ...workspace };
+  // Filters account-shaped Railway data by project, service and environment
+  // (see filters.js for the filter language). `environments` is the
+  // environmentCatalog of the projects data, for data that lacks
+  // environment names or ephemeral flags; by default it comes from `data`.
+  filterData(data, filters, environments) {
+    if (!data?.me?.workspaces || !filters) return data;
+    return filterAccountData(data, filters, environments);
+  }
 
-      if (workspace.projects) {
-        workspaceResult.projects = filterProjectConnection(workspace.projects);
-      }
+  // Specific filtering methods for comprehensive queries
+  filterProjectsData(data, filters) {
+    return this.filterData(data, filters);
+  }
 
-      if (workspace.team?.projects) {
-        workspaceResult.team = {
-          ...workspace.team,
-          projects: filterProjectConnection(workspace.team.projects),
-        };
-      }
+  filterDeploymentsData(data, filters, environments) {
+    if (!filters) return data;
+    if (data?.me?.workspaces) {
+      return this.filterData(data, filters, environments);
+    }
 
-      return workspaceResult;
-    });
+    // A flat deployments connection, as returned by deployments(input:)
+    if (!data?.deployments?.edges) return data;
+    const rules = compileFilters(filters, environments);
+    if (!rules) return data;
 
+    const passes = (rule, item) => !rule || rule(item);
     return {
       ...data,
-      me: {
-        ...data.me,
-        workspaces: filteredWorkspaces,
+      deployments: {
+        ...data.deployments,
+        edges: data.deployments.edges.filter(({ node: deployment }) => {
+          return (
+            passes(rules.project, { id: deployment.projectId, ...deployment.project }) &&
+            passes(rules.service, { id: deployment.serviceId, ...deployment.service }) &&
+            passes(rules.environment, { id: deployment.environmentId, ...deployment.environment })
+          );
+        }),
       },
     };
   }
 
-  async fetchDashboardData(terminusLogsEnvId = null, filters = {}) {
+  filterVolumesData(data, filters, environments) {
+    return this.filterData(data, filters, environments);
+  }
+
+  // options.eventLogs ({ maxEntries, filter }) overrides config/event-logs.js,
+  // e.g. from a dashboard profile. options.scope (see scope.js) restricts the
+  // result to the caller's allowed projects, services and environments.
+  async fetchDashboardData(terminusLogsEnvId = null, filters = {}, options = {}) {
     try {
-      const { projectId, serviceId, environmentId } = filters;
+      const appliedFilters = activeFilters(filters);
 
       // Log filtering parameters
-      if (projectId || serviceId || environmentId) {
-        console.log(
-          `📊 Applying filters - Project: ${projectId || 'all'}, Service: ${serviceId || 'all'}, Environment: ${environmentId || 'all'}`
-        );
+      if (appliedFilters) {
+        console.log(`📊 Applying filters - ${describeFilters(appliedFilters)}`);
       }
 
       if (terminusLogsEnvId) {
@@ -455,95 +608,177 @@ class RailwayClient {
 
       console.log('📡 Querying Railway API...');
 
-      // Read GraphQL queries from the queries directory
-      const queriesDir = path.join(__dirname, '..', 'queries');
-      const projectsQuery = fs.readFileSync(
-        path.join(queriesDir, 'projects_services_environments.gql'),
-        'utf8'
-      );
-      const deploymentsQuery = fs.readFileSync(
-        path.join(queriesDir, 'latest_deployments.gql'),
-        'utf8'
-      );
-      const volumeQuery = fs.readFileSync(path.join(queriesDir, 'volume_usage.gql'), 'utf8');
-      const eventLogsQuery = fs.readFileSync(path.join(queriesDir, 'event_logs.gql'), 'utf8');
+      // Read the GraphQL queries matching the token type from the queries directory
+      const tokenInfo = await this.resolveTokenInfo();
+      const projectsQuery = loadQuery(tokenInfo.type, 'projects_services_environments.gql');
+      const deploymentsQuery = loadQuery(tokenInfo.type, 'latest_deployments.gql');
+      const volumeQuery = loadQuery(tokenInfo.type, 'volume_usage.gql');
+      const eventLogsQuery = loadQuery(tokenInfo.type, 'event_logs.gql');
+
+      // Project tokens reach their project through project(id:)
+      const scopeVariables = tokenInfo.type === 'project' ? { projectId: tokenInfo.projectId } : {};
+      const pageVariables = { pageSize: paginationConfig.pageSize, ...scopeVariables };
 
       // Get event logs configuration
-      const maxEntries = eventLogsConfig.maxLogEntries;
-      const logFilter = eventLogsConfig.logFilter;
+      const maxEntries = options.eventLogs?.maxEntries ?? eventLogsConfig.maxLogEntries;
+      const logFilter = options.eventLogs?.filter ?? eventLogsConfig.logFilter;
+
+      // Callers with a restricted scope never get logs for an environment
+      // they can't see. Project membership is checked once projects are in.
+      const scope = normalizeScope(options.scope);
+      let eventLogsHiddenReason = eventLogsOutsideScope(scope, terminusLogsEnvId);
+
+      // Execute comprehensive queries concurrently. Each query has its own
+      // deadline, and a failure only empties that query's panel.
+      const eventLogsVariables = {
+        environmentId: terminusLogsEnvId,
+        filter: logFilter,
+        afterLimit: maxEntries,
+      };
 
-      // Execute comprehensive queries
-      let projectsData;
-      let deploymentsData;
-      let volumeData;
-      let queryErrors = [];
+      if (terminusLogsEnvId) {
+        console.log(`📋 Including event logs for environment: ${terminusLogsEnvId}`);
+      } else {
+        console.log('⚠️  No TERMINUS_LOGS_ENV_ID provided, skipping event logs');
+      }
 
-      // Projects, Services, and Environments query
-      try {
-        projectsData = await this.makeGraphQLRequest(
-          projectsQuery,
-          {},
-          'Projects, Services, and Environments'
-        );
-      } catch (error) {
-        console.error('❌ Projects query failed:', error.message);
-        projectsData = { me: { workspaces: [] } };
-        queryErrors.push('Projects query failed');
+      // Start every query before awaiting any of them. runDashboardQuery never
+      // rejects, so awaiting them in turn below is safe.
+      const projectsRequest = this.runDashboardQuery(
+        'projects',
+        projectsQuery,
+        pageVariables,
+        'Projects, Services, and Environments',
+        { me: { workspaces: [] } },
+        { paginate: true }
+      );
+      const deploymentsRequest = this.runDashboardQuery(
+        'deployments',
+        deploymentsQuery,
+        { first: LATEST_DEPLOYMENTS_PER_SERVICE, ...pageVariables },
+        'Latest Deployments',
+        { deployments: { edges: [] } },
+        { paginate: true }
+      );
+      const volumesRequest = this.runDashboardQuery(
+        'volumes',
+        volumeQuery,
+        pageVariables,
+        'Volume Usage',
+        { me: { workspaces: [] } },
+        { paginate: true }
+      );
+      const eventLogsRequest =
+        terminusLogsEnvId && !eventLogsHiddenReason
+          ? this.runDashboardQuery('eventLogs', eventLogsQuery, eventLogsVariables, 'Event Logs', {
+              environmentLogs: [],
+            })
+          : null;
+
+      const results = {
+        projects: await projectsRequest,
+        deployments: await deploymentsRequest,
+        volumes: await volumesRequest,
+        eventLogs: await eventLogsRequest,
+      };
+
+      // Each service comes with its latest deployments across all its
+      // environments, so a service deploying to more environments than that
+      // may be missing some. Services at the limit are reported.
+      const limited = limitedConnections(
+        results.deployments.data,
+        'deployments',
+        LATEST_DEPLOYMENTS_PER_SERVICE
+      );
+      if (limited.length && results.deployments.pagination) {
+        const { incomplete } = results.deployments.pagination;
+        results.deployments = {
+          ...results.deployments,
+          pagination: {
+            ...results.deployments.pagination,
+            complete: false,
+            incomplete: [...incomplete, ...limited],
+          },
+        };
       }
 
-      // Latest Deployments query
-      try {
-        deploymentsData = await this.makeGraphQLRequest(
-          deploymentsQuery,
-          { first: 4 },
-          'Latest Deployments'
+      const unscopedProjectsData = toAccountShape(tokenInfo, results.projects.data);
+      const projectsData = scopeAccountData(unscopedProjectsData, scope);
+      const deploymentsData = scopeAccountData(
+        toAccountShape(tokenInfo, results.deployments.data),
+        scope
+      );
+      const volumeData = scopeAccountData(toAccountShape(tokenInfo, results.volumes.data), scope);
+      if (results.eventLogs && !eventLogsHiddenReason) {
+        eventLogsHiddenReason = eventLogsOutsideScope(
+          scope,
+          terminusLogsEnvId,
+          unscopedProjectsData
         );
-      } catch (error) {
-        console.error('❌ Deployments query failed:', error.message);
-        deploymentsData = { deployments: { edges: [] } };
-        queryErrors.push('Deployments query failed');
       }
+      const queryErrors = [];
+      const errorDetails = {};
+      const cacheInfo = {};
+      const timings = {};
+      const pagination = {};
+
+      const labels = {
+        projects: 'Projects',
+        deployments: 'Deployments',
+        volumes: 'Volumes',
+        eventLogs: 'Event logs',
+      };
 
-      // Volume Usage query
-      try {
-        volumeData = await this.makeGraphQLRequest(volumeQuery, {}, 'Volume Usage');
-      } catch (error) {
-        console.error('❌ Volumes query failed:', error.message);
-        volumeData = { me: { workspaces: [] } };
-        queryErrors.push('Volumes query failed');
-      }
+      for (const [name, result] of Object.entries(results)) {
+        if (!result) continue;
 
-      // Try event logs query if terminus logs environment ID is provided
-      let eventLogsData = null;
-      let eventLogsQueryUsed = 'none';
-      if (terminusLogsEnvId) {
-        console.log(`📋 Including event logs for environment: ${terminusLogsEnvId}`);
-        try {
-          eventLogsData = await this.makeGraphQLRequest(
-            eventLogsQuery,
-            {
-              environmentId: terminusLogsEnvId,
-              filter: logFilter,
-              afterLimit: maxEntries,
-            },
-            'Event Logs'
+        timings[name] = result.timing;
+        if (result.cache) {
+          cacheInfo[name] = result.cache;
+        }
+        if (result.pagination) {
+          pagination[name] = result.pagination;
+        }
+        if (result.error) {
+          errorDetails[name] = result.error.toJSON
+            ? result.error.toJSON()
+            : { message: result.error.message };
+        }
+        // Event logs have always degraded silently to an empty list
+        if (result.error && name !== 'eventLogs') {
+          queryErrors.push(
+            `${labels[name]} query ${result.timing.status === 'timeout' ? 'timed out' : 'failed'}`
           );
-          eventLogsQueryUsed = 'full';
-        } catch (error) {
-          console.error('❌ Event logs query failed:', error.message);
-          eventLogsData = { environmentLogs: [] }; // Empty fallback
-          eventLogsQueryUsed = 'empty';
         }
-      } else {
-        console.log('⚠️  No TERMINUS_LOGS_ENV_ID provided, skipping event logs');
+      }
+
+      let eventLogsData;
+      let eventLogsQueryUsed;
+      if (eventLogsHiddenReason) {
+        console.log(`🔒 Event logs hidden: ${eventLogsHiddenReason}`);
+        eventLogsData = { environmentLogs: [] };
+        eventLogsQueryUsed = 'out_of_scope';
+      } else if (!results.eventLogs) {
         eventLogsData = { environmentLogs: [] };
         eventLogsQueryUsed = 'skipped';
+      } else if (results.eventLogs.error) {
+        eventLogsData = results.eventLogs.data; // Empty fallback
+        eventLogsQueryUsed = 'empty';
+      } else {
+        eventLogsData = results.eventLogs.data;
+        eventLogsQueryUsed = 'full';
       }
 
-      // Apply filtering to the comprehensive data if filters are provided
+      // Apply filtering to the comprehensive data if filters are provided.
+      // Deployments and volumes look environments up in the projects data.
+      const environments = environmentCatalog(unscopedProjectsData);
       const filteredProjectsData = this.filterProjectsData(projectsData, filters);
-      const filteredDeploymentsData = this.filterDeploymentsData(deploymentsData, filters);
-      const filteredVolumeData = this.filterVolumesData(volumeData, filters);
+      const filteredDeploymentsData = this.filterDeploymentsData(
+        deploymentsData,
+        filters,
+        environments
+      );
+      const filteredVolumeData = this.filterVolumesData(volumeData, filters, environments);
 
       // Process and combine data
       const dashboardData = {
@@ -561,7 +796,15 @@ class RailwayClient {
           },
           queryInfo: {
             errors: queryErrors,
+            errorDetails,
+            tokenType: tokenInfo.type,
             eventLogsQueryUsed,
+            ...(scope && { scope, eventLogsHiddenReason }),
+            cache: cacheInfo,
+            timings,
+            pagination,
+            // Queries whose results are missing pages
+            incomplete: Object.keys(pagination).filter((name) => !pagination[name].complete),
           },
         },
       };
@@ -0,0 +1,335 @@
+const { DashboardGenerator, getStatusIndicator } = require('./generate-html');
+const { Bitmap } = require('./bitmap/canvas');
+const { encodeBMP, encodePNG } = require('./bitmap/encode');
+
+// Canvas size of the HTML dashboard, which targets 800x470 e-ink panels
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 470;
+
+const PADDING = 6;
+const COLUMN_GAP = 8;
+
+// Statuses drawn as white-on-black badges; the rest are outlined
+const FILLED_STATUSES = ['SUCCESS', 'DEPLOYING', 'FAILED', 'CRASHED'];
+
+// Draws the dashboard as a 1-bit image, without a browser. The layout follows
+// generateComprehensiveHTML: a header, services on the left, volumes or recent
+// events on the right, and an "Updated" footer. Panels that run out of room
+// are cut off at the last item that fits.
+class BitmapRenderer {
+  constructor(options = {}) {
+    // A layout preset's page size, when it has one, is the default image size
+    this.width = options.width || options.layout?.width || DEFAULT_WIDTH;
+    this.height = options.height || options.layout?.height || DEFAULT_HEIGHT;
+    this.generator = new DashboardGenerator({
+      timezone: options.timezone,
+      clock: options.clock,
+      // The bitmap font only has Latin letters, so images stay in English
+      locale: 'en-US',
+      layout: options.layout,
+    });
+    this.layout = this.generator.layout;
+  }
+
+  loadData(data) {
+    return this.generator.loadData(data);
+  }
+
+  get data() {
+    return this.generator.data;
+  }
+
+  render() {
+    if (!this.data) {
+      throw new Error('No data loaded. Call loadData() first.');
+    }
+
+    this.bitmap = new Bitmap(this.width, this.height);
+    if (!this.data.success) {
+      this.renderError();
+    } else {
+      this.renderDashboard();
+    }
+    return this.bitmap;
+  }
+
+  toBMP() {
+    return encodeBMP(this.render());
+  }
+
+  toPNG() {
+    return encodePNG(this.render());
+  }
+
+  // Draws `text` horizontally centred on the canvas
+  centerText(y, text, options = {}) {
+    const x = Math.floor((this.width - this.bitmap.measureText(text, options)) / 2);
+    this.bitmap.text(x, y, text, options);
+  }
+
+  // Title and subtitle, centred, above a 2px rule. Returns the y where content starts.
+  drawHeader(subtitle) {
+    const { bitmap } = this;
+    this.centerText(PADDING, 'Railway Dashboard', { scale: 2, bold: true });
+    this.centerText(PADDING + 20, bitmap.fitText(subtitle, this.width - PADDING * 2));
+
+    bitmap.hline(PADDING, PADDING + 32, this.width - PADDING * 2, 2);
+    return PADDING + 38;
+  }
+
+  // Dotted rule and centred timestamp line. Returns the y where it starts.
+  drawFooter(text) {
+    const { bitmap } = this;
+    const y = this.height - PADDING - bitmap.lineHeight();
+    bitmap.hline(PADDING, y - 6, this.width - PADDING * 2, 2, 2);
+    this.centerText(y, text);
+    return y - 6;
+  }
+
+  // Bold title over a 2px rule. Returns the y below it.
+  drawSectionTitle(x, y, width, title) {
+    this.bitmap.text(x, y, title, { scale: 2, bold: true });
+    this.bitmap.hline(x, y + 17, width, 2);
+    return y + 22;
+  }
+
+  // 2px dashed outline, for boxes that need attention
+  dashedRect(x, y, width, height) {
+    const { bitmap } = this;
+    bitmap.hline(x, y, width, 2, 4);
+    bitmap.hline(x, y + height - 2, width, 2, 4);
+    bitmap.vline(x, y, height, 2, 4);
+    bitmap.vline(x + width - 2, y, height, 2, 4);
+  }
+
+  drawStatusBadge(right, y, status) {
+    const { bitmap } = this;
+    const label = status ? getStatusIndicator(status) : 'NONE';
+    const width = bitmap.measureText(label, { bold: true }) + 6;
+    const x = right - width;
+
+    if (FILLED_STATUSES.includes(status)) {
+      bitmap.fillRect(x, y, width, 11);
+      bitmap.text(x + 3, y + 2, label, { bold: true, ink: 0 });
+    } else {
+      if (status) {
+        bitmap.strokeRect(x, y, width, 11);
+      } else {
+        bitmap.hline(x, y, width, 1, 2);
+        bitmap.hline(x, y + 10, width, 1, 2);
+        bitmap.vline(x, y, 11, 1, 2);
+        bitmap.vline(x + width - 1, y, 11, 1, 2);
+      }
+      bitmap.text(x + 3, y + 2, label, { bold: true });
+    }
+    return width;
+  }
+
+  // Returns the y below the section
+  drawServices(x, y, width, bottom, services, hasFilters) {
+    const { bitmap } = this;
+    const boxHeight = 31;
+    y = this.drawSectionTitle(x, y, width, 'Services');
+
+    for (const service of services.slice(0, this.layout.maxServices)) {
+      if (y + boxHeight > bottom) {
+        break;
+      }
+      const { deployment } = service;
+      // Stale services get a dashed border, like volumes nearing full
+      if (deployment?.timing?.stale) {
+        this.dashedRect(x, y, width, boxHeight);
+      } else {
+        bitmap.strokeRect(x, y, width, boxHeight, 2);
+      }
+
+      const badgeWidth = this.drawStatusBadge(x + width - 5, y + 5, deployment?.status);
+      const name = hasFilters
+        ? service.serviceName
+        : `${service.projectName}/${service.serviceName}`;
+      bitmap.text(x + 6, y + 7, bitmap.fitText(name, width - badgeWidth - 16, { bold: true }), {
+        bold: true,
+      });
+
+      // Across the room "deployed 3h ago" reads better than a date
+      const timing = this.generator.deploymentTimingText(deployment);
+      const info = `${service.environmentName} • ${timing || 'No deployment'}`;
+      bitmap.text(x + 6, y + 19, bitmap.fitText(info, width - 12));
+
+      y += boxHeight + 3;
+    }
+    return y + 5;
+  }
+
+  // Returns the y below the section
+  drawVolumes(x, y, width, bottom, volumes) {
+    const { bitmap } = this;
+    const boxHeight = 37;
+    y = this.drawSectionTitle(x, y, width, 'Volumes');
+
+    for (const volume of volumes.slice(0, this.layout.maxVolumes)) {
+      if (y + boxHeight > bottom) {
+        break;
+      }
+      const { level, usagePercent, forecast } = volume.health;
+      const usage = usagePercent / 100;
+      const currentGB = (volume.currentSizeMB / 1024).toFixed(1);
+      const maxGB = (volume.sizeMB / 1024).toFixed(1);
+      const usageText = `${currentGB}/${maxGB}GB (${usagePercent.toFixed(0)}%)`;
+      const usageWidth = bitmap.measureText(usageText);
+      const forecastText = this.generator.formatForecast(forecast);
+      const forecastWidth = forecastText ? bitmap.measureText(forecastText) + 6 : 0;
+
+      // Critical volumes are inverted, warnings get a dashed border
+      const ink = level === 'critical' ? 0 : 1;
+      if (level === 'critical') {
+        bitmap.fillRect(x, y, width, boxHeight);
+      } else if (level === 'warning') {
+        this.dashedRect(x, y, width, boxHeight);
+      } else {
+        bitmap.strokeRect(x, y, width, boxHeight, 2);
+      }
+
+      bitmap.text(x + width - 5 - usageWidth, y + 5, usageText, { ink });
+      const details = `${volume.serviceName} • ${volume.environmentName}`;
+      bitmap.text(x + 5, y + 5, bitmap.fitText(details, width - usageWidth - 16, { bold: true }), {
+        bold: true,
+        ink,
+      });
+      bitmap.text(x + 5, y + 16, bitmap.fitText(volume.mountPath, width - 10 - forecastWidth), {
+        ink,
+      });
+      if (forecastText) {
+        bitmap.text(x + width - 5 - forecastWidth + 6, y + 16, forecastText, { ink });
+      }
+
+      // Usage bar
+      const barWidth = width - 10;
+      bitmap.strokeRect(x + 5, y + 27, barWidth, 5, 1, ink);
+      bitmap.fillRect(
+        x + 5,
+        y + 27,
+        Math.round(barWidth * Math.min(Math.max(usage, 0), 1)),
+        5,
+        ink
+      );
+
+      y += boxHeight + 2;
+    }
+    return y + 5;
+  }
+
+  // Returns the y below the section
+  drawDelivery(x, y, width, bottom, delivery) {
+    const { bitmap } = this;
+    const boxHeight = 27;
+    y = this.drawSectionTitle(x, y, width, `Delivery (${delivery.windowDays}d)`);
+    if (y + boxHeight > bottom) {
+      return y;
+    }
+
+    bitmap.strokeRect(x, y, width, boxHeight, 2);
+    this.generator.deliveryLines(delivery).forEach((line, index) => {
+      bitmap.text(x + 5, y + 5 + index * 10, bitmap.fitText(line, width - 10));
+    });
+    return y + boxHeight + 5;
+  }
+
+  drawEvents(x, y, width, bottom, workspaces, eventLogs) {
+    const { bitmap } = this;
+    y = this.drawSectionTitle(x, y, width, 'Recent Events');
+    bitmap.text(x, y, bitmap.fitText(this.generator.eventLogsLabel(workspaces), width));
+    y += 12;
+
+    if (eventLogs.length === 0) {
+      bitmap.text(x, y, 'No recent events');
+      return;
+    }
+
+    for (const log of eventLogs.slice(0, this.layout.maxEvents)) {
+      const message = bitmap.wrapText(this.generator.extractEventAction(log.message), width - 6);
+      const lines = message.slice(0, 2);
+      if (message.length > 2) {
+        lines[1] = bitmap.fitText(`${lines[1]}…`, width - 6);
+      }
+      const itemHeight = 2 + 10 + lines.length * 9 + 2;
+      if (y + itemHeight > bottom) {
+        break;
+      }
+
+      // Left border: solid for errors, dashed for warnings, thin for the rest
+      if (log.severity === 'error') {
+        bitmap.vline(x, y, itemHeight - 2, 2);
+      } else if (log.severity === 'warn') {
+        bitmap.vline(x, y, itemHeight - 2, 2, 3);
+      } else {
+        bitmap.vline(x, y, itemHeight - 2);
+      }
+
+      bitmap.text(x + 6, y + 2, this.generator.formatEventTimestamp(log.timestamp), { bold: true });
+      lines.forEach((line, index) => bitmap.text(x + 6, y + 12 + index * 9, line));
+      bitmap.hline(x, y + itemHeight - 2, width, 2, 2);
+
+      y += itemHeight + 3;
+    }
+  }
+
+  renderDashboard() {
+    const { workspaces, volumes, eventLogs, hasFilters } =
+      this.generator.extractComprehensiveData();
+    const title = this.generator.workspaceTitle(workspaces, hasFilters);
+    const services = this.generator.flattenServices(workspaces);
+    const hasEventLogs = Boolean(this.data.data.eventLogsEnvironmentId);
+
+    const top = this.drawHeader(`${title}${hasFilters ? ' (Filtered)' : ''}`);
+    const bottom =
+      this.drawFooter(`Updated: ${this.generator.formatTimestamp(this.data.timestamp)}`) - 4;
+
+    const columnWidth = Math.floor((this.width - PADDING * 2 - COLUMN_GAP) / 2);
+    const left = PADDING;
+    const right = PADDING + columnWidth + COLUMN_GAP;
+
+    // Volumes sit under the services when events take the right column
+    let y = top;
+    if (services.length > 0) {
+      y = this.drawServices(left, y, columnWidth, bottom, services, hasFilters);
+    }
+    if (this.data.data.delivery && y + 50 <= bottom) {
+      y = this.drawDelivery(left, y, columnWidth, bottom, this.data.data.delivery);
+    }
+    if (hasEventLogs && volumes.length > 0 && y + 60 <= bottom) {
+      this.drawVolumes(left, y, columnWidth, bottom, volumes);
+    }
+
+    if (hasEventLogs) {
+      this.drawEvents(right, top, columnWidth, bottom, workspaces, eventLogs);
+    } else if (volumes.length > 0) {
+      this.drawVolumes(right, top, columnWidth, bottom, volumes);
+    }
+  }
+
+  renderError() {
+    const { bitmap } = this;
+    const { error } = this.data;
+    const top = this.drawHeader('Service Dashboard');
+    const bottom = this.drawFooter(
+      `Last updated: ${this.generator.formatTimestamp(this.data.timestamp)}`
+    );
+
+    const x = PADDING + 14;
+    const width = this.width - x * 2;
+    const lines = [
+      ...bitmap.wrapText(`Error: ${error.message}`, width - 20),
+      `Type: ${error.type}`,
+    ];
+    const maxLines = Math.floor((bottom - top - 60) / 10);
+    const shown = lines.slice(0, maxLines);
+    const boxHeight = 40 + shown.length * 10;
+
+    bitmap.strokeRect(x, top + 8, width, boxHeight, 2);
+    bitmap.text(x + 10, top + 18, 'Railway API Unavailable', { scale: 2, bold: true });
+    shown.forEach((line, index) => bitmap.text(x + 10, top + 42 + index * 10, line));
+  }
+}
+
+module.exports = { BitmapRenderer, DEFAULT_WIDTH, DEFAULT_HEIGHT };
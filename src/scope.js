@@ -0,0 +1,266 @@
+// Resource scopes restrict a caller (an API key or a share link minted by
+// one) to allow-lists of project, service and environment IDs:
+//
+//   { projectIds: ['proj-a'], serviceIds: [...], environmentIds: [...] }
+//
+// A missing list means "any". Scopes are applied to the Railway data after it
+// is fetched and before the request's own filters, so whatever a caller asks
+// for is always narrowed to what its key allows.
+
+const SCOPE_KEYS = ['projectIds', 'serviceIds', 'environmentIds'];
+
+// A scope with only the lists that actually restrict something, or null for
+// an unrestricted caller
+function normalizeScope(scope) {
+  if (!scope) {
+    return null;
+  }
+
+  const normalized = {};
+  for (const key of SCOPE_KEYS) {
+    if (Array.isArray(scope[key])) {
+      normalized[key] = [...new Set(scope[key])];
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+function allows(list, id) {
+  return !list || list.includes(id);
+}
+
+// Whether a scope covers one resource, given as { projectId, serviceId,
+// environmentId } (e.g. a deployment)
+function resourceInScope(scope, { projectId, serviceId, environmentId }) {
+  return (
+    !scope ||
+    (allows(scope.projectIds, projectId) &&
+      allows(scope.serviceIds, serviceId) &&
+      allows(scope.environmentIds, environmentId))
+  );
+}
+
+// Environment logs cover every service in an environment, so they can only
+// be shown to callers allowed to see the whole environment. Returns the
+// reason the logs are hidden, or null if they may be shown.
+//
+// `projectsData` (unscoped, account shape) is needed to check which project
+// the environment belongs to. Without it only the other checks are made.
+function eventLogsOutsideScope(scope, environmentId, projectsData) {
+  if (!scope || !environmentId) {
+    return null;
+  }
+  if (scope.serviceIds) {
+    return 'environment logs are not available to service-restricted keys';
+  }
+  if (!allows(scope.environmentIds, environmentId)) {
+    return 'logs environment is outside the allowed environments';
+  }
+  if (scope.projectIds && projectsData !== undefined) {
+    const inAllowedProject = (projectsData?.me?.workspaces || []).some((workspace) =>
+      (workspace.team?.projects?.edges || []).some(
+        (edge) =>
+          scope.projectIds.includes(edge?.node?.id) &&
+          (edge.node.environments?.edges || []).some((env) => env?.node?.id === environmentId)
+      )
+    );
+    if (!inAllowedProject) {
+      return 'logs environment is outside the allowed projects';
+    }
+  }
+  return null;
+}
+
+// Restriction rules for a scope: a predicate per kind of resource, or null
+// where the scope allows any
+function scopeRules(scope) {
+  const rule = (list) => (list ? (item) => list.includes(item.id) : null);
+  return {
+    project: rule(scope.projectIds),
+    service: rule(scope.serviceIds),
+    environment: rule(scope.environmentIds),
+  };
+}
+
+const passes = (rule, item) => !rule || rule(item);
+
+// The service and environment of a deployment or volume instance, which carry
+// IDs and, depending on the query, { id, name } objects
+const serviceOf = (node) => ({ id: node?.serviceId, ...node?.service });
+const environmentOf = (node) => ({ id: node?.environmentId, ...node?.environment });
+
+function instanceAllowed(rules, instance) {
+  return (
+    passes(rules.environment, environmentOf(instance)) && passes(rules.service, serviceOf(instance))
+  );
+}
+
+function filterEdges(connection, keep) {
+  if (!connection?.edges) {
+    return connection;
+  }
+  return { ...connection, edges: connection.edges.filter((edge) => edge?.node && keep(edge.node)) };
+}
+
+function mapNodes(connection, map) {
+  if (!connection?.edges) {
+    return connection;
+  }
+  return {
+    ...connection,
+    edges: connection.edges.map((edge) => ({ ...edge, node: map(edge.node) })),
+  };
+}
+
+function restrictProject(rules, project) {
+  const restricted = { ...project };
+
+  if (project.services) {
+    restricted.services = mapNodes(
+      filterEdges(project.services, (service) => passes(rules.service, service)),
+      (service) =>
+        service.deployments
+          ? {
+              ...service,
+              deployments: filterEdges(service.deployments, (deployment) =>
+                passes(rules.environment, environmentOf(deployment))
+              ),
+            }
+          : service
+    );
+  }
+
+  if (project.environments) {
+    restricted.environments = mapNodes(
+      filterEdges(project.environments, (env) => passes(rules.environment, env)),
+      (env) =>
+        env.volumeInstances
+          ? {
+              ...env,
+              volumeInstances: filterEdges(env.volumeInstances, (instance) =>
+                instanceAllowed(rules, instance)
+              ),
+            }
+          : env
+    );
+  }
+
+  if (project.volumes) {
+    restricted.volumes = filterEdges(
+      mapNodes(project.volumes, (volume) =>
+        volume.volumeInstances
+          ? {
+              ...volume,
+              volumeInstances: filterEdges(volume.volumeInstances, (instance) =>
+                instanceAllowed(rules, instance)
+              ),
+            }
+          : volume
+      ),
+      (volume) => !volume.volumeInstances?.edges || volume.volumeInstances.edges.length > 0
+    );
+  }
+
+  return restricted;
+}
+
+// A project stays visible only if it passes the project rule and, under a
+// service or environment rule, something in it is still left
+function projectVisible(rules, original, restricted) {
+  if (!passes(rules.project, original)) {
+    return false;
+  }
+  if (rules.service && original.services?.edges && restricted.services.edges.length === 0) {
+    return false;
+  }
+  if (rules.environment) {
+    if (original.environments?.edges) {
+      if (restricted.environments.edges.length === 0) {
+        return false;
+      }
+    } else {
+      // Deployment data has no environment list; judge by what's left
+      const services = restricted.services?.edges || [];
+      if (
+        services.some((edge) => edge.node.deployments?.edges) &&
+        !services.some((edge) => edge.node.deployments?.edges?.length > 0)
+      ) {
+        return false;
+      }
+    }
+  }
+  // Volume data has no service list; judge by the volumes left
+  if ((rules.service || rules.environment) && !original.services && original.volumes?.edges) {
+    return restricted.volumes.edges.length > 0;
+  }
+  return true;
+}
+
+function restrictProjects(rules, connection) {
+  if (!connection?.edges) {
+    return connection;
+  }
+
+  const edges = [];
+  for (const edge of connection.edges) {
+    if (!edge?.node) continue;
+    const restricted = restrictProject(rules, edge.node);
+    if (projectVisible(rules, edge.node, restricted)) {
+      edges.push({ ...edge, node: restricted });
+    }
+  }
+  return { ...connection, edges };
+}
+
+// Restricts account-shaped (`me { workspaces }`) data with rules of the form
+// { project, service, environment }, each a predicate over the resource's
+// node ({ id, name, ... }) or null to keep them all. Shared by scopes and
+// request filters (see filters.js).
+function restrictAccountData(data, rules) {
+  if (!rules || !data?.me?.workspaces) {
+    return data;
+  }
+
+  return {
+    ...data,
+    me: {
+      ...data.me,
+      workspaces: data.me.workspaces
+        .map((workspace) => {
+          const restricted = { ...workspace };
+          if (workspace.projects) {
+            restricted.projects = restrictProjects(rules, workspace.projects);
+          }
+          if (workspace.team?.projects) {
+            restricted.team = {
+              ...workspace.team,
+              projects: restrictProjects(rules, workspace.team.projects),
+            };
+          }
+          return restricted;
+        })
+        // Don't reveal workspaces the caller has nothing in
+        .filter(
+          (workspace) =>
+            (workspace.projects?.edges?.length || 0) +
+              (workspace.team?.projects?.edges?.length || 0) >
+            0
+        ),
+    },
+  };
+}
+
+// Restricts account-shaped data to a scope
+function scopeAccountData(data, scope) {
+  return scope ? restrictAccountData(data, scopeRules(scope)) : data;
+}
+
+module.exports = {
+  SCOPE_KEYS,
+  normalizeScope,
+  eventLogsOutsideScope,
+  resourceInScope,
+  restrictAccountData,
+  scopeAccountData,
+};
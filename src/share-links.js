@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { getStore } = require('./json-store');
+const { getProfile } = require('./terminus-config');
+const { FILTER_KEYS, FILTER_FLAGS } = require('./filters');
+
+// Share links give read-only access to one fixed dashboard view without
+// handing out TERMINUS_AUTH_TOKEN. A link token is
+//
+//   base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload))
+//
+// where the payload holds the link id, the view (profile, filters, logs
+// environment), the scope of the API key that minted it and an expiry.
+// Tokens are verified statelessly; the store only records issued links so
+// they can be listed and revoked.
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MAX_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+class ShareLinkError extends Error {
+  // `reason` is recorded in the audit log: invalid_share_link for tokens that
+  // weren't issued here, expired_share_link or revoked_share_link otherwise
+  constructor(message, status = 403, reason = null) {
+    super(message);
+    this.name = 'ShareLinkError';
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+// TERMINUS_SHARE_SECRET, or a key derived from TERMINUS_AUTH_TOKEN so links
+// work out of the box. Changing either secret invalidates every link.
+function shareSecret() {
+  if (process.env.TERMINUS_SHARE_SECRET) {
+    return process.env.TERMINUS_SHARE_SECRET;
+  }
+  if (process.env.TERMINUS_AUTH_TOKEN) {
+    return crypto
+      .createHmac('sha256', process.env.TERMINUS_AUTH_TOKEN)
+      .update('terminus-share-links')
+      .digest('hex');
+  }
+  throw new ShareLinkError('Share links need TERMINUS_SHARE_SECRET or TERMINUS_AUTH_TOKEN', 500);
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', shareSecret()).update(encodedPayload).digest('base64url');
+}
+
+function linkStore() {
+  return getStore('share-links.json', { links: {} });
+}
+
+// Checks a requested view and returns it in canonical form
+function normalizeView(view = {}) {
+  const normalized = {};
+
+  if (view.profile !== undefined && view.profile !== null) {
+    if (typeof view.profile !== 'string' || !getProfile(view.profile)) {
+      throw new ShareLinkError(`No dashboard profile named "${view.profile}"`, 400);
+    }
+    normalized.profile = view.profile;
+  }
+
+  if (view.filters !== undefined && view.filters !== null) {
+    if (typeof view.filters !== 'object' || Array.isArray(view.filters)) {
+      throw new ShareLinkError('"filters" must be an object', 400);
+    }
+    const filters = {};
+    for (const [key, value] of Object.entries(view.filters)) {
+      if (FILTER_FLAGS.includes(key)) {
+        if (value !== null && value !== undefined) {
+          if (typeof value !== 'boolean') {
+            throw new ShareLinkError(`Filter "${key}" must be a boolean`, 400);
+          }
+          filters[key] = value;
+        }
+        continue;
+      }
+      if (!FILTER_KEYS.includes(key)) {
+        throw new ShareLinkError(
+          `Unknown filter "${key}" (expected ${[...FILTER_KEYS, ...FILTER_FLAGS].join(', ')})`,
+          400
+        );
+      }
+      if (value !== null && value !== undefined && value !== '') {
+        if (typeof value !== 'string') {
+          throw new ShareLinkError(`Filter "${key}" must be a string`, 400);
+        }
+        filters[key] = value;
+      }
+    }
+    normalized.filters = filters;
+  }
+
+  if (view.logsEnvironmentId !== undefined && view.logsEnvironmentId !== null) {
+    if (typeof view.logsEnvironmentId !== 'string') {
+      throw new ShareLinkError('"logsEnvironmentId" must be a string', 400);
+    }
+    normalized.logsEnvironmentId = view.logsEnvironmentId;
+  }
+
+  return normalized;
+}
+
+// Mints a link for `view`. `scope` and `createdBy` come from the minting API
+// key; the link can never see more than that key. Returns
+// { id, token, label, view, createdBy, createdAt, expiresAt }.
+function createShareLink({
+  view,
+  expiresIn = DEFAULT_TTL_SECONDS,
+  label = null,
+  scope = null,
+  createdBy = null,
+} = {}) {
+  if (!(Number.isInteger(expiresIn) && expiresIn > 0 && expiresIn <= MAX_TTL_SECONDS)) {
+    throw new ShareLinkError(
+      `"expiresIn" must be a whole number of seconds between 1 and ${MAX_TTL_SECONDS}`,
+      400
+    );
+  }
+  if (label !== null && typeof label !== 'string') {
+    throw new ShareLinkError('"label" must be a string', 400);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    view: normalizeView(view),
+    ...(scope && { scope }),
+    iat: now,
+    exp: now + expiresIn,
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  const link = {
+    id: payload.id,
+    label,
+    view: payload.view,
+    scope,
+    createdBy,
+    createdAt: new Date(payload.iat * 1000).toISOString(),
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+    revokedAt: null,
+  };
+
+  linkStore().update((data) => {
+    // Expired links can't be used anyway; drop them so the file stays small
+    for (const [id, existing] of Object.entries(data.links)) {
+      if (Date.parse(existing.expiresAt) <= Date.now()) {
+        delete data.links[id];
+      }
+    }
+    data.links[link.id] = link;
+  });
+
+  return { ...link, token: `${encodedPayload}.${sign(encodedPayload)}` };
+}
+
+// Returns the payload of a valid link token, or throws a ShareLinkError
+function verifyShareToken(token) {
+  const [encodedPayload, signature, extra] = String(token || '').split('.');
+  if (!encodedPayload || !signature || extra !== undefined) {
+    throw new ShareLinkError('Malformed share link', 403, 'invalid_share_link');
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new ShareLinkError('Invalid share link signature', 403, 'invalid_share_link');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ShareLinkError('Malformed share link', 403, 'invalid_share_link');
+  }
+
+  if (!Number.isFinite(payload.exp) || payload.exp * 1000 <= Date.now()) {
+    throw new ShareLinkError('Share link has expired', 403, 'expired_share_link');
+  }
+
+  const stored = linkStore().read().links[payload.id];
+  if (stored?.revokedAt) {
+    throw new ShareLinkError('Share link has been revoked', 403, 'revoked_share_link');
+  }
+
+  return payload;
+}
+
+// Issued links that haven't expired, newest first. With `createdBy`, only
+// the links minted by that key.
+function listShareLinks(createdBy = null) {
+  return Object.values(linkStore().read().links)
+    .filter((link) => Date.parse(link.expiresAt) > Date.now())
+    .filter((link) => !createdBy || link.createdBy === createdBy)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Marks a link revoked. With `createdBy`, only links minted by that key can
+// be revoked. Returns the updated link, or null if there is no such link.
+function revokeShareLink(id, createdBy = null) {
+  let revoked = null;
+  linkStore().update((data) => {
+    const link = Object.hasOwn(data.links, id) ? data.links[id] : null;
+    if (link && (!createdBy || link.createdBy === createdBy)) {
+      link.revokedAt = link.revokedAt || new Date().toISOString();
+      revoked = link;
+    }
+  });
+  return revoked;
+}
+
+module.exports = {
+  ShareLinkError,
+  DEFAULT_TTL_SECONDS,
+  MAX_TTL_SECONDS,
+  createShareLink,
+  verifyShareToken,
+  listShareLinks,
+  revokeShareLink,
+};
@@ -0,0 +1,105 @@
+// Server-Sent Events responses. openEventStream switches a response to
+// text/event-stream and returns a writer for it:
+//
+//   stream.send('log', { message: '...' }, id)   an event with JSON data
+//   await stream.wait(ms)                         sleeps, waking early on disconnect
+//   stream.closed                                 true once the client has gone
+//   stream.end()                                  closes the response
+//
+// Quiet streams get a comment line every `heartbeatMs` so proxies keep them
+// open, and `retryMs` tells EventSource clients how soon to reconnect.
+// pollEventStream runs the polling loop behind the streams Terminus offers.
+
+function openEventStream(req, res, { heartbeatMs = 0, retryMs = null } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(retryMs ? `retry: ${retryMs}\n\n` : ':\n\n');
+
+  let closed = false;
+  let lastWrite = Date.now();
+  const wakers = new Set();
+
+  const write = (frame) => {
+    if (!closed) {
+      res.write(frame);
+      lastWrite = Date.now();
+    }
+  };
+
+  const heartbeat =
+    heartbeatMs > 0
+      ? setInterval(() => {
+          if (Date.now() - lastWrite >= heartbeatMs) {
+            write(': keep-alive\n\n');
+          }
+        }, heartbeatMs)
+      : null;
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    for (const wake of wakers) wake();
+  };
+  res.on('close', finish);
+  // The client may have gone before the stream was opened
+  if (res.destroyed) {
+    finish();
+  }
+
+  return {
+    get closed() {
+      return closed;
+    },
+
+    send(event, data, id) {
+      // JSON.stringify never emits raw newlines, so the data fits on one line
+      const idLine = id === undefined || id === null ? '' : `id: ${id}\n`;
+      write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    wait(ms) {
+      if (closed) return Promise.resolve();
+      return new Promise((resolve) => {
+        const wake = () => {
+          clearTimeout(timer);
+          wakers.delete(wake);
+          resolve();
+        };
+        const timer = setTimeout(wake, ms);
+        wakers.add(wake);
+      });
+    },
+
+    end() {
+      finish();
+      res.end();
+    },
+  };
+}
+
+// Calls `poll` every `intervalMs` until the client disconnects or
+// `maxDurationMs` pass, then sends an "end" event and closes the stream. A
+// poll that throws is sent as a "railway-error" event and polling carries on.
+async function pollEventStream(stream, { intervalMs, maxDurationMs }, poll) {
+  const deadline = Date.now() + maxDurationMs;
+  while (!stream.closed && Date.now() < deadline) {
+    try {
+      await poll();
+    } catch (error) {
+      stream.send('railway-error', { message: error.message });
+    }
+    await stream.wait(intervalMs);
+  }
+  if (!stream.closed) {
+    stream.send('end', { reason: 'max_duration', message: 'Reconnect to keep following' });
+    stream.end();
+  }
+}
+
+module.exports = { openEventStream, pollEventStream };
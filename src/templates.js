@@ -0,0 +1,411 @@
+const fs = require('fs');
+const path = require('path');
+
+// The dashboard's HTML templates: a small subset of Liquid, the language of
+// the TRMNL markup in trmnl/, with every {{ output }} HTML-escaped unless it
+// goes through `raw`. Pages live in templates/ and the pieces they render in
+// templates/partials/. TERMINUS_TEMPLATES_DIR names a directory laid out the
+// same way whose files take precedence, so a deployment can restyle the
+// dashboard by overriding a partial, or add partials of its own. The UI
+// strings in templates/locales/ are looked up the same way (see locales.js).
+//
+// Supported:
+//
+//   {{ service.name }}                   output, escaped
+//   {{ value | default: 'none' }}        filters: raw, json, default, plus
+//                                        those passed to renderTemplate
+//   {% if a == 'x' and b %} {% elsif c %} {% else %} {% endif %}
+//                                        (nil, false, '' and empty lists are false)
+//   {% unless a %} {% endunless %}
+//   {% for item in list %} {% else %} {% endfor %}   (forloop.index, .first, .last)
+//   {% render 'partial', name: value %}  a partial, seeing only the given names
+//   {% comment %} {% endcomment %}
+//
+// A "-" inside a tag's braces ({%- ... -%}) trims the whitespace next to it,
+// and the newline at the end of a file is left out.
+
+const BUILT_IN_DIR = path.join(__dirname, '..', 'templates');
+
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const TAG_PATTERN = /\{\{(-?)([\s\S]*?)(-?)\}\}|\{%(-?)([\s\S]*?)(-?)%\}/g;
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+// Markup that output leaves as it is: `raw` and `json` results and rendered
+// partials
+class SafeString {
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+}
+
+const BUILT_IN_FILTERS = {
+  raw: (value) => new SafeString(value === null || value === undefined ? '' : String(value)),
+  // For values in inline scripts: "</script>" in a string can't end the element
+  json: (value) => new SafeString(JSON.stringify(value ?? null).replace(/</g, '\\u003c')),
+  default: (value, fallback) =>
+    value === null || value === undefined || value === '' || value === false ? fallback : value,
+};
+
+// Directories searched for templates, the deployment's own first
+function templateDirs() {
+  return [process.env.TERMINUS_TEMPLATES_DIR, BUILT_IN_DIR].filter(Boolean);
+}
+
+// --- Parsing ---
+
+// Splits `source` on a separator that isn't inside a quoted string
+function splitOutside(source, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (source.startsWith(separator, i)) {
+      parts.push(current);
+      current = '';
+      i += separator.length - 1;
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim());
+}
+
+function parseValue(source, where) {
+  if (/^(['"]).*\1$/s.test(source)) {
+    return { literal: source.slice(1, -1) };
+  }
+  if (/^-?\d+(\.\d+)?$/.test(source)) {
+    return { literal: Number(source) };
+  }
+  if (source === 'true' || source === 'false') {
+    return { literal: source === 'true' };
+  }
+  if (source === 'nil' || source === 'null') {
+    return { literal: null };
+  }
+  if (!/^[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*|\.\d+)*$/.test(source)) {
+    throw new TemplateError(`${where}: can't read "${source}"`);
+  }
+  return { path: source.split('.') };
+}
+
+// "value | filter: arg, arg | filter"
+function parseExpression(source, where) {
+  const [value, ...filters] = splitOutside(source, '|');
+  if (!value) {
+    throw new TemplateError(`${where}: missing value`);
+  }
+  return {
+    value: parseValue(value, where),
+    filters: filters.map((filter) => {
+      const colon = filter.indexOf(':');
+      const name = (colon === -1 ? filter : filter.slice(0, colon)).trim();
+      const args = colon === -1 ? [] : splitOutside(filter.slice(colon + 1), ',');
+      return { name, args: args.map((arg) => parseValue(arg, where)) };
+    }),
+  };
+}
+
+// "a == 'x' and b or c", with "and" binding tighter than "or"
+function parseCondition(source, where) {
+  const or = splitOutside(source, ' or ');
+  if (or.length > 1) {
+    return { or: or.map((part) => parseCondition(part, where)) };
+  }
+  const and = splitOutside(source, ' and ');
+  if (and.length > 1) {
+    return { and: and.map((part) => parseCondition(part, where)) };
+  }
+  for (const operator of ['==', '!=']) {
+    const sides = splitOutside(source, operator);
+    if (sides.length === 2) {
+      return {
+        operator,
+        left: parseExpression(sides[0], where),
+        right: parseExpression(sides[1], where),
+      };
+    }
+  }
+  return { truthy: parseExpression(source, where) };
+}
+
+// Compiles template source into a tree of nodes
+function parseTemplate(source, file) {
+  const tokens = [];
+  let last = 0;
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const line = source.slice(0, match.index).split('\n').length;
+    tokens.push({ type: 'text', text: source.slice(last, match.index) });
+    if (match[2] !== undefined) {
+      tokens.push({ type: 'output', body: match[2].trim(), trim: [match[1], match[3]], line });
+    } else {
+      tokens.push({ type: 'tag', body: match[5].trim(), trim: [match[4], match[6]], line });
+    }
+    last = match.index + match[0].length;
+  }
+  tokens.push({ type: 'text', text: source.slice(last) });
+
+  // Whitespace trimming markers
+  tokens.forEach((token, index) => {
+    if (token.type === 'text') return;
+    if (token.trim[0] && tokens[index - 1]) {
+      tokens[index - 1].text = tokens[index - 1].text.replace(/\s+$/, '');
+    }
+    if (token.trim[1] && tokens[index + 1]) {
+      tokens[index + 1].text = tokens[index + 1].text.replace(/^\s+/, '');
+    }
+  });
+
+  let position = 0;
+
+  // Nodes up to one of the `until` tags, which is returned as `end`
+  function parseBlock(until) {
+    const nodes = [];
+    while (position < tokens.length) {
+      const token = tokens[position++];
+      const where = `${file}:${token.line}`;
+
+      if (token.type === 'text') {
+        if (token.text) nodes.push({ type: 'text', text: token.text });
+        continue;
+      }
+      if (token.type === 'output') {
+        nodes.push({ type: 'output', expression: parseExpression(token.body, where) });
+        continue;
+      }
+
+      const [, tag, args = ''] = /^(\w+)\s*([\s\S]*)$/.exec(token.body) || [];
+      if (until.includes(tag)) {
+        return { nodes, end: { tag, args, where } };
+      }
+
+      switch (tag) {
+        case 'if':
+        case 'unless': {
+          const branches = [];
+          let condition = parseCondition(args, where);
+          if (tag === 'unless') condition = { not: condition };
+          for (;;) {
+            const { nodes: body, end } = parseBlock(['elsif', 'else', `end${tag}`]);
+            branches.push({ condition, nodes: body });
+            if (!end) throw new TemplateError(`${where}: {% ${tag} %} is never closed`);
+            if (end.tag === `end${tag}`) break;
+            condition = end.tag === 'elsif' ? parseCondition(end.args, end.where) : null;
+          }
+          nodes.push({ type: 'if', branches });
+          break;
+        }
+        case 'for': {
+          const loop = /^([A-Za-z_]\w*)\s+in\s+(.+)$/.exec(args);
+          if (!loop) throw new TemplateError(`${where}: expected {% for item in list %}`);
+          const body = parseBlock(['else', 'endfor']);
+          if (!body.end) throw new TemplateError(`${where}: {% for %} is never closed`);
+          const empty = body.end.tag === 'else' ? parseBlock(['endfor']) : { nodes: [] };
+          if (body.end.tag === 'else' && !empty.end) {
+            throw new TemplateError(`${where}: {% for %} is never closed`);
+          }
+          nodes.push({
+            type: 'for',
+            variable: loop[1],
+            list: parseExpression(loop[2], where),
+            nodes: body.nodes,
+            empty: empty.nodes,
+          });
+          break;
+        }
+        case 'render': {
+          const [name, ...params] = splitOutside(args, ',');
+          const partial = /^(['"])([^'"]+)\1$/.exec(name || '');
+          if (!partial) throw new TemplateError(`${where}: expected {% render 'name' %}`);
+          nodes.push({
+            type: 'render',
+            name: partial[2],
+            params: params.map((param) => {
+              const colon = param.indexOf(':');
+              if (colon === -1) throw new TemplateError(`${where}: expected name: value`);
+              return {
+                name: param.slice(0, colon).trim(),
+                expression: parseExpression(param.slice(colon + 1), where),
+              };
+            }),
+            where,
+          });
+          break;
+        }
+        case 'comment': {
+          const { end } = parseBlock(['endcomment']);
+          if (!end) throw new TemplateError(`${where}: {% comment %} is never closed`);
+          break;
+        }
+        default:
+          throw new TemplateError(`${where}: unknown tag {% ${token.body} %}`);
+      }
+    }
+    return { nodes, end: null };
+  }
+
+  const { nodes, end } = parseBlock([]);
+  if (end) {
+    throw new TemplateError(`${end.where}: unexpected {% ${end.tag} %}`);
+  }
+  return nodes;
+}
+
+// --- Loading ---
+
+const cache = new Map();
+
+// The compiled template `name` ("dashboard", or "partials/service-card"), from
+// the first template directory that has it
+function loadTemplate(name) {
+  for (const dir of templateDirs()) {
+    const file = path.join(dir, `${name}.liquid`);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (error) {
+      continue;
+    }
+
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+      return cached.nodes;
+    }
+    // The newline ending the file isn't part of the template
+    const source = fs.readFileSync(file, 'utf8').replace(/\n$/, '');
+    const nodes = parseTemplate(source, path.relative(process.cwd(), file));
+    cache.set(file, { mtimeMs: stat.mtimeMs, nodes });
+    return nodes;
+  }
+  throw new TemplateError(`No template "${name}.liquid" in ${templateDirs().join(' or ')}`);
+}
+
+// --- Rendering ---
+
+function lookup(scope, value) {
+  if (value.literal !== undefined || !value.path) {
+    return value.literal;
+  }
+  let result = scope;
+  for (const key of value.path) {
+    if (result === null || result === undefined) {
+      return undefined;
+    }
+    result = key === 'size' && Array.isArray(result) ? result.length : result[key];
+  }
+  return result;
+}
+
+function evaluate(expression, scope, filters) {
+  return expression.filters.reduce(
+    (value, filter) => {
+      const apply = filters[filter.name];
+      if (!apply) {
+        throw new TemplateError(`Unknown filter "${filter.name}"`);
+      }
+      return apply(value, ...filter.args.map((arg) => lookup(scope, arg)));
+    },
+    lookup(scope, expression.value)
+  );
+}
+
+// nil, false, empty strings and empty lists are false; everything else,
+// including 0, is true
+function truthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return value !== null && value !== undefined && value !== false && value !== '';
+}
+
+function test(condition, scope, filters) {
+  if (condition.or) return condition.or.some((part) => test(part, scope, filters));
+  if (condition.and) return condition.and.every((part) => test(part, scope, filters));
+  if (condition.not) return !test(condition.not, scope, filters);
+  if (condition.operator) {
+    const left = evaluate(condition.left, scope, filters);
+    const right = evaluate(condition.right, scope, filters);
+    return condition.operator === '==' ? left === right : left !== right;
+  }
+  return truthy(evaluate(condition.truthy, scope, filters));
+}
+
+function renderNodes(nodes, scope, filters) {
+  let html = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        html += node.text;
+        break;
+      case 'output': {
+        const value = evaluate(node.expression, scope, filters);
+        if (value instanceof SafeString) {
+          html += value.html;
+        } else if (value !== null && value !== undefined) {
+          html += escapeHtml(value);
+        }
+        break;
+      }
+      case 'if': {
+        const branch = node.branches.find(
+          ({ condition }) => !condition || test(condition, scope, filters)
+        );
+        if (branch) html += renderNodes(branch.nodes, scope, filters);
+        break;
+      }
+      case 'for': {
+        const list = evaluate(node.list, scope, filters) || [];
+        if (list.length === 0) {
+          html += renderNodes(node.empty, scope, filters);
+        }
+        list.forEach((item, index) => {
+          const forloop = { index: index + 1, first: index === 0, last: index === list.length - 1 };
+          html += renderNodes(node.nodes, { ...scope, [node.variable]: item, forloop }, filters);
+        });
+        break;
+      }
+      case 'render': {
+        if (!TEMPLATE_NAME_PATTERN.test(node.name)) {
+          throw new TemplateError(`${node.where}: invalid partial name "${node.name}"`);
+        }
+        const params = Object.fromEntries(
+          node.params.map((param) => [param.name, evaluate(param.expression, scope, filters)])
+        );
+        html += renderNodes(loadTemplate(`partials/${node.name}`), params, filters);
+        break;
+      }
+    }
+  }
+  return html;
+}
+
+// Renders the page template `name` with `data`. `filters` adds to the
+// built-in filters, e.g. { size: (value, unit) => ... } for {{ 10 | size: 'pt' }}.
+function renderTemplate(name, data, { filters = {} } = {}) {
+  return renderNodes(loadTemplate(name), data, { ...BUILT_IN_FILTERS, ...filters });
+}
+
+module.exports = { TemplateError, SafeString, escapeHtml, templateDirs, renderTemplate };
@@ -0,0 +1,437 @@
+const fs = require('fs');
+const path = require('path');
+const { FILTER_KEYS, FILTER_FLAGS } = require('./filters');
+const { PANELS, LAYOUT_LIMITS, LAYOUT_PRESETS } = require('./layouts');
+const { CLOCKS, isValidTimezone, canonicalLocale } = require('./locales');
+
+// Optional deployment config file, terminus.config.json by default. It holds
+// named dashboard profiles so screens that can't send custom headers can be
+// pointed at /d/<profile> instead:
+//
+// {
+//   "profiles": {
+//     "lobby": {
+//       "filters": { "projectId": "...", "serviceId": "api-*,!worker", "hideEphemeral": true },
+//       "logsEnvironmentId": "...",
+//       "timezone": "Europe/London",
+//       "locale": "en-GB",
+//       "clock": 24,
+//       "eventLogs": { "maxEntries": 6, "filter": "<DEPLOY>" },
+//       "layout": { "preset": "lobby-tv", "maxServices": 8, "maxVolumes": 4, "maxEvents": 6 },
+//       "deliveryPanel": true
+//     }
+//   },
+//   "layouts": {
+//     "lobby-tv": { "extends": "tv", "columns": [["events"], ["services", "volumes"]] }
+//   },
+//   "apiKeys": {
+//     "lobby-tv": {
+//       "tokenSha256": "<sha256 hex of the key>",
+//       "capabilities": ["dashboard"],
+//       "allow": { "projectIds": ["..."], "serviceIds": ["..."], "environmentIds": ["..."] }
+//     },
+//     "storefront-oncall": {
+//       "tokenEnv": "STOREFRONT_ONCALL_TOKEN",
+//       "capabilities": ["api", "operate"],
+//       "allow": { "projectIds": ["..."] }
+//     }
+//   },
+//   "volumes": {
+//     "pg-data": { "warnPercent": 70, "criticalPercent": 85 }
+//   }
+// }
+//
+// API keys give each caller its own capabilities and resource allow-lists
+// (see auth.js). The key itself is never stored in the file: give either its
+// SHA-256 (tokenSha256) or the name of an environment variable holding it
+// (tokenEnv).
+//
+// A profile's timezone, locale and clock set how its times and labels are
+// shown, unless the request picks its own (see locales.js).
+//
+// Layouts add page presets next to the built-in ones (see layouts.js).
+//
+// Volume thresholds override VOLUME_WARN_PERCENT and VOLUME_CRITICAL_PERCENT
+// for a volume name or volume instance ID (see volumes.js).
+//
+// The file is re-read whenever it changes on disk.
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const LAYOUT_KEYS = ['preset', ...LAYOUT_LIMITS];
+// Layout page sizes double as image sizes, which stop at 4000 pixels a side
+const MAX_LAYOUT_SIZE = 4000;
+const LAYOUT_SETTINGS = [
+  'description',
+  'extends',
+  'width',
+  'height',
+  'scale',
+  'columns',
+  'columnsWithoutEvents',
+  ...LAYOUT_LIMITS,
+];
+const CAPABILITIES = ['dashboard', 'api', 'logs', 'debug', 'metrics', 'share', 'audit', 'operate'];
+// Capabilities that change things on Railway. TERMINUS_AUTH_TOKEN doesn't
+// get them: acting takes a separate key.
+const OPERATOR_CAPABILITIES = ['operate'];
+// Capabilities that expose data across every project, so keys with an
+// allow-list can't have them
+const UNRESTRICTED_CAPABILITIES = ['debug', 'audit'];
+const ALLOW_KEYS = ['projectIds', 'serviceIds', 'environmentIds'];
+const VOLUME_THRESHOLD_KEYS = ['warnPercent', 'criticalPercent'];
+// Name of the unrestricted key backed by TERMINUS_AUTH_TOKEN
+const ADMIN_KEY_NAME = 'admin';
+// Name of the scrape-only key backed by TERMINUS_METRICS_TOKEN
+const METRICS_KEY_NAME = 'metrics';
+// Name of the action-only key backed by TERMINUS_OPERATOR_TOKEN
+const OPERATOR_KEY_NAME = 'operator';
+
+let cached = { file: null, mtimeMs: null, config: null };
+
+function configPath() {
+  return process.env.TERMINUS_CONFIG || path.join(process.cwd(), 'terminus.config.json');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasKey(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// `layouts` are the config file's own presets, which profiles may name
+function validateProfile(name, profile, layouts) {
+  const where = `profile "${name}"`;
+
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid profile name "${name}" (letters, digits, "-" and "_" only)`);
+  }
+  if (!isPlainObject(profile)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  if (profile.filters !== undefined) {
+    if (!isPlainObject(profile.filters)) {
+      throw new Error(`${where}: "filters" must be an object`);
+    }
+    for (const [key, value] of Object.entries(profile.filters)) {
+      if (FILTER_FLAGS.includes(key)) {
+        if (typeof value !== 'boolean') {
+          throw new Error(`${where}: filter "${key}" must be a boolean`);
+        }
+        continue;
+      }
+      if (!FILTER_KEYS.includes(key)) {
+        throw new Error(
+          `${where}: unknown filter "${key}" (expected ${[...FILTER_KEYS, ...FILTER_FLAGS].join(', ')})`
+        );
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`${where}: filter "${key}" must be a string`);
+      }
+    }
+  }
+
+  if (profile.logsEnvironmentId !== undefined && typeof profile.logsEnvironmentId !== 'string') {
+    throw new Error(`${where}: "logsEnvironmentId" must be a string`);
+  }
+
+  if (profile.timezone !== undefined && !isValidTimezone(profile.timezone)) {
+    throw new Error(`${where}: invalid timezone "${profile.timezone}"`);
+  }
+  if (profile.locale !== undefined && !canonicalLocale(profile.locale)) {
+    throw new Error(`${where}: invalid locale "${profile.locale}"`);
+  }
+  if (profile.clock !== undefined && !CLOCKS.includes(profile.clock)) {
+    throw new Error(`${where}: "clock" must be ${CLOCKS.join(' or ')}`);
+  }
+
+  if (profile.eventLogs !== undefined) {
+    if (!isPlainObject(profile.eventLogs)) {
+      throw new Error(`${where}: "eventLogs" must be an object`);
+    }
+    const { maxEntries, filter } = profile.eventLogs;
+    if (maxEntries !== undefined && !(Number.isInteger(maxEntries) && maxEntries > 0)) {
+      throw new Error(`${where}: "eventLogs.maxEntries" must be a positive integer`);
+    }
+    if (filter !== undefined && typeof filter !== 'string') {
+      throw new Error(`${where}: "eventLogs.filter" must be a string`);
+    }
+  }
+
+  if (profile.deliveryPanel !== undefined && typeof profile.deliveryPanel !== 'boolean') {
+    throw new Error(`${where}: "deliveryPanel" must be true or false`);
+  }
+
+  if (profile.layout !== undefined) {
+    if (!isPlainObject(profile.layout)) {
+      throw new Error(`${where}: "layout" must be an object`);
+    }
+    for (const [key, value] of Object.entries(profile.layout)) {
+      if (!LAYOUT_KEYS.includes(key)) {
+        throw new Error(`${where}: unknown layout setting "${key}"`);
+      }
+      if (key === 'preset') {
+        if (
+          typeof value !== 'string' ||
+          !(hasKey(LAYOUT_PRESETS, value) || hasKey(layouts, value))
+        ) {
+          throw new Error(`${where}: unknown layout preset "${value}"`);
+        }
+        continue;
+      }
+      if (!(Number.isInteger(value) && value >= 0)) {
+        throw new Error(`${where}: "layout.${key}" must be a non-negative integer`);
+      }
+    }
+  }
+}
+
+function validateApiKey(name, key) {
+  const where = `API key "${name}"`;
+
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid API key name "${name}" (letters, digits, "-" and "_" only)`);
+  }
+  if (name === ADMIN_KEY_NAME) {
+    throw new Error(`API key name "${ADMIN_KEY_NAME}" is reserved for TERMINUS_AUTH_TOKEN`);
+  }
+  if (name === METRICS_KEY_NAME) {
+    throw new Error(`API key name "${METRICS_KEY_NAME}" is reserved for TERMINUS_METRICS_TOKEN`);
+  }
+  if (name === OPERATOR_KEY_NAME) {
+    throw new Error(`API key name "${OPERATOR_KEY_NAME}" is reserved for TERMINUS_OPERATOR_TOKEN`);
+  }
+  if (!isPlainObject(key)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  if ((key.tokenSha256 === undefined) === (key.tokenEnv === undefined)) {
+    throw new Error(`${where}: set exactly one of "tokenSha256" or "tokenEnv"`);
+  }
+  if (key.tokenSha256 !== undefined && !/^[0-9a-f]{64}$/i.test(key.tokenSha256)) {
+    throw new Error(`${where}: "tokenSha256" must be a hex SHA-256 digest`);
+  }
+  if (key.tokenEnv !== undefined && (typeof key.tokenEnv !== 'string' || !key.tokenEnv)) {
+    throw new Error(`${where}: "tokenEnv" must be an environment variable name`);
+  }
+
+  if (!Array.isArray(key.capabilities) || key.capabilities.length === 0) {
+    throw new Error(`${where}: "capabilities" must be a non-empty array`);
+  }
+  for (const capability of key.capabilities) {
+    if (!CAPABILITIES.includes(capability)) {
+      throw new Error(
+        `${where}: unknown capability "${capability}" (expected ${CAPABILITIES.join(', ')})`
+      );
+    }
+  }
+
+  if (key.allow !== undefined) {
+    if (!isPlainObject(key.allow)) {
+      throw new Error(`${where}: "allow" must be an object`);
+    }
+    for (const [list, ids] of Object.entries(key.allow)) {
+      if (!ALLOW_KEYS.includes(list)) {
+        throw new Error(
+          `${where}: unknown allow list "${list}" (expected ${ALLOW_KEYS.join(', ')})`
+        );
+      }
+      if (
+        !Array.isArray(ids) ||
+        ids.length === 0 ||
+        !ids.every((id) => typeof id === 'string' && id)
+      ) {
+        throw new Error(`${where}: "allow.${list}" must be a non-empty array of IDs`);
+      }
+    }
+    const unrestricted = key.capabilities.find((capability) =>
+      UNRESTRICTED_CAPABILITIES.includes(capability)
+    );
+    if (Object.keys(key.allow).length > 0 && unrestricted) {
+      throw new Error(
+        `${where}: keys with an "allow" list can't have the "${unrestricted}" capability`
+      );
+    }
+  }
+}
+
+function validateColumns(where, key, columns) {
+  if (
+    !Array.isArray(columns) ||
+    columns.length === 0 ||
+    !columns.every((column) => Array.isArray(column) && column.length > 0)
+  ) {
+    throw new Error(`${where}: "${key}" must be a list of columns, each a list of panels`);
+  }
+  const seen = new Set();
+  for (const panel of columns.flat()) {
+    if (!PANELS.includes(panel)) {
+      throw new Error(`${where}: unknown panel "${panel}" (expected ${PANELS.join(', ')})`);
+    }
+    if (seen.has(panel)) {
+      throw new Error(`${where}: panel "${panel}" appears more than once in "${key}"`);
+    }
+    seen.add(panel);
+  }
+}
+
+function validateLayout(name, layout) {
+  const where = `layout "${name}"`;
+
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid layout name "${name}" (letters, digits, "-" and "_" only)`);
+  }
+  if (hasKey(LAYOUT_PRESETS, name)) {
+    throw new Error(`Layout name "${name}" is taken by a built-in preset`);
+  }
+  if (!isPlainObject(layout)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  for (const [key, value] of Object.entries(layout)) {
+    if (!LAYOUT_SETTINGS.includes(key)) {
+      throw new Error(
+        `${where}: unknown setting "${key}" (expected ${LAYOUT_SETTINGS.join(', ')})`
+      );
+    }
+    if (key === 'extends' && !hasKey(LAYOUT_PRESETS, value)) {
+      throw new Error(
+        `${where}: "extends" must name a built-in preset (${Object.keys(LAYOUT_PRESETS).join(', ')})`
+      );
+    }
+    if (key === 'description' && typeof value !== 'string') {
+      throw new Error(`${where}: "description" must be a string`);
+    }
+    if (
+      (key === 'width' || key === 'height') &&
+      value !== null &&
+      !(Number.isInteger(value) && value >= 100 && value <= MAX_LAYOUT_SIZE)
+    ) {
+      throw new Error(
+        `${where}: "${key}" must be a whole number of pixels between 100 and ${MAX_LAYOUT_SIZE}, or null`
+      );
+    }
+    if (key === 'scale' && !(typeof value === 'number' && value > 0 && value <= 10)) {
+      throw new Error(`${where}: "scale" must be a number between 0 and 10`);
+    }
+    if (key === 'columns' || key === 'columnsWithoutEvents') {
+      validateColumns(where, key, value);
+    }
+    if (LAYOUT_LIMITS.includes(key) && !(Number.isInteger(value) && value >= 0)) {
+      throw new Error(`${where}: "${key}" must be a non-negative integer`);
+    }
+  }
+}
+
+function validateVolumeThresholds(name, thresholds) {
+  const where = `volume "${name}"`;
+
+  if (!isPlainObject(thresholds)) {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const [key, value] of Object.entries(thresholds)) {
+    if (!VOLUME_THRESHOLD_KEYS.includes(key)) {
+      throw new Error(
+        `${where}: unknown setting "${key}" (expected ${VOLUME_THRESHOLD_KEYS.join(', ')})`
+      );
+    }
+    if (!(typeof value === 'number' && value > 0 && value <= 100)) {
+      throw new Error(`${where}: "${key}" must be a percentage between 0 and 100`);
+    }
+  }
+  const { warnPercent, criticalPercent } = thresholds;
+  if (warnPercent !== undefined && criticalPercent !== undefined && warnPercent > criticalPercent) {
+    throw new Error(`${where}: "warnPercent" can't be above "criticalPercent"`);
+  }
+}
+
+// Parses and validates a config file. Throws with a readable message on error.
+function loadTerminusConfig(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+
+  if (!isPlainObject(raw)) {
+    throw new Error(`${file} must contain a JSON object`);
+  }
+
+  const layouts = raw.layouts || {};
+  if (!isPlainObject(layouts)) {
+    throw new Error(`${file}: "layouts" must be an object`);
+  }
+  for (const [name, layout] of Object.entries(layouts)) {
+    validateLayout(name, layout);
+  }
+
+  const profiles = raw.profiles || {};
+  if (!isPlainObject(profiles)) {
+    throw new Error(`${file}: "profiles" must be an object`);
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    validateProfile(name, profile, layouts);
+  }
+
+  const apiKeys = raw.apiKeys || {};
+  if (!isPlainObject(apiKeys)) {
+    throw new Error(`${file}: "apiKeys" must be an object`);
+  }
+  for (const [name, key] of Object.entries(apiKeys)) {
+    validateApiKey(name, key);
+  }
+
+  const volumes = raw.volumes || {};
+  if (!isPlainObject(volumes)) {
+    throw new Error(`${file}: "volumes" must be an object`);
+  }
+  for (const [name, thresholds] of Object.entries(volumes)) {
+    validateVolumeThresholds(name, thresholds);
+  }
+
+  return { ...raw, profiles, apiKeys, volumes, layouts };
+}
+
+// The current config, or an empty one when no config file exists
+function getTerminusConfig() {
+  const file = configPath();
+
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (error) {
+    if (process.env.TERMINUS_CONFIG) {
+      throw new Error(`TERMINUS_CONFIG file not found: ${file}`);
+    }
+    return { profiles: {}, apiKeys: {}, volumes: {}, layouts: {} };
+  }
+
+  if (cached.file !== file || cached.mtimeMs !== stat.mtimeMs) {
+    cached = { file, mtimeMs: stat.mtimeMs, config: loadTerminusConfig(file) };
+    console.log(
+      `⚙️  Loaded ${file} (${Object.keys(cached.config.profiles).length} dashboard profiles, ${Object.keys(cached.config.apiKeys).length} API keys)`
+    );
+  }
+
+  return cached.config;
+}
+
+// The named profile, or null if it doesn't exist
+function getProfile(name) {
+  const { profiles } = getTerminusConfig();
+  return hasKey(profiles, name) ? profiles[name] : null;
+}
+
+module.exports = {
+  CAPABILITIES,
+  OPERATOR_CAPABILITIES,
+  ADMIN_KEY_NAME,
+  METRICS_KEY_NAME,
+  OPERATOR_KEY_NAME,
+  loadTerminusConfig,
+  getTerminusConfig,
+  getProfile,
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+// Railway issues three kinds of API token:
+//
+// - account: personal token, `Authorization: Bearer`, can query `me`
+// - team:    team token, `Authorization: Bearer`, no `me`; projects come from
+//            the root `projects` query
+// - project: project token, `Project-Access-Token` header, scoped to one
+//            project and environment; reached through `project(id:)`
+//
+// Every type gets its own copy of the dashboard queries (queries/ for account
+// tokens, queries/team/ and queries/project/ for the others) and the results
+// are normalised back into the account `me { workspaces }` shape, so the rest
+// of the pipeline does not need to know which token was used.
+const TOKEN_TYPES = ['account', 'team', 'project'];
+
+const QUERIES_DIR = path.join(__dirname, '..', 'queries');
+
+const PROBES = {
+  account: 'query accountTokenProbe { me { id } }',
+  team: 'query teamTokenProbe { projects(first: 1) { edges { node { id } } } }',
+};
+
+function authHeaders(tokenType, token) {
+  if (tokenType === 'project') {
+    return { 'Project-Access-Token': token };
+  }
+  return { Authorization: `Bearer ${token}` };
+}
+
+// Reads a query file, preferring the token type's own variant when there is one
+function loadQuery(tokenType, fileName) {
+  const candidates =
+    tokenType === 'account'
+      ? [path.join(QUERIES_DIR, fileName)]
+      : [path.join(QUERIES_DIR, tokenType, fileName), path.join(QUERIES_DIR, fileName)];
+
+  const file = candidates.find((candidate) => fs.existsSync(candidate));
+  return fs.readFileSync(file || candidates[0], 'utf8');
+}
+
+// Wraps team and project query results in the account `me { workspaces }`
+// shape. Account results and empty fallbacks are returned unchanged.
+function toAccountShape(tokenInfo, data) {
+  if (!data || data.me) {
+    return data;
+  }
+
+  let projects;
+  if (data.project) {
+    projects = { edges: [{ node: data.project }] };
+  } else if (data.projects) {
+    projects = data.projects;
+  } else {
+    return data;
+  }
+
+  const firstProject = projects.edges?.[0]?.node;
+  const workspaceName =
+    process.env.TERMINUS_WORKSPACE_NAME ||
+    (tokenInfo.type === 'project' ? firstProject?.name : null) ||
+    'Railway';
+  const workspaceId = `${tokenInfo.type}-token`;
+
+  return {
+    me: {
+      workspaces: [
+        {
+          id: workspaceId,
+          name: workspaceName,
+          team: { id: workspaceId, name: workspaceName, projects },
+        },
+      ],
+    },
+  };
+}
+
+module.exports = { TOKEN_TYPES, PROBES, authHeaders, loadQuery, toAccountShape };
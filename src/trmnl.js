@@ -0,0 +1,189 @@
+const trmnlConfig = require('./config/trmnl');
+const { DashboardGenerator, getStatusIndicator } = require('./generate-html');
+
+// Output for TRMNL private plugins. The dashboard is flattened into "merge
+// variables", which the plugin's Liquid markup (trmnl/*.liquid) renders:
+//
+//   { "title": "Acme", "updated_at": "Jan 15, 12:00", "services": [{ "name": "storefront/api",
+//     "environment": "production", "status": "OK", "deployed_at": "Jan 15, 09:30" }], ... }
+//
+// Plugins either poll GET /trmnl/merge-variables or receive the same object
+// from TrmnlPusher through their webhook.
+
+class TrmnlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TrmnlError';
+  }
+}
+
+// Flattens dashboard data into merge variables. `options` takes a profile's
+// timezone, locale, clock and layout limits, like DashboardGenerator.
+function buildMergeVariables(dashboardData, options = {}) {
+  const generator = new DashboardGenerator(options);
+  generator.loadData(dashboardData);
+
+  const base = {
+    updated_at: generator.formatEventTimestamp(dashboardData.timestamp),
+    updated_at_iso: dashboardData.timestamp,
+  };
+
+  if (!dashboardData.success) {
+    return {
+      title: generator.t('apiUnavailable'),
+      filtered: false,
+      ...base,
+      error: dashboardData.error.message,
+      service_count: 0,
+      services_ok: 0,
+      services_failing: 0,
+      services: [],
+      volume_count: 0,
+      volumes: [],
+      events_label: null,
+      event_count: 0,
+      events: [],
+      truncated: false,
+    };
+  }
+
+  const { workspaces, volumes, eventLogs, hasFilters } = generator.extractComprehensiveData();
+  const services = generator.flattenServices(workspaces);
+  const statuses = services.map((service) => service.deployment?.status);
+  const logsEnvironmentId = dashboardData.data.eventLogsEnvironmentId;
+
+  return {
+    title: generator.workspaceTitle(workspaces, hasFilters),
+    filtered: Boolean(hasFilters),
+    ...base,
+    error: null,
+    service_count: services.length,
+    services_ok: statuses.filter((status) => status === 'SUCCESS').length,
+    services_failing: statuses.filter((status) => ['FAILED', 'CRASHED'].includes(status)).length,
+    services: services.slice(0, generator.layout.maxServices).map((service) => ({
+      name: hasFilters ? service.serviceName : `${service.projectName}/${service.serviceName}`,
+      environment: service.environmentName,
+      status: service.deployment ? getStatusIndicator(service.deployment.status) : 'NONE',
+      deployed_at: service.deployment
+        ? generator.formatEventTimestamp(service.deployment.createdAt)
+        : null,
+      timing: generator.deploymentTimingText(service.deployment),
+      stale: Boolean(service.deployment?.timing?.stale),
+    })),
+    volume_count: volumes.length,
+    volumes: volumes.slice(0, generator.layout.maxVolumes).map((volume) => ({
+      name: `${volume.serviceName} • ${volume.environmentName}`,
+      mount_path: volume.mountPath,
+      used_gb: Number((volume.currentSizeMB / 1024).toFixed(1)),
+      size_gb: Number((volume.sizeMB / 1024).toFixed(1)),
+      percent: volume.sizeMB ? Math.round((volume.currentSizeMB / volume.sizeMB) * 100) : 0,
+    })),
+    events_label: logsEnvironmentId ? generator.eventLogsLabel(workspaces) : null,
+    event_count: eventLogs.length,
+    events: eventLogs.slice(0, generator.layout.maxEvents).map((log) => ({
+      time: generator.formatEventTimestamp(log.timestamp),
+      message: generator.extractEventAction(log.message),
+      severity: log.severity,
+    })),
+    truncated: false,
+  };
+}
+
+// The webhook body for `mergeVariables`, no larger than maxBytes. Entries are
+// dropped from the end of events, then volumes, then services until it fits;
+// the *_count totals are kept and `truncated` is set.
+function webhookPayload(mergeVariables, maxBytes = trmnlConfig.maxPayloadBytes) {
+  const variables = {
+    ...mergeVariables,
+    events: [...mergeVariables.events],
+    volumes: [...mergeVariables.volumes],
+    services: [...mergeVariables.services],
+  };
+  const size = () => Buffer.byteLength(JSON.stringify({ merge_variables: variables }));
+
+  for (const list of ['events', 'volumes', 'services']) {
+    while (size() > maxBytes && variables[list].length > 0) {
+      variables[list].pop();
+      variables.truncated = true;
+    }
+  }
+
+  if (size() > maxBytes) {
+    throw new TrmnlError(`Merge variables don't fit in ${maxBytes} bytes, even with empty lists`);
+  }
+  return { merge_variables: variables };
+}
+
+// Pushes merge variables to a TRMNL webhook every intervalMs. `load` is an
+// async function returning fresh merge variables.
+class TrmnlPusher {
+  constructor({
+    load,
+    webhookUrl = trmnlConfig.webhookUrl,
+    intervalMs = trmnlConfig.pushIntervalMs,
+    maxPayloadBytes = trmnlConfig.maxPayloadBytes,
+  }) {
+    this.load = load;
+    this.webhookUrl = webhookUrl;
+    this.intervalMs = intervalMs;
+    this.maxPayloadBytes = maxPayloadBytes;
+    this.timer = null;
+    this.pushing = false;
+    this.lastPush = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.push(), this.intervalMs);
+    // Don't keep the process alive just to push
+    this.timer.unref();
+    this.push();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Sends one update. Returns true on success; failures are logged, and the
+  // next scheduled push tries again.
+  async push() {
+    if (this.pushing) {
+      return false;
+    }
+    this.pushing = true;
+
+    try {
+      const payload = webhookPayload(await this.load(), this.maxPayloadBytes);
+      const body = JSON.stringify(payload);
+      const response = await fetch(this.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        signal: AbortSignal.timeout(15000),
+      });
+      if (!response.ok) {
+        throw new TrmnlError(`TRMNL webhook responded with HTTP ${response.status}`);
+      }
+
+      this.lastPush = {
+        at: new Date().toISOString(),
+        bytes: Buffer.byteLength(body),
+        truncated: payload.merge_variables.truncated,
+      };
+      console.log(
+        `📟 Pushed ${this.lastPush.bytes} bytes to TRMNL${this.lastPush.truncated ? ' (lists shortened to fit)' : ''}`
+      );
+      return true;
+    } catch (error) {
+      console.error('❌ TRMNL push failed:', error.message);
+      return false;
+    } finally {
+      this.pushing = false;
+    }
+  }
+}
+
+module.exports = { TrmnlError, TrmnlPusher, buildMergeVariables, webhookPayload };
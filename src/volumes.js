@@ -0,0 +1,185 @@
+const volumesConfig = require('./config/volumes');
+const { getStore } = require('./json-store');
+const { getTerminusConfig } = require('./terminus-config');
+
+// Capacity levels for volumes and a forecast of when each fills up.
+//
+// Usage samples are kept in volume-history.json as
+//
+//   volumes: "<volume instance id>" -> [[epoch ms, currentSizeMB], ...]
+//
+// and the forecast is a least-squares line through the samples of the last
+// forecastWindowMs, so a one-off spike doesn't dominate it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Samples must cover at least this long before a forecast is made
+const MIN_FORECAST_SPAN_MS = 6 * 60 * 60 * 1000;
+
+// Worst first
+const LEVELS = ['critical', 'warning', 'ok'];
+
+// Per-volume overrides from terminus.config.json. An invalid config file is
+// reported at startup and by every authenticated request, so the defaults
+// are good enough here.
+function configuredThresholds() {
+  try {
+    return getTerminusConfig().volumes || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Warning and critical percentages for a volume: its instance ID's override,
+// then its volume name's, then the global defaults
+function volumeThresholds(volume, overrides = configuredThresholds()) {
+  const own = (volume.id && overrides[volume.id]) || {};
+  const named = (volume.volumeName && overrides[volume.volumeName]) || {};
+  return {
+    warnPercent: own.warnPercent ?? named.warnPercent ?? volumesConfig.warnPercent,
+    criticalPercent: own.criticalPercent ?? named.criticalPercent ?? volumesConfig.criticalPercent,
+  };
+}
+
+function volumeLevel(usagePercent, { warnPercent, criticalPercent }) {
+  if (usagePercent >= criticalPercent) {
+    return 'critical';
+  }
+  return usagePercent >= warnPercent ? 'warning' : 'ok';
+}
+
+// Growth and time until full from [[ms, MB], ...] samples, or null if there
+// isn't enough history. daysUntilFull is null when usage isn't growing.
+function forecastFill(
+  samples,
+  sizeMB,
+  now = Date.now(),
+  windowMs = volumesConfig.forecastWindowMs
+) {
+  const recent = samples.filter(([at]) => at >= now - windowMs);
+  if (recent.length < 2 || recent[recent.length - 1][0] - recent[0][0] < MIN_FORECAST_SPAN_MS) {
+    return null;
+  }
+
+  const meanAt = recent.reduce((sum, [at]) => sum + at, 0) / recent.length;
+  const meanMB = recent.reduce((sum, [, mb]) => sum + mb, 0) / recent.length;
+  let covariance = 0;
+  let variance = 0;
+  for (const [at, mb] of recent) {
+    covariance += (at - meanAt) * (mb - meanMB);
+    variance += (at - meanAt) ** 2;
+  }
+  const growthMBPerDay = (covariance / variance) * DAY_MS;
+
+  const [, currentMB] = recent[recent.length - 1];
+  const daysUntilFull =
+    growthMBPerDay > 0 ? Math.max(sizeMB - currentMB, 0) / growthMBPerDay : null;
+
+  return {
+    growthMBPerDay: Number(growthMBPerDay.toFixed(1)),
+    daysUntilFull: daysUntilFull === null ? null : Number(daysUntilFull.toFixed(1)),
+    fullAt: daysUntilFull === null ? null : new Date(now + daysUntilFull * DAY_MS).toISOString(),
+  };
+}
+
+// Thresholds, level and forecast for one volume
+function assessVolume(volume, forecast = null, overrides = configuredThresholds()) {
+  const thresholds = volumeThresholds(volume, overrides);
+  const usagePercent = volume.sizeMB ? (volume.currentSizeMB / volume.sizeMB) * 100 : 0;
+  return {
+    usagePercent: Number(usagePercent.toFixed(1)),
+    level: volumeLevel(usagePercent, thresholds),
+    ...thresholds,
+    forecast,
+  };
+}
+
+// Critical volumes first, then warnings, each fullest first. Expects volumes
+// with `health` from assessVolume.
+function sortByUrgency(volumes) {
+  return volumes.sort(
+    (a, b) =>
+      LEVELS.indexOf(a.health.level) - LEVELS.indexOf(b.health.level) ||
+      b.health.usagePercent - a.health.usagePercent
+  );
+}
+
+// Usage samples per volume instance, persisted between restarts
+class VolumeHistory {
+  constructor({
+    store = getStore('volume-history.json', { volumes: {} }),
+    sampleIntervalMs = volumesConfig.sampleIntervalMs,
+    retentionMs = volumesConfig.historyRetentionMs,
+  } = {}) {
+    this.store = store;
+    this.sampleIntervalMs = sampleIntervalMs;
+    this.retentionMs = retentionMs;
+  }
+
+  samples(volumeId) {
+    return this.store.read().volumes[volumeId] || [];
+  }
+
+  // Adds a sample for every volume whose last one is older than the sample
+  // interval, and drops samples past the retention period
+  record(volumes, now = Date.now()) {
+    const due = volumes.filter((volume) => {
+      const samples = this.samples(volume.id);
+      return (
+        volume.id &&
+        (!samples.length || now - samples[samples.length - 1][0] >= this.sampleIntervalMs)
+      );
+    });
+    if (due.length === 0) {
+      return;
+    }
+
+    this.store.update((data) => {
+      for (const volume of due) {
+        data.volumes[volume.id] = [...(data.volumes[volume.id] || []), [now, volume.currentSizeMB]];
+      }
+      for (const [id, samples] of Object.entries(data.volumes)) {
+        const kept = samples.filter(([at]) => now - at <= this.retentionMs);
+        if (kept.length) {
+          data.volumes[id] = kept;
+        } else {
+          delete data.volumes[id];
+        }
+      }
+    });
+  }
+}
+
+// The history in TERMINUS_DATA_DIR, with the configured sampling settings
+function getVolumeHistory() {
+  return new VolumeHistory();
+}
+
+// Samples the volumes of a dashboard fetch and returns their assessments,
+// keyed by volume instance ID
+function volumeHealth(volumes, history = getVolumeHistory(), now = Date.now()) {
+  history.record(volumes, now);
+  const overrides = configuredThresholds();
+  return Object.fromEntries(
+    volumes
+      .filter((volume) => volume.id)
+      .map((volume) => [
+        volume.id,
+        assessVolume(
+          volume,
+          forecastFill(history.samples(volume.id), volume.sizeMB, now),
+          overrides
+        ),
+      ])
+  );
+}
+
+module.exports = {
+  VolumeHistory,
+  assessVolume,
+  forecastFill,
+  getVolumeHistory,
+  sortByUrgency,
+  volumeHealth,
+  volumeThresholds,
+};
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config/security.js reads these once, when first required
+Object.assign(process.env, {
+  TERMINUS_TRUST_PROXY: '1',
+  TERMINUS_AUTH_MAX_FAILURES: '3',
+  TERMINUS_AUTH_LOCKOUT: '60',
+});
+
+const { AuthThrottle } = require('../src/auth-throttle');
+const { AuditLog } = require('../src/audit-log');
+const { TEST_CONFIG, startTestServer } = require('./helpers');
+
+test('AuthThrottle locks an IP out after repeated failures within the window', () => {
+  const throttle = new AuthThrottle({ maxFailures: 3, failureWindowMs: 1000, lockoutMs: 5000 });
+
+  assert.equal(throttle.recordFailure('a', 0), false);
+  assert.equal(throttle.recordFailure('a', 500), false);
+  // The first failure has left the window
+  assert.equal(throttle.recordFailure('a', 1200), false);
+  assert.equal(throttle.recordFailure('a', 1300), true);
+
+  assert.equal(throttle.lockedFor('a', 1300), 5000);
+  assert.equal(throttle.lockedFor('b', 1300), 0);
+  assert.equal(throttle.lockedFor('a', 6300), 0);
+});
+
+test('AuditLog rotates and queries newest first', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-audit-')), 'audit.jsonl');
+  const log = new AuditLog(file, 200);
+
+  for (let i = 0; i < 6; i++) {
+    log.record({ type: 'auth', result: i % 2 ? 'denied' : 'allowed', ip: `10.0.0.${i}` });
+  }
+
+  // Both the rotated and the current file are searched
+  assert.ok(fs.existsSync(`${file}.1`));
+  assert.deepEqual(
+    log.query({ result: 'denied' }).map((entry) => entry.ip),
+    ['10.0.0.5', '10.0.0.3', '10.0.0.1']
+  );
+  assert.equal(log.query({ limit: 1 })[0].ip, '10.0.0.5');
+  assert.deepEqual(log.query({ since: '2999-01-01T00:00:00.000Z' }), []);
+});
+
+test('authentication hardening', async (t) => {
+  const server = await startTestServer({
+    TERMINUS_CONFIG: TEST_CONFIG,
+    TEST_STOREFRONT_KEY: 'storefront-key',
+  });
+  t.after(() => server.close());
+
+  // Requests appear to come from `ip` through one trusted proxy hop
+  const from = (ip, urlPath, headers = {}) =>
+    server.get(urlPath, { 'X-Forwarded-For': ip, ...headers });
+
+  await t.test('repeated failures lock the IP out, even for valid keys', async () => {
+    for (let i = 0; i < 3; i++) {
+      const res = await from('203.0.113.1', '/api/data', { Authorization: 'Bearer wrong' });
+      assert.equal(res.status, 403);
+    }
+
+    const locked = await from('203.0.113.1', '/api/data');
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+    assert.equal((await from('203.0.113.2', '/health')).status, 200);
+    assert.equal((await from('203.0.113.2', '/api/data')).status, 200);
+  });
+
+  await t.test('a valid key lacking a capability is not locked out', async () => {
+    for (let i = 0; i < 4; i++) {
+      const res = await from('203.0.113.3', '/debug', { Authorization: 'Bearer storefront-key' });
+      assert.equal(res.status, 403);
+    }
+    assert.equal((await from('203.0.113.3', '/api/data')).status, 200);
+  });
+
+  await t.test('a display polling an expired share link is not locked out', async () => {
+    const minted = await server.send('POST', '/api/share-links', { expiresIn: 1 });
+    const { token } = await minted.json();
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+
+    for (let i = 0; i < 4; i++) {
+      const res = await from('203.0.113.7', `/s/${token}`);
+      assert.equal(res.status, 403);
+    }
+    assert.equal((await from('203.0.113.7', '/api/data')).status, 200);
+
+    const { entries } = await (await from('203.0.113.5', '/api/audit?ip=203.0.113.7')).json();
+    assert.deepEqual(
+      entries.map((entry) => entry.reason),
+      ['api_key', ...Array(4).fill('expired_share_link')]
+    );
+  });
+
+  await t.test('GET /api/audit returns structured auth decisions', async () => {
+    await from('203.0.113.4', '/s/not-a-token');
+
+    const res = await from('203.0.113.5', '/api/audit?ip=203.0.113.1');
+    assert.equal(res.status, 200);
+    const { entries } = await res.json();
+
+    assert.deepEqual(
+      entries.map((entry) => entry.result),
+      ['locked_out', 'denied', 'denied', 'denied']
+    );
+    assert.deepEqual(
+      { ...entries[1], timestamp: undefined },
+      {
+        timestamp: undefined,
+        type: 'auth',
+        result: 'denied',
+        reason: 'invalid_token',
+        ip: '203.0.113.1',
+        method: 'GET',
+        route: '/api/data',
+        key: null,
+        status: 403,
+      }
+    );
+
+    const [allowed] = await (
+      await from('203.0.113.5', '/api/audit?result=allowed&ip=203.0.113.3')
+    )
+      .json()
+      .then((body) => body.entries);
+    assert.equal(allowed.key, 'admin');
+    assert.equal(allowed.reason, 'api_key');
+
+    const [share] = (await (await from('203.0.113.5', '/api/audit?ip=203.0.113.4')).json()).entries;
+    assert.equal(share.reason, 'invalid_share_link');
+    assert.equal(share.route, '/s/:shareToken');
+  });
+
+  await t.test('GET /api/audit needs the audit capability and valid parameters', async () => {
+    const scoped = await from('203.0.113.6', '/api/audit', {
+      Authorization: 'Bearer storefront-key',
+    });
+    assert.equal(scoped.status, 403);
+
+    assert.equal((await from('203.0.113.6', '/api/audit?limit=0')).status, 400);
+    assert.equal((await from('203.0.113.6', '/api/audit?since=yesterday')).status, 400);
+  });
+});
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTerminusConfig } = require('../src/terminus-config');
+const { scopeAccountData } = require('../src/scope');
+const { TEST_CONFIG, fixture, startTestServer } = require('./helpers');
+
+const KEYS = {
+  storefront: 'storefront-key',
+  worker: 'worker-api-key',
+  staging: 'staging-key',
+};
+
+function writeConfig(config) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-')), 'config.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+// IDs at each level of account-shaped data
+function projectIds(data) {
+  return data.me.workspaces.flatMap((workspace) =>
+    workspace.team.projects.edges.map((edge) => edge.node.id)
+  );
+}
+
+function serviceIds(data) {
+  return data.me.workspaces.flatMap((workspace) =>
+    workspace.team.projects.edges.flatMap((edge) =>
+      edge.node.services.edges.map((service) => service.node.id)
+    )
+  );
+}
+
+function deploymentIds(data) {
+  return data.me.workspaces.flatMap((workspace) =>
+    workspace.team.projects.edges.flatMap((edge) =>
+      edge.node.services.edges.flatMap((service) =>
+        service.node.deployments.edges.map((deployment) => deployment.node.id)
+      )
+    )
+  );
+}
+
+function volumeInstanceIds(data) {
+  return data.me.workspaces.flatMap((workspace) =>
+    workspace.team.projects.edges.flatMap((edge) =>
+      edge.node.volumes.edges.flatMap((volume) =>
+        volume.node.volumeInstances.edges.map((instance) => instance.node.id)
+      )
+    )
+  );
+}
+
+test('invalid API keys are rejected with a readable message', () => {
+  const key = { tokenEnv: 'KEY', capabilities: ['dashboard'] };
+  const cases = [
+    [{ admin: key }, /reserved/],
+    [{ a: { capabilities: ['dashboard'] } }, /exactly one of/],
+    [{ a: { ...key, tokenSha256: 'abc' } }, /exactly one of/],
+    [{ a: { tokenSha256: 'abc', capabilities: ['dashboard'] } }, /hex SHA-256/],
+    [{ a: { ...key, capabilities: [] } }, /non-empty array/],
+    [{ a: { ...key, capabilities: ['admin'] } }, /unknown capability "admin"/],
+    [{ a: { ...key, allow: { projects: ['p'] } } }, /unknown allow list "projects"/],
+    [{ a: { ...key, allow: { projectIds: [] } } }, /non-empty array of IDs/],
+    [{ a: { ...key, capabilities: ['debug'], allow: { projectIds: ['p'] } } }, /"debug"/],
+  ];
+
+  for (const [apiKeys, message] of cases) {
+    assert.throws(() => loadTerminusConfig(writeConfig({ apiKeys })), message);
+  }
+  assert.doesNotThrow(() => loadTerminusConfig(TEST_CONFIG));
+});
+
+test('scopeAccountData restricts every level of the data', () => {
+  const projects = fixture('projectsServicesEnvironments');
+  const deployments = fixture('latestDeployments');
+  const volumes = fixture('volumeUsage');
+
+  const storefront = { projectIds: ['proj-storefront'] };
+  assert.deepEqual(projectIds(scopeAccountData(projects, storefront)), ['proj-storefront']);
+  assert.ok(!deploymentIds(scopeAccountData(deployments, storefront)).includes('dep-worker-1'));
+  assert.ok(!volumeInstanceIds(scopeAccountData(volumes, storefront)).includes('vi-worker-prod'));
+
+  const worker = { serviceIds: ['svc-worker'] };
+  assert.deepEqual(serviceIds(scopeAccountData(projects, worker)), ['svc-worker']);
+  assert.deepEqual(deploymentIds(scopeAccountData(deployments, worker)), ['dep-worker-1']);
+  assert.deepEqual(volumeInstanceIds(scopeAccountData(volumes, worker)), ['vi-worker-prod']);
+
+  const staging = { environmentIds: ['env-store-staging'] };
+  assert.deepEqual(projectIds(scopeAccountData(projects, staging)), ['proj-storefront']);
+  assert.deepEqual(deploymentIds(scopeAccountData(deployments, staging)), ['dep-api-2']);
+  assert.deepEqual(volumeInstanceIds(scopeAccountData(volumes, staging)), ['vi-pg-staging']);
+
+  assert.equal(scopeAccountData(projects, null), projects);
+});
+
+test('scoped API keys', async (t) => {
+  const server = await startTestServer({
+    TERMINUS_CONFIG: TEST_CONFIG,
+    TEST_STOREFRONT_KEY: KEYS.storefront,
+    TEST_STAGING_KEY: KEYS.staging,
+  });
+  t.after(() => server.close());
+
+  const as = (name, urlPath, headers = {}) =>
+    server.get(urlPath, { Authorization: `Bearer ${KEYS[name]}`, ...headers });
+
+  await t.test('headers cannot widen a key beyond its allowed projects', async () => {
+    const body = await (
+      await as('storefront', '/api/data', { 'X-Project-Id': 'proj-tools' })
+    ).json();
+
+    assert.deepEqual(projectIds(body.data.projects), []);
+    assert.deepEqual(deploymentIds(body.data.deployments), []);
+    assert.deepEqual(volumeInstanceIds(body.data.volumes), []);
+    assert.deepEqual(body.data.queryInfo.scope, { projectIds: ['proj-storefront'] });
+
+    const html = await (await as('storefront', '/')).text();
+    assert.match(html, /storefront\/api/);
+    assert.doesNotMatch(html, /internal-tools/);
+  });
+
+  await t.test('keys only see logs for environments they are allowed', async () => {
+    const own = await (
+      await as('storefront', '/api/data', { 'X-Logs-Environment-Id': 'env-store-prod' })
+    ).json();
+    assert.equal(own.data.queryInfo.eventLogsQueryUsed, 'full');
+    assert.ok(own.data.eventLogs.environmentLogs.length > 0);
+
+    const other = await (
+      await as('storefront', '/api/data', { 'X-Logs-Environment-Id': 'env-tools-prod' })
+    ).json();
+    assert.equal(other.data.queryInfo.eventLogsQueryUsed, 'out_of_scope');
+    assert.deepEqual(other.data.eventLogs.environmentLogs, []);
+
+    const worker = await (
+      await as('worker', '/api/data', { 'X-Logs-Environment-Id': 'env-tools-prod' })
+    ).json();
+    assert.equal(worker.data.queryInfo.eventLogsQueryUsed, 'out_of_scope');
+    assert.equal(
+      server.mock.requests.filter((request) => request.operationName === 'event_logs').length,
+      2
+    );
+  });
+
+  await t.test('environment-restricted keys only see that environment', async () => {
+    const body = await (await as('staging', '/api/data')).json();
+
+    assert.deepEqual(deploymentIds(body.data.deployments), ['dep-api-2']);
+    assert.deepEqual(volumeInstanceIds(body.data.volumes), ['vi-pg-staging']);
+  });
+
+  await t.test('capabilities gate each endpoint', async () => {
+    const debug = await as('storefront', '/debug');
+    assert.equal(debug.status, 403);
+    assert.match((await debug.json()).message, /"debug" capability/);
+
+    assert.equal((await as('worker', '/')).status, 403);
+    assert.equal((await as('worker', '/api/data')).status, 200);
+    assert.equal((await server.get('/', { Authorization: 'Bearer nope' })).status, 403);
+  });
+
+  await t.test('share links keep the scope of the key that minted them', async () => {
+    const res = await server.send(
+      'POST',
+      '/api/share-links',
+      { filters: { projectId: 'proj-tools' } },
+      { Authorization: `Bearer ${KEYS.storefront}` }
+    );
+    assert.equal(res.status, 201);
+    const link = await res.json();
+    assert.equal(link.createdBy, 'storefront');
+
+    const body = await (await server.get(`/s/${link.token}/data`, { Authorization: '' })).json();
+    assert.deepEqual(projectIds(body.data.projects), []);
+
+    const adminLink = await (await server.send('POST', '/api/share-links', {})).json();
+    const { links } = await (await as('storefront', '/api/share-links')).json();
+    assert.deepEqual(
+      links.map((entry) => entry.id),
+      [link.id]
+    );
+
+    const revoke = await server.send('DELETE', `/api/share-links/${adminLink.id}`, undefined, {
+      Authorization: `Bearer ${KEYS.storefront}`,
+    });
+    assert.equal(revoke.status, 404);
+  });
+});
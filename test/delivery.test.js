@@ -0,0 +1,244 @@
+// Longer than the default retention, so the January fixtures stay in range
+process.env.DELIVERY_HISTORY_DAYS = '36500';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../src/json-store');
+const { DeploymentHistory } = require('../src/deployment-history');
+const { deliveryReport, outcome } = require('../src/delivery-metrics');
+const { startTestServer } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.parse('2026-01-15T12:00:00.000Z');
+
+const pair = {
+  workspaceName: 'Acme',
+  projectId: 'proj-1',
+  projectName: 'shop',
+  serviceId: 'svc-1',
+  serviceName: 'api',
+  environmentId: 'env-1',
+  environmentName: 'production',
+};
+
+function deployment(id, createdAt, statusAt) {
+  return { id, serviceId: 'svc-1', environmentId: 'env-1', createdAt, statusAt };
+}
+
+function tempHistory(options = {}) {
+  process.env.TERMINUS_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-delivery-'));
+  return new DeploymentHistory({
+    store: new JsonStore('deployment-history.json', {
+      deployments: {},
+      backfilled: {},
+      cursors: {},
+    }),
+    retentionMs: 30 * DAY,
+    ...options,
+  });
+}
+
+// Serves pages of nodes the way Railway's deployments connection does
+function fakeClient(nodes) {
+  const calls = [];
+  return {
+    calls,
+    async fetchDeploymentPage(target, { first, after }) {
+      calls.push(after);
+      const start = after ? Number(after) : 0;
+      const page = nodes.slice(start, start + first);
+      return {
+        edges: page.map((node) => ({ node })),
+        pageInfo: { hasNextPage: start + first < nodes.length, endCursor: String(start + first) },
+      };
+    },
+  };
+}
+
+function node(id, status, createdAt) {
+  return {
+    id,
+    status,
+    createdAt,
+    updatedAt: createdAt,
+    projectId: 'proj-1',
+    serviceId: 'svc-1',
+    environmentId: 'env-1',
+    meta: {},
+  };
+}
+
+test('outcome treats failures as final and removed-only deployments as unknown', () => {
+  assert.equal(outcome({ statusAt: { FAILED: 'a', REMOVED: 'b' } }), 'FAILED');
+  assert.equal(outcome({ statusAt: { SUCCESS: 'a', REMOVED: 'b' } }), 'SUCCESS');
+  assert.equal(outcome({ statusAt: { REMOVED: 'b' } }), null);
+  assert.equal(outcome({ statusAt: { BUILDING: 'a' } }), null);
+});
+
+test('deliveryReport computes frequency, failure rate, recovery and durations', () => {
+  const deployments = [
+    // Outside the window, but its failure is only recovered inside it
+    deployment('d1', '2026-01-01T10:00:00.000Z', { FAILED: '2026-01-01T10:05:00.000Z' }),
+    deployment('d2', '2026-01-10T10:00:00.000Z', {
+      DEPLOYING: '2026-01-10T10:02:00.000Z',
+      SUCCESS: '2026-01-10T10:03:00.000Z',
+    }),
+    deployment('d3', '2026-01-12T10:00:00.000Z', { CRASHED: '2026-01-12T11:00:00.000Z' }),
+    deployment('d4', '2026-01-12T12:00:00.000Z', { FAILED: '2026-01-12T12:01:00.000Z' }),
+    deployment('d5', '2026-01-13T11:00:00.000Z', { SUCCESS: '2026-01-13T11:01:00.000Z' }),
+    deployment('d6', '2026-01-15T11:00:00.000Z', { BUILDING: '2026-01-15T11:00:10.000Z' }),
+  ];
+
+  const report = deliveryReport(deployments, [pair], { windowDays: 7, now: NOW });
+  assert.equal(report.from, '2026-01-08T12:00:00.000Z');
+  assert.deepEqual(report.summary, {
+    deployments: 5,
+    deploymentsPerDay: 0.71,
+    finished: 4,
+    failures: 2,
+    changeFailureRate: 0.5,
+    recoveries: 2,
+    // 8d 23h 58m and 1d 0h 1m
+    medianTimeToRecoverySeconds: 431970,
+    medianDurationSeconds: 60,
+    medianBuildSeconds: 120,
+    medianDeploySeconds: 60,
+  });
+  assert.equal(report.services[0].service, 'api');
+  assert.equal(report.services[0].failingSince, null);
+
+  // An unrecovered failure is reported per service
+  const failing = deliveryReport(deployments.slice(0, 4), [pair], { windowDays: 7, now: NOW });
+  assert.equal(failing.services[0].failingSince, '2026-01-12T11:00:00.000Z');
+  assert.equal(failing.summary.changeFailureRate, 0.667);
+});
+
+test('DeploymentHistory records status changes and keeps when each was first seen', () => {
+  const history = tempHistory();
+  const building = node('d1', 'BUILDING', '2026-01-15T11:00:00.000Z');
+
+  assert.equal(history.record([building], NOW), 1);
+  assert.equal(history.record([building], NOW), 0);
+  assert.equal(
+    history.record(
+      [{ ...building, status: 'SUCCESS', updatedAt: '2026-01-15T11:02:00.000Z' }],
+      NOW
+    ),
+    1
+  );
+  // Too old to keep
+  assert.equal(history.record([node('d0', 'SUCCESS', '2025-11-01T00:00:00.000Z')], NOW), 0);
+
+  const [recorded] = history.deployments([pair]);
+  assert.equal(recorded.status, 'SUCCESS');
+  assert.deepEqual(recorded.statusAt, {
+    BUILDING: '2026-01-15T11:00:00.000Z',
+    SUCCESS: '2026-01-15T11:02:00.000Z',
+  });
+});
+
+test('DeploymentHistory backfills page by page and reports when it runs out of pages', async () => {
+  const nodes = Array.from({ length: 7 }, (_, index) =>
+    node(`d${index}`, 'REMOVED', new Date(NOW - (index + 1) * DAY).toISOString())
+  );
+
+  const history = tempHistory({ pageSize: 2, maxPages: 3 });
+  const client = fakeClient(nodes);
+  const truncated = await history.backfill(client, [pair], NOW);
+  assert.deepEqual(truncated, { pages: 3, recorded: 6, truncated: ['svc-1:env-1'], errors: [] });
+
+  // Not marked as backfilled, so the next call carries on where it stopped
+  const complete = await history.backfill(client, [pair], NOW);
+  assert.deepEqual(complete, { pages: 1, recorded: 1, truncated: [], errors: [] });
+  assert.deepEqual(client.calls, [null, '2', '4', '6']);
+  assert.equal(history.deployments([pair]).length, 7);
+
+  // Within the hour nothing is fetched; after it, only until a known deployment
+  assert.equal((await history.backfill(client, [pair], NOW + HOUR / 2)).pages, 0);
+  const newer = fakeClient([node('d-new', 'SUCCESS', new Date(NOW).toISOString()), ...nodes]);
+  assert.deepEqual(await history.backfill(newer, [pair], NOW + 2 * HOUR), {
+    pages: 1,
+    recorded: 1,
+    truncated: [],
+    errors: [],
+  });
+});
+
+test('DeploymentHistory backfill reports errors per service/environment', async () => {
+  const history = tempHistory();
+  const client = {
+    async fetchDeploymentPage() {
+      throw new Error('Not Authorized');
+    },
+  };
+
+  assert.deepEqual(await history.backfill(client, [pair], NOW), {
+    pages: 0,
+    recorded: 0,
+    truncated: [],
+    errors: [{ pair: 'svc-1:env-1', message: 'Not Authorized' }],
+  });
+});
+
+test('GET /api/metrics/delivery backfills the history and reports per service', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  const invalid = await server.get('/api/metrics/delivery?days=0');
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).error, 'Invalid days');
+
+  const response = await server.get('/api/metrics/delivery?days=36500');
+  assert.equal(response.status, 200);
+  const report = await response.json();
+  assert.equal(report.windowDays, 36500);
+  assert.deepEqual(report.backfill.errors, []);
+
+  const api = report.services.find(
+    (service) => service.service === 'api' && service.environment === 'production'
+  );
+  assert.equal(api.deployments, 5);
+  // Two backfilled deployments were only seen as REMOVED, so how they ended is unknown
+  assert.equal(api.finished, 3);
+  assert.equal(api.failures, 1);
+  assert.equal(api.changeFailureRate, 0.333);
+  assert.equal(api.recoveries, 1);
+  // From the failed deployment until the next one succeeded
+  assert.equal(api.medianTimeToRecoverySeconds, 4 * 3600 + 59 * 60 + 40);
+
+  // The second page was requested with the first page's cursor
+  assert.ok(
+    server.mock.requests.some(
+      (request) =>
+        request.operationName === 'deployment_history' && request.variables.after === 'cursor-2'
+    )
+  );
+
+  // Like the rest of the JSON API, it needs a token
+  const unauthorized = await server.get('/api/metrics/delivery', { Authorization: '' });
+  assert.equal(unauthorized.status, 401);
+});
+
+test('the dashboard shows a delivery panel when enabled for a profile', async (t) => {
+  const configFile = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-delivery-')),
+    'config.json'
+  );
+  fs.writeFileSync(configFile, JSON.stringify({ profiles: { ops: { deliveryPanel: true } } }));
+  const server = await startTestServer({ TERMINUS_CONFIG: configFile });
+  t.after(() => server.close());
+
+  const { data } = await (await server.get('/api/data?profile=ops')).json();
+  assert.equal(data.delivery.windowDays, 30);
+  assert.equal(typeof data.delivery.summary.deployments, 'number');
+
+  const html = await (await server.get('/?profile=ops')).text();
+  assert.match(html, /<div class="section-title">Delivery \(30d\)<\/div>/);
+
+  const plain = await (await server.get('/api/data')).json();
+  assert.equal(plain.data.delivery, undefined);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_CONFIG, startTestServer } = require('./helpers');
+
+const OPERATOR = { Authorization: 'Bearer operator-token' };
+
+test('deployment actions', async (t) => {
+  const server = await startTestServer(
+    {
+      TERMINUS_CONFIG: TEST_CONFIG,
+      TERMINUS_OPERATOR_TOKEN: 'operator-token',
+      TEST_ONCALL_KEY: 'oncall-key',
+    },
+    {
+      responses: {
+        deploymentRestart: { status: 503, body: { errors: [{ message: 'Unavailable' }] } },
+      },
+    }
+  );
+  t.after(() => server.close());
+
+  const mutations = () =>
+    server.mock.requests.filter((request) => request.operationName.startsWith('deployment'));
+
+  await t.test('TERMINUS_AUTH_TOKEN cannot act', async () => {
+    const response = await server.send('POST', '/api/deployments/dep-api-3/redeploy', {
+      confirm: 'dep-api-3',
+    });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).error, 'Insufficient permissions');
+  });
+
+  await t.test('actions need the deployment ID as confirmation', async () => {
+    const response = await server.send(
+      'POST',
+      '/api/deployments/dep-api-3/redeploy',
+      { confirm: 'yes' },
+      OPERATOR
+    );
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Confirmation required');
+    assert.deepEqual(mutations(), []);
+  });
+
+  await t.test('redeploy calls Railway and returns the new deployment', async () => {
+    const response = await server.send(
+      'POST',
+      '/api/deployments/dep-api-3/redeploy',
+      { confirm: 'dep-api-3' },
+      OPERATOR
+    );
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.action, 'redeploy');
+    assert.equal(body.deployment.serviceId, 'svc-api');
+    assert.equal(body.newDeployment.id, 'dep-api-4');
+
+    assert.deepEqual(
+      mutations().map((request) => [request.operationName, request.variables]),
+      [
+        ['deployment', { id: 'dep-api-3' }],
+        ['deploymentRedeploy', { id: 'dep-api-3' }],
+      ]
+    );
+  });
+
+  await t.test('rollback takes the confirmation from the query string', async () => {
+    const response = await server.send(
+      'POST',
+      '/api/deployments/dep-api-3/rollback?confirm=dep-api-3',
+      undefined,
+      OPERATOR
+    );
+    assert.equal(response.status, 200);
+  });
+
+  await t.test('approve is refused for a deployment not waiting for approval', async () => {
+    const response = await server.send(
+      'POST',
+      '/api/deployments/dep-api-3/approve',
+      { confirm: 'dep-api-3' },
+      OPERATOR
+    );
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).error, 'Action not available');
+  });
+
+  await t.test('a failed mutation is reported and not retried', async () => {
+    const before = mutations().length;
+    const response = await server.send(
+      'POST',
+      '/api/deployments/dep-api-3/restart',
+      { confirm: 'dep-api-3' },
+      OPERATOR
+    );
+    assert.equal(response.status, 502);
+    assert.equal((await response.json()).error, 'Railway API error');
+    assert.deepEqual(
+      mutations()
+        .slice(before)
+        .map((request) => request.operationName),
+      ['deployment', 'deploymentRestart']
+    );
+  });
+
+  await t.test('keys with an allow-list can only act inside it', async () => {
+    const response = await server.send(
+      'POST',
+      '/api/deployments/dep-api-3/redeploy',
+      { confirm: 'dep-api-3' },
+      { Authorization: 'Bearer oncall-key' }
+    );
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error, 'Deployment not found');
+  });
+
+  await t.test('every action is in the audit log', async () => {
+    const { entries } = await (await server.get('/api/audit?type=action')).json();
+    assert.deepEqual(
+      entries.map((entry) => [entry.key, entry.action, entry.result, entry.reason]),
+      [
+        ['tools-oncall', 'redeploy', 'refused', 'out_of_scope'],
+        ['operator', 'restart', 'failed', 'railway_error'],
+        ['operator', 'approve', 'refused', 'not_available'],
+        ['operator', 'rollback', 'succeeded', 'rollback'],
+        ['operator', 'redeploy', 'succeeded', 'redeploy'],
+        ['operator', 'redeploy', 'refused', 'not_confirmed'],
+      ]
+    );
+    assert.equal(entries[4].newDeploymentId, 'dep-api-4');
+    assert.equal(entries[4].environmentId, 'env-store-prod');
+  });
+});
+
+test('an operator token equal to TERMINUS_AUTH_TOKEN is ignored', async (t) => {
+  const server = await startTestServer({ TERMINUS_OPERATOR_TOKEN: 'test-auth-token' });
+  t.after(() => server.close());
+
+  const response = await server.send('POST', '/api/deployments/dep-api-3/restart', {
+    confirm: 'dep-api-3',
+  });
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,244 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// config/deployment-logs.js reads this once, when first required
+process.env.DEPLOYMENT_LOGS_POLL_INTERVAL = '0.02';
+
+const { LogTail, parseLogQuery } = require('../src/deployment-logs');
+const { TEST_CONFIG, startTestServer } = require('./helpers');
+
+const NOW = Date.parse('2026-01-15T12:00:00.000Z');
+
+const line = (timestamp, message) => ({ timestamp, message, severity: 'info' });
+
+// Reads a Server-Sent Events response until `count` events of type `event`
+// have arrived, then disconnects
+async function readEvents(response, event, count, controller) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+
+  while (events.filter((item) => item.event === event).length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const fields = Object.fromEntries(
+        frame
+          .split('\n')
+          .filter((field) => field && !field.startsWith(':'))
+          .map((field) => [field.slice(0, field.indexOf(':')), field.slice(field.indexOf(':') + 2)])
+      );
+      if (fields.event) {
+        events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+      }
+    }
+  }
+  controller.abort();
+  return events;
+}
+
+test('parseLogQuery validates limits and time ranges', () => {
+  assert.deepEqual(parseLogQuery({}, { now: NOW }), {
+    limit: 100,
+    startDate: undefined,
+    endDate: undefined,
+    filter: undefined,
+  });
+  assert.deepEqual(
+    parseLogQuery(
+      { since: '15m', until: '2026-01-15T11:55:00Z', filter: ' @level:error ', limit: '20' },
+      { now: NOW }
+    ),
+    {
+      limit: 20,
+      startDate: '2026-01-15T11:45:00.000Z',
+      endDate: '2026-01-15T11:55:00.000Z',
+      filter: '@level:error',
+    }
+  );
+
+  assert.throws(() => parseLogQuery({ limit: '5000' }), /"limit" must be a whole number/);
+  assert.throws(() => parseLogQuery({ since: 'yesterday' }), /"since" must be an ISO 8601/);
+  assert.throws(
+    () => parseLogQuery({ since: '1h', until: '2h' }, { now: NOW }),
+    /"since" must be before "until"/
+  );
+  assert.throws(
+    () => parseLogQuery({ until: '1m' }, { stream: true }),
+    /can't be used with a stream/
+  );
+});
+
+test('LogTail only returns lines it has not returned before', async () => {
+  const pages = [
+    [line('2026-01-15T09:31:00.000Z', 'a'), line('2026-01-15T09:31:02.000Z', 'b')],
+    // Railway returns lines at the cursor again, and new lines can share it
+    [line('2026-01-15T09:31:02.000Z', 'b'), line('2026-01-15T09:31:02.000Z', 'c')],
+    [line('2026-01-15T09:31:02.000Z', 'b'), line('2026-01-15T09:31:02.000Z', 'c')],
+  ];
+  const requests = [];
+  const client = {
+    fetchDeploymentLogs: async (type, deploymentId, options) => {
+      requests.push([type, deploymentId, options]);
+      return pages.shift();
+    },
+  };
+
+  const tail = new LogTail(client, 'build', 'dep-api-3', { limit: 50, filter: 'npm' });
+  assert.deepEqual(
+    (await tail.poll()).map((item) => item.message),
+    ['a', 'b']
+  );
+  assert.deepEqual(
+    (await tail.poll()).map((item) => item.message),
+    ['c']
+  );
+  assert.deepEqual(await tail.poll(), []);
+
+  assert.deepEqual(requests[0], [
+    'build',
+    'dep-api-3',
+    { limit: 50, startDate: undefined, filter: 'npm' },
+  ]);
+  assert.equal(requests[1][2].startDate, '2026-01-15T09:31:02.000Z');
+
+  // A reconnecting client carries on after its Last-Event-ID
+  const resumed = new LogTail(client, 'runtime', 'dep-api-3', {
+    startDate: '2026-01-15T00:00:00.000Z',
+    resumeAfter: '2026-01-15T09:31:02.000412Z',
+  });
+  pages.push([
+    line('2026-01-15T09:31:02.000107Z', 'd'),
+    line('2026-01-15T09:31:02.000412Z', 'e'),
+    // Later in the same millisecond, so not seen yet
+    line('2026-01-15T09:31:02.000835Z', 'f'),
+    line('2026-01-15T09:31:03.000000Z', 'g'),
+  ]);
+  assert.deepEqual(
+    (await resumed.poll()).map((item) => item.message),
+    ['f', 'g']
+  );
+  // Past the resumed millisecond, lines are told apart by the cursor alone
+  assert.equal(resumed.resumeAfter, null);
+
+  // The same instant can be written with more or fewer digits
+  const precise = new LogTail(client, 'runtime', 'dep-api-3', {
+    resumeAfter: '2026-01-15T09:31:02.1Z',
+  });
+  pages.push([line('2026-01-15T09:31:02.100Z', 'h'), line('2026-01-15T09:31:02.10005Z', 'i')]);
+  assert.deepEqual(
+    (await precise.poll()).map((item) => item.message),
+    ['i']
+  );
+  assert.equal(requests[3][2].startDate, '2026-01-15T09:31:02.000Z');
+});
+
+test('GET /api/deployments/:id/logs', async (t) => {
+  const server = await startTestServer({
+    TERMINUS_CONFIG: TEST_CONFIG,
+    TEST_STOREFRONT_KEY: 'storefront-key',
+    TEST_ONCALL_KEY: 'oncall-key',
+  });
+  t.after(() => server.close());
+
+  await t.test('returns runtime logs oldest first', async () => {
+    const response = await server.get('/api/deployments/dep-api-3/logs?filter=timeout&limit=10');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.type, 'runtime');
+    assert.equal(body.deployment.serviceId, 'svc-api');
+    assert.deepEqual(
+      body.logs.map((item) => item.timestamp),
+      ['2026-01-15T09:31:00.000Z', '2026-01-15T09:31:02.000Z', '2026-01-15T09:35:41.000Z']
+    );
+
+    const request = server.mock.requests.find((item) => item.operationName === 'deploymentLogs');
+    assert.deepEqual(request.variables, {
+      deploymentId: 'dep-api-3',
+      limit: 10,
+      filter: 'timeout',
+    });
+  });
+
+  await t.test('returns build logs', async () => {
+    const body = await (await server.get('/api/deployments/dep-api-3/build-logs')).json();
+    assert.equal(body.type, 'build');
+    assert.equal(body.logs[2].message, 'Build time: 53.2 seconds');
+  });
+
+  await t.test('rejects an invalid query', async () => {
+    const response = await server.get('/api/deployments/dep-api-3/logs?since=later');
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Invalid log query');
+  });
+
+  await t.test('needs the logs capability', async () => {
+    const response = await server.get('/api/deployments/dep-api-3/logs', {
+      Authorization: 'Bearer storefront-key',
+    });
+    assert.equal(response.status, 403);
+  });
+
+  await t.test('hides deployments outside the key allow-lists', async () => {
+    const response = await server.get('/api/deployments/dep-api-3/logs', {
+      Authorization: 'Bearer oncall-key',
+    });
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error, 'Deployment not found');
+  });
+});
+
+test('GET /api/deployments/:id/logs/stream sends new lines as they arrive', async (t) => {
+  const server = await startTestServer(
+    {},
+    {
+      responses: {
+        deploymentLogs: [
+          {},
+          {
+            body: {
+              data: {
+                deploymentLogs: [
+                  line('2026-01-15T09:35:41.000Z', 'GET /orders/42 timed out after 30000ms'),
+                  line('2026-01-15T09:36:00.000Z', 'Process exited with code 1'),
+                ],
+              },
+            },
+          },
+          { body: { data: { deploymentLogs: [] } } },
+        ],
+      },
+    }
+  );
+  t.after(() => server.close());
+
+  const controller = new AbortController();
+  const response = await fetch(`${server.baseUrl}/api/deployments/dep-api-3/logs/stream`, {
+    headers: { Authorization: 'Bearer test-auth-token' },
+    signal: controller.signal,
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = await readEvents(response, 'log', 4, controller);
+  assert.deepEqual(
+    events.map((event) => [event.event, event.id, event.data.message]),
+    [
+      ['log', '2026-01-15T09:31:00.000Z', 'Starting api a1b2c3d'],
+      ['log', '2026-01-15T09:31:02.000Z', 'Server listening on port 8080'],
+      ['log', '2026-01-15T09:35:41.000Z', 'GET /orders/42 timed out after 30000ms'],
+      ['log', '2026-01-15T09:36:00.000Z', 'Process exited with code 1'],
+    ]
+  );
+
+  const polls = server.mock.requests.filter((item) => item.operationName === 'deploymentLogs');
+  assert.equal(polls[1].variables.startDate, '2026-01-15T09:35:41.000Z');
+
+  const invalid = await server.get('/api/deployments/dep-api-3/logs/stream?until=1m');
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deploymentTiming } = require('../src/deployment-timing');
+const { DashboardGenerator } = require('../src/generate-html');
+const { buildModel, indexById } = require('../src/model');
+const { fetchFixtureDashboard, startTestServer } = require('./helpers');
+
+const NOW = '2026-01-15T12:00:00.000Z';
+const DAY = 24 * 60 * 60;
+
+const deployment = (status, createdAt, updatedAt) => ({ status, createdAt, updatedAt });
+
+test('deploymentTiming measures age, progress and duration', () => {
+  const previous = deployment('SUCCESS', '2026-01-14T16:00:00.000Z', '2026-01-14T16:02:40.000Z');
+  const options = { staleAfterSeconds: 30 * DAY };
+
+  assert.deepEqual(
+    deploymentTiming(
+      deployment('BUILDING', '2026-01-15T11:53:00.000Z', '2026-01-15T11:54:00.000Z'),
+      previous,
+      NOW,
+      options
+    ),
+    {
+      ageSeconds: 420,
+      elapsedSeconds: 420,
+      durationSeconds: null,
+      previousDurationSeconds: 160,
+      stale: false,
+    }
+  );
+
+  const failed = deploymentTiming(
+    deployment('FAILED', '2026-01-15T08:00:00.000Z', '2026-01-15T08:03:10.000Z'),
+    null,
+    NOW,
+    options
+  );
+  assert.equal(failed.elapsedSeconds, null);
+  assert.equal(failed.durationSeconds, 190);
+  assert.equal(failed.previousDurationSeconds, null);
+
+  // A crash is reported long after the deploy finished
+  const crashed = deployment('CRASHED', '2026-01-15T10:00:00.000Z', '2026-01-15T10:45:00.000Z');
+  assert.equal(deploymentTiming(crashed, null, NOW, options).durationSeconds, null);
+
+  const old = deployment('SUCCESS', '2025-11-01T12:00:00.000Z', '2025-11-01T12:01:00.000Z');
+  assert.equal(deploymentTiming(old, null, NOW, options).stale, true);
+  assert.equal(deploymentTiming(old, null, NOW, { staleAfterSeconds: 0 }).stale, false);
+});
+
+test('the model times each deployment as of the fetch', async () => {
+  const deployments = indexById(buildModel(await fetchFixtureDashboard()).deployments);
+
+  assert.deepEqual(deployments.get('dep-api-3').timing, {
+    ageSeconds: 9000,
+    elapsedSeconds: null,
+    durationSeconds: 134,
+    // dep-api-1, the production deployment before it
+    previousDurationSeconds: 160,
+    stale: false,
+  });
+  assert.equal(deployments.get('dep-api-2').timing.elapsedSeconds, 600);
+  assert.equal(deployments.get('dep-pg-1').timing.stale, true);
+});
+
+test('service cards show timing in compact form', async () => {
+  const generator = new DashboardGenerator();
+  generator.loadData(await fetchFixtureDashboard());
+  const { workspaces } = generator.extractComprehensiveData();
+  const cards = new Map(
+    generator
+      .flattenServices(workspaces)
+      .map((service) => generator.serviceCard(service, false))
+      .map((card) => [card.key, card])
+  );
+
+  assert.equal(cards.get('svc-api:env-store-prod').timing, 'deployed 2h ago • took 2m14s');
+  assert.equal(cards.get('svc-api:env-store-staging').timing, 'building for 10m');
+  assert.equal(cards.get('svc-postgres:env-store-prod').timing, 'deployed 75d ago • took 1m');
+  assert.equal(cards.get('svc-postgres:env-store-prod').stale, true);
+
+  assert.deepEqual(
+    [45, 134, 3600, 3725].map((seconds) => generator.formatTook(seconds)),
+    ['45s', '2m14s', '1h', '1h2m']
+  );
+  assert.deepEqual(
+    [59, 3599, 86399, 90 * DAY].map((seconds) => generator.formatAge(seconds)),
+    ['59s', '59m', '23h', '90d']
+  );
+
+  const german = new DashboardGenerator({ locale: 'de' });
+  german.loadData(await fetchFixtureDashboard());
+  const [api] = german.flattenServices(german.extractComprehensiveData().workspaces);
+  assert.equal(german.serviceCard(api, false).timing, 'vor 2h deployt • dauerte 2m14s');
+});
+
+test('GET /api/data includes the timing of the latest deployments', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  const body = await (await server.get('/api/data')).json();
+  const { deploymentTiming: timing } = body.data;
+  assert.equal(timing['dep-api-3'].durationSeconds, 134);
+  assert.equal(timing['dep-api-3'].previousDurationSeconds, 160);
+  // Only the deployment each card shows
+  assert.equal(timing['dep-api-1'], undefined);
+});
@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RailwayClient } = require('../src/query-railway');
+const { parseFilter, environmentCatalog } = require('../src/filters');
+const { fixture, startTestServer } = require('./helpers');
+
+const client = new RailwayClient('mock-token');
+
+const projectIds = (data) => data.me.workspaces[0].team.projects.edges.map((edge) => edge.node.id);
+
+const serviceIds = (data) =>
+  data.me.workspaces[0].team.projects.edges.flatMap((edge) =>
+    edge.node.services.edges.map((serviceEdge) => serviceEdge.node.id)
+  );
+
+const environmentIds = (data) =>
+  data.me.workspaces[0].team.projects.edges.flatMap((edge) =>
+    edge.node.environments.edges.map((envEdge) => envEdge.node.id)
+  );
+
+const deploymentIds = (data) =>
+  data.me.workspaces[0].team.projects.edges.flatMap((edge) =>
+    edge.node.services.edges.flatMap((serviceEdge) =>
+      serviceEdge.node.deployments.edges.map((deploymentEdge) => deploymentEdge.node.id)
+    )
+  );
+
+const volumeInstanceIds = (data) => {
+  const ids = new Set();
+  for (const projectEdge of data.me.workspaces[0].team.projects.edges) {
+    for (const volumeEdge of projectEdge.node.volumes.edges) {
+      for (const instanceEdge of volumeEdge.node.volumeInstances.edges) {
+        ids.add(instanceEdge.node.id);
+      }
+    }
+    for (const envEdge of projectEdge.node.environments.edges) {
+      for (const instanceEdge of envEdge.node.volumeInstances.edges) {
+        ids.add(instanceEdge.node.id);
+      }
+    }
+  }
+  return [...ids].sort();
+};
+
+test('filterProjectsData returns the input untouched without filters', () => {
+  const data = fixture('projectsServicesEnvironments');
+  assert.equal(client.filterProjectsData(data, {}), data);
+  assert.equal(client.filterProjectsData(data, null), data);
+});
+
+test('filterProjectsData keeps only the requested project', () => {
+  const data = fixture('projectsServicesEnvironments');
+  const filtered = client.filterProjectsData(data, { projectId: 'proj-tools' });
+
+  assert.deepEqual(projectIds(filtered), ['proj-tools']);
+  assert.deepEqual(serviceIds(filtered), ['svc-worker']);
+});
+
+test('filterProjectsData keeps only the requested service', () => {
+  const data = fixture('projectsServicesEnvironments');
+  const filtered = client.filterProjectsData(data, { serviceId: 'svc-web' });
+
+  // Projects left without services are dropped, as for deployments and volumes
+  assert.deepEqual(projectIds(filtered), ['proj-storefront']);
+  assert.deepEqual(serviceIds(filtered), ['svc-web']);
+});
+
+test('filterProjectsData does not mutate its input', () => {
+  const data = fixture('projectsServicesEnvironments');
+  const before = JSON.stringify(data);
+  client.filterProjectsData(data, { projectId: 'proj-tools', serviceId: 'svc-worker' });
+  assert.equal(JSON.stringify(data), before);
+});
+
+test('filterDeploymentsData filters a deployments connection by every ID', () => {
+  const deployments = fixture('latestDeployments').me.workspaces[0].team.projects.edges.flatMap(
+    (projectEdge) =>
+      projectEdge.node.services.edges.flatMap((serviceEdge) => serviceEdge.node.deployments.edges)
+  );
+  const data = { deployments: { edges: deployments } };
+  const ids = (result) => result.deployments.edges.map((edge) => edge.node.id);
+
+  assert.equal(client.filterDeploymentsData(data, {}), data);
+  assert.deepEqual(ids(client.filterDeploymentsData(data, { projectId: 'proj-tools' })), [
+    'dep-worker-1',
+  ]);
+  assert.deepEqual(ids(client.filterDeploymentsData(data, { serviceId: 'svc-web' })), [
+    'dep-web-2',
+    'dep-web-1',
+  ]);
+  assert.deepEqual(
+    ids(
+      client.filterDeploymentsData(data, {
+        serviceId: 'svc-api',
+        environmentId: 'env-store-staging',
+      })
+    ),
+    ['dep-api-2']
+  );
+});
+
+test('filterVolumesData keeps only volumes of the requested project', () => {
+  const data = fixture('volumeUsage');
+  const filtered = client.filterVolumesData(data, { projectId: 'proj-storefront' });
+
+  assert.deepEqual(projectIds(filtered), ['proj-storefront']);
+  assert.deepEqual(volumeInstanceIds(filtered), ['vi-pg-prod', 'vi-pg-staging']);
+});
+
+test('filterVolumesData keeps only instances in the requested environment', () => {
+  const data = fixture('volumeUsage');
+  const filtered = client.filterVolumesData(data, { environmentId: 'env-store-staging' });
+
+  assert.deepEqual(projectIds(filtered), ['proj-storefront']);
+  assert.deepEqual(volumeInstanceIds(filtered), ['vi-pg-staging']);
+});
+
+test('filterVolumesData drops projects without instances of the requested service', () => {
+  const data = fixture('volumeUsage');
+  const filtered = client.filterVolumesData(data, { serviceId: 'svc-worker' });
+
+  assert.deepEqual(projectIds(filtered), ['proj-tools']);
+  assert.deepEqual(volumeInstanceIds(filtered), ['vi-worker-prod']);
+});
+
+test('parseFilter matches IDs, names, globs and exclusions', () => {
+  const api = { id: 'svc-api', name: 'api' };
+  const apiWorker = { id: 'svc-api-worker', name: 'api-worker' };
+  const web = { id: 'svc-web', name: 'Web' };
+  const matching = (expression) =>
+    [api, apiWorker, web].filter(parseFilter(expression)).map((item) => item.id);
+
+  assert.equal(parseFilter(''), null);
+  assert.equal(parseFilter(' , '), null);
+  assert.deepEqual(matching('svc-api'), ['svc-api']);
+  // Names ignore case, IDs don't
+  assert.deepEqual(matching('web,SVC-API'), ['svc-web']);
+  assert.deepEqual(matching('api-*'), ['svc-api-worker']);
+  assert.deepEqual(matching('svc-???'), ['svc-api', 'svc-web']);
+  assert.deepEqual(matching('!web'), ['svc-api', 'svc-api-worker']);
+  assert.deepEqual(matching('api*, !*worker'), ['svc-api']);
+});
+
+test('filterProjectsData matches environments by name and hides ephemeral ones', () => {
+  const data = fixture('projectsServicesEnvironments');
+
+  const production = client.filterProjectsData(data, { environmentId: 'production' });
+  assert.deepEqual(environmentIds(production), ['env-store-prod', 'env-tools-prod']);
+
+  const storefront = client.filterProjectsData(data, {
+    projectId: 'storefront',
+    environmentId: '!staging',
+    hideEphemeral: true,
+  });
+  assert.deepEqual(environmentIds(storefront), ['env-store-prod']);
+
+  const ephemeral = client.filterProjectsData(data, { hideEphemeral: true });
+  assert.deepEqual(projectIds(ephemeral), ['proj-storefront', 'proj-tools']);
+  assert.ok(!environmentIds(ephemeral).includes('env-store-pr-42'));
+});
+
+test('filterDeploymentsData resolves environments through the projects data', () => {
+  const data = fixture('latestDeployments');
+  const environments = environmentCatalog(fixture('projectsServicesEnvironments'));
+
+  const filtered = client.filterDeploymentsData(
+    data,
+    { serviceId: 'api,worker', environmentId: '!staging' },
+    environments
+  );
+  assert.deepEqual(projectIds(filtered), ['proj-storefront', 'proj-tools']);
+  assert.ok(deploymentIds(filtered).includes('dep-worker-1'));
+  assert.ok(!deploymentIds(filtered).includes('dep-api-2'));
+  assert.ok(!deploymentIds(filtered).some((id) => id.startsWith('dep-web')));
+});
+
+test('GET /api/data takes filters from the query string or the headers', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  const fromQuery = await (
+    await server.get('/api/data?serviceId=web&serviceId=worker&environmentId=production')
+  ).json();
+  // Repeated parameters are one list
+  assert.deepEqual(serviceIds(fromQuery.data.projects), ['svc-web', 'svc-worker']);
+  assert.deepEqual(environmentIds(fromQuery.data.projects), ['env-store-prod', 'env-tools-prod']);
+
+  const fromHeaders = await (
+    await server.get('/api/data', { 'X-Project-ID': 'stor*', 'X-Hide-Ephemeral': 'true' })
+  ).json();
+  assert.deepEqual(projectIds(fromHeaders.data.projects), ['proj-storefront']);
+  assert.deepEqual(environmentIds(fromHeaders.data.projects), [
+    'env-store-prod',
+    'env-store-staging',
+  ]);
+
+  // The query string wins over a header
+  const both = await (
+    await server.get('/api/data?projectId=internal-tools', { 'X-Project-ID': 'proj-storefront' })
+  ).json();
+  assert.deepEqual(projectIds(both.data.projects), ['proj-tools']);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DashboardGenerator } = require('../src/generate-html');
+const { FIXED_TIMESTAMP, fetchFixtureDashboard } = require('./helpers');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+// Compares against test/golden/<name>; run with UPDATE_GOLDEN=1 to rewrite it
+function assertGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, name);
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+  }
+  assert.equal(actual, fs.readFileSync(file, 'utf8'), `${name} differs from its golden copy`);
+}
+
+function generatorFor(dashboardData) {
+  const generator = new DashboardGenerator();
+  generator.timezone = 'UTC';
+  generator.loadData(dashboardData);
+  return generator;
+}
+
+test('extractComprehensiveData nests services and their latest deployment per environment', async () => {
+  const { workspaces } = generatorFor(await fetchFixtureDashboard()).extractComprehensiveData();
+
+  assert.equal(workspaces.length, 1);
+  assert.deepEqual(
+    workspaces[0].projects.map((project) => project.name),
+    ['storefront', 'internal-tools']
+  );
+
+  const api = workspaces[0].projects[0].services.find((service) => service.name === 'api');
+  assert.deepEqual(
+    api.deployments.map((deployment) => [deployment.environmentName, deployment.id]),
+    [
+      ['production', 'dep-api-3'],
+      ['staging', 'dep-api-2'],
+    ]
+  );
+
+  const environments = workspaces[0].projects[0].environments;
+  assert.deepEqual(
+    environments.map((env) => [env.name, env.isEphemeral]),
+    [
+      ['production', false],
+      ['staging', false],
+      ['storefront-pr-42', true],
+    ]
+  );
+});
+
+test('extractComprehensiveData lists each volume instance once', async () => {
+  const { volumes } = generatorFor(await fetchFixtureDashboard()).extractComprehensiveData();
+
+  assert.deepEqual(
+    volumes.map((volume) => volume.id),
+    ['vi-pg-prod', 'vi-worker-prod', 'vi-pg-staging']
+  );
+  assert.deepEqual(volumes[0], {
+    id: 'vi-pg-prod',
+    mountPath: '/var/lib/postgresql/data',
+    currentSizeMB: 3890.5,
+    sizeMB: 5000,
+    region: 'us-west2',
+    serviceName: 'postgres',
+    environmentName: 'production',
+    projectName: 'storefront',
+    workspaceName: 'Acme',
+    volumeName: 'pg-data',
+    health: {
+      usagePercent: 77.8,
+      level: 'ok',
+      warnPercent: 80,
+      criticalPercent: 90,
+      forecast: null,
+    },
+  });
+});
+
+test('extractComprehensiveData sorts event logs newest first', async () => {
+  const { eventLogs } = generatorFor(await fetchFixtureDashboard()).extractComprehensiveData();
+
+  const timestamps = eventLogs.map((log) => log.timestamp);
+  assert.deepEqual(timestamps, [...timestamps].sort().reverse());
+});
+
+test('extractComprehensiveData returns empty collections for failed fetches', () => {
+  const generator = generatorFor({
+    timestamp: FIXED_TIMESTAMP,
+    success: false,
+    error: { message: 'boom', type: 'API_ERROR' },
+  });
+
+  assert.deepEqual(generator.extractComprehensiveData(), {
+    workspaces: [],
+    volumes: [],
+    eventLogs: [],
+    hasFilters: false,
+  });
+});
+
+test('generateHTML matches the golden dashboard', async () => {
+  const html = generatorFor(await fetchFixtureDashboard()).generateHTML();
+
+  assert.match(html, /Build failed &lt;web&gt;/);
+  assertGolden('dashboard.html', html);
+});
+
+test('generateHTML matches the golden dashboard without event logs', async () => {
+  assertGolden(
+    'dashboard-no-logs.html',
+    generatorFor(await fetchFixtureDashboard(null)).generateHTML()
+  );
+});
+
+test('generateHTML matches the golden error page', () => {
+  const html = generatorFor({
+    timestamp: FIXED_TIMESTAMP,
+    success: false,
+    error: { message: 'Railway is down', type: 'API_ERROR' },
+  }).generateHTML();
+
+  assertGolden('error.html', html);
+});
+
+test('generateHTML requires data', () => {
+  assert.throws(() => new DashboardGenerator().generateHTML(), /No data loaded/);
+});
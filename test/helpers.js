@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RailwayClient } = require('../src/query-railway');
+const { ResponseCache } = require('../src/cache');
+const { startMockRailwayServer } = require('./mock-railway/server');
+
+const FIXTURES_DIR = path.join(__dirname, 'mock-railway', 'fixtures');
+const TEST_CONFIG = path.join(__dirname, 'fixtures', 'terminus.config.json');
+
+// RailwayClient logs every query; keep test output readable unless TEST_LOGS is set
+if (!process.env.TEST_LOGS) {
+  for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+}
+
+// Fixed "now" for generated output so golden files stay stable
+const FIXED_TIMESTAMP = '2026-01-15T12:00:00.000Z';
+
+// The `data` of a fixture response, e.g. fixture('volumeUsage')
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8')).data;
+}
+
+// A client talking to the given mock server with its own, empty cache. The
+// token type is fixed to account so tests don't depend on detection probes.
+function mockClient(mock, options = {}, token = 'mock-token') {
+  return new RailwayClient(token, {
+    apiUrl: mock.url,
+    cache: new ResponseCache(),
+    tokenType: 'account',
+    ...options,
+  });
+}
+
+// Runs fetchDashboardData against a throwaway mock server
+async function fetchFixtureDashboard(logsEnvId = 'env-store-prod', filters = {}, mockOptions = {}) {
+  const mock = await startMockRailwayServer(mockOptions);
+  try {
+    const dashboardData = await mockClient(mock).fetchDashboardData(logsEnvId, filters);
+    dashboardData.timestamp = FIXED_TIMESTAMP;
+    return dashboardData;
+  } finally {
+    await mock.close();
+  }
+}
+
+// Starts server.js on a random port, talking to a fresh mock Railway API and
+// persisting into a throwaway data directory. `env` is applied to process.env
+// before the app is loaded.
+async function startTestServer(env = {}, mockOptions = {}) {
+  const mock = await startMockRailwayServer(mockOptions);
+  Object.assign(process.env, {
+    TERMINUS_AUTH_TOKEN: 'test-auth-token',
+    TERMINUS_DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-data-')),
+    RAILWAY_TOKEN: 'mock-token',
+    RAILWAY_TOKEN_TYPE: 'account',
+    RAILWAY_API_URL: mock.url,
+    ...env,
+  });
+
+  const app = require('../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    mock,
+    baseUrl,
+    // GET with the test auth token unless headers override it
+    get: (urlPath, headers = {}) =>
+      fetch(`${baseUrl}${urlPath}`, {
+        headers: { Authorization: 'Bearer test-auth-token', ...headers },
+      }),
+    // Any method with an optional JSON body, authenticated like get()
+    send: (method, urlPath, body, headers = {}) =>
+      fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: {
+          Authorization: 'Bearer test-auth-token',
+          ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+          ...headers,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      }),
+    close: async () => {
+      server.closeAllConnections?.();
+      await new Promise((resolve) => server.close(resolve));
+      await mock.close();
+    },
+  };
+}
+
+module.exports = {
+  FIXED_TIMESTAMP,
+  TEST_CONFIG,
+  fixture,
+  mockClient,
+  fetchFixtureDashboard,
+  startMockRailwayServer,
+  startTestServer,
+};
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DashboardGenerator } = require('../src/generate-html');
+const { LAYOUT_PRESETS, resolveLayout } = require('../src/layouts');
+const { loadTerminusConfig } = require('../src/terminus-config');
+const { TEST_CONFIG, fetchFixtureDashboard, startTestServer } = require('./helpers');
+
+function writeConfig(config) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-')), 'config.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+async function htmlFor(layout, eventLogsEnvironmentId) {
+  const generator = new DashboardGenerator({ layout });
+  generator.loadData(await fetchFixtureDashboard(eventLogsEnvironmentId));
+  return generator.generateHTML();
+}
+
+// The section titles of each column, left to right
+function columnsOf(html) {
+  return html
+    .split('<div class="column">')
+    .slice(1)
+    .map((column) => [...column.matchAll(/class="section-title">([A-Za-z ]+)/g)].map((m) => m[1]));
+}
+
+test('resolveLayout fills custom presets in from the one they extend', () => {
+  assert.equal(resolveLayout('tv').width, 1920);
+  assert.equal(resolveLayout('nope'), null);
+
+  const custom = resolveLayout('wall', { wall: { extends: 'trmnl', columns: [['events']] } });
+  assert.deepEqual(custom, {
+    ...LAYOUT_PRESETS.trmnl,
+    columns: [['events']],
+    // trmnl's own arrangement without events no longer applies
+    columnsWithoutEvents: undefined,
+    name: 'wall',
+  });
+  assert.equal(resolveLayout('plain', { plain: { maxEvents: 2 } }).width, 800);
+});
+
+test('presets size the page and arrange its columns', async () => {
+  const trmnl = await htmlFor(resolveLayout('trmnl'));
+  assert.match(trmnl, /width: 800px;\s+height: 470px;\s+overflow: hidden;/);
+  assert.deepEqual(columnsOf(trmnl), [['Services', 'Volumes'], ['Recent Events']]);
+  // Volumes take the right column when there are no events
+  assert.deepEqual(columnsOf(await htmlFor(resolveLayout('trmnl'), null)), [
+    ['Services'],
+    ['Volumes'],
+  ]);
+
+  const epaper = await htmlFor(resolveLayout('epaper-large'));
+  assert.match(epaper, /width: 1872px;\s+height: 1404px;/);
+  assert.match(epaper, /\.title \{\s+font-size: 28pt;/);
+  assert.deepEqual(columnsOf(epaper), [['Services'], ['Volumes'], ['Recent Events']]);
+
+  const browser = await htmlFor(resolveLayout('browser'));
+  assert.doesNotMatch(browser, /overflow: hidden;\s+box-sizing/);
+  assert.match(browser, /@media \(max-width: 700px\)/);
+  // Empty columns are left out
+  assert.deepEqual(columnsOf(await htmlFor(resolveLayout('tv'), null)), [
+    ['Services'],
+    ['Volumes'],
+  ]);
+});
+
+test('invalid layouts are rejected with a readable message', () => {
+  const cases = [
+    [{ layouts: { tv: {} } }, /taken by a built-in preset/],
+    [{ layouts: { a: { extends: 'a4' } } }, /"extends" must name a built-in preset/],
+    [{ layouts: { a: { columns: [['services'], []] } } }, /"columns" must be a list of columns/],
+    [{ layouts: { a: { columns: [['charts']] } } }, /unknown panel "charts"/],
+    [{ layouts: { a: { columns: [['events'], ['events']] } } }, /appears more than once/],
+    [{ layouts: { a: { width: '800px' } } }, /"width" must be a whole number of pixels/],
+    [{ layouts: { a: { theme: 'dark' } } }, /unknown setting "theme"/],
+    [{ profiles: { a: { layout: { preset: 'wall' } } } }, /unknown layout preset "wall"/],
+  ];
+
+  for (const [config, message] of cases) {
+    assert.throws(() => loadTerminusConfig(writeConfig(config)), message);
+  }
+});
+
+test('layout selection', async (t) => {
+  const server = await startTestServer({ TERMINUS_CONFIG: TEST_CONFIG });
+  t.after(() => server.close());
+
+  await t.test('?layout= and X-Layout pick a preset', async () => {
+    assert.match(await (await server.get('/?layout=tv')).text(), /width: 1920px;/);
+    assert.match(
+      await (await server.get('/', { 'X-Layout': 'browser' })).text(),
+      /min-height: 100vh;/
+    );
+  });
+
+  await t.test('profiles can name a custom preset', async () => {
+    const html = await (await server.get('/d/wallboard')).text();
+    assert.match(html, /width: 1920px;/);
+    assert.deepEqual(columnsOf(html), [['Recent Events'], ['Services']]);
+    // The profile's limits apply on top of the preset's
+    assert.equal(html.match(/class="service-box[ "]/g).length, 2);
+    assert.equal(html.match(/class="event-item /g).length, 3);
+  });
+
+  await t.test('images default to the preset page size', async () => {
+    const image = Buffer.from(
+      await (await server.get('/image.bmp?layout=epaper-large')).arrayBuffer()
+    );
+    assert.deepEqual([image.readInt32LE(18), image.readInt32LE(22)], [1872, 1404]);
+  });
+
+  await t.test('unknown presets are a 400', async () => {
+    const res = await server.get('/?layout=a4');
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.error, 'Unknown layout');
+    assert.match(body.message, /trmnl, epaper-large, browser, tv, events-wall/);
+  });
+});
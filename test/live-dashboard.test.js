@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// config/live.js and config/queries.js read these once, when first required
+Object.assign(process.env, {
+  LIVE_POLL_INTERVAL: '0.02',
+  TERMINUS_CACHE_TTL_DEPLOYMENTS: '0',
+});
+
+const { DashboardGenerator } = require('../src/generate-html');
+const { diffViews } = require('../src/live-dashboard');
+const { TEST_CONFIG, fetchFixtureDashboard, fixture, startTestServer } = require('./helpers');
+
+async function fixtureView() {
+  const generator = new DashboardGenerator();
+  generator.loadData(await fetchFixtureDashboard());
+  return generator.liveView();
+}
+
+// Reads Server-Sent Events until `done(events)` is true, then disconnects
+async function readEvents(response, controller, done) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+
+  while (!done(events)) {
+    const { value, done: ended } = await reader.read();
+    if (ended) break;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = /^event: (.*)$/m.exec(frame);
+      const data = /^data: (.*)$/m.exec(frame);
+      if (event) {
+        events.push({ event: event[1], data: JSON.parse(data[1]) });
+      }
+    }
+  }
+  controller.abort();
+  return events;
+}
+
+test('liveView lists what each card shows', async () => {
+  const view = await fixtureView();
+
+  assert.match(view.signature, /^[0-9a-f]{16}$/);
+  const web = view.services.find((card) => card.key === 'svc-web:env-store-prod');
+  assert.deepEqual(web, {
+    key: 'svc-web:env-store-prod',
+    name: 'storefront/web',
+    status: 'ERR',
+    statusClass: 'status-failed',
+    info: web.info,
+    timing: 'deployed 4h ago • took 3m10s',
+    stale: false,
+  });
+  assert.match(web.info, /^production • /);
+  assert.equal(view.volumes[0].id, 'vi-pg-prod');
+  assert.equal(view.events.length, 5);
+  assert.match(view.updated, /^Updated: /);
+});
+
+test('diffViews sends only what changed', async () => {
+  const previous = await fixtureView();
+  const next = structuredClone(previous);
+  next.services[2] = { ...next.services[2], status: 'OK', statusClass: 'status-success' };
+  next.volumes[0] = { ...next.volumes[0], usage: '3.9/5.0GB (79%)' };
+
+  assert.deepEqual(diffViews(previous, structuredClone(previous)), []);
+  assert.deepEqual(
+    diffViews(previous, next).map((change) => [change.type, change.key || change.id]),
+    [
+      ['service', 'svc-web:env-store-prod'],
+      ['volume', 'vi-pg-prod'],
+    ]
+  );
+
+  next.events = [{ id: 'new', severity: 'info', time: 'Jan 15, 12:00', message: 'New' }];
+  next.updated = 'Updated: later';
+  assert.deepEqual(
+    diffViews(previous, next)
+      .slice(2)
+      .map((change) => change.type),
+    ['events', 'updated']
+  );
+
+  // Without a previous view, everything is sent
+  assert.equal(
+    diffViews(null, previous).filter((change) => change.type === 'service').length,
+    previous.services.length
+  );
+});
+
+test('live pages load a script that follows /api/stream', async (t) => {
+  const server = await startTestServer({ TERMINUS_CONFIG: TEST_CONFIG });
+  t.after(() => server.close());
+
+  const html = await (await server.get('/?live=1&projectId=storefront')).text();
+  assert.match(html, /var streamUrl = "\/api\/stream\?projectId=storefront";/);
+  assert.match(html, /var signature = "[0-9a-f]{16}";/);
+  assert.match(html, /data-service-key="svc-api:env-store-prod"/);
+
+  const profile = await (await server.get('/d/compact?live=true')).text();
+  assert.match(profile, /var streamUrl = "\/api\/stream\?profile=compact";/);
+
+  const { token } = await (await server.send('POST', '/api/share-links', {})).json();
+  const shared = await (await server.get(`/s/${token}?live=1`, { Authorization: '' })).text();
+  assert.ok(shared.includes(`var streamUrl = "/api/stream?share=${token}";`));
+
+  // Static pages don't
+  assert.doesNotMatch(await (await server.get('/')).text(), /EventSource/);
+});
+
+test('GET /api/stream sends a snapshot, then what changed', { timeout: 10000 }, async (t) => {
+  const deployments = fixture('latestDeployments');
+  const web = deployments.me.workspaces[0].team.projects.edges[0].node.services.edges
+    .map((edge) => edge.node)
+    .find((service) => service.id === 'svc-web');
+  web.deployments.edges[0].node.status = 'SUCCESS';
+
+  // The page and the stream's snapshot see the fixture, later fetches the flip
+  const server = await startTestServer(
+    { TERMINUS_CONFIG: TEST_CONFIG },
+    {
+      responses: { latestDeployments: [{}, {}, { body: { data: deployments } }] },
+    }
+  );
+  t.after(() => server.close());
+
+  const page = await (await server.get('/?live=1')).text();
+  const signature = /var signature = "([0-9a-f]+)";/.exec(page)[1];
+
+  const controller = new AbortController();
+  const response = await fetch(`${server.baseUrl}/api/stream`, {
+    headers: { Authorization: 'Bearer test-auth-token' },
+    signal: controller.signal,
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const flipped = (events) =>
+    events.some(
+      (event) =>
+        event.event === 'patch' &&
+        event.data.changes.some((change) => change.key === 'svc-web:env-store-prod')
+    );
+  const events = await readEvents(response, controller, flipped);
+
+  assert.equal(events[0].event, 'snapshot');
+  assert.equal(events[0].data.signature, signature);
+  const patch = events.find((event) => flipped([event]));
+  const change = patch.data.changes.find((item) => item.key === 'svc-web:env-store-prod');
+  assert.equal(change.type, 'service');
+  assert.equal(change.status, 'OK');
+  assert.equal(change.statusClass, 'status-success');
+  // Nothing else about the page changed
+  assert.deepEqual(
+    patch.data.changes.filter((item) => !['service', 'updated'].includes(item.type)),
+    []
+  );
+});
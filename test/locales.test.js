@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DashboardGenerator } = require('../src/generate-html');
+const { parseDisplaySettings, translator } = require('../src/locales');
+const { loadTerminusConfig } = require('../src/terminus-config');
+const { TEST_CONFIG, fetchFixtureDashboard, startTestServer } = require('./helpers');
+
+const TIME = '2026-01-15T09:30:00.000Z';
+
+function writeConfig(config) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-')), 'config.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+async function htmlFor(options) {
+  const generator = new DashboardGenerator(options);
+  generator.loadData(await fetchFixtureDashboard());
+  return generator.generateHTML();
+}
+
+test('parseDisplaySettings normalises settings and names the bad one', () => {
+  assert.deepEqual(parseDisplaySettings({}), { settings: {} });
+  assert.deepEqual(parseDisplaySettings({ timezone: 'Asia/Tokyo', locale: 'en-gb', clock: '12' }), {
+    settings: { timezone: 'Asia/Tokyo', locale: 'en-GB', clock: 12 },
+  });
+
+  assert.equal(parseDisplaySettings({ timezone: 'Mars/Base' }).problem.error, 'Invalid timezone');
+  assert.equal(parseDisplaySettings({ locale: 'not a locale' }).problem.error, 'Invalid locale');
+  assert.deepEqual(parseDisplaySettings({ clock: '13' }).problem, {
+    error: 'Invalid clock',
+    message: 'clock must be 12 or 24',
+  });
+});
+
+test('timestamps follow the timezone, locale and clock', () => {
+  const utc = new DashboardGenerator({ timezone: 'UTC' });
+  assert.equal(utc.formatEventTimestamp(TIME), 'Jan 15, 09:30');
+
+  const twelve = new DashboardGenerator({ timezone: 'UTC', clock: 12 });
+  assert.match(twelve.formatEventTimestamp(TIME), /^Jan 15, 09:30\sAM$/);
+  const twentyFour = new DashboardGenerator({ timezone: 'UTC', clock: 24 });
+  assert.equal(twentyFour.formatTimestamp(TIME), 'Jan 15, 2026, 09:30 UTC');
+
+  const berlin = new DashboardGenerator({ timezone: 'Europe/Berlin', locale: 'de-DE' });
+  assert.equal(berlin.formatEventTimestamp(TIME), '15. Jan., 10:30');
+});
+
+test('UI strings fall back from region to language to English', () => {
+  assert.equal(translator('de-AT')('recentEvents'), 'Letzte Ereignisse');
+  assert.equal(translator('fr')('updated', { time: '10:30' }), 'Mis à jour : 10:30');
+  // No bundled Dutch, and unknown keys are shown as they are
+  assert.equal(translator('nl')('services'), 'Services');
+  assert.equal(translator('en')('missingKey'), 'missingKey');
+});
+
+test('the dashboard is translated', async () => {
+  const html = await htmlFor({ locale: 'ja-JP', timezone: 'Asia/Tokyo' });
+  assert.match(html, /<html lang="ja-JP">/);
+  assert.match(html, /<div class="section-title">サービス<\/div>/);
+  assert.match(html, /<div class="section-title">最近のイベント<\/div>/);
+  assert.match(html, /更新: 2026年1月15日/);
+  assert.doesNotMatch(html, /Recent Events|Updated:/);
+
+  const generator = new DashboardGenerator({ locale: 'es' });
+  generator.loadData({
+    timestamp: TIME,
+    success: false,
+    error: { message: 'fetch failed', type: 'NETWORK_ERROR' },
+  });
+  assert.match(generator.generateHTML(), /API de Railway no disponible/);
+});
+
+test('TERMINUS_TEMPLATES_DIR/locales rewords strings and adds languages', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-templates-'));
+  fs.mkdirSync(path.join(dir, 'locales'));
+  fs.writeFileSync(path.join(dir, 'locales', 'de.json'), '{ "services": "Apps" }');
+  fs.writeFileSync(path.join(dir, 'locales', 'nl.json'), '{ "services": "Diensten" }');
+  process.env.TERMINUS_TEMPLATES_DIR = dir;
+  t.after(() => delete process.env.TERMINUS_TEMPLATES_DIR);
+
+  const german = await htmlFor({ locale: 'de' });
+  assert.match(german, /<div class="section-title">Apps<\/div>/);
+  // The rest still comes from the bundled de.json
+  assert.match(german, /<div class="section-title">Letzte Ereignisse<\/div>/);
+  assert.match(await htmlFor({ locale: 'nl-BE' }), /<div class="section-title">Diensten<\/div>/);
+});
+
+test('invalid profile locales and clocks are rejected', () => {
+  const cases = [
+    [{ profiles: { a: { locale: 'xx-invalid-locale!' } } }, /invalid locale "xx-invalid-locale!"/],
+    [{ profiles: { a: { clock: '24' } } }, /"clock" must be 12 or 24/],
+  ];
+  for (const [config, message] of cases) {
+    assert.throws(() => loadTerminusConfig(writeConfig(config)), message);
+  }
+});
+
+test('display settings per request', async (t) => {
+  const server = await startTestServer({ TERMINUS_CONFIG: TEST_CONFIG });
+  t.after(() => server.close());
+
+  // Pages are stamped with the time they were fetched
+  await t.test('from the query string', async () => {
+    const html = await (
+      await server.get('/?locale=fr-FR&timezone=America/New_York&clock=12')
+    ).text();
+    assert.match(html, /<title>Tableau de bord Railway - Acme<\/title>/);
+    assert.match(html, /Mis à jour : .*, \d\d:\d\d\s[AP]M UTC−[45]\n/);
+  });
+
+  await t.test('from headers', async () => {
+    const html = await (await server.get('/', { 'X-Locale': 'de', 'X-Clock': '24' })).text();
+    assert.match(html, /<div class="section-title">Dienste<\/div>/);
+    assert.match(html, /Aktualisiert: .*, \d\d:\d\d UTC\n/);
+  });
+
+  await t.test('from a profile, which the request can override', async () => {
+    assert.match(await (await server.get('/d/berlin')).text(), /Aktualisiert: .*, \d\d:\d\d MES?Z/);
+    const html = await (await server.get('/d/berlin?locale=en-GB&clock=12')).text();
+    assert.match(html, /Updated: .*, \d\d:\d\d\s[ap]m CES?T/);
+
+    const variables = await (await server.get('/trmnl/merge-variables?profile=berlin')).json();
+    assert.match(variables.updated_at, /^\d{1,2}\. \S+, \d\d:\d\d$/);
+  });
+
+  await t.test('invalid settings are a 400', async () => {
+    for (const [query, error] of [
+      ['timezone=Mars/Base', 'Invalid timezone'],
+      ['locale=!!', 'Invalid locale'],
+      ['clock=25', 'Invalid clock'],
+    ]) {
+      for (const route of ['/', '/image.bmp', '/trmnl/merge-variables']) {
+        const res = await server.get(`${route}?${query}`);
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).error, error);
+      }
+    }
+  });
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryMetrics, renderMetrics } = require('../src/metrics');
+const {
+  FIXED_TIMESTAMP,
+  TEST_CONFIG,
+  fetchFixtureDashboard,
+  startTestServer,
+} = require('./helpers');
+
+// Sample lines of a metrics body, i.e. everything but HELP and TYPE
+function samples(body) {
+  return body.split('\n').filter((line) => line && !line.startsWith('#'));
+}
+
+test('renderMetrics reports deployments, volumes and event logs', async () => {
+  const lines = samples(renderMetrics(await fetchFixtureDashboard(), new QueryMetrics()));
+
+  assert.ok(lines.includes('railway_up 1'));
+  assert.ok(
+    lines.includes(
+      'railway_deployment_status{workspace="Acme",project="storefront",service="web",environment="production",status="FAILED"} 1'
+    )
+  );
+  assert.ok(
+    lines.includes(
+      'railway_deployment_created_timestamp_seconds{workspace="Acme",project="storefront",service="api",environment="production"} 1768469400'
+    )
+  );
+  assert.ok(
+    lines.includes(
+      'railway_volume_size_bytes{workspace="Acme",project="internal-tools",service="worker",environment="production",volume="worker-data",mount_path="/data"} 1048576000'
+    )
+  );
+  assert.deepEqual(
+    lines.filter((line) => line.startsWith('railway_event_logs')),
+    [
+      ['info', 2],
+      ['warn', 1],
+      ['error', 2],
+    ].map(
+      ([severity, count]) =>
+        `railway_event_logs{workspace="Acme",project="storefront",environment="production",severity="${severity}"} ${count}`
+    )
+  );
+});
+
+test('renderMetrics only reports railway_up for failed fetches', () => {
+  const body = renderMetrics(
+    { timestamp: FIXED_TIMESTAMP, success: false, error: { message: 'down', type: 'API_ERROR' } },
+    new QueryMetrics()
+  );
+
+  assert.deepEqual(samples(body), ['railway_up 0']);
+});
+
+test('QueryMetrics keeps cumulative latency buckets, errors and cache hits', () => {
+  const metrics = new QueryMetrics([0.1, 1]);
+  metrics.observe('Projects', 0.05);
+  metrics.observe('Projects', 0.5);
+  metrics.observe('Projects', 3, 'timeout');
+  metrics.recordCacheHit('Projects');
+
+  const lines = [];
+  metrics.write(lines);
+  assert.deepEqual(samples(lines.join('\n')), [
+    'terminus_railway_query_duration_seconds_bucket{query="Projects",le="0.1"} 1',
+    'terminus_railway_query_duration_seconds_bucket{query="Projects",le="1"} 2',
+    'terminus_railway_query_duration_seconds_bucket{query="Projects",le="+Inf"} 3',
+    'terminus_railway_query_duration_seconds_sum{query="Projects"} 3.55',
+    'terminus_railway_query_duration_seconds_count{query="Projects"} 3',
+    'terminus_railway_query_errors_total{query="Projects",kind="timeout"} 1',
+    'terminus_railway_query_cache_hits_total{query="Projects"} 1',
+  ]);
+});
+
+test('label values are escaped', () => {
+  const metrics = new QueryMetrics([1]);
+  metrics.observe('say "hi"\\\n', 0.5);
+
+  const lines = [];
+  metrics.write(lines);
+  assert.ok(
+    lines.includes('terminus_railway_query_duration_seconds_count{query="say \\"hi\\"\\\\\\n"} 1')
+  );
+});
+
+test('GET /metrics', async (t) => {
+  const server = await startTestServer({
+    TERMINUS_CONFIG: TEST_CONFIG,
+    TERMINUS_METRICS_TOKEN: 'scrape-token',
+    TEST_STOREFRONT_KEY: 'storefront-key',
+  });
+  t.after(() => server.close());
+
+  await t.test('serves the exposition format, including Railway API self-metrics', async () => {
+    const res = await server.get('/metrics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.* version=0\.0\.4/);
+
+    const lines = samples(await res.text());
+    assert.ok(lines.includes('railway_up 1'));
+    assert.ok(
+      lines.some((line) =>
+        /^terminus_railway_query_duration_seconds_count\{query="Latest Deployments"\} [1-9]/.test(
+          line
+        )
+      )
+    );
+  });
+
+  await t.test('accepts the scrape token, which only reaches /metrics', async () => {
+    const scrape = { Authorization: 'Bearer scrape-token' };
+    assert.equal((await server.get('/metrics', scrape)).status, 200);
+    assert.equal((await server.get('/api/data', scrape)).status, 403);
+    assert.equal((await server.get('/', scrape)).status, 403);
+  });
+
+  await t.test('requires the metrics capability', async () => {
+    assert.equal((await server.get('/metrics', { Authorization: '' })).status, 401);
+    const res = await server.get('/metrics', { Authorization: 'Bearer storefront-key' });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,180 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Name of the operation in a GraphQL document, e.g. "volumeUsage" for
+// `query volumeUsage { ... }`. Anonymous operations have no name.
+function operationName(query) {
+  const match = /^\s*(?:query|mutation)\s+([A-Za-z_][A-Za-z0-9_]*)/m.exec(query || '');
+  return match ? match[1] : null;
+}
+
+// Token types known to the mock. Any other Bearer token acts as an account token.
+const DEFAULT_TOKEN_TYPES = {
+  'mock-token': 'account',
+  'mock-team-token': 'team',
+  'mock-project-token': 'project',
+};
+
+// Like Railway, project tokens only work through the Project-Access-Token
+// header and team/account tokens only as Bearer tokens
+function requestTokenType(headers, tokenTypes) {
+  const projectToken = headers['project-access-token'];
+  if (projectToken) {
+    return tokenTypes[projectToken] === 'project' ? 'project' : null;
+  }
+
+  const bearer = (headers['authorization'] || '').replace(/^Bearer\s+/, '');
+  if (!bearer) {
+    return null;
+  }
+  const type = tokenTypes[bearer] || 'account';
+  return type === 'project' ? null : type;
+}
+
+// Operations that take the same form for every token type
+const SHARED_OPERATIONS = [
+  'event_logs',
+  'deployment_history',
+  'projectServicesPage',
+  'projectEnvironmentsPage',
+  'projectVolumesPage',
+  'environmentVolumeInstancesPage',
+  'deployment',
+  'deploymentRedeploy',
+  'deploymentRollback',
+  'deploymentRestart',
+  'deploymentApprove',
+  'deploymentLogs',
+  'buildLogs',
+];
+
+// Operations are named after the token type they are written for:
+// projectToken* and teamToken* queries, everything else needs an account token
+function operationAllowed(tokenType, name) {
+  if (SHARED_OPERATIONS.includes(name)) return true;
+  if (name.startsWith('projectToken')) return tokenType === 'project';
+  if (name.startsWith('teamToken')) return tokenType === 'team';
+  return tokenType === 'account';
+}
+
+function loadFixture(fixturesDir, name) {
+  const file = path.join(fixturesDir, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Local stand-in for the Railway GraphQL API. Each request is answered with
+// fixtures/<operationName>.json, which holds the full GraphQL response body.
+// Requests for a later page (variables.after set) get
+// fixtures/<operationName>@<after>.json instead.
+//
+// Tests can override individual operations with `responses`:
+//   { volumeUsage: { status: 503, body: '...' } }
+//   { latestDeployments: { delayMs: 500 } }
+//   { event_logs: [{ status: 429, headers: { 'retry-after': '0' } }, {}] }
+// An array is consumed one entry per request; an empty object means "use the fixture".
+function startMockRailwayServer(options = {}) {
+  const fixturesDir = options.fixturesDir || FIXTURES_DIR;
+  const responses = options.responses || {};
+  const tokenTypes = { ...DEFAULT_TOKEN_TYPES, ...(options.tokenTypes || {}) };
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      let payload = {};
+      try {
+        payload = JSON.parse(body || '{}');
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ errors: [{ message: 'Invalid JSON body' }] }));
+        return;
+      }
+
+      const name = operationName(payload.query) || 'anonymous';
+      requests.push({ operationName: name, variables: payload.variables, headers: req.headers });
+
+      let override = responses[name];
+      if (Array.isArray(override)) {
+        override = override.length > 1 ? override.shift() : override[0];
+      }
+      override = override || {};
+
+      const send = () => {
+        const tokenType = requestTokenType(req.headers, tokenTypes);
+        if (!tokenType || !operationAllowed(tokenType, name)) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ errors: [{ message: 'Not Authorized' }] }));
+          return;
+        }
+
+        if (override.status || override.body !== undefined) {
+          res.writeHead(override.status || 200, {
+            'Content-Type': 'application/json',
+            ...(override.headers || {}),
+          });
+          res.end(
+            typeof override.body === 'string' ? override.body : JSON.stringify(override.body || {})
+          );
+          return;
+        }
+
+        const after = payload.variables?.after;
+        const fixture = loadFixture(fixturesDir, after ? `${name}@${after}` : name);
+        if (!fixture) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(
+            JSON.stringify({ errors: [{ message: `Mock Railway has no fixture for "${name}"` }] })
+          );
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json', ...(override.headers || {}) });
+        res.end(JSON.stringify(fixture));
+      };
+
+      if (override.delayMs) {
+        const timer = setTimeout(send, override.delayMs);
+        res.on('close', () => clearTimeout(timer));
+      } else {
+        send();
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}/graphql/v2`,
+        requests,
+        close: () =>
+          new Promise((done) => {
+            server.closeAllConnections?.();
+            server.close(done);
+          }),
+      });
+    });
+  });
+}
+
+// Run standalone for local development:
+//   npm run mock-railway
+//   RAILWAY_API_URL=http://127.0.0.1:4000/graphql/v2 RAILWAY_TOKEN=mock npm start
+if (require.main === module) {
+  startMockRailwayServer({ port: Number(process.env.MOCK_RAILWAY_PORT) || 4000 }).then(
+    ({ url }) => {
+      console.log(`🧪 Mock Railway GraphQL API listening at ${url}`);
+    }
+  );
+}
+
+module.exports = { startMockRailwayServer, operationName };
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildModel, indexById } = require('../src/model');
+const { fetchFixtureDashboard, startTestServer } = require('./helpers');
+
+const ids = (records) => records.map((record) => record.id);
+
+test('buildModel flattens the queries into cross-referenced collections', async () => {
+  const model = buildModel(await fetchFixtureDashboard());
+
+  assert.deepEqual(model.workspaces, [
+    { id: 'ws-acme', name: 'Acme', projectIds: ['proj-storefront', 'proj-tools'] },
+  ]);
+
+  const storefront = indexById(model.projects).get('proj-storefront');
+  assert.equal(storefront.workspaceId, 'ws-acme');
+  assert.deepEqual(storefront.serviceIds, ['svc-api', 'svc-web', 'svc-postgres']);
+  assert.deepEqual(storefront.environmentIds, [
+    'env-store-prod',
+    'env-store-staging',
+    'env-store-pr-42',
+  ]);
+
+  const api = indexById(model.services).get('svc-api');
+  assert.equal(api.projectId, 'proj-storefront');
+  assert.deepEqual(api.deploymentIds.sort(), ['dep-api-1', 'dep-api-2', 'dep-api-3']);
+
+  const environment = indexById(model.environments).get('env-store-pr-42');
+  assert.equal(environment.isEphemeral, true);
+  assert.equal(environment.projectId, 'proj-storefront');
+});
+
+test('buildModel orders deployments newest first and marks the latest per environment', async () => {
+  const model = buildModel(await fetchFixtureDashboard());
+  const deployments = indexById(model.deployments);
+
+  const createdAt = model.deployments.map((deployment) => Date.parse(deployment.createdAt));
+  assert.deepEqual(
+    createdAt,
+    [...createdAt].sort((a, b) => b - a)
+  );
+  assert.equal(deployments.get('dep-api-3').latest, true);
+  // Replaced by dep-api-3 in production
+  assert.equal(deployments.get('dep-api-1').latest, false);
+  assert.equal(deployments.get('dep-api-1').environmentId, 'env-store-prod');
+  assert.equal(deployments.get('dep-api-3').environment, undefined);
+});
+
+test('buildModel merges volume instances listed under volumes and environments', async () => {
+  const model = buildModel(await fetchFixtureDashboard());
+
+  assert.deepEqual(ids(model.volumeInstances), ['vi-pg-prod', 'vi-pg-staging', 'vi-worker-prod']);
+  const instance = indexById(model.volumeInstances).get('vi-pg-staging');
+  assert.equal(instance.volumeId, 'vol-pg');
+  assert.equal(instance.volumeName, 'pg-data');
+  assert.equal(instance.projectId, 'proj-storefront');
+  assert.equal(instance.serviceId, 'svc-postgres');
+  assert.equal(instance.environmentId, 'env-store-staging');
+  assert.deepEqual(indexById(model.services).get('svc-postgres').volumeInstanceIds, [
+    'vi-pg-prod',
+    'vi-pg-staging',
+  ]);
+
+  assert.equal(model.logEntries.length, 5);
+  assert.equal(model.logEntries[0].environmentId, 'env-store-prod');
+});
+
+test('buildModel returns empty collections for a failed fetch', () => {
+  const model = buildModel({ success: false, error: { message: 'Not Authorized' } });
+  assert.deepEqual(model.projects, []);
+  assert.deepEqual(model.logEntries, []);
+});
+
+test('GET /api/v2 serves the model resources', async (t) => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+
+  const projects = await (await server.get('/api/v2/projects')).json();
+  assert.deepEqual(ids(projects.data), ['proj-storefront', 'proj-tools']);
+  assert.deepEqual(projects.errors, []);
+
+  const service = await (await server.get('/api/v2/services/svc-web')).json();
+  assert.equal(service.data.name, 'web');
+
+  const deployments = await (await server.get('/api/v2/services/svc-api/deployments')).json();
+  assert.deepEqual(ids(deployments.data), ['dep-api-2', 'dep-api-3', 'dep-api-1']);
+
+  const failed = await (await server.get('/api/v2/deployments?status=failed,crashed')).json();
+  assert.deepEqual(ids(failed.data).sort(), ['dep-web-2', 'dep-worker-1']);
+
+  const volumes = await (await server.get('/api/v2/volumes')).json();
+  assert.equal(volumes.data[0].health.level, 'ok');
+
+  // The request's filters apply
+  const filtered = await (await server.get('/api/v2/services?projectId=internal-tools')).json();
+  assert.deepEqual(ids(filtered.data), ['svc-worker']);
+
+  const missing = await server.get('/api/v2/services/svc-nope/deployments');
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).message, 'No service with ID "svc-nope"');
+
+  const unauthorized = await server.get('/api/v2/projects', { Authorization: '' });
+  assert.equal(unauthorized.status, 401);
+});
@@ -0,0 +1,241 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../src/json-store');
+const {
+  DeploymentNotifier,
+  buildNotification,
+  formatPayload,
+  latestDeployments,
+} = require('../src/notifier');
+const { FIXED_TIMESTAMP, fetchFixtureDashboard } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+// A stand-in for a chat webhook that records request bodies
+async function startWebhook() {
+  const webhook = { bodies: [], status: 200 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      if (webhook.status === 200) {
+        webhook.bodies.push(JSON.parse(body));
+      }
+      res.writeHead(webhook.status);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  webhook.url = `http://127.0.0.1:${server.address().port}/hook`;
+  webhook.close = () => new Promise((resolve) => server.close(resolve));
+  return webhook;
+}
+
+// A copy of dashboard data with deployments changed, e.g. { 'dep-api-3': 'CRASHED' }.
+// `{ id, status }` replaces a deployment's id too, as a new deployment would.
+function withDeployments(dashboardData, changes) {
+  const copy = JSON.parse(JSON.stringify(dashboardData));
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    const change = changes[node.id];
+    if (change && node.status) {
+      Object.assign(node, typeof change === 'string' ? { status: change } : change);
+      return;
+    }
+    Object.values(node).forEach(visit);
+  };
+  visit(copy.data.deployments);
+  return copy;
+}
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-notify-'));
+  process.env.TERMINUS_DATA_DIR = dir;
+  return new JsonStore('notifications.json', { deployments: {}, sent: {}, baselineAt: null });
+}
+
+test('buildNotification describes the deployment and its commit', async () => {
+  const [api] = latestDeployments(await fetchFixtureDashboard());
+  const notification = buildNotification(api, 'FAILED', FIXED_TIMESTAMP);
+
+  assert.deepEqual(notification, {
+    event: 'deployment.recovered',
+    workspace: 'Acme',
+    project: 'storefront',
+    service: 'api',
+    environment: 'production',
+    status: 'SUCCESS',
+    previous_status: 'FAILED',
+    deployment: {
+      id: 'dep-api-3',
+      url: 'https://railway.com/project/proj-storefront/service/svc-api?environmentId=env-store-prod&id=dep-api-3',
+      service_url: null,
+      created_at: '2026-01-15T09:30:00.000Z',
+      commit: { hash: 'a1b2c3d', message: 'Add order export', author: 'sam', branch: 'main' },
+    },
+    timestamp: FIXED_TIMESTAMP,
+  });
+});
+
+test('formatPayload builds Slack and Discord messages', async () => {
+  const [api] = latestDeployments(await fetchFixtureDashboard());
+  const notification = buildNotification(api, 'FAILED', FIXED_TIMESTAMP);
+
+  assert.equal(formatPayload(notification, 'json'), notification);
+
+  const slack = formatPayload(notification, 'slack');
+  assert.equal(slack.text, 'storefront/api (production): FAILED → SUCCESS');
+  assert.match(slack.blocks[0].text.text, /a1b2c3d Add order export \(main by sam\)/);
+  assert.match(slack.blocks[0].text.text, /<https:\/\/railway\.com\/project\/.*\|View deployment>/);
+
+  const discord = formatPayload(notification, 'discord');
+  assert.equal(discord.content, slack.text);
+  assert.equal(discord.embeds[0].url, notification.deployment.url);
+  assert.equal(discord.embeds[0].color, 0x2eb67d);
+  assert.deepEqual(
+    discord.embeds[0].fields.map((field) => field.name),
+    ['Status', 'Environment', 'Previous', 'Commit']
+  );
+});
+
+test('DeploymentNotifier posts status changes', async (t) => {
+  const baseline = await fetchFixtureDashboard();
+  const webhook = await startWebhook();
+  t.after(() => webhook.close());
+
+  let clock = Date.parse(FIXED_TIMESTAMP);
+  let current = baseline;
+  const notifier = new DeploymentNotifier({
+    load: async () => current,
+    webhookUrl: webhook.url,
+    format: 'json',
+    cooldownMs: 15 * MINUTE,
+    statuses: ['SUCCESS', 'FAILED', 'CRASHED'],
+    store: tempStore(),
+    now: () => clock,
+  });
+  // Polls `data` a minute after the previous poll and returns the events sent
+  const poll = async (data) => {
+    current = data;
+    clock += MINUTE;
+    return (await notifier.poll()).map((n) => `${n.service}/${n.environment} ${n.event}`);
+  };
+
+  await t.test('the first poll is a quiet baseline', async () => {
+    assert.deepEqual(await poll(baseline), []);
+    assert.deepEqual(await poll(baseline), []);
+  });
+
+  await t.test('failures and recoveries are notified once', async () => {
+    const crashed = withDeployments(baseline, { 'dep-api-3': 'CRASHED', 'dep-web-2': 'SUCCESS' });
+    assert.deepEqual(await poll(crashed), [
+      'api/production deployment.failed',
+      'web/production deployment.recovered',
+    ]);
+    assert.deepEqual(await poll(crashed), []);
+    assert.equal(webhook.bodies[0].previous_status, 'SUCCESS');
+    assert.equal(webhook.bodies[0].deployment.commit.hash, 'a1b2c3d');
+  });
+
+  await t.test('transitional statuses are ignored', async () => {
+    // staging was BUILDING at baseline, so finishing isn't a change worth posting
+    const built = withDeployments(baseline, {
+      'dep-api-3': 'CRASHED',
+      'dep-web-2': 'DEPLOYING',
+      'dep-api-2': 'SUCCESS',
+    });
+    assert.deepEqual(await poll(built), []);
+  });
+
+  await t.test('the cooldown suppresses flapping, deduplication repeats', async () => {
+    const healthy = withDeployments(baseline, { 'dep-web-2': 'SUCCESS' });
+    const crashed = withDeployments(healthy, { 'dep-api-3': 'CRASHED' });
+    const redeployed = withDeployments(healthy, {
+      'dep-api-3': { id: 'dep-api-4', status: 'CRASHED' },
+    });
+    assert.deepEqual(await poll(healthy), ['api/production deployment.recovered']);
+    // A new deployment crashing within 15 minutes of the last crash notification
+    assert.deepEqual(await poll(redeployed), []);
+
+    // Past the cooldown, a deployment that was already notified is still not news...
+    await poll(healthy);
+    clock += 15 * MINUTE;
+    assert.deepEqual(await poll(crashed), []);
+
+    // ...but one that was held back by the cooldown is
+    await poll(healthy);
+    assert.deepEqual(await poll(redeployed), ['api/production deployment.failed']);
+  });
+
+  await t.test('undelivered notifications are retried', async () => {
+    const failed = withDeployments(baseline, {
+      'dep-web-2': 'SUCCESS',
+      'dep-api-3': { id: 'dep-api-4', status: 'CRASHED' },
+      'dep-pg-1': 'FAILED',
+    });
+    webhook.status = 500;
+    assert.deepEqual(await poll(failed), []);
+    webhook.status = 200;
+    assert.deepEqual(await poll(failed), ['postgres/production deployment.failed']);
+  });
+
+  await t.test('failed fetches are skipped', async () => {
+    const down = { success: false, error: { message: 'Railway is down' } };
+    assert.deepEqual(await poll(down), []);
+  });
+});
+
+// A notifier polling one redeployed api/production service every 20 minutes.
+// deploy(id, status) replaces its latest deployment; poll() returns the events sent.
+async function redeployingNotifier(t) {
+  const baseline = await fetchFixtureDashboard();
+  const webhook = await startWebhook();
+  t.after(() => webhook.close());
+
+  let clock = Date.parse(FIXED_TIMESTAMP);
+  let current = baseline;
+  const notifier = new DeploymentNotifier({
+    load: async () => current,
+    webhookUrl: webhook.url,
+    format: 'json',
+    cooldownMs: 15 * MINUTE,
+    statuses: ['SUCCESS', 'FAILED', 'CRASHED'],
+    store: tempStore(),
+    now: () => clock,
+  });
+  const poll = async (data) => {
+    current = data;
+    clock += 20 * MINUTE;
+    return (await notifier.poll()).map((n) => `${n.service}/${n.environment} ${n.event}`);
+  };
+  const deploy = (id, status) => withDeployments(baseline, { 'dep-api-3': { id, status } });
+
+  await poll(baseline);
+  return { webhook, poll, deploy };
+}
+
+test('DeploymentNotifier posts each failing deployment in a row', async (t) => {
+  const { webhook, poll, deploy } = await redeployingNotifier(t);
+
+  assert.deepEqual(await poll(deploy('dep-api-4', 'FAILED')), ['api/production deployment.failed']);
+  // The fix attempt builds, then fails too
+  assert.deepEqual(await poll(deploy('dep-api-5', 'BUILDING')), []);
+  assert.deepEqual(await poll(deploy('dep-api-5', 'FAILED')), ['api/production deployment.failed']);
+  assert.deepEqual(await poll(deploy('dep-api-5', 'FAILED')), []);
+  assert.equal(webhook.bodies[1].previous_status, 'FAILED');
+});
+
+test('DeploymentNotifier keeps routine redeploys quiet', async (t) => {
+  const { webhook, poll, deploy } = await redeployingNotifier(t);
+
+  assert.deepEqual(await poll(deploy('dep-api-4', 'BUILDING')), []);
+  assert.deepEqual(await poll(deploy('dep-api-4', 'SUCCESS')), []);
+  assert.deepEqual(webhook.bodies, []);
+});
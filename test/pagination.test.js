@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { fetchRemainingPages, pageQuery } = require('../src/pagination');
+const { fixture, mockClient, startMockRailwayServer } = require('./helpers');
+
+const QUERIES_DIR = path.join(__dirname, '..', 'queries');
+const readQuery = (file) => fs.readFileSync(path.join(QUERIES_DIR, file), 'utf8');
+
+const connection = (nodes, endCursor = null) => ({
+  edges: nodes.map((node) => ({ node })),
+  pageInfo: { hasNextPage: Boolean(endCursor), endCursor },
+});
+
+test('pageQuery copies the fragments and variables a follow-up query needs', () => {
+  const { query, variableNames } = pageQuery(
+    'project_services.gql',
+    readQuery('latest_deployments.gql')
+  );
+
+  assert.match(query, /^query projectServicesPage\(.*\$first: Int! = 4\) \{/);
+  assert.match(query, /fragment ServiceFields on Service \{[\s\S]*deployments\(first: \$first\)/);
+  // Fragments the follow-up doesn't spread would fail validation
+  assert.doesNotMatch(query, /fragment ProjectFields/);
+  assert.deepEqual(variableNames, ['id', 'pageSize', 'after', 'first']);
+});
+
+test('fetchRemainingPages follows connections, including ones on new pages', async () => {
+  const data = {
+    project: {
+      id: 'proj-1',
+      services: connection([{ id: 'svc-1' }], 'services-2'),
+      environments: connection([{ id: 'env-1', volumeInstances: connection([]) }], 'envs-2'),
+    },
+  };
+  const pages = {
+    'services-2': { project: { services: connection([{ id: 'svc-2' }]) } },
+    'envs-2': {
+      project: {
+        environments: connection([
+          { id: 'env-2', volumeInstances: connection([{ id: 'vi-1' }], 'instances-2') },
+        ]),
+      },
+    },
+    'instances-2': { environment: { volumeInstances: connection([{ id: 'vi-2' }]) } },
+  };
+  const requests = [];
+
+  const result = await fetchRemainingPages(data, {
+    query: readQuery('project/volume_usage.gql'),
+    variables: { projectId: 'proj-1', pageSize: 2 },
+    pageSize: 2,
+    maxPages: 10,
+    request: async (query, variables) => {
+      requests.push(variables);
+      return pages[variables.after];
+    },
+  });
+
+  assert.deepEqual(result, { pages: 3, complete: true, incomplete: [] });
+  assert.deepEqual(
+    data.project.services.edges.map((edge) => edge.node.id),
+    ['svc-1', 'svc-2']
+  );
+  assert.deepEqual(
+    data.project.environments.edges[1].node.volumeInstances.edges.map((edge) => edge.node.id),
+    ['vi-1', 'vi-2']
+  );
+  assert.equal(data.project.services.pageInfo.hasNextPage, false);
+  assert.deepEqual(requests[2], { id: 'env-2', pageSize: 2, after: 'instances-2' });
+});
+
+test('fetchRemainingPages reports what it could not complete', async () => {
+  const data = {
+    project: {
+      id: 'proj-1',
+      services: connection([{ id: 'svc-1' }], 'more'),
+      environments: connection([{ id: 'env-1' }], 'broken'),
+      volumes: connection([{ id: 'vol-1', volumeInstances: connection([], 'unsupported') }]),
+    },
+  };
+  let page = 1;
+
+  const result = await fetchRemainingPages(data, {
+    query: readQuery('project/projects_services_environments.gql'),
+    pageSize: 1,
+    maxPages: 3,
+    request: async (query, variables) => {
+      if (variables.after === 'broken') {
+        throw new Error('Problem processing request');
+      }
+      page++;
+      return { project: { services: connection([{ id: `svc-${page}` }], `more-${page}`) } };
+    },
+  });
+
+  assert.equal(result.pages, 3);
+  assert.equal(result.complete, false);
+  assert.deepEqual(result.incomplete, [
+    {
+      connection: 'project(proj-1).environments',
+      reason: 'error',
+      message: 'Problem processing request',
+    },
+    { connection: 'volume(vol-1).volumeInstances', reason: 'unsupported' },
+    { connection: 'project(proj-1).services', reason: 'max_pages' },
+  ]);
+  // The pages that did arrive are kept
+  assert.equal(data.project.services.edges.length, 3);
+});
+
+test('fetchDashboardData pages through large workspaces and reports it in queryInfo', async () => {
+  const projects = fixture('projectsServicesEnvironments');
+  projects.me.workspaces[0].team.projects.pageInfo = { hasNextPage: true, endCursor: 'p2' };
+
+  const newProject = {
+    id: 'proj-new',
+    name: 'new-project',
+    teamId: 'team-acme',
+    services: connection([{ id: 'svc-new-1', name: 'one', projectId: 'proj-new' }], 's2'),
+    environments: connection([
+      { id: 'env-new', name: 'production', projectId: 'proj-new', isEphemeral: false },
+    ]),
+  };
+
+  const mock = await startMockRailwayServer({
+    responses: {
+      projectsServicesEnvironments: { body: { data: projects } },
+      teamProjectsPage: { body: { data: { projects: connection([newProject]) } } },
+      projectServicesPage: {
+        body: {
+          data: {
+            project: {
+              services: connection([{ id: 'svc-new-2', name: 'two', projectId: 'proj-new' }]),
+            },
+          },
+        },
+      },
+    },
+  });
+  try {
+    const result = await mockClient(mock).fetchDashboardData(null);
+
+    const teamProjects = result.data.projects.me.workspaces[0].team.projects.edges;
+    assert.deepEqual(
+      teamProjects.map((edge) => edge.node.id),
+      ['proj-storefront', 'proj-tools', 'proj-new']
+    );
+    assert.deepEqual(
+      teamProjects[2].node.services.edges.map((edge) => edge.node.id),
+      ['svc-new-1', 'svc-new-2']
+    );
+    assert.deepEqual(result.data.queryInfo.pagination.projects, {
+      pages: 2,
+      complete: true,
+      incomplete: [],
+    });
+    assert.deepEqual(result.data.queryInfo.incomplete, []);
+
+    const pageRequests = mock.requests.filter((req) => req.operationName.endsWith('Page'));
+    assert.deepEqual(
+      pageRequests.map((req) => [req.operationName, req.variables]),
+      [
+        ['teamProjectsPage', { id: 'team-acme', pageSize: 100, after: 'p2' }],
+        ['projectServicesPage', { id: 'proj-new', pageSize: 100, after: 's2' }],
+      ]
+    );
+  } finally {
+    await mock.close();
+  }
+});
+
+test('fetchDashboardData lists queries with missing pages', async () => {
+  const volumes = fixture('volumeUsage');
+  volumes.me.workspaces[0].team.projects.edges[0].node.volumes.pageInfo = {
+    hasNextPage: true,
+    endCursor: 'v2',
+  };
+
+  const mock = await startMockRailwayServer({
+    responses: {
+      volumeUsage: { body: { data: volumes } },
+      projectVolumesPage: { status: 400, body: { errors: [{ message: 'Bad cursor' }] } },
+    },
+  });
+  try {
+    const result = await mockClient(mock).fetchDashboardData(null);
+
+    assert.deepEqual(result.data.queryInfo.incomplete, ['volumes']);
+    assert.equal(
+      result.data.queryInfo.pagination.volumes.incomplete[0].connection,
+      'project(proj-storefront).volumes'
+    );
+    // What was fetched is still shown
+    assert.deepEqual(result.data.queryInfo.errors, []);
+    assert.ok(result.data.volumes.me.workspaces[0].team.projects.edges.length > 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('fetchDashboardData reports services at the latest deployments limit', async () => {
+  const deployments = fixture('latestDeployments');
+  const api = deployments.me.workspaces[0].team.projects.edges[0].node.services.edges[0].node;
+  const [latest] = api.deployments.edges;
+  api.deployments.edges.push({
+    node: { ...latest.node, id: 'dep-api-preview', environmentId: 'env-store-preview' },
+  });
+
+  const mock = await startMockRailwayServer({
+    responses: { latestDeployments: { body: { data: deployments } } },
+  });
+  try {
+    const result = await mockClient(mock).fetchDashboardData(null);
+
+    assert.deepEqual(result.data.queryInfo.incomplete, ['deployments']);
+    assert.deepEqual(result.data.queryInfo.pagination.deployments.incomplete, [
+      { connection: 'service(svc-api).deployments', reason: 'limit' },
+    ]);
+  } finally {
+    await mock.close();
+  }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTerminusConfig } = require('../src/terminus-config');
+const { TEST_CONFIG, startTestServer } = require('./helpers');
+
+function writeConfig(config) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-')), 'config.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+test('the example config is valid', () => {
+  const config = loadTerminusConfig(path.join(__dirname, '..', 'terminus.config.example.json'));
+  assert.deepEqual(Object.keys(config.profiles), ['lobby', 'storefront']);
+});
+
+test('invalid profiles are rejected with a readable message', () => {
+  const cases = [
+    [{ profiles: { 'bad name': {} } }, /Invalid profile name/],
+    [{ profiles: { a: { filters: { project: 'x' } } } }, /unknown filter "project"/],
+    [{ profiles: { a: { timezone: 'Mars/Olympus' } } }, /invalid timezone/],
+    [{ profiles: { a: { eventLogs: { maxEntries: 0 } } } }, /maxEntries/],
+    [{ profiles: { a: { layout: { columns: 2 } } } }, /unknown layout setting/],
+    [{ profiles: [] }, /"profiles" must be an object/],
+  ];
+
+  for (const [config, message] of cases) {
+    assert.throws(() => loadTerminusConfig(writeConfig(config)), message);
+  }
+});
+
+test('profile dashboards', async (t) => {
+  const server = await startTestServer({ TERMINUS_CONFIG: TEST_CONFIG });
+  t.after(() => server.close());
+
+  await t.test('GET /d/:profile applies the profile filters and timezone', async () => {
+    const res = await server.get('/d/tools');
+    const html = await res.text();
+
+    assert.equal(res.status, 200);
+    assert.match(html, /internal-tools\/worker/);
+    assert.doesNotMatch(html, /storefront\/api/);
+    assert.match(html, /Updated: .* GMT\+9/);
+  });
+
+  await t.test('GET /d/:profile applies layout limits', async () => {
+    const html = await (await server.get('/d/compact')).text();
+
+    assert.equal(html.match(/class="service-box[ "]/g).length, 1);
+    assert.equal(html.match(/class="volume-box"/g).length, 1);
+    assert.equal(html.match(/class="event-item /g).length, 2);
+  });
+
+  await t.test('GET /d/:profile still requires authentication', async () => {
+    const res = await server.get('/d/tools', { Authorization: '' });
+    assert.equal(res.status, 401);
+  });
+
+  await t.test('unknown profiles are a 404', async () => {
+    const res = await server.get('/d/nope');
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'Profile not found');
+
+    assert.equal((await server.get('/api/data?profile=nope')).status, 404);
+  });
+
+  await t.test('GET /api/data?profile= returns the profile data', async () => {
+    const body = await (await server.get('/api/data?profile=tools')).json();
+
+    assert.equal(body.data.queryInfo.profile, 'tools');
+    assert.equal(body.data.eventLogsEnvironmentId, 'env-tools-prod');
+    assert.deepEqual(body.data.eventLogsConfig, { maxEntries: 3, filter: '<DEPLOY>' });
+
+    const projects = body.data.projects.me.workspaces[0].team.projects.edges;
+    assert.deepEqual(
+      projects.map((edge) => edge.node.id),
+      ['proj-tools']
+    );
+
+    const logsRequest = server.mock.requests.find(
+      (req) => req.operationName === 'event_logs' && req.variables.afterLimit === 3
+    );
+    assert.equal(logsRequest.variables.filter, '<DEPLOY>');
+  });
+
+  await t.test('request headers override profile settings', async () => {
+    const body = await (
+      await server.get('/api/data?profile=tools', { 'X-Project-ID': 'proj-storefront' })
+    ).json();
+
+    const projects = body.data.projects.me.workspaces[0].team.projects.edges;
+    assert.deepEqual(
+      projects.map((edge) => edge.node.id),
+      ['proj-storefront']
+    );
+  });
+});
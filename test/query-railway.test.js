@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RailwayApiError } = require('../src/errors');
+const queriesConfig = require('../src/config/queries');
+const { mockClient, startMockRailwayServer } = require('./helpers');
+
+test('fetchDashboardData returns every query from the mock API', async () => {
+  const mock = await startMockRailwayServer();
+  try {
+    const result = await mockClient(mock).fetchDashboardData('env-store-prod');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.queryInfo.errors, []);
+    assert.equal(result.data.queryInfo.eventLogsQueryUsed, 'full');
+    assert.equal(result.data.projects.me.workspaces[0].name, 'Acme');
+    assert.equal(result.data.eventLogs.environmentLogs.length, 5);
+    assert.deepEqual(Object.keys(result.data.queryInfo.timings).sort(), [
+      'deployments',
+      'eventLogs',
+      'projects',
+      'volumes',
+    ]);
+
+    const eventLogsRequest = mock.requests.find((req) => req.operationName === 'event_logs');
+    assert.equal(eventLogsRequest.variables.environmentId, 'env-store-prod');
+    assert.equal(eventLogsRequest.headers.authorization, 'Bearer mock-token');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('fetchDashboardData skips event logs without a logs environment', async () => {
+  const mock = await startMockRailwayServer();
+  try {
+    const result = await mockClient(mock).fetchDashboardData(null);
+
+    assert.equal(result.data.queryInfo.eventLogsQueryUsed, 'skipped');
+    assert.equal(
+      mock.requests.some((req) => req.operationName === 'event_logs'),
+      false
+    );
+  } finally {
+    await mock.close();
+  }
+});
+
+test('repeated and concurrent fetches share cached responses', async () => {
+  const mock = await startMockRailwayServer();
+  try {
+    const client = mockClient(mock);
+    const [first, second] = await Promise.all([
+      client.fetchDashboardData('env-store-prod'),
+      client.fetchDashboardData('env-store-prod'),
+    ]);
+    const third = await client.fetchDashboardData('env-store-prod');
+
+    assert.equal(mock.requests.length, 4);
+    assert.equal(first.data.queryInfo.cache.projects.hit, false);
+    assert.equal(second.data.queryInfo.cache.projects.coalesced, true);
+    assert.equal(third.data.queryInfo.cache.projects.hit, true);
+    assert.equal(third.data.queryInfo.timings.projects.status, 'cached');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('a timed-out query only empties its own panel', async () => {
+  const mock = await startMockRailwayServer({
+    responses: { volumeUsage: { delayMs: 2000 } },
+  });
+  const previousTimeoutMs = queriesConfig.volumes.timeoutMs;
+  queriesConfig.volumes.timeoutMs = 100;
+  try {
+    const result = await mockClient(mock).fetchDashboardData('env-store-prod');
+
+    assert.deepEqual(result.data.queryInfo.errors, ['Volumes query timed out']);
+    assert.equal(result.data.queryInfo.timings.volumes.status, 'timeout');
+    assert.equal(result.data.queryInfo.errorDetails.volumes.kind, 'timeout');
+    assert.deepEqual(result.data.volumes, { me: { workspaces: [] } });
+    assert.equal(result.data.projects.me.workspaces.length, 1);
+  } finally {
+    queriesConfig.volumes.timeoutMs = previousTimeoutMs;
+    await mock.close();
+  }
+});
+
+test('transient failures are retried and honour Retry-After', async () => {
+  const mock = await startMockRailwayServer({
+    responses: {
+      volumeUsage: [
+        { status: 503, body: 'upstream unavailable' },
+        { status: 429, headers: { 'retry-after': '0' }, body: { errors: [{ message: 'slow' }] } },
+        {},
+      ],
+    },
+  });
+  try {
+    const data = await mockClient(mock).makeGraphQLRequest(
+      'query volumeUsage { me { id } }',
+      {},
+      'Volume Usage'
+    );
+
+    assert.ok(data.me.workspaces);
+    assert.equal(mock.requests.length, 3);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('permanent failures reject with a typed, non-retryable error', async () => {
+  const mock = await startMockRailwayServer({
+    responses: { volumeUsage: { body: { errors: [{ message: 'Not Authorized' }] } } },
+  });
+  try {
+    await assert.rejects(
+      mockClient(mock).makeGraphQLRequest('query volumeUsage { me { id } }', {}, 'Volume Usage'),
+      (error) => {
+        assert.ok(error instanceof RailwayApiError);
+        assert.equal(error.kind, 'auth');
+        assert.equal(error.retryable, false);
+        assert.equal(error.attempts, 1);
+        return true;
+      }
+    );
+    assert.equal(mock.requests.length, 1);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('a 2xx response without data rejects as a parse error', async () => {
+  const mock = await startMockRailwayServer({ responses: { volumeUsage: { body: 'null' } } });
+  try {
+    await assert.rejects(
+      mockClient(mock).makeGraphQLRequest('query volumeUsage { me { id } }', {}, 'Volume Usage'),
+      (error) => {
+        assert.ok(error instanceof RailwayApiError);
+        assert.equal(error.kind, 'parse');
+        assert.equal(error.status, 200);
+        return true;
+      }
+    );
+  } finally {
+    await mock.close();
+  }
+});
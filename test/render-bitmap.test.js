@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Bitmap } = require('../src/bitmap/canvas');
+const { encodeBMP, encodePNG } = require('../src/bitmap/encode');
+const { BitmapRenderer } = require('../src/render-bitmap');
+const {
+  FIXED_TIMESTAMP,
+  TEST_CONFIG,
+  fetchFixtureDashboard,
+  startTestServer,
+} = require('./helpers');
+
+const GOLDEN_PNG = path.join(__dirname, 'golden', 'dashboard.png');
+
+// Decodes an encodeBMP() image into { width, height, bitsPerPixel, black(x, y) }
+function decodeBMP(buffer) {
+  assert.equal(buffer.toString('ascii', 0, 2), 'BM');
+  assert.equal(buffer.readUInt32LE(2), buffer.length);
+
+  const width = buffer.readInt32LE(18);
+  const height = buffer.readInt32LE(22);
+  const pixelOffset = buffer.readUInt32LE(10);
+  const rowSize = Math.ceil(width / 32) * 4;
+  const black = (x, y) =>
+    !(buffer[pixelOffset + (height - 1 - y) * rowSize + (x >> 3)] & (0x80 >> (x & 7)));
+
+  return { width, height, bitsPerPixel: buffer.readUInt16LE(28), black };
+}
+
+// Decodes an encodePNG() image into { width, height, bitDepth, colorType, black(x, y) }
+function decodePNG(buffer) {
+  assert.deepEqual([...buffer.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  assert.equal(buffer.toString('ascii', 12, 16), 'IHDR');
+
+  const width = buffer.readUInt32BE(16);
+  const height = buffer.readUInt32BE(20);
+  const idat = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    if (buffer.toString('ascii', offset + 4, offset + 8) === 'IDAT') {
+      idat.push(buffer.subarray(offset + 8, offset + 8 + length));
+    }
+    offset += length + 12;
+  }
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const rowSize = 1 + Math.ceil(width / 8);
+  const black = (x, y) => !(raw[y * rowSize + 1 + (x >> 3)] & (0x80 >> (x & 7)));
+
+  return { width, height, bitDepth: buffer[24], colorType: buffer[25], black };
+}
+
+function countBlack(image, x0 = 0, y0 = 0, x1 = image.width, y1 = image.height) {
+  let count = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      count += image.black(x, y) ? 1 : 0;
+    }
+  }
+  return count;
+}
+
+function rendererFor(dashboardData, options = {}) {
+  const renderer = new BitmapRenderer({ timezone: 'UTC', ...options });
+  renderer.loadData(dashboardData);
+  return renderer;
+}
+
+test('Bitmap draws text, truncates and wraps it', () => {
+  const bitmap = new Bitmap(40, 10);
+
+  assert.equal(bitmap.text(0, 0, 'I'), 5);
+  // "I" is a vertical bar in the middle column, with serifs top and bottom
+  assert.equal(bitmap.getPixel(2, 3), 1);
+  assert.equal(bitmap.getPixel(0, 3), 0);
+
+  assert.equal(bitmap.measureText('abc'), 17);
+  assert.equal(bitmap.measureText('abc', { scale: 2, bold: true }), 36);
+  assert.equal(bitmap.fitText('storefront', 30), 'stor…');
+  assert.deepEqual(bitmap.wrapText('Deploy failed for service web', 66), [
+    'Deploy',
+    'failed for',
+    'service web',
+  ]);
+});
+
+test('encodeBMP and encodePNG store the same 1-bit pixels', () => {
+  const bitmap = new Bitmap(37, 5);
+  bitmap.fillRect(3, 1, 30, 2);
+  bitmap.setPixel(36, 4);
+
+  for (const image of [decodeBMP(encodeBMP(bitmap)), decodePNG(encodePNG(bitmap))]) {
+    assert.equal(image.width, 37);
+    assert.equal(image.height, 5);
+    for (let y = 0; y < 5; y++) {
+      for (let x = 0; x < 37; x++) {
+        assert.equal(image.black(x, y), bitmap.getPixel(x, y) === 1, `pixel ${x},${y}`);
+      }
+    }
+  }
+
+  assert.equal(decodeBMP(encodeBMP(bitmap)).bitsPerPixel, 1);
+  const png = decodePNG(encodePNG(bitmap));
+  assert.deepEqual([png.bitDepth, png.colorType], [1, 0]);
+});
+
+test('BitmapRenderer matches the golden dashboard image', async () => {
+  const png = rendererFor(await fetchFixtureDashboard()).toPNG();
+
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(GOLDEN_PNG, png);
+  }
+  assert.ok(png.equals(fs.readFileSync(GOLDEN_PNG)), 'dashboard.png differs from its golden copy');
+});
+
+test('BitmapRenderer lays out both columns on an 800x470 canvas', async () => {
+  const image = decodeBMP(rendererFor(await fetchFixtureDashboard()).toBMP());
+
+  assert.equal(image.width, 800);
+  assert.equal(image.height, 470);
+  // Header, services column, events column and footer all have ink
+  assert.ok(countBlack(image, 0, 0, 800, 40) > 0);
+  assert.ok(countBlack(image, 0, 60, 400, 200) > 0);
+  assert.ok(countBlack(image, 404, 60, 800, 200) > 0);
+  assert.ok(countBlack(image, 0, 450, 800, 470) > 0);
+  // Nothing is drawn in the outer padding
+  assert.equal(countBlack(image, 0, 0, 3, 470), 0);
+});
+
+test('BitmapRenderer honours size and layout limits', async () => {
+  const dashboard = await fetchFixtureDashboard();
+  const small = decodePNG(rendererFor(dashboard, { width: 400, height: 300 }).toPNG());
+  assert.deepEqual([small.width, small.height], [400, 300]);
+
+  const full = decodePNG(rendererFor(dashboard).toPNG());
+  const limited = decodePNG(rendererFor(dashboard, { layout: { maxServices: 1 } }).toPNG());
+  assert.ok(countBlack(limited, 0, 40, 400, 450) < countBlack(full, 0, 40, 400, 450));
+});
+
+test('BitmapRenderer draws the error page for failed fetches', () => {
+  const image = decodePNG(
+    rendererFor({
+      timestamp: FIXED_TIMESTAMP,
+      success: false,
+      error: { message: 'Railway is down', type: 'API_ERROR' },
+    }).toPNG()
+  );
+
+  assert.ok(countBlack(image, 0, 40, 800, 120) > 0);
+  assert.equal(countBlack(image, 0, 150, 800, 440), 0);
+});
+
+test('BitmapRenderer requires data', () => {
+  assert.throws(() => new BitmapRenderer().toPNG(), /No data loaded/);
+});
+
+test('image endpoints', async (t) => {
+  const server = await startTestServer({ TERMINUS_CONFIG: TEST_CONFIG });
+  t.after(() => server.close());
+
+  await t.test('GET /image.bmp and /image.png return 1-bit images', async () => {
+    const bmp = await server.get('/image.bmp');
+    assert.equal(bmp.status, 200);
+    assert.equal(bmp.headers.get('content-type'), 'image/bmp');
+    assert.equal(bmp.headers.get('cache-control'), 'no-cache, no-store, must-revalidate');
+    const image = decodeBMP(Buffer.from(await bmp.arrayBuffer()));
+    assert.deepEqual([image.width, image.height, image.bitsPerPixel], [800, 470, 1]);
+
+    const png = await server.get('/image.png?width=600&height=448');
+    assert.equal(png.headers.get('content-type'), 'image/png');
+    const { width, height } = decodePNG(Buffer.from(await png.arrayBuffer()));
+    assert.deepEqual([width, height], [600, 448]);
+  });
+
+  await t.test('profiles have their own images', async () => {
+    const res = await server.get('/d/tools/image.png');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'image/png');
+
+    assert.equal((await server.get('/d/nope/image.png')).status, 404);
+  });
+
+  await t.test('share links have their own images', async () => {
+    const { token } = await (
+      await server.send('POST', '/api/share-links', { filters: { projectId: 'proj-tools' } })
+    ).json();
+
+    const res = await server.get(`/s/${token}/image.bmp`, { Authorization: '' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'image/bmp');
+  });
+
+  await t.test('image endpoints require authentication and a valid size', async () => {
+    assert.equal((await server.get('/image.png', { Authorization: '' })).status, 401);
+    assert.equal((await server.get('/image.png?width=10')).status, 400);
+    assert.equal((await server.get('/image.png?height=big')).status, 400);
+    assert.equal((await server.get('/image.gif')).status, 404);
+  });
+});
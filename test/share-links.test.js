@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TEST_CONFIG, startTestServer } = require('./helpers');
+
+function projectIds(body) {
+  return body.data.projects.me.workspaces[0].team.projects.edges.map((edge) => edge.node.id);
+}
+
+test('share links', async (t) => {
+  const server = await startTestServer({ TERMINUS_CONFIG: TEST_CONFIG });
+  t.after(() => server.close());
+
+  const mint = async (body) => {
+    const res = await server.send('POST', '/api/share-links', body);
+    return { status: res.status, body: await res.json() };
+  };
+  const shared = (token, urlPath = '') =>
+    server.get(`/s/${token}${urlPath}`, { Authorization: '' });
+
+  await t.test('POST /api/share-links requires the auth token', async () => {
+    const res = await server.send('POST', '/api/share-links', {}, { Authorization: '' });
+    assert.equal(res.status, 401);
+  });
+
+  await t.test('a minted link renders its view without any other credentials', async () => {
+    const { status, body } = await mint({
+      filters: { projectId: 'proj-tools' },
+      logsEnvironmentId: 'env-tools-prod',
+      label: 'Office TV',
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.label, 'Office TV');
+    assert.deepEqual(body.view, {
+      filters: { projectId: 'proj-tools' },
+      logsEnvironmentId: 'env-tools-prod',
+    });
+    assert.ok(body.url.endsWith(`/s/${body.token}`));
+
+    const res = await shared(body.token);
+    const html = await res.text();
+    assert.equal(res.status, 200);
+    assert.match(html, /internal-tools\/worker/);
+    assert.doesNotMatch(html, /storefront\/api/);
+
+    const data = await (await shared(body.token, '/data')).json();
+    assert.deepEqual(projectIds(data), ['proj-tools']);
+    assert.equal(data.data.eventLogsEnvironmentId, 'env-tools-prod');
+  });
+
+  await t.test('the request cannot widen a shared view', async () => {
+    const { body } = await mint({ filters: { projectId: 'proj-tools' } });
+
+    const viaHeaders = await (
+      await server.get(`/api/data?share=${body.token}&profile=compact`, {
+        Authorization: '',
+        'X-Project-Id': 'proj-storefront',
+      })
+    ).json();
+    assert.deepEqual(projectIds(viaHeaders), ['proj-tools']);
+    assert.equal(viaHeaders.data.queryInfo.profile, undefined);
+
+    // Read-only: the link is not accepted anywhere else
+    assert.equal(
+      (await server.get(`/debug?share=${body.token}`, { Authorization: '' })).status,
+      401
+    );
+    const res = await server.send(
+      'POST',
+      `/api/share-links?share=${body.token}`,
+      {},
+      { Authorization: '' }
+    );
+    assert.equal(res.status, 401);
+  });
+
+  await t.test('links can point at a profile', async () => {
+    const { body } = await mint({ profile: 'tools' });
+
+    const res = await shared(body.token);
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /Updated: .* GMT\+9/);
+
+    assert.equal((await mint({ profile: 'nope' })).status, 400);
+  });
+
+  await t.test('tampered, expired and revoked links are rejected', async () => {
+    const { body } = await mint({ filters: { projectId: 'proj-tools' } });
+    const [payload, signature] = body.token.split('.');
+
+    const widened = Buffer.from(
+      JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), view: {} })
+    ).toString('base64url');
+    const tampered = await shared(`${widened}.${signature}`);
+    assert.equal(tampered.status, 403);
+    assert.match((await tampered.json()).message, /signature/);
+
+    assert.equal((await shared('not-a-token')).status, 403);
+
+    const revoke = await server.send('DELETE', `/api/share-links/${body.id}`);
+    assert.equal(revoke.status, 200);
+    assert.ok((await revoke.json()).revokedAt);
+
+    const revoked = await shared(body.token);
+    assert.equal(revoked.status, 403);
+    assert.match((await revoked.json()).message, /revoked/);
+
+    assert.equal((await server.send('DELETE', '/api/share-links/unknown')).status, 404);
+
+    const short = await mint({ expiresIn: 1 });
+    assert.equal(short.status, 201);
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    const expired = await shared(short.body.token);
+    assert.equal(expired.status, 403);
+    assert.match((await expired.json()).message, /expired/);
+  });
+
+  await t.test('invalid requests are a 400', async () => {
+    assert.equal((await mint({ filters: { project: 'x' } })).status, 400);
+    assert.equal((await mint({ expiresIn: 0 })).status, 400);
+    assert.equal((await mint({ expiresIn: 'soon' })).status, 400);
+  });
+
+  await t.test('GET /api/share-links lists links without their tokens', async () => {
+    const { links } = await (await server.get('/api/share-links')).json();
+
+    assert.ok(links.length >= 4);
+    assert.ok(links.some((link) => link.label === 'Office TV'));
+    assert.ok(links.some((link) => link.revokedAt));
+    assert.ok(links.every((link) => link.token === undefined));
+  });
+});
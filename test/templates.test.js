@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DashboardGenerator } = require('../src/generate-html');
+const { renderTemplate } = require('../src/templates');
+const { FIXED_TIMESTAMP, fetchFixtureDashboard } = require('./helpers');
+
+// Points TERMINUS_TEMPLATES_DIR at a fresh directory holding `files` for the
+// rest of the test
+function templatesDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-templates-'));
+  for (const [name, source] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), source);
+  }
+  const previous = process.env.TERMINUS_TEMPLATES_DIR;
+  process.env.TERMINUS_TEMPLATES_DIR = dir;
+  t.after(() => {
+    if (previous === undefined) delete process.env.TERMINUS_TEMPLATES_DIR;
+    else process.env.TERMINUS_TEMPLATES_DIR = previous;
+  });
+  return dir;
+}
+
+function render(t, source, data, options) {
+  templatesDir(t, { 'page.liquid': source });
+  return renderTemplate('page', data, options);
+}
+
+test('output is escaped unless it goes through raw', (t) => {
+  const data = { name: '<b>"api" & \'web\'</b>' };
+  assert.equal(
+    render(t, '{{ name }}', data),
+    '&lt;b&gt;&quot;api&quot; &amp; &#39;web&#39;&lt;/b&gt;'
+  );
+  assert.equal(render(t, '{{ name | raw }}', data), data.name);
+  assert.equal(
+    render(t, '<script>var x = {{ name | json }};</script>', data),
+    '<script>var x = "\\u003cb>\\"api\\" & \'web\'\\u003c/b>";</script>'
+  );
+  assert.equal(render(t, "{{ missing | default: 'none' }}|{{ missing }}|{{ 0 }}", {}), 'none||0');
+});
+
+test('tags: if, unless, for and trimming', (t) => {
+  const source = [
+    "{% if status == 'OK' and items %}up{% elsif status != 'ERR' %}unsure{% else %}down{% endif %}",
+    '{% unless items %} none{% endunless %}',
+    '{%- for item in items %} {{ forloop.index }}:{{ item.name }}{% if forloop.last %}.{% endif %}',
+    '{%- else %} empty',
+    '{%- endfor %}',
+  ].join('\n');
+
+  assert.equal(
+    render(t, source, { status: 'OK', items: [{ name: 'a' }, { name: 'b' }] }),
+    'up\n 1:a 2:b.'
+  );
+  assert.equal(render(t, source, { status: 'BLD', items: [] }), 'unsure\n none empty');
+  assert.equal(render(t, source, { status: 'ERR' }), 'down\n none empty');
+});
+
+test('partials see only what they are given', (t) => {
+  templatesDir(t, {
+    'page.liquid':
+      "{% render 'greeting', name: user.name %}{% comment %} {{ ignored }} {% endcomment %}",
+    'partials/greeting.liquid': 'Hello {{ name }}{{ user.name }}\n',
+  });
+  assert.equal(renderTemplate('page', { user: { name: '<you>' } }), 'Hello &lt;you&gt;');
+});
+
+test('template mistakes name the file and line', (t) => {
+  assert.throws(() => render(t, 'a\n{% if x %}', {}), /page\.liquid:2: \{% if %\} is never closed/);
+  assert.throws(() => render(t, '{% include "x" %}', {}), /unknown tag \{% include "x" %\}/);
+  assert.throws(() => render(t, '{{ a | shout }}', { a: 1 }), /Unknown filter "shout"/);
+  assert.throws(() => render(t, "{% render 'nope' %}", {}), /No template "partials\/nope\.liquid"/);
+});
+
+test('the dashboard escapes names, paths and error messages', async () => {
+  const dashboard = JSON.parse(
+    JSON.stringify(await fetchFixtureDashboard())
+      .replaceAll('"storefront"', '"<i>storefront</i>"')
+      .replaceAll('/var/lib/postgresql/data', '/data/<script>')
+  );
+  const generator = new DashboardGenerator();
+  generator.loadData(dashboard);
+  const html = generator.generateHTML();
+  assert.match(html, /&lt;i&gt;storefront&lt;\/i&gt;\/api/);
+  assert.match(html, /\/data\/&lt;script&gt;/);
+  assert.doesNotMatch(html, /<i>|<script>/);
+
+  generator.loadData({
+    timestamp: FIXED_TIMESTAMP,
+    success: false,
+    error: { message: 'Unexpected token <html>', type: 'API_ERROR' },
+  });
+  assert.match(generator.generateHTML(), /Unexpected token &lt;html&gt;/);
+});
+
+test('TERMINUS_TEMPLATES_DIR overrides partials and adds its own', async (t) => {
+  templatesDir(t, {
+    'partials/service-card.liquid':
+      '<li class="service-box">{{ service.name }} {% render \'badge\', status: service.status %}</li>\n',
+    'partials/badge.liquid': '<b>{{ status }}</b>',
+  });
+  const generator = new DashboardGenerator();
+  generator.loadData(await fetchFixtureDashboard());
+  const html = generator.generateHTML();
+
+  assert.match(html, /<li class="service-box">storefront\/api <b>OK<\/b><\/li>/);
+  // Everything else still comes from templates/
+  assert.match(html, /<div class="section-title">Recent Events<\/div>/);
+});
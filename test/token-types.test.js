@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RailwayClient } = require('../src/query-railway');
+const { DashboardGenerator } = require('../src/generate-html');
+const { toAccountShape } = require('../src/token-types');
+const { fixture, mockClient, startMockRailwayServer } = require('./helpers');
+
+const serviceNames = (dashboardData) => {
+  const generator = new DashboardGenerator();
+  generator.loadData(dashboardData);
+  return generator
+    .extractComprehensiveData()
+    .workspaces.flatMap((workspace) =>
+      workspace.projects.flatMap((project) =>
+        project.services.map((service) => `${project.name}/${service.name}`)
+      )
+    );
+};
+
+test('account tokens are detected and sent as Bearer tokens', async () => {
+  const mock = await startMockRailwayServer();
+  try {
+    const client = mockClient(mock, { tokenType: 'auto' }, 'account-token-1');
+    const result = await client.fetchDashboardData('env-store-prod');
+
+    assert.equal(result.data.queryInfo.tokenType, 'account');
+    assert.deepEqual(result.data.queryInfo.errors, []);
+    assert.equal(mock.requests[0].operationName, 'accountTokenProbe');
+    assert.ok(mock.requests.every((req) => req.headers.authorization === 'Bearer account-token-1'));
+  } finally {
+    await mock.close();
+  }
+});
+
+test('project tokens are detected and queried through project(id:)', async () => {
+  const mock = await startMockRailwayServer();
+  try {
+    const client = mockClient(mock, { tokenType: 'auto' }, 'mock-project-token');
+    const result = await client.fetchDashboardData('env-store-prod');
+
+    assert.equal(result.data.queryInfo.tokenType, 'project');
+    assert.deepEqual(result.data.queryInfo.errors, []);
+    assert.equal(result.data.eventLogs.environmentLogs.length, 5);
+
+    const projectQueries = mock.requests.filter((req) =>
+      req.operationName.startsWith('projectToken')
+    );
+    assert.deepEqual(projectQueries.map((req) => req.operationName).sort(), [
+      'projectTokenDeployments',
+      'projectTokenInfo',
+      'projectTokenProjects',
+      'projectTokenVolumes',
+    ]);
+    for (const req of projectQueries) {
+      assert.equal(req.headers['project-access-token'], 'mock-project-token');
+      assert.equal(req.headers.authorization, undefined);
+      if (req.operationName !== 'projectTokenInfo') {
+        assert.equal(req.variables.projectId, 'proj-storefront');
+      }
+    }
+
+    const workspace = result.data.projects.me.workspaces[0];
+    assert.equal(workspace.name, 'storefront');
+    assert.deepEqual(serviceNames(result), [
+      'storefront/api',
+      'storefront/web',
+      'storefront/postgres',
+    ]);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('team tokens are detected and queried through the root projects query', async () => {
+  const mock = await startMockRailwayServer();
+  try {
+    const client = mockClient(mock, { tokenType: 'auto' }, 'mock-team-token');
+    const result = await client.fetchDashboardData(null);
+
+    assert.equal(result.data.queryInfo.tokenType, 'team');
+    assert.deepEqual(result.data.queryInfo.errors, []);
+    assert.deepEqual(serviceNames(result), [
+      'storefront/api',
+      'storefront/web',
+      'storefront/postgres',
+      'internal-tools/worker',
+    ]);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('team and account tokens produce the same dashboard data', async () => {
+  const mock = await startMockRailwayServer();
+  try {
+    const account = await mockClient(mock).fetchDashboardData('env-store-prod');
+    const team = await mockClient(
+      mock,
+      { tokenType: 'team' },
+      'mock-team-token'
+    ).fetchDashboardData('env-store-prod');
+
+    assert.deepEqual(serviceNames(team), serviceNames(account));
+    const volumes = (data) => {
+      const generator = new DashboardGenerator();
+      generator.loadData(data);
+      return generator.extractComprehensiveData().volumes.map((volume) => volume.id);
+    };
+    assert.deepEqual(volumes(team), volumes(account));
+  } finally {
+    await mock.close();
+  }
+});
+
+test('an explicit token type skips detection', async () => {
+  const mock = await startMockRailwayServer();
+  try {
+    const client = mockClient(mock, { tokenType: 'team' }, 'mock-team-token');
+    await client.fetchDashboardData(null);
+
+    assert.equal(
+      mock.requests.some((req) => req.operationName.endsWith('Probe')),
+      false
+    );
+  } finally {
+    await mock.close();
+  }
+});
+
+test('unknown token types are rejected', () => {
+  assert.throws(
+    () => new RailwayClient('token', { tokenType: 'personal' }),
+    /Invalid RAILWAY_TOKEN_TYPE/
+  );
+});
+
+test('toAccountShape leaves account data untouched', () => {
+  const data = fixture('projectsServicesEnvironments');
+  assert.equal(toAccountShape({ type: 'account' }, data), data);
+});
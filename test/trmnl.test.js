@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { TrmnlError, TrmnlPusher, buildMergeVariables, webhookPayload } = require('../src/trmnl');
+const {
+  FIXED_TIMESTAMP,
+  TEST_CONFIG,
+  fetchFixtureDashboard,
+  startTestServer,
+} = require('./helpers');
+
+// A stand-in for the TRMNL webhook that records request bodies
+async function startWebhook(status = 200) {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      bodies.push(JSON.parse(body));
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api/custom_plugins/test`,
+    bodies,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test('buildMergeVariables flattens the dashboard', async () => {
+  const variables = buildMergeVariables(await fetchFixtureDashboard(), { timezone: 'UTC' });
+
+  assert.equal(variables.title, 'Acme');
+  assert.equal(variables.updated_at, 'Jan 15, 12:00');
+  assert.equal(variables.updated_at_iso, FIXED_TIMESTAMP);
+  assert.equal(variables.error, null);
+  assert.deepEqual(
+    [variables.service_count, variables.services_ok, variables.services_failing],
+    [5, 2, 2]
+  );
+  assert.deepEqual(variables.services[0], {
+    name: 'storefront/api',
+    environment: 'production',
+    status: 'OK',
+    deployed_at: 'Jan 15, 09:30',
+    timing: 'deployed 2h ago • took 2m14s',
+    stale: false,
+  });
+  assert.deepEqual(variables.volumes[0], {
+    name: 'postgres • production',
+    mount_path: '/var/lib/postgresql/data',
+    used_gb: 3.8,
+    size_gb: 4.9,
+    percent: 78,
+  });
+  assert.equal(variables.events_label, 'api • production');
+  assert.deepEqual(variables.events[3], {
+    time: 'Jan 15, 08:03',
+    message: 'Build failed <web>',
+    severity: 'error',
+  });
+});
+
+test('buildMergeVariables applies layout limits and reports failed fetches', async () => {
+  const limited = buildMergeVariables(await fetchFixtureDashboard(), {
+    layout: { maxServices: 1, maxEvents: 2 },
+  });
+  assert.equal(limited.services.length, 1);
+  assert.equal(limited.service_count, 5);
+  assert.equal(limited.events.length, 2);
+
+  const failed = buildMergeVariables({
+    timestamp: FIXED_TIMESTAMP,
+    success: false,
+    error: { message: 'Railway is down', type: 'API_ERROR' },
+  });
+  assert.equal(failed.error, 'Railway is down');
+  assert.deepEqual(failed.services, []);
+});
+
+test('webhookPayload shortens lists to fit the size limit', async () => {
+  const variables = buildMergeVariables(await fetchFixtureDashboard());
+  const size = (payload) => Buffer.byteLength(JSON.stringify(payload));
+
+  const full = webhookPayload(variables, 5120);
+  assert.deepEqual(full, { merge_variables: variables });
+
+  const shortened = webhookPayload(variables, 1200);
+  assert.ok(size(shortened) <= 1200);
+  assert.equal(shortened.merge_variables.truncated, true);
+  // Events go before volumes and services
+  assert.ok(shortened.merge_variables.events.length < variables.events.length);
+  assert.equal(shortened.merge_variables.services.length, variables.services.length);
+  assert.equal(shortened.merge_variables.event_count, variables.event_count);
+  // The input is left alone
+  assert.equal(variables.events.length, 5);
+
+  assert.throws(() => webhookPayload(variables, 100), TrmnlError);
+});
+
+test('TrmnlPusher posts merge variables to the webhook', async (t) => {
+  const variables = buildMergeVariables(await fetchFixtureDashboard());
+
+  await t.test('successful pushes are recorded', async () => {
+    const webhook = await startWebhook();
+    t.after(() => webhook.close());
+
+    const pusher = new TrmnlPusher({
+      load: async () => variables,
+      webhookUrl: webhook.url,
+      maxPayloadBytes: 1200,
+    });
+    assert.equal(await pusher.push(), true);
+
+    assert.equal(webhook.bodies.length, 1);
+    assert.equal(webhook.bodies[0].merge_variables.title, 'Acme');
+    assert.equal(pusher.lastPush.truncated, true);
+    assert.ok(pusher.lastPush.bytes <= 1200);
+  });
+
+  await t.test('rejected pushes and failed loads return false', async () => {
+    const webhook = await startWebhook(429);
+    t.after(() => webhook.close());
+
+    const rejected = new TrmnlPusher({ load: async () => variables, webhookUrl: webhook.url });
+    assert.equal(await rejected.push(), false);
+    assert.equal(rejected.lastPush, null);
+
+    const broken = new TrmnlPusher({
+      load: async () => {
+        throw new Error('boom');
+      },
+      webhookUrl: webhook.url,
+    });
+    assert.equal(await broken.push(), false);
+    assert.equal(webhook.bodies.length, 1);
+  });
+});
+
+test('GET /trmnl/merge-variables', async (t) => {
+  const server = await startTestServer({ TERMINUS_CONFIG: TEST_CONFIG });
+  t.after(() => server.close());
+
+  await t.test('returns merge variables for the requested view', async () => {
+    const res = await server.get('/trmnl/merge-variables?profile=tools');
+    assert.equal(res.status, 200);
+
+    const variables = await res.json();
+    assert.equal(variables.updated_at_iso.length, 24);
+    assert.deepEqual(
+      variables.services.map((service) => service.name),
+      ['internal-tools/worker']
+    );
+    // Event logs come from the profile's environment
+    assert.equal(variables.events_label, 'worker • production');
+  });
+
+  await t.test('requires authentication and a known profile', async () => {
+    assert.equal((await server.get('/trmnl/merge-variables', { Authorization: '' })).status, 401);
+    assert.equal((await server.get('/trmnl/merge-variables?profile=nope')).status, 404);
+  });
+});
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../src/json-store');
+const { DashboardGenerator } = require('../src/generate-html');
+const { BitmapRenderer } = require('../src/render-bitmap');
+const { loadTerminusConfig } = require('../src/terminus-config');
+const {
+  VolumeHistory,
+  assessVolume,
+  forecastFill,
+  volumeHealth,
+  volumeThresholds,
+} = require('../src/volumes');
+const { fetchFixtureDashboard, startTestServer } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.parse('2026-01-15T12:00:00.000Z');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'terminus-volumes-'));
+}
+
+function writeConfig(config) {
+  const file = path.join(tempDir(), 'config.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+function tempHistory(options = {}) {
+  process.env.TERMINUS_DATA_DIR = tempDir();
+  return new VolumeHistory({
+    store: new JsonStore('volume-history.json', { volumes: {} }),
+    ...options,
+  });
+}
+
+const volume = { id: 'vi-1', volumeName: 'pg-data', currentSizeMB: 850, sizeMB: 1000 };
+
+test('volumeThresholds prefers the instance, then the volume name, then the defaults', () => {
+  assert.deepEqual(volumeThresholds(volume, {}), { warnPercent: 80, criticalPercent: 90 });
+  assert.deepEqual(volumeThresholds(volume, { 'pg-data': { warnPercent: 60 } }), {
+    warnPercent: 60,
+    criticalPercent: 90,
+  });
+  assert.deepEqual(
+    volumeThresholds(volume, {
+      'pg-data': { warnPercent: 60, criticalPercent: 70 },
+      'vi-1': { criticalPercent: 95 },
+    }),
+    { warnPercent: 60, criticalPercent: 95 }
+  );
+});
+
+test('assessVolume sets the level from the thresholds', () => {
+  assert.equal(assessVolume(volume, null, {}).level, 'warning');
+  assert.equal(assessVolume({ ...volume, currentSizeMB: 950 }, null, {}).level, 'critical');
+  assert.equal(assessVolume({ ...volume, currentSizeMB: 100 }, null, {}).level, 'ok');
+  assert.equal(assessVolume({ ...volume, sizeMB: 0 }, null, {}).usagePercent, 0);
+});
+
+test('forecastFill extrapolates recent growth', () => {
+  // 10MB a day for the last three days
+  const samples = [0, 1, 2, 3].map((day) => [NOW - (3 - day) * DAY, 800 + day * 10]);
+  assert.deepEqual(forecastFill(samples, 1000, NOW), {
+    growthMBPerDay: 10,
+    daysUntilFull: 17,
+    fullAt: '2026-02-01T12:00:00.000Z',
+  });
+
+  // Only the forecast window counts: the volume stopped growing two days ago
+  const flattened = [...samples.slice(0, 2), [NOW - DAY, 810], [NOW, 810]];
+  assert.equal(forecastFill(flattened, 1000, NOW, 2 * DAY).daysUntilFull, null);
+
+  // Too little history
+  assert.equal(forecastFill([[NOW, 800]], 1000, NOW), null);
+  assert.equal(
+    forecastFill(
+      [
+        [NOW - HOUR, 800],
+        [NOW, 900],
+      ],
+      1000,
+      NOW
+    ),
+    null
+  );
+});
+
+test('VolumeHistory samples at most once per interval and drops old samples', () => {
+  const history = tempHistory({ sampleIntervalMs: HOUR, retentionMs: 2 * DAY });
+
+  history.record([volume], NOW - 3 * DAY);
+  history.record([volume], NOW);
+  history.record([{ ...volume, currentSizeMB: 900 }], NOW + HOUR / 2);
+  history.record([{ ...volume, currentSizeMB: 900 }], NOW + HOUR);
+
+  assert.deepEqual(history.samples('vi-1'), [
+    [NOW, 850],
+    [NOW + HOUR, 900],
+  ]);
+  // The store survives a restart
+  const reloaded = new JsonStore('volume-history.json', { volumes: {} });
+  assert.equal(reloaded.read().volumes['vi-1'].length, 2);
+});
+
+test('volumeHealth records samples and forecasts from them', () => {
+  const history = tempHistory({ sampleIntervalMs: HOUR });
+  for (let hour = 12; hour > 0; hour--) {
+    volumeHealth([{ ...volume, currentSizeMB: 850 - hour }], history, NOW - hour * HOUR);
+  }
+
+  const health = volumeHealth([volume], history, NOW);
+  assert.equal(health['vi-1'].level, 'warning');
+  assert.deepEqual(health['vi-1'].forecast, {
+    growthMBPerDay: 24,
+    daysUntilFull: 6.3,
+    fullAt: '2026-01-21T18:00:00.000Z',
+  });
+});
+
+test('invalid volume thresholds are rejected with a readable message', () => {
+  const cases = [
+    [{ volumes: [] }, /"volumes" must be an object/],
+    [{ volumes: { a: { warn: 50 } } }, /unknown setting "warn"/],
+    [{ volumes: { a: { criticalPercent: 120 } } }, /between 0 and 100/],
+    [{ volumes: { a: { warnPercent: 90, criticalPercent: 80 } } }, /can't be above/],
+  ];
+
+  for (const [config, message] of cases) {
+    assert.throws(() => loadTerminusConfig(writeConfig(config)), message);
+  }
+});
+
+test('the dashboard highlights full volumes and shows forecasts', async () => {
+  const dashboardData = await fetchFixtureDashboard();
+  dashboardData.data.volumeHealth = {
+    'vi-pg-staging': {
+      usagePercent: 2.4,
+      level: 'critical',
+      warnPercent: 1,
+      criticalPercent: 2,
+      forecast: { growthMBPerDay: 1500, daysUntilFull: 3.2, fullAt: '2026-01-18T16:48:00.000Z' },
+    },
+  };
+
+  const generator = new DashboardGenerator();
+  generator.loadData(dashboardData);
+  const { volumes } = generator.extractComprehensiveData();
+  // Critical volumes come first
+  assert.equal(volumes[0].id, 'vi-pg-staging');
+
+  const html = generator.generateHTML();
+  assert.match(html, /class="volume-box volume-critical"/);
+  assert.match(html, /<span class="volume-forecast">Full in ~3d<\/span>/);
+
+  // The critical box is drawn inverted
+  const ink = (data) => {
+    const renderer = new BitmapRenderer();
+    renderer.loadData(data);
+    const bitmap = renderer.render();
+    let count = 0;
+    for (let y = 0; y < bitmap.height; y++) {
+      for (let x = 0; x < bitmap.width; x++) {
+        count += bitmap.getPixel(x, y);
+      }
+    }
+    return count;
+  };
+  assert.ok(
+    ink(dashboardData) >
+      ink({ ...dashboardData, data: { ...dashboardData.data, volumeHealth: {} } }) + 5000
+  );
+});
+
+test('GET /api/data reports volume health', async (t) => {
+  const server = await startTestServer({
+    TERMINUS_CONFIG: writeConfig({
+      volumes: {
+        'pg-data': { warnPercent: 50, criticalPercent: 75 },
+        'vi-worker-prod': { warnPercent: 20 },
+      },
+    }),
+  });
+  t.after(() => server.close());
+
+  const { data } = await (await server.get('/api/data')).json();
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(data.volumeHealth).map(([id, health]) => [id, health.level])),
+    { 'vi-pg-prod': 'critical', 'vi-pg-staging': 'ok', 'vi-worker-prod': 'warning' }
+  );
+  // A single sample isn't enough for a forecast
+  assert.equal(data.volumeHealth['vi-pg-prod'].forecast, null);
+
+  const html = await (await server.get('/')).text();
+  assert.match(html, /class="volume-box volume-critical"[\s\S]*class="volume-box volume-warning"/);
+});